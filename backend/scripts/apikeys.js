@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import logger from '../src/utils/logger.js';
+import { createApiKey, listApiKeys, revokeApiKey } from '../src/services/apiKeyService.js';
+
+/**
+ * API key management against the configured timetable store (TIMETABLE_STORE).
+ *
+ *   npm run keys -- create <name> --tenant <id> [--requests-per-minute 60] [--monthly-tokens 1000000]
+ *   npm run keys -- list
+ *   npm run keys -- revoke <id>
+ *
+ * Works without ADMIN_API_KEY, so the first keys can be issued before the server is exposed.
+ */
+
+const USAGE = `Usage: npm run keys -- <command> [options]
+
+Commands:
+  create <name>          Issue a key for a tenant (printed once; only its hash is stored)
+  list                   Show keys, their limits and this month's usage
+  revoke <id>            Revoke a key
+
+Options for create:
+  --tenant <id>              Tenant the key acts for (required)
+  --requests-per-minute <n>  Request rate limit (default: RATE_LIMIT_REQUESTS_PER_MINUTE)
+  --monthly-tokens <n>       Monthly LLM token quota (default: MONTHLY_TOKEN_QUOTA)`;
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      tenant: { type: 'string' },
+      'requests-per-minute': { type: 'string' },
+      'monthly-tokens': { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  const [command, arg] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  logger.silent = true;
+
+  if (command === 'create') {
+    const apiKey = await createApiKey({
+      name: arg,
+      tenant: values.tenant,
+      requestsPerMinute: toNumber(values['requests-per-minute']),
+      monthlyTokens: toNumber(values['monthly-tokens']),
+    });
+
+    console.log(`Issued key ${apiKey.id} (${apiKey.name}, tenant ${apiKey.tenant})`);
+    console.log(`  ${apiKey.key}`);
+    console.log('Store it now: it cannot be shown again.');
+    return 0;
+  }
+
+  if (command === 'list') {
+    const apiKeys = await listApiKeys();
+
+    if (apiKeys.length === 0) {
+      console.log('No API keys');
+      return 0;
+    }
+
+    for (const apiKey of apiKeys) {
+      const status = apiKey.revokedAt ? `revoked ${apiKey.revokedAt}` : 'active';
+      console.log(`${apiKey.id}  ${apiKey.prefix}…  ${apiKey.name}  tenant ${apiKey.tenant ?? '-'}  (${status})`);
+      console.log(
+        `  ${apiKey.limits.requestsPerMinute} req/min, ` +
+          `${apiKey.usage.tokens}/${apiKey.limits.monthlyTokens} tokens and ${apiKey.usage.requests} requests in ${apiKey.usage.month}`
+      );
+    }
+    return 0;
+  }
+
+  if (command === 'revoke') {
+    if (!arg) {
+      console.error('revoke needs the id of the key (see `npm run keys -- list`)');
+      return 1;
+    }
+
+    const apiKey = await revokeApiKey(arg);
+    console.log(`Revoked key ${apiKey.id} (${apiKey.name})`);
+    return 0;
+  }
+
+  console.error(`Unknown command "${command}"\n\n${USAGE}`);
+  return 1;
+}
+
+function toNumber(value) {
+  return value === undefined ? undefined : Number(value);
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error.message);
+    for (const detail of error.details || []) {
+      console.error(`  ${detail.path}: ${detail.message}`);
+    }
+    process.exit(1);
+  });
@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+import { readdir, readFile, writeFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { config } from '../src/config/index.js';
+import logger from '../src/utils/logger.js';
+import { scoreExtraction, aggregateScores, EVALUATED_FIELDS } from '../src/services/evaluation.js';
+import { estimateCost } from '../src/services/pricing.js';
+
+/**
+ * Accuracy benchmark: run every labelled file in a directory through
+ * fileProcessor.processFile and compare the result with its ground truth.
+ *
+ *   npm run benchmark -- [dir] [--provider mock] [--fixtures dir] [--record-from openai]
+ *                       [--tolerance 5] [--output report.json] [--baseline previous.json]
+ *
+ * A file `name.png` is evaluated when `name.expected.json` ({ timeblocks: [...] }) sits next to it.
+ * By default the mock provider replays recorded responses from `<dir>/fixtures` (or, without one,
+ * LLM_MOCK_FIXTURES_DIR, which holds the responses for the examples), so runs are offline and
+ * repeatable; `--record-from <provider>` records any missing responses first.
+ */
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
+  '.webp': 'image/webp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.pdf': 'application/pdf',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const USAGE = `Usage: npm run benchmark -- [dir] [options]
+
+Options:
+  --provider <name>      LLM provider (default: mock)
+  --model <name>         Model override
+  --prompt-version <v>   Prompt version (default: PROMPT_VERSION / PROMPT_WEIGHTS selection)
+  --tenant <id>          Apply this tenant's subject vocabulary
+  --fixtures <dir>       Recorded responses for the mock provider
+                         (default: <dir>/fixtures if it exists, else LLM_MOCK_FIXTURES_DIR)
+  --record-from <name>   Record missing mock responses from this provider
+  --tolerance <minutes>  Time difference still counted as correct (default: 5)
+  --price <in,out>       USD per million input/output tokens (default: LLM_PRICES, then the built-in table)
+  --output <file>        Write the full JSON report
+  --baseline <file>      Compare with a previous JSON report
+  --verbose              Show per-block mismatches and application logs`;
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      provider: { type: 'string', default: 'mock' },
+      model: { type: 'string' },
+      'prompt-version': { type: 'string' },
+      tenant: { type: 'string' },
+      fixtures: { type: 'string' },
+      'record-from': { type: 'string' },
+      tolerance: { type: 'string', default: '5' },
+      price: { type: 'string' },
+      output: { type: 'string' },
+      baseline: { type: 'string' },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const dir = path.resolve(positionals[0] || './test/benchmark');
+  const toleranceMinutes = Number(values.tolerance);
+  const pricing = parsePricing(values.price);
+
+  // Failures are reported per file; application logs only add noise unless asked for
+  logger.silent = !values.verbose;
+
+  // Configure the mock provider before any provider is created
+  const ownFixtures = path.join(dir, 'fixtures');
+  config.llm.providers.mock.fixturesDir = path.resolve(
+    values.fixtures || (existsSync(ownFixtures) ? ownFixtures : config.llm.providers.mock.fixturesDir)
+  );
+  config.llm.providers.mock.recordFrom = values['record-from'] || null;
+
+  // Benchmark runs report their own cost; keep them out of the service's usage records
+  config.usage.enabled = false;
+
+  const cases = await findCases(dir);
+
+  if (cases.length === 0) {
+    console.error(`No labelled files found in ${dir} (expected e.g. timetable.png + timetable.expected.json)`);
+    return 1;
+  }
+
+  const fileProcessor = await import('../src/services/fileProcessor.js');
+  const results = [];
+
+  console.log(`Benchmark: ${cases.length} file(s) from ${dir}`);
+  console.log(
+    `Provider: ${values.provider}${values.model ? ` (${values.model})` : ''}, ` +
+      `prompt ${values['prompt-version'] || 'default'}, tolerance ±${toleranceMinutes} min\n`
+  );
+
+  for (const testCase of cases) {
+    results.push(await runCase(fileProcessor, testCase, { ...values, toleranceMinutes, pricing }));
+  }
+
+  const report = buildReport(results, {
+    dir,
+    provider: values.provider,
+    model: values.model,
+    promptVersion: values['prompt-version'],
+    tenant: values.tenant,
+    toleranceMinutes,
+  });
+
+  printReport(report, values.verbose);
+
+  if (values.baseline) {
+    printComparison(report, JSON.parse(await readFile(values.baseline, 'utf8')));
+  }
+
+  if (values.output) {
+    await writeFile(values.output, JSON.stringify(report, null, 2));
+    console.log(`\nReport written to ${values.output}`);
+  }
+
+  return 0;
+}
+
+/**
+ * Labelled files in a directory: { name, filePath, mimeType, expectedPath }
+ */
+async function findCases(dir) {
+  if (!existsSync(dir)) {
+    return [];
+  }
+
+  const entries = (await readdir(dir)).sort();
+
+  return entries
+    .filter((entry) => MIME_TYPES[path.extname(entry).toLowerCase()])
+    .map((entry) => {
+      const base = entry.slice(0, -path.extname(entry).length);
+      return {
+        name: entry,
+        filePath: path.join(dir, entry),
+        mimeType: MIME_TYPES[path.extname(entry).toLowerCase()],
+        expectedPath: path.join(dir, `${base}.expected.json`),
+      };
+    })
+    .filter((testCase) => existsSync(testCase.expectedPath));
+}
+
+/**
+ * Extract one file and score it
+ */
+async function runCase(fileProcessor, testCase, options) {
+  const expectedJson = JSON.parse(await readFile(testCase.expectedPath, 'utf8'));
+  const expected = Array.isArray(expectedJson) ? expectedJson : expectedJson.timeblocks;
+  const buffer = await readFile(testCase.filePath);
+  const startTime = Date.now();
+
+  let predicted = [];
+  let metadata = {};
+  let error = null;
+
+  try {
+    const result = await fileProcessor.processFile(buffer, testCase.mimeType, testCase.name, {
+      provider: options.provider,
+      model: options.model,
+      promptVersion: options['prompt-version'],
+      tenant: options.tenant,
+      cache: { read: false, write: false },
+    });
+
+    if (result.success === false) {
+      error = `${result.error.code}: ${result.error.message}`;
+      predicted = result.partialData?.timeblocks || [];
+    } else {
+      predicted = result.data.timeblocks;
+      metadata = result.metadata;
+    }
+  } catch (caught) {
+    error = `${caught.code || 'ERROR'}: ${caught.message}`;
+  }
+
+  const latencyMs = Date.now() - startTime;
+  const tokens = countTokens(metadata);
+  const score = scoreExtraction(predicted, expected, { toleranceMinutes: options.toleranceMinutes });
+
+  const result = {
+    file: testCase.name,
+    extractionMethod: metadata.extractionMethod || null,
+    model: metadata.model || null,
+    promptVersion: metadata.promptVersion || null,
+    error,
+    latencyMs,
+    ...tokens,
+    costUsd: estimateCost(metadata.model, tokens, options.pricing),
+    score,
+  };
+
+  const f1 = aggregateScores([score]).blocks.f1;
+  console.log(
+    `${error ? '✗' : '✓'} ${testCase.name}: ${score.exact}/${score.expected} exact, ${score.predicted} predicted, ` +
+      `F1 ${f1.toFixed(3)}, ${latencyMs} ms${error ? ` — ${error}` : ''}`
+  );
+
+  return result;
+}
+
+/**
+ * Tokens of the extraction plus its verification pass
+ */
+function countTokens(metadata) {
+  const verification = metadata.verification || {};
+  const extractionPrompt = metadata.promptTokens ?? metadata.tokensUsed ?? 0;
+  const verificationPrompt = verification.promptTokens ?? verification.tokensUsed ?? 0;
+
+  return {
+    promptTokens: extractionPrompt + verificationPrompt,
+    completionTokens: (metadata.completionTokens || 0) + (verification.completionTokens || 0),
+  };
+}
+
+function buildReport(results, settings) {
+  const latencies = results.map((r) => r.latencyMs).sort((a, b) => a - b);
+  const costs = results.map((r) => r.costUsd);
+
+  return {
+    createdAt: new Date().toISOString(),
+    settings,
+    summary: {
+      files: results.length,
+      errors: results.filter((r) => r.error).length,
+      ...aggregateScores(results.map((r) => r.score)),
+      latencyMs: {
+        mean: Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length),
+        p50: percentile(latencies, 0.5),
+        p95: percentile(latencies, 0.95),
+      },
+      promptTokens: results.reduce((sum, r) => sum + r.promptTokens, 0),
+      completionTokens: results.reduce((sum, r) => sum + r.completionTokens, 0),
+      // null when any file used a model without a known price
+      costUsd: costs.includes(null) ? null : Number(costs.reduce((sum, value) => sum + value, 0).toFixed(4)),
+    },
+    files: results,
+  };
+}
+
+function printReport(report, verbose) {
+  const { summary } = report;
+
+  console.log('\nField          Precision  Recall     F1');
+  for (const field of ['blocks', ...EVALUATED_FIELDS]) {
+    const m = field === 'blocks' ? summary.blocks : summary.fields[field];
+    console.log(`${(field === 'blocks' ? 'whole block' : field).padEnd(14)} ${fmt(m.precision)}      ${fmt(m.recall)}      ${fmt(m.f1)}`);
+  }
+
+  console.log(
+    `\nBlocks: ${summary.expected} expected, ${summary.predicted} predicted, ${summary.matched} matched` +
+      `\nLatency: mean ${summary.latencyMs.mean} ms, p50 ${summary.latencyMs.p50} ms, p95 ${summary.latencyMs.p95} ms` +
+      `\nTokens: ${summary.promptTokens} prompt + ${summary.completionTokens} completion` +
+      `\nCost: ${summary.costUsd === null ? 'unknown (pass --price)' : `$${summary.costUsd.toFixed(4)}`}` +
+      `\nErrors: ${summary.errors}/${summary.files}`
+  );
+
+  if (verbose) {
+    for (const file of report.files) {
+      const { pairs, missed, extra } = file.score;
+      if (pairs.length + missed.length + extra.length === 0) continue;
+
+      console.log(`\n${file.file}`);
+      pairs.forEach((p) => console.log(`  ~ ${p.predicted}  (expected ${p.expected}; wrong: ${p.wrongFields.join(', ')})`));
+      missed.forEach((block) => console.log(`  - missed ${block}`));
+      extra.forEach((block) => console.log(`  + extra  ${block}`));
+    }
+  }
+}
+
+function printComparison(report, baseline) {
+  const delta = (current, previous) => {
+    const diff = current - previous;
+    return `${fmt(current)} (${diff >= 0 ? '+' : ''}${diff.toFixed(3)})`;
+  };
+
+  console.log(`\nCompared with baseline from ${baseline.createdAt}:`);
+  for (const field of ['blocks', ...EVALUATED_FIELDS]) {
+    const current = field === 'blocks' ? report.summary.blocks : report.summary.fields[field];
+    const previous = field === 'blocks' ? baseline.summary.blocks : baseline.summary.fields[field];
+    console.log(`  ${(field === 'blocks' ? 'whole block' : field).padEnd(14)} F1 ${delta(current.f1, previous.f1)}`);
+  }
+  console.log(`  latency p50     ${report.summary.latencyMs.p50} ms (was ${baseline.summary.latencyMs.p50} ms)`);
+  console.log(`  cost            ${report.summary.costUsd ?? '?'} USD (was ${baseline.summary.costUsd ?? '?'} USD)`);
+}
+
+function parsePricing(value) {
+  if (!value) {
+    return undefined;
+  }
+
+  const [input, output] = value.split(',').map(Number);
+  if (!Number.isFinite(input) || !Number.isFinite(output)) {
+    throw new Error('--price expects "<input>,<output>" in USD per million tokens, e.g. 2.5,10');
+  }
+
+  return { input, output };
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+function fmt(value) {
+  return value.toFixed(3);
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
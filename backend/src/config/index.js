@@ -6,7 +6,20 @@ dotenv.config();
 const isServerless = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME;
 
 // Default file types - PDF support re-enabled with workaround
-const defaultFileTypes = 'image/png,image/jpeg,application/pdf';
+const defaultFileTypes = [
+  'image/png',
+  'image/jpeg',
+  'image/heic',
+  'image/heif',
+  'image/webp',
+  'image/tiff',
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+].join(',');
+
+// Comma-separated list from the environment, e.g. OPENAI_ALLOWED_MODELS=gpt-4o,gpt-4o-mini
+const envList = (value) => (value || '').split(',').map((item) => item.trim()).filter(Boolean);
 
 export const config = {
   // Server
@@ -20,6 +33,9 @@ export const config = {
   // File Upload
   maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB default
   allowedFileTypes: (process.env.ALLOWED_FILE_TYPES || defaultFileTypes).split(','),
+  maxFilesPerRequest: parseInt(process.env.MAX_FILES_PER_REQUEST) || 10,
+  // Reject uploads whose content doesn't match their declared type instead of correcting the type
+  strictFileTypes: process.env.STRICT_FILE_TYPES === 'true',
   uploadDir: './uploads',
 
   // Processing
@@ -27,18 +43,184 @@ export const config = {
   enableOCR: process.env.ENABLE_OCR !== 'false',
   enableLLMVision: process.env.ENABLE_LLM_VISION !== 'false',
 
+  // Scanned PDF rasterization
+  pdf: {
+    minTextLength: 50,
+    renderScale: parseFloat(process.env.PDF_RENDER_SCALE) || 2,
+    maxRasterPages: parseInt(process.env.PDF_MAX_RASTER_PAGES) || 10,
+    // Larger uploads are rejected before any page is read
+    maxPages: parseInt(process.env.PDF_MAX_PAGES) || 50,
+  },
+
+  // Image preprocessing before vision and OCR (see imagePreprocessor.js)
+  image: {
+    maxDimension: parseInt(process.env.IMAGE_MAX_DIMENSION) || 2000,
+    // Decoded size limit (width x height), so a small file can't expand into gigabytes of pixels
+    maxPixels: parseInt(process.env.IMAGE_MAX_PIXELS) || 100000000,
+    // Pages read from a multi-page TIFF
+    maxPages: parseInt(process.env.IMAGE_MAX_PAGES) || 10,
+    autoRotate: process.env.IMAGE_AUTO_ROTATE !== 'false',
+    perspective: process.env.IMAGE_PERSPECTIVE !== 'false',
+    crop: process.env.IMAGE_CROP !== 'false',
+    deskew: process.env.IMAGE_DESKEW !== 'false',
+    ocrThreshold: process.env.IMAGE_OCR_THRESHOLD !== 'false',
+    // Very large images are cut into overlapping tiles of maxDimension and extracted tile by tile
+    tiling: {
+      enabled: process.env.IMAGE_TILING === 'true',
+      minSize: parseInt(process.env.IMAGE_TILE_MIN_SIZE) || 3000,
+      overlap: Number(process.env.IMAGE_TILE_OVERLAP ?? 0.15),
+    },
+  },
+
+  // Offline rule-based parser (used when no LLM is configured)
+  ruleParser: {
+    crossCheck: process.env.RULE_PARSER_CROSS_CHECK !== 'false',
+  },
+
+  // Prompt versions (see src/services/prompts)
+  prompts: {
+    defaultVersion: process.env.PROMPT_VERSION || 'v2',
+    weights: process.env.PROMPT_WEIGHTS || null, // e.g. "v1:90,v2:10"
+  },
+
+  // Verification stage after validation
+  verification: {
+    mode: process.env.VERIFICATION_MODE || 'reask', // reask | consistency | off
+    confidenceThreshold: parseFloat(process.env.VERIFICATION_CONFIDENCE_THRESHOLD) || 0.7,
+    maxBlocks: parseInt(process.env.VERIFICATION_MAX_BLOCKS) || 15,
+  },
+
+  // Consistency analysis of extracted timetables (see timetableAnalyzer)
+  analysis: {
+    maxGapMinutes: parseInt(process.env.ANALYSIS_MAX_GAP_MINUTES) || 10,
+  },
+
+  // Extraction result cache
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    store: process.env.CACHE_STORE || 'memory', // memory | file
+    dir: process.env.CACHE_DIR || './data/cache',
+    ttlSeconds: parseInt(process.env.CACHE_TTL_SECONDS) || 7 * 24 * 60 * 60,
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 100,
+  },
+
+  // Asynchronous extraction jobs
+  jobs: {
+    store: process.env.JOB_STORE || 'memory', // memory | file
+    storeDir: process.env.JOB_STORE_DIR || './data/jobs',
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 1,
+    // Jobs waiting to run; each holds its uploaded files in memory until it starts
+    maxQueued: parseInt(process.env.JOB_MAX_QUEUED) || 20,
+    ttlHours: parseInt(process.env.JOB_TTL_HOURS) || 24,
+    webhookSecret: process.env.JOB_WEBHOOK_SECRET || null,
+    webhookTimeout: parseInt(process.env.JOB_WEBHOOK_TIMEOUT) || 10000,
+    webhookRetries: parseInt(process.env.JOB_WEBHOOK_RETRIES) || 3,
+    // Callback hosts, e.g. "hooks.example.com,*.example.org"; unset allows any public host
+    callbackHosts: process.env.JOB_CALLBACK_HOSTS ? process.env.JOB_CALLBACK_HOSTS.split(',').map((host) => host.trim()) : null,
+    // Callbacks to private, loopback and link-local addresses are refused unless enabled (local development)
+    allowPrivateCallbacks: process.env.JOB_CALLBACK_ALLOW_PRIVATE === 'true',
+  },
+
+  // Persistent timetable storage
+  storage: {
+    enabled: process.env.STORAGE_ENABLED !== 'false',
+    driver: process.env.STORAGE_DRIVER || 'sqlite', // sqlite | memory
+    sqlitePath: process.env.STORAGE_SQLITE_PATH || './data/timetables.db',
+  },
+
+  // Timetable export
+  export: {
+    timezone: process.env.EXPORT_TIMEZONE || 'Europe/London',
+  },
+
+  // API key authentication and per-key limits
+  auth: {
+    // On unless switched off explicitly, so an unconfigured deployment isn't open to anyone
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    adminKey: process.env.ADMIN_API_KEY || null,
+    // Defaults for keys issued without their own limits
+    requestsPerMinute: parseInt(process.env.RATE_LIMIT_REQUESTS_PER_MINUTE) || 60,
+    monthlyTokens: parseInt(process.env.MONTHLY_TOKEN_QUOTA) || 1000000,
+  },
+
+  // LLM call accounting (see usageService)
+  usage: {
+    enabled: process.env.USAGE_TRACKING_ENABLED !== 'false',
+    // USD per million input/output tokens by model name prefix, e.g. "gpt-4o:2.5/10,llava:0/0";
+    // models not listed use the built-in table in pricing.js
+    prices: process.env.LLM_PRICES || null,
+    // Monthly spend (USD) after which extractions are refused; unset for no cap
+    budgetUsd: parseFloat(process.env.USAGE_BUDGET_USD) || null,
+  },
+
   // CORS
-  corsOrigin: process.env.CORS_ORIGIN || '*',
+  // Any origin in development; in production only the origins listed (none without CORS_ORIGIN)
+  corsOrigin: process.env.CORS_ORIGIN || (process.env.NODE_ENV === 'production' ? false : '*'),
 
   // LLM Configuration
   llm: {
-    model: 'gpt-4o',
+    provider: process.env.LLM_PROVIDER || 'openai',
     maxTokens: 4096,
     temperature: 0,
+
+    // Extraction replies that are cut off, aren't JSON or don't match the schema are repaired:
+    // a cut-off reply is continued, anything else is sent back to the model with the errors
+    repair: {
+      maxAttempts: Number(process.env.LLM_REPAIR_ATTEMPTS ?? 2),
+      maxContinuations: Number(process.env.LLM_MAX_CONTINUATIONS ?? 2),
+    },
+
+    // Every provider call gets a timeout and is retried on transient failures (see llmResilience.js)
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 120 * 1000,
+    retry: {
+      maxRetries: Number(process.env.LLM_MAX_RETRIES ?? 3),
+      baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS) || 1000,
+      maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS) || 30 * 1000,
+    },
+    // A provider failing this many calls in a row is skipped for cooldownMs
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.LLM_BREAKER_THRESHOLD) || 3,
+      cooldownMs: parseInt(process.env.LLM_BREAKER_COOLDOWN_MS) || 60 * 1000,
+    },
+
+    // Per-provider settings; a request may override the provider by name
+    providers: {
+      openai: {
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL || 'gpt-4o',
+        // Models a request may pick instead of the default one
+        allowedModels: envList(process.env.OPENAI_ALLOWED_MODELS),
+        // Send the extraction JSON schema as a strict response format
+        structuredOutput: process.env.OPENAI_STRUCTURED_OUTPUT !== 'false',
+      },
+      anthropic: {
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        model: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest',
+        allowedModels: envList(process.env.ANTHROPIC_ALLOWED_MODELS),
+        baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+        // Have the model fill in a tool whose input is the extraction JSON schema
+        structuredOutput: process.env.ANTHROPIC_STRUCTURED_OUTPUT !== 'false',
+      },
+      // Any OpenAI-compatible endpoint (Ollama, LM Studio, vLLM, llama.cpp...)
+      local: {
+        baseURL: process.env.LOCAL_LLM_BASE_URL,
+        apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+        model: process.env.LOCAL_LLM_MODEL || 'llava',
+        allowedModels: envList(process.env.LOCAL_LLM_ALLOWED_MODELS),
+        jsonMode: process.env.LOCAL_LLM_JSON_MODE !== 'false',
+        // Off by default: not every OpenAI-compatible server supports "json_schema" response formats
+        structuredOutput: process.env.LOCAL_LLM_STRUCTURED_OUTPUT === 'true',
+      },
+      // Replays recorded responses keyed by input hash (offline testing)
+      mock: {
+        fixturesDir: process.env.LLM_MOCK_FIXTURES_DIR || './test/fixtures/llm',
+        recordFrom: process.env.LLM_MOCK_RECORD_FROM || null,
+      },
+    },
   },
 };
 
 // Validation
-if (!config.openaiApiKey && config.nodeEnv !== 'test') {
+if (config.llm.provider === 'openai' && !config.openaiApiKey && config.nodeEnv !== 'test') {
   console.warn('⚠️  WARNING: OPENAI_API_KEY not set. LLM features will not work.');
 }
@@ -0,0 +1,74 @@
+import logger from '../utils/logger.js';
+import * as apiKeyService from '../services/apiKeyService.js';
+
+/**
+ * List API keys with their limits and this month's usage
+ * GET /api/keys
+ */
+export async function listApiKeys(req, res) {
+  try {
+    const apiKeys = await apiKeyService.listApiKeys();
+    return res.status(200).json({ success: true, data: apiKeys });
+  } catch (error) {
+    return sendError(res, error, 'list');
+  }
+}
+
+/**
+ * Issue an API key; the response is the only time the key itself is shown
+ * POST /api/keys
+ */
+export async function createApiKey(req, res) {
+  try {
+    const apiKey = await apiKeyService.createApiKey(req.body);
+    return res.status(201).json({ success: true, data: apiKey });
+  } catch (error) {
+    return sendError(res, error, 'create');
+  }
+}
+
+/**
+ * Get an API key
+ * GET /api/keys/:id
+ */
+export async function getApiKey(req, res) {
+  try {
+    const apiKey = await apiKeyService.getApiKey(req.params.id);
+    return res.status(200).json({ success: true, data: apiKey });
+  } catch (error) {
+    return sendError(res, error, 'get');
+  }
+}
+
+/**
+ * Revoke an API key
+ * DELETE /api/keys/:id
+ */
+export async function revokeApiKey(req, res) {
+  try {
+    const apiKey = await apiKeyService.revokeApiKey(req.params.id);
+    return res.status(200).json({ success: true, data: apiKey });
+  } catch (error) {
+    return sendError(res, error, 'revoke');
+  }
+}
+
+/**
+ * Send an error response with a status code derived from the error code
+ */
+function sendError(res, error, operation) {
+  logger.error('API key request failed', { operation, error: error.message || error, code: error.code });
+
+  let statusCode = 500;
+  if (error.code === 'API_KEY_NOT_FOUND') statusCode = 404;
+  if (error.code === 'VALIDATION_FAILED') statusCode = 422;
+
+  return res.status(statusCode).json({
+    success: false,
+    error: {
+      code: error.code || 'STORAGE_ERROR',
+      message: error.message || 'An unexpected error occurred',
+      details: error.details,
+    },
+  });
+}
@@ -0,0 +1,55 @@
+import logger from '../utils/logger.js';
+import { getExporter } from '../services/exporters/index.js';
+
+/**
+ * Export a timetable to a file format
+ * POST /api/export/:format
+ *
+ * Body: { timetable: { metadata, timeblocks }, options: {...} }
+ * The `data` object of an extraction response is also accepted in place of `timetable`.
+ * Options may also be passed as query parameters.
+ */
+export async function exportTimetable(req, res) {
+  const { format } = req.params;
+
+  try {
+    const exporter = getExporter(format);
+    const timetable = req.body?.timetable || req.body?.data;
+
+    if (!timetable) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NO_TIMETABLE_PROVIDED',
+          message: 'Request body must contain a "timetable" object',
+        },
+      });
+    }
+
+    const options = { ...req.query, ...req.body.options };
+    const output = await exporter.export(timetable, options);
+
+    logger.info('Timetable exported', { format, timeblocks: timetable.timeblocks?.length });
+
+    return res
+      .status(200)
+      .type(exporter.contentType)
+      .attachment(`timetable.${exporter.extension}`)
+      .send(output);
+  } catch (error) {
+    logger.error('Timetable export failed', { format, error: error.message || error, code: error.code });
+
+    let statusCode = 500;
+    if (error.code === 'UNSUPPORTED_EXPORT_FORMAT') statusCode = 400;
+    if (error.code?.includes('INVALID')) statusCode = 400;
+
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'EXPORT_FAILED',
+        message: error.message || 'Failed to export timetable',
+        details: error.details,
+      },
+    });
+  }
+}
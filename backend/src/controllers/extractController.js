@@ -1,5 +1,11 @@
 import logger from '../utils/logger.js';
+import { config } from '../config/index.js';
 import * as fileProcessor from '../services/fileProcessor.js';
+import { getExporter } from '../services/exporters/index.js';
+import { parseCacheControl } from '../services/extractionCache.js';
+import { saveExtraction } from '../services/timetableService.js';
+import { recordUsage, countTokens } from '../services/apiKeyService.js';
+import { resolveTenant } from '../middleware/auth.js';
 
 /**
  * Handle timetable extraction request
@@ -27,20 +33,21 @@ export async function extractTimetable(req, res) {
       });
     }
 
+    // Reject an unknown ?format= before spending an LLM call
+    const exporter = getRequestedExporter(req);
+
     // Process file
-    const result = await fileProcessor.processFile(req.file.buffer, req.file.mimetype, req.file.originalname);
-
-    // Return success response
-    return res.status(200).json({
-      success: true,
-      data: result.data,
-      metadata: {
-        ...result.metadata,
-        requestId,
-        timestamp: new Date().toISOString(),
-      },
-      processingTime: result.processingTime,
-    });
+    const result = await fileProcessor.processFile(
+      req.file.buffer,
+      req.file.mimetype,
+      req.file.originalname,
+      getLLMOptions(req)
+    );
+    await recordUsage(req.apiKey, { requests: 1, tokens: countTokens(result) });
+
+    const stored = await saveExtraction(result, [req.file]);
+
+    return sendResult(req, res, stored, requestId, exporter);
   } catch (error) {
     logger.error('Extraction request failed', {
       requestId,
@@ -48,23 +55,146 @@ export async function extractTimetable(req, res) {
       code: error.code,
     });
 
-    // Determine status code
-    let statusCode = 500;
-    if (error.code === 'UNSUPPORTED_FILE_TYPE') statusCode = 415;
-    if (error.code === 'VALIDATION_FAILED') statusCode = 422;
-    if (error.code === 'FILE_TOO_LARGE') statusCode = 413;
-    if (error.code?.includes('INVALID')) statusCode = 400;
+    return sendError(res, error, requestId);
+  }
+}
+
+/**
+ * Handle multi-file / multi-page extraction request
+ * POST /api/extract/batch
+ */
+export async function extractTimetableBatch(req, res) {
+  const requestId = Math.random().toString(36).substring(7);
+
+  logger.info('Batch extraction request received', {
+    requestId,
+    files: (req.files || []).map((f) => ({ filename: f.originalname, mimetype: f.mimetype, size: f.size })),
+  });
+
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NO_FILE_PROVIDED',
+          message: 'No files were uploaded. Please provide one or more files in the "files" field.',
+        },
+      });
+    }
+
+    const exporter = getRequestedExporter(req);
+    const result = await fileProcessor.processFiles(req.files, getLLMOptions(req));
+    await recordUsage(req.apiKey, { requests: 1, tokens: countTokens(result) });
+    const stored = await saveExtraction(result, req.files);
+
+    return sendResult(req, res, stored, requestId, exporter);
+  } catch (error) {
+    logger.error('Batch extraction request failed', {
+      requestId,
+      error: error.message || error,
+      code: error.code,
+    });
+
+    return sendError(res, error, requestId);
+  }
+}
+
+/**
+ * Optional per-request LLM and prompt version overrides (form field or query string),
+ * the tenant whose vocabulary applies (the API key's; the admin key may name one),
+ * cache behaviour from the Cache-Control header and the API key LLM calls are recorded against
+ * @param {Object} req - Express request
+ * @returns {Object} { provider, model, promptVersion, tenant, cache, apiKeyId }
+ * @throws {Object} TENANT_FORBIDDEN when a key names another tenant
+ */
+function getLLMOptions(req) {
+  return {
+    provider: req.body?.provider || req.query.provider,
+    model: req.body?.model || req.query.model,
+    promptVersion: req.body?.promptVersion || req.query.promptVersion,
+    tenant: resolveTenant(req, req.body?.tenant || req.query.tenant),
+    cache: parseCacheControl(req.get('Cache-Control')),
+    apiKeyId: req.apiKey?.id ?? null,
+  };
+}
+
+/**
+ * Exporter for the optional ?format= query parameter (null for JSON)
+ * @param {Object} req - Express request
+ * @returns {Object|null}
+ */
+function getRequestedExporter(req) {
+  const format = req.query.format;
+  return format && format !== 'json' ? getExporter(format) : null;
+}
 
-    return res.status(statusCode).json({
+/**
+ * Send a processing result, mapping validation failures to 422.
+ * When an exporter is given, the timetable is sent as a file download instead of JSON.
+ */
+async function sendResult(req, res, result, requestId, exporter) {
+  if (result.success === false) {
+    return res.status(422).json({
       success: false,
       error: {
-        code: error.code || 'INTERNAL_ERROR',
-        message: error.message || 'An unexpected error occurred',
-        details: error.details,
+        ...result.error,
         requestId,
       },
+      partialData: result.partialData,
+      processingTime: result.processingTime,
     });
   }
+
+  if (exporter) {
+    const output = await exporter.export(result.data, req.query);
+
+    return res
+      .status(200)
+      .set('X-Request-Id', requestId)
+      .type(exporter.contentType)
+      .attachment(`timetable.${exporter.extension}`)
+      .send(output);
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: result.data,
+    metadata: {
+      ...result.metadata,
+      requestId,
+      timestamp: new Date().toISOString(),
+    },
+    processingTime: result.processingTime,
+  });
+}
+
+/**
+ * Send an error response with a status code derived from the error code
+ */
+function sendError(res, error, requestId) {
+  // Determine status code
+  let statusCode = 500;
+  if (error.code === 'UNSUPPORTED_FILE_TYPE') statusCode = 415;
+  if (error.code === 'VALIDATION_FAILED') statusCode = 422;
+  if (['FILE_TOO_LARGE', 'IMAGE_TOO_LARGE', 'PDF_TOO_MANY_PAGES'].includes(error.code)) statusCode = 413;
+  if (error.code === 'PDF_ENCRYPTED') statusCode = 422;
+  if (error.code === 'UNSUPPORTED_EXPORT_FORMAT') statusCode = 400;
+  if (error.code?.includes('INVALID')) statusCode = 400;
+  if (error.code === 'TENANT_FORBIDDEN') statusCode = 403;
+  // The model kept returning unparseable output, even after repair attempts
+  if (error.code === 'MALFORMED_LLM_RESPONSE') statusCode = 502;
+  if (error.code === 'LLM_CIRCUIT_OPEN') statusCode = 503;
+  if (error.code === 'LLM_TIMEOUT') statusCode = 504;
+
+  return res.status(statusCode).json({
+    success: false,
+    error: {
+      code: error.code || 'INTERNAL_ERROR',
+      message: error.message || 'An unexpected error occurred',
+      details: error.details,
+      requestId,
+    },
+  });
 }
 
 /**
@@ -73,13 +203,17 @@ export async function extractTimetable(req, res) {
  */
 export async function healthCheck(req, res) {
   const llmService = await import('../services/llmService.js');
+  const circuits = llmService.getCircuitStatus();
 
   return res.status(200).json({
-    status: 'healthy',
+    // Degraded while the default provider is being skipped after repeated failures
+    status: circuits[config.llm.provider]?.state === 'closed' ? 'healthy' : 'degraded',
     timestamp: new Date().toISOString(),
     services: {
       api: 'operational',
       llm: llmService.isConfigured() ? 'configured' : 'not configured',
+      llmProvider: config.llm.provider,
+      llmCircuits: circuits,
     },
     version: '1.0.0',
   });
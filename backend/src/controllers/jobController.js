@@ -0,0 +1,146 @@
+import logger from '../utils/logger.js';
+import * as jobService from '../services/jobService.js';
+import * as llmService from '../services/llmService.js';
+import { parseCacheControl } from '../services/extractionCache.js';
+import { resolveTenant } from '../middleware/auth.js';
+
+/**
+ * Create an asynchronous extraction job
+ * POST /api/jobs
+ */
+export async function createJob(req, res) {
+  const files = [...(req.files?.file || []), ...(req.files?.files || [])];
+
+  logger.info('Job creation request received', {
+    files: files.map((f) => ({ filename: f.originalname, mimetype: f.mimetype, size: f.size })),
+  });
+
+  if (files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'NO_FILE_PROVIDED',
+        message: 'No file was uploaded. Please provide a "file" (or several "files") in the request.',
+      },
+    });
+  }
+
+  let tenant;
+
+  try {
+    tenant = resolveTenant(req, req.body?.tenant || req.query.tenant);
+  } catch (error) {
+    return res.status(403).json({ success: false, error });
+  }
+
+  const provider = req.body?.provider || req.query.provider;
+  const model = req.body?.model || req.query.model;
+
+  // Checked now rather than when the job runs, so the caller gets the 400
+  try {
+    llmService.resolveModel(provider, model);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: { code: error.code, message: error.message, details: error.details },
+    });
+  }
+
+  const callbackUrl = req.body?.callbackUrl || req.query.callbackUrl;
+
+  if (callbackUrl) {
+    try {
+      await jobService.checkCallbackUrl(callbackUrl);
+    } catch (error) {
+      return res.status(400).json({ success: false, error });
+    }
+  }
+
+  try {
+    const job = await jobService.createJob(files, {
+      provider,
+      model,
+      promptVersion: req.body?.promptVersion || req.query.promptVersion,
+      tenant,
+      cache: parseCacheControl(req.get('Cache-Control')),
+      callbackUrl,
+      apiKey: req.apiKey,
+    });
+
+    const statusUrl = `${req.baseUrl}/jobs/${job.id}`;
+
+    return res
+      .status(202)
+      .location(statusUrl)
+      .json({
+        success: true,
+        data: {
+          jobId: job.id,
+          status: job.status,
+          statusUrl,
+        },
+      });
+  } catch (error) {
+    if (error.code === 'JOB_QUEUE_FULL') {
+      return sendError(res, error, 'create');
+    }
+
+    logger.error('Job creation failed', { error: error.message });
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'JOB_CREATION_FAILED',
+        message: error.message || 'Failed to create extraction job',
+      },
+    });
+  }
+}
+
+/**
+ * Get job status, progress and (when finished) the result
+ * GET /api/jobs/:id
+ */
+export async function getJob(req, res) {
+  let job;
+
+  try {
+    job = await jobService.getJob(req.params.id, resolveTenant(req));
+  } catch (error) {
+    return sendError(res, error, 'get');
+  }
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'JOB_NOT_FOUND',
+        message: `Job ${req.params.id} not found`,
+      },
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: jobService.toPublicJob(job),
+  });
+}
+
+/**
+ * Send an error response with a status code derived from the error code
+ */
+function sendError(res, error, operation) {
+  logger.error('Job request failed', { operation, error: error.message || error, code: error.code });
+
+  let statusCode = 500;
+  if (error.code === 'JOB_QUEUE_FULL') statusCode = 503;
+
+  return res.status(statusCode).json({
+    success: false,
+    error: {
+      code: error.code || 'STORAGE_ERROR',
+      message: error.message || 'An unexpected error occurred',
+      details: error.details,
+    },
+  });
+}
@@ -0,0 +1,277 @@
+import logger from '../utils/logger.js';
+import * as timetableService from '../services/timetableService.js';
+import { exportCorrections as buildCorrectionsExport } from '../services/correctionExport.js';
+import { resolveTenant } from '../middleware/auth.js';
+
+/**
+ * List stored timetables
+ * GET /api/timetables?limit=&offset=&reviewStatus=&tenant=
+ *
+ * An API key only sees its tenant's timetables; the admin key sees all, or one tenant's with ?tenant=.
+ */
+export async function listTimetables(req, res) {
+  try {
+    const tenant = resolveTenant(req, req.query.tenant);
+    const page = await timetableService.listTimetables({ ...req.query, tenant });
+
+    return res.status(200).json({
+      success: true,
+      data: page.items,
+      pagination: { total: page.total, limit: page.limit, offset: page.offset },
+    });
+  } catch (error) {
+    return sendError(res, error, 'list');
+  }
+}
+
+/**
+ * Get a stored timetable
+ * GET /api/timetables/:id
+ */
+export async function getTimetable(req, res) {
+  try {
+    const record = await timetableService.getTimetable(req.params.id, resolveTenant(req));
+    return res.status(200).set('ETag', etag(record.version)).json({ success: true, data: record });
+  } catch (error) {
+    return sendError(res, error, 'get');
+  }
+}
+
+/**
+ * Replace a timetable's metadata and time blocks
+ * PUT /api/timetables/:id
+ */
+export async function replaceTimetable(req, res) {
+  try {
+    const record = await timetableService.replaceTimetable(
+      req.params.id,
+      req.body,
+      expectedVersion(req),
+      resolveTenant(req)
+    );
+    return res.status(200).set('ETag', etag(record.version)).json({ success: true, data: record });
+  } catch (error) {
+    return sendError(res, error, 'replace');
+  }
+}
+
+/**
+ * Update timetable metadata fields
+ * PATCH /api/timetables/:id
+ */
+export async function updateTimetable(req, res) {
+  try {
+    const record = await timetableService.updateTimetable(
+      req.params.id,
+      req.body,
+      expectedVersion(req),
+      resolveTenant(req)
+    );
+    return res.status(200).set('ETag', etag(record.version)).json({ success: true, data: record });
+  } catch (error) {
+    return sendError(res, error, 'update');
+  }
+}
+
+/**
+ * Delete a timetable
+ * DELETE /api/timetables/:id
+ */
+export async function deleteTimetable(req, res) {
+  try {
+    await timetableService.deleteTimetable(req.params.id, resolveTenant(req));
+    return res.status(204).end();
+  } catch (error) {
+    return sendError(res, error, 'delete');
+  }
+}
+
+/**
+ * Get one time block
+ * GET /api/timetables/:id/timeblocks/:blockId
+ */
+export async function getTimeBlock(req, res) {
+  try {
+    const { block, version } = await timetableService.getTimeBlock(
+      req.params.id,
+      req.params.blockId,
+      resolveTenant(req)
+    );
+    return res.status(200).set('ETag', etag(version)).json({ success: true, data: block });
+  } catch (error) {
+    return sendError(res, error, 'get block');
+  }
+}
+
+/**
+ * Add a time block
+ * POST /api/timetables/:id/timeblocks
+ */
+export async function addTimeBlock(req, res) {
+  try {
+    const { block, version } = await timetableService.addTimeBlock(
+      req.params.id,
+      req.body,
+      expectedVersion(req),
+      resolveTenant(req)
+    );
+    return res.status(201).set('ETag', etag(version)).json({ success: true, data: block });
+  } catch (error) {
+    return sendError(res, error, 'add block');
+  }
+}
+
+/**
+ * Replace a time block
+ * PUT /api/timetables/:id/timeblocks/:blockId
+ */
+export async function replaceTimeBlock(req, res) {
+  try {
+    const { block, version } = await timetableService.replaceTimeBlock(
+      req.params.id,
+      req.params.blockId,
+      req.body,
+      expectedVersion(req),
+      resolveTenant(req)
+    );
+    return res.status(200).set('ETag', etag(version)).json({ success: true, data: block });
+  } catch (error) {
+    return sendError(res, error, 'replace block');
+  }
+}
+
+/**
+ * Update time block fields
+ * PATCH /api/timetables/:id/timeblocks/:blockId
+ */
+export async function updateTimeBlock(req, res) {
+  try {
+    const { block, version } = await timetableService.updateTimeBlock(
+      req.params.id,
+      req.params.blockId,
+      req.body,
+      expectedVersion(req),
+      resolveTenant(req)
+    );
+    return res.status(200).set('ETag', etag(version)).json({ success: true, data: block });
+  } catch (error) {
+    return sendError(res, error, 'update block');
+  }
+}
+
+/**
+ * Delete a time block
+ * DELETE /api/timetables/:id/timeblocks/:blockId
+ */
+export async function deleteTimeBlock(req, res) {
+  try {
+    const version = await timetableService.deleteTimeBlock(
+      req.params.id,
+      req.params.blockId,
+      expectedVersion(req),
+      resolveTenant(req)
+    );
+    return res.status(204).set('ETag', etag(version)).end();
+  } catch (error) {
+    return sendError(res, error, 'delete block');
+  }
+}
+
+/**
+ * Move a timetable through the review workflow
+ * POST /api/timetables/:id/review
+ *
+ * Body: { status: "reviewed" | "approved" | "pending", reviewer, notes }
+ */
+export async function setReviewStatus(req, res) {
+  try {
+    const record = await timetableService.setReviewStatus(
+      req.params.id,
+      req.body,
+      expectedVersion(req),
+      resolveTenant(req)
+    );
+    return res.status(200).set('ETag', etag(record.version)).json({ success: true, data: record });
+  } catch (error) {
+    return sendError(res, error, 'review');
+  }
+}
+
+/**
+ * Export reviewer corrections
+ * GET /api/corrections?format=json|jsonl|csv&timetableId=&since=&tenant=
+ */
+export async function exportCorrections(req, res) {
+  try {
+    const output = await buildCorrectionsExport({
+      format: req.query.format,
+      timetableId: req.query.timetableId,
+      since: req.query.since,
+      tenant: resolveTenant(req, req.query.tenant),
+    });
+
+    if (output.body !== undefined) {
+      return res
+        .status(200)
+        .type(output.contentType)
+        .attachment(`corrections.${output.extension}`)
+        .send(output.body);
+    }
+
+    return res.status(200).json({ success: true, data: output.corrections, summary: output.summary });
+  } catch (error) {
+    return sendError(res, error, 'export corrections');
+  }
+}
+
+/**
+ * Entity tag of a timetable version; block responses carry their timetable's tag
+ */
+function etag(version) {
+  return `"${version ?? 1}"`;
+}
+
+/**
+ * Timetable version an edit was based on, from its If-Match header ("3" or W/"3").
+ * Without the header (or with "*") the edit applies to the current version.
+ */
+function expectedVersion(req) {
+  const header = req.get('If-Match')?.trim();
+
+  if (!header || header === '*') {
+    return undefined;
+  }
+
+  // Any other tag can't match a stored version
+  const match = /^(?:W\/)?"(\d+)"$/.exec(header);
+  return match ? Number(match[1]) : -1;
+}
+
+/**
+ * Send an error response with a status code derived from the error code
+ */
+function sendError(res, error, operation) {
+  logger.error('Timetable request failed', { operation, error: error.message || error, code: error.code });
+
+  let statusCode = 500;
+  if (error.code?.endsWith('NOT_FOUND')) statusCode = 404;
+  if (error.code === 'VALIDATION_FAILED') statusCode = 422;
+  if (error.code === 'UNSUPPORTED_EXPORT_FORMAT') statusCode = 400;
+  if (error.code?.includes('INVALID')) statusCode = 400;
+  if (error.code === 'TENANT_FORBIDDEN') statusCode = 403;
+  if (['TIMETABLE_APPROVED', 'REVIEW_TRANSITION_NOT_ALLOWED'].includes(error.code)) statusCode = 409;
+  // A version check the client asked for with If-Match is a failed precondition (RFC 9110);
+  // without one the edit lost a race with another request
+  if (error.code === 'TIMETABLE_VERSION_CONFLICT') {
+    statusCode = expectedVersion(res.req) === undefined ? 409 : 412;
+  }
+
+  return res.status(statusCode).json({
+    success: false,
+    error: {
+      code: error.code || 'STORAGE_ERROR',
+      message: error.message || 'An unexpected error occurred',
+      details: error.details,
+    },
+  });
+}
@@ -0,0 +1,41 @@
+import logger from '../utils/logger.js';
+import { getUsageReport } from '../services/usageService.js';
+import { resolveTenant } from '../middleware/auth.js';
+
+/**
+ * LLM usage and cost report
+ * GET /api/usage?from=&to=&tenant=&apiKeyId=&model=
+ *
+ * A caller authenticated with an API key only sees its tenant's usage (its own for a key
+ * issued without a tenant), and not the budget, which covers every tenant's spend.
+ */
+export async function getUsage(req, res) {
+  try {
+    const tenant = resolveTenant(req, req.query.tenant);
+    const report = await getUsageReport({
+      from: req.query.from,
+      to: req.query.to,
+      tenant,
+      model: req.query.model,
+      apiKeyId: req.apiKey && !tenant ? req.apiKey.id : req.query.apiKeyId,
+      includeBudget: !req.apiKey,
+    });
+
+    return res.status(200).json({ success: true, data: report });
+  } catch (error) {
+    logger.error('Usage report failed', { error: error.message || error, code: error.code });
+
+    let statusCode = 500;
+    if (error.code?.includes('INVALID')) statusCode = 400;
+    if (error.code === 'TENANT_FORBIDDEN') statusCode = 403;
+
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'STORAGE_ERROR',
+        message: error.message || 'An unexpected error occurred',
+        details: error.details,
+      },
+    });
+  }
+}
@@ -0,0 +1,46 @@
+import logger from '../utils/logger.js';
+import { checkTimetable } from '../services/timetableAnalyzer.js';
+
+/**
+ * Check a timetable for overlaps, gaps, missing breaks, inconsistent days and duration mismatches
+ * POST /api/validate
+ *
+ * Body: { timetable: { metadata, timeblocks }, options: { maxGapMinutes } }
+ * The `data` object of an extraction response is also accepted in place of `timetable`.
+ * Options may also be passed as query parameters.
+ */
+export async function validateTimetable(req, res) {
+  try {
+    const timetable = req.body?.timetable || req.body?.data;
+
+    if (!timetable) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NO_TIMETABLE_PROVIDED',
+          message: 'Request body must contain a "timetable" object',
+        },
+      });
+    }
+
+    const analysis = checkTimetable(timetable, { ...req.query, ...req.body.options });
+
+    logger.info('Timetable analyzed', { timeblocks: timetable.timeblocks.length, ...analysis.summary.byType });
+
+    return res.status(200).json({ success: true, data: analysis });
+  } catch (error) {
+    logger.error('Timetable analysis failed', { error: error.message || error, code: error.code });
+
+    let statusCode = 500;
+    if (error.code?.includes('INVALID')) statusCode = 400;
+
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'ANALYSIS_FAILED',
+        message: error.message || 'Failed to analyze timetable',
+        details: error.details,
+      },
+    });
+  }
+}
@@ -0,0 +1,83 @@
+import logger from '../utils/logger.js';
+import * as vocabularyService from '../services/vocabularyService.js';
+import { resolveTenant } from '../middleware/auth.js';
+
+/**
+ * List subject vocabularies (admin key only: it spans every tenant)
+ * GET /api/vocabularies
+ */
+export async function listVocabularies(req, res) {
+  try {
+    const vocabularies = await vocabularyService.listVocabularies();
+    return res.status(200).json({ success: true, data: vocabularies });
+  } catch (error) {
+    return sendError(res, error, 'list');
+  }
+}
+
+/**
+ * Get a tenant's vocabulary; an API key can read its own tenant's and the shared default
+ * GET /api/vocabularies/:tenant
+ */
+export async function getVocabulary(req, res) {
+  try {
+    if (req.params.tenant !== vocabularyService.DEFAULT_TENANT) {
+      resolveTenant(req, req.params.tenant);
+    }
+
+    const vocabulary = await vocabularyService.getVocabulary(req.params.tenant);
+    return res.status(200).json({ success: true, data: vocabulary });
+  } catch (error) {
+    return sendError(res, error, 'get');
+  }
+}
+
+/**
+ * Create or replace a tenant's vocabulary; an API key can only change its own tenant's
+ * PUT /api/vocabularies/:tenant
+ */
+export async function saveVocabulary(req, res) {
+  try {
+    resolveTenant(req, req.params.tenant);
+    const vocabulary = await vocabularyService.saveVocabulary(req.params.tenant, req.body);
+    return res.status(200).json({ success: true, data: vocabulary });
+  } catch (error) {
+    return sendError(res, error, 'save');
+  }
+}
+
+/**
+ * Delete a tenant's vocabulary; an API key can only delete its own tenant's
+ * DELETE /api/vocabularies/:tenant
+ */
+export async function deleteVocabulary(req, res) {
+  try {
+    resolveTenant(req, req.params.tenant);
+    await vocabularyService.deleteVocabulary(req.params.tenant);
+    return res.status(204).end();
+  } catch (error) {
+    return sendError(res, error, 'delete');
+  }
+}
+
+/**
+ * Send an error response with a status code derived from the error code
+ */
+function sendError(res, error, operation) {
+  logger.error('Vocabulary request failed', { operation, error: error.message || error, code: error.code });
+
+  let statusCode = 500;
+  if (error.code === 'VOCABULARY_NOT_FOUND') statusCode = 404;
+  if (error.code === 'VALIDATION_FAILED') statusCode = 422;
+  if (error.code === 'INVALID_TENANT') statusCode = 400;
+  if (error.code === 'TENANT_FORBIDDEN') statusCode = 403;
+
+  return res.status(statusCode).json({
+    success: false,
+    error: {
+      code: error.code || 'STORAGE_ERROR',
+      message: error.message || 'An unexpected error occurred',
+      details: error.details,
+    },
+  });
+}
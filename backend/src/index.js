@@ -3,7 +3,18 @@ import cors from 'cors';
 import { config } from './config/index.js';
 import logger from './utils/logger.js';
 import extractRoutes from './routes/extract.js';
+import jobRoutes from './routes/jobs.js';
+import exportRoutes from './routes/export.js';
+import validateRoutes from './routes/validate.js';
+import timetableRoutes from './routes/timetables.js';
+import vocabularyRoutes from './routes/vocabularies.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import usageRoutes from './routes/usage.js';
+import { isConfigured as isLLMConfigured } from './services/llmService.js';
+import { pruneJobs, recoverJobs } from './services/jobService.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { requireApiKey } from './middleware/auth.js';
+import { rateLimit } from './middleware/rateLimit.js';
 
 // Create Express app
 const app = express();
@@ -12,8 +23,9 @@ const app = express();
 app.use(
   cors({
     origin: config.corsOrigin,
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'If-Match'],
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'ETag'],
   })
 );
 
@@ -34,8 +46,18 @@ app.use((req, res, next) => {
   next();
 });
 
+// Key management (admin key), then API key authentication for everything else under /api
+app.use('/api', apiKeyRoutes);
+app.use('/api', requireApiKey, rateLimit);
+
 // Routes
 app.use('/api', extractRoutes);
+app.use('/api', jobRoutes);
+app.use('/api', exportRoutes);
+app.use('/api', validateRoutes);
+app.use('/api', timetableRoutes);
+app.use('/api', vocabularyRoutes);
+app.use('/api', usageRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -46,6 +68,21 @@ app.get('/', (req, res) => {
     endpoints: {
       health: 'GET /api/health',
       extract: 'POST /api/extract',
+      extractBatch: 'POST /api/extract/batch',
+      createJob: 'POST /api/jobs',
+      jobStatus: 'GET /api/jobs/:id',
+      export: 'POST /api/export/:format',
+      validate: 'POST /api/validate',
+      timetables: 'GET /api/timetables',
+      timetable: 'GET|PUT|PATCH|DELETE /api/timetables/:id',
+      timeblock: 'GET|PUT|PATCH|DELETE /api/timetables/:id/timeblocks/:blockId',
+      review: 'POST /api/timetables/:id/review',
+      corrections: 'GET /api/corrections',
+      vocabularies: 'GET /api/vocabularies',
+      vocabulary: 'GET|PUT|DELETE /api/vocabularies/:tenant',
+      apiKeys: 'GET|POST /api/keys',
+      apiKey: 'GET|DELETE /api/keys/:id',
+      usage: 'GET /api/usage',
     },
     documentation: 'See README.md for API documentation',
   });
@@ -61,14 +98,33 @@ const PORT = config.port;
 app.listen(PORT, () => {
   logger.info(`🚀 Timetable Extraction API started on port ${PORT}`);
   logger.info(`📋 Environment: ${config.nodeEnv}`);
-  logger.info(`🤖 LLM Service: ${config.openaiApiKey ? 'Configured ✓' : 'Not configured ✗'}`);
+  logger.info(`🤖 LLM Service (${config.llm.provider}): ${isLLMConfigured() ? 'Configured ✓' : 'Not configured ✗'}`);
   logger.info(`📁 Max file size: ${config.maxFileSize / 1024 / 1024}MB`);
   logger.info(`🔧 OCR enabled: ${config.enableOCR}`);
+  logger.info(`🔑 API key authentication: ${config.auth.enabled ? 'enabled' : 'disabled'}`);
+  if (!config.auth.enabled) {
+    logger.warn(
+      '⚠️  AUTH_ENABLED=false: anyone who can reach this server can run extractions on your LLM account and read every stored timetable'
+    );
+  } else if (config.storage.driver === 'memory') {
+    logger.warn('⚠️  STORAGE_DRIVER=memory: issued API keys are lost when the server restarts; only ADMIN_API_KEY survives');
+  }
+  if (config.corsOrigin === '*' && config.nodeEnv === 'production') {
+    logger.warn('⚠️  CORS_ORIGIN=*: any website can call this API from a visitor\'s browser');
+  }
   logger.info(`👁️  LLM Vision enabled: ${config.enableLLMVision}`);
   logger.info('');
   logger.info(`Ready to accept requests at http://localhost:${PORT}`);
 });
 
+// Jobs a previous run left unfinished can't resume; give them a final state
+recoverJobs().catch((error) => logger.error('Job recovery failed', { error: error.message }));
+
+// Periodically remove expired jobs
+setInterval(() => {
+  pruneJobs().catch((error) => logger.error('Job pruning failed', { error: error.message }));
+}, 60 * 60 * 1000).unref();
+
 // Graceful shutdown
 process.on('SIGINT', () => {
   logger.info('Received SIGINT, shutting down gracefully...');
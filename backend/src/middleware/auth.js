@@ -0,0 +1,154 @@
+import { timingSafeEqual, createHash } from 'crypto';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import { authenticate } from '../services/apiKeyService.js';
+
+// Reachable without a key (load balancer and uptime checks)
+const PUBLIC_PATHS = ['/health'];
+
+/**
+ * Require a valid API key when AUTH_ENABLED is set.
+ * The key is read from "Authorization: Bearer <key>" or "X-API-Key: <key>";
+ * the authenticated key is available to later handlers as req.apiKey.
+ * The admin key is accepted too; it has no per-key limits, req.apiKey stays null and req.isAdmin is set.
+ */
+export async function requireApiKey(req, res, next) {
+  req.apiKey = null;
+  req.isAdmin = false;
+
+  if (!config.auth.enabled || PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  const key = readKey(req);
+
+  if (!key) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'API_KEY_REQUIRED',
+        message: 'An API key is required. Send it as "Authorization: Bearer <key>" or "X-API-Key: <key>"',
+      },
+    });
+  }
+
+  if (config.auth.adminKey && matches(key, config.auth.adminKey)) {
+    req.isAdmin = true;
+    return next();
+  }
+
+  try {
+    req.apiKey = await authenticate(key);
+    next();
+  } catch (error) {
+    if (!error.code) {
+      return next(error);
+    }
+
+    logger.warn('API key rejected', { code: error.code, url: req.url, ip: req.ip });
+
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message,
+      },
+    });
+  }
+}
+
+/**
+ * Require the admin key (ADMIN_API_KEY) for key management.
+ * Without ADMIN_API_KEY the admin endpoints are off; keys can still be managed with `npm run keys`.
+ */
+export function requireAdmin(req, res, next) {
+  if (!config.auth.adminKey) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'ADMIN_API_DISABLED',
+        message: 'Key management over HTTP is disabled. Set ADMIN_API_KEY or use `npm run keys`',
+      },
+    });
+  }
+
+  if (!matches(readKey(req), config.auth.adminKey)) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'INVALID_ADMIN_KEY',
+        message: 'A valid admin key is required',
+      },
+    });
+  }
+
+  next();
+}
+
+/**
+ * Restrict a route that spans every tenant to the admin key (open while authentication is off)
+ */
+export function requireAllTenants(req, res, next) {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'ADMIN_KEY_REQUIRED',
+        message: 'This endpoint covers every tenant and needs the admin key',
+      },
+    });
+  }
+
+  next();
+}
+
+/**
+ * Tenant a request acts for. An API key is bound to the tenant it was issued for (none for
+ * keys issued before tenants existed), so its requests act for that tenant and may not name
+ * another. The admin key, and any caller while authentication is off, act for the tenant
+ * they name, or for every tenant when they name none.
+ * @param {Object} req - Express request (after requireApiKey)
+ * @param {string} [requested] - Tenant named by the request (body, query or path)
+ * @returns {string|null|undefined} Tenant id; null for a key without a tenant, undefined for every tenant
+ * @throws {Object} TENANT_FORBIDDEN when a key names a tenant other than its own
+ */
+export function resolveTenant(req, requested) {
+  if (!req.apiKey) {
+    return requested || undefined;
+  }
+
+  const tenant = req.apiKey.tenant ?? null;
+
+  if (requested && requested !== tenant) {
+    throw {
+      code: 'TENANT_FORBIDDEN',
+      message: tenant
+        ? `This API key belongs to tenant "${tenant}" and cannot act for "${requested}"`
+        : `This API key has no tenant and cannot act for "${requested}"`,
+    };
+  }
+
+  return tenant;
+}
+
+/**
+ * Key sent with a request, from the Authorization bearer token or X-API-Key
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function readKey(req) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return bearer?.[1].trim() || req.get('X-API-Key')?.trim() || null;
+}
+
+/**
+ * Constant-time comparison (hashing first makes the lengths equal)
+ */
+function matches(candidate, expected) {
+  if (!candidate) {
+    return false;
+  }
+
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(candidate), digest(expected));
+}
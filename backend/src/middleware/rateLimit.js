@@ -0,0 +1,126 @@
+import { config } from '../config/index.js';
+import { getMonthlyUsage } from '../services/apiKeyService.js';
+import { getBudgetStatus } from '../services/usageService.js';
+
+const WINDOW_MS = 60 * 1000;
+
+// Current one-minute window per key id. In memory, so each server process counts on its own.
+const windows = new Map();
+
+/**
+ * Per-key request rate limit (fixed one-minute windows).
+ * Sets RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset (seconds) on every response
+ * and answers 429 with Retry-After once the key's requestsPerMinute is used up.
+ * Requests without a key (authentication off) are not limited.
+ */
+export function rateLimit(req, res, next) {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  const now = Date.now();
+  const limit = req.apiKey.limits.requestsPerMinute;
+  let window = windows.get(req.apiKey.id);
+
+  if (!window || now - window.start >= WINDOW_MS) {
+    window = { start: now, count: 0 };
+    windows.set(req.apiKey.id, window);
+  }
+
+  window.count++;
+
+  const reset = Math.ceil((window.start + WINDOW_MS - now) / 1000);
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(Math.max(limit - window.count, 0)),
+    'RateLimit-Reset': String(reset),
+  });
+
+  if (window.count > limit) {
+    return res
+      .status(429)
+      .set('Retry-After', String(reset))
+      .json({
+        success: false,
+        error: {
+          code: 'RATE_LIMIT_EXCEEDED',
+          message: `Rate limit of ${limit} requests per minute exceeded. Retry in ${reset} seconds`,
+          details: { limit, retryAfter: reset },
+        },
+      });
+  }
+
+  next();
+}
+
+/**
+ * Reject extraction requests once a key has used its monthly token quota.
+ * Runs before the upload is read, so refused requests cost nothing.
+ */
+export async function enforceTokenQuota(req, res, next) {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  try {
+    const limit = req.apiKey.limits.monthlyTokens;
+    const usage = await getMonthlyUsage(req.apiKey);
+
+    if (usage.tokens < limit) {
+      return next();
+    }
+
+    const resetsAt = startOfNextMonth();
+
+    return res
+      .status(429)
+      .set('Retry-After', String(Math.ceil((resetsAt - Date.now()) / 1000)))
+      .json({
+        success: false,
+        error: {
+          code: 'TOKEN_QUOTA_EXCEEDED',
+          message: `Monthly token quota of ${limit} tokens used up for ${usage.month}`,
+          details: { limit, used: usage.tokens, month: usage.month, resetsAt: resetsAt.toISOString() },
+        },
+      });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Reject extraction requests once this month's LLM spend reaches USAGE_BUDGET_USD.
+ * Applies to every caller, with or without a key.
+ */
+export async function enforceBudget(req, res, next) {
+  if (config.usage.budgetUsd === null) {
+    return next();
+  }
+
+  try {
+    const budget = await getBudgetStatus();
+
+    if (!budget.exceeded) {
+      return next();
+    }
+
+    return res
+      .status(429)
+      .set('Retry-After', String(Math.ceil((Date.parse(budget.resetsAt) - Date.now()) / 1000)))
+      .json({
+        success: false,
+        error: {
+          code: 'BUDGET_EXCEEDED',
+          message: `Monthly LLM budget of $${budget.limitUsd} reached for ${budget.month}`,
+          details: { limitUsd: budget.limitUsd, spentUsd: budget.spentUsd, month: budget.month, resetsAt: budget.resetsAt },
+        },
+      });
+  } catch (error) {
+    next(error);
+  }
+}
+
+function startOfNextMonth() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
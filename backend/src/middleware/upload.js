@@ -1,11 +1,18 @@
 import multer from 'multer';
 import { config } from '../config/index.js';
 import logger from '../utils/logger.js';
+import { inspectFile, canonicalType, GENERIC_TYPES } from '../services/fileInspector.js';
 
 // Configure multer for memory storage (no disk writes)
 const storage = multer.memoryStorage();
 
-// File filter
+// Status codes for the errors verifyUploads reports
+const INSPECTION_STATUS = {
+  UNSUPPORTED_FILE_TYPE: 415,
+  FILE_TYPE_MISMATCH: 415,
+};
+
+// File filter: a first check on the declared type, before the file is read (verifyUploads checks the content)
 const fileFilter = (req, file, cb) => {
   logger.debug('Validating uploaded file', {
     originalname: file.originalname,
@@ -13,8 +20,9 @@ const fileFilter = (req, file, cb) => {
     size: file.size,
   });
 
-  // Check MIME type
-  if (!config.allowedFileTypes.includes(file.mimetype)) {
+  // Check MIME type; a generic type is settled by the content
+  const declared = canonicalType(file.mimetype);
+  if (!GENERIC_TYPES.includes(declared) && !config.allowedFileTypes.map(canonicalType).includes(declared)) {
     const error = new Error(
       `File type ${file.mimetype} is not supported. Allowed types: ${config.allowedFileTypes.join(', ')}`
     );
@@ -35,6 +43,51 @@ export const upload = multer({
   },
 });
 
+// Multi-file upload (several files or pages of one timetable)
+export const uploadMultiple = multer({
+  storage,
+  fileFilter,
+  limits: {
+    fileSize: config.maxFileSize,
+    files: config.maxFilesPerRequest,
+  },
+});
+
+/**
+ * Check uploaded files by their content (see fileInspector.js). The detected type replaces
+ * the declared one, so a renamed file never reaches a processor for the wrong format.
+ * Runs after multer, once the files are in memory.
+ */
+export async function verifyUploads(req, res, next) {
+  const files = [req.file, ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())].filter(
+    Boolean
+  );
+
+  for (const file of files) {
+    try {
+      const { mimeType } = await inspectFile(file.buffer, file.mimetype);
+      file.mimetype = mimeType;
+    } catch (error) {
+      if (!INSPECTION_STATUS[error.code]) {
+        return next(error);
+      }
+
+      logger.warn('Upload rejected after inspection', { originalname: file.originalname, code: error.code });
+
+      return res.status(INSPECTION_STATUS[error.code]).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: files.length > 1 ? `${file.originalname}: ${error.message}` : error.message,
+          details: error.details,
+        },
+      });
+    }
+  }
+
+  next();
+}
+
 // Error handler for multer errors
 export function handleMulterError(err, req, res, next) {
   if (err instanceof multer.MulterError) {
@@ -50,12 +103,22 @@ export function handleMulterError(err, req, res, next) {
       });
     }
 
+    if (err.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'TOO_MANY_FILES',
+          message: `Too many files. Maximum allowed per request is ${config.maxFilesPerRequest}`,
+        },
+      });
+    }
+
     if (err.code === 'LIMIT_UNEXPECTED_FILE') {
       return res.status(400).json({
         success: false,
         error: {
           code: 'INVALID_REQUEST',
-          message: 'Unexpected file field. Use field name "file"',
+          message: 'Unexpected file field. Use field name "file" (or "files" for /api/extract/batch)',
         },
       });
     }
@@ -0,0 +1,25 @@
+import express from 'express';
+import { listApiKeys, createApiKey, getApiKey, revokeApiKey } from '../controllers/apiKeyController.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Key management needs the admin key (ADMIN_API_KEY), not an API key
+router.use('/keys', requireAdmin);
+
+/**
+ * /api/keys
+ * GET every key with its limits and this month's usage, or
+ * POST { name, requestsPerMinute, monthlyTokens } to issue one (the key is only returned here)
+ */
+router.get('/keys', listApiKeys);
+router.post('/keys', createApiKey);
+
+/**
+ * /api/keys/:id
+ * GET one key, or DELETE it to revoke it
+ */
+router.get('/keys/:id', getApiKey);
+router.delete('/keys/:id', revokeApiKey);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { exportTimetable } from '../controllers/exportController.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/export/:format
+ * Convert an extracted timetable to a downloadable format (ics, csv, xlsx, html)
+ *
+ * Request: JSON { timetable, options }
+ * Response: file download
+ */
+router.post('/export/:format', exportTimetable);
+
+export default router;
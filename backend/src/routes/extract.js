@@ -1,6 +1,7 @@
 import express from 'express';
-import { extractTimetable, healthCheck } from '../controllers/extractController.js';
-import { upload, handleMulterError } from '../middleware/upload.js';
+import { extractTimetable, extractTimetableBatch, healthCheck } from '../controllers/extractController.js';
+import { upload, uploadMultiple, handleMulterError, verifyUploads } from '../middleware/upload.js';
+import { enforceTokenQuota, enforceBudget } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
@@ -11,7 +12,32 @@ const router = express.Router();
  * Request: multipart/form-data with 'file' field
  * Response: JSON with extracted timetable data
  */
-router.post('/extract', upload.single('file'), handleMulterError, extractTimetable);
+router.post(
+  '/extract',
+  enforceTokenQuota,
+  enforceBudget,
+  upload.single('file'),
+  handleMulterError,
+  verifyUploads,
+  extractTimetable
+);
+
+/**
+ * POST /api/extract/batch
+ * Extract one timetable from several files or pages (e.g. Mon-Wed + Thu-Fri images)
+ *
+ * Request: multipart/form-data with one or more 'files' fields
+ * Response: JSON with the merged timetable; each block records source_file/source_page
+ */
+router.post(
+  '/extract/batch',
+  enforceTokenQuota,
+  enforceBudget,
+  uploadMultiple.array('files'),
+  handleMulterError,
+  verifyUploads,
+  extractTimetableBatch
+);
 
 /**
  * GET /api/health
@@ -0,0 +1,32 @@
+import express from 'express';
+import { createJob, getJob } from '../controllers/jobController.js';
+import { uploadMultiple, handleMulterError, verifyUploads } from '../middleware/upload.js';
+import { enforceTokenQuota, enforceBudget } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/jobs
+ * Queue an extraction job and return its id immediately
+ *
+ * Request: multipart/form-data with a 'file' field (or several 'files'),
+ *          optional 'callbackUrl', 'provider', 'model' and 'promptVersion' fields
+ * Response: 202 with { jobId, status, statusUrl }
+ */
+router.post(
+  '/jobs',
+  enforceTokenQuota,
+  enforceBudget,
+  uploadMultiple.fields([{ name: 'file', maxCount: 1 }, { name: 'files' }]),
+  handleMulterError,
+  verifyUploads,
+  createJob
+);
+
+/**
+ * GET /api/jobs/:id
+ * Job status, per-stage progress and final result
+ */
+router.get('/jobs/:id', getJob);
+
+export default router;
@@ -0,0 +1,62 @@
+import express from 'express';
+import {
+  listTimetables,
+  getTimetable,
+  replaceTimetable,
+  updateTimetable,
+  deleteTimetable,
+  getTimeBlock,
+  addTimeBlock,
+  replaceTimeBlock,
+  updateTimeBlock,
+  deleteTimeBlock,
+  setReviewStatus,
+  exportCorrections,
+} from '../controllers/timetableController.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/timetables
+ * Stored timetables, newest first (?limit=20&offset=0&reviewStatus=pending)
+ */
+router.get('/timetables', listTimetables);
+
+/**
+ * /api/timetables/:id
+ * GET the stored timetable, PUT a full { metadata, timeblocks } replacement,
+ * PATCH { metadata: {...} } fields, or DELETE it
+ */
+router.get('/timetables/:id', getTimetable);
+router.put('/timetables/:id', replaceTimetable);
+router.patch('/timetables/:id', updateTimetable);
+router.delete('/timetables/:id', deleteTimetable);
+
+/**
+ * POST /api/timetables/:id/timeblocks
+ * Add a time block
+ */
+router.post('/timetables/:id/timeblocks', addTimeBlock);
+
+/**
+ * /api/timetables/:id/timeblocks/:blockId
+ * GET, PUT, PATCH or DELETE a single time block
+ */
+router.get('/timetables/:id/timeblocks/:blockId', getTimeBlock);
+router.put('/timetables/:id/timeblocks/:blockId', replaceTimeBlock);
+router.patch('/timetables/:id/timeblocks/:blockId', updateTimeBlock);
+router.delete('/timetables/:id/timeblocks/:blockId', deleteTimeBlock);
+
+/**
+ * POST /api/timetables/:id/review
+ * Change the review status: pending -> reviewed -> approved
+ */
+router.post('/timetables/:id/review', setReviewStatus);
+
+/**
+ * GET /api/corrections
+ * Before/after diffs of every reviewer edit (?format=json|jsonl|csv&timetableId=&since=)
+ */
+router.get('/corrections', exportCorrections);
+
+export default router;
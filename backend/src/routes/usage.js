@@ -0,0 +1,15 @@
+import express from 'express';
+import { getUsage } from '../controllers/usageController.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/usage
+ * LLM calls, tokens and cost aggregated by day, tenant, model and API key, plus the monthly budget
+ *
+ * Query: from, to (ISO dates, default: this month), tenant, model, apiKeyId
+ * Response: { success, data: { period, totals, byDay, byTenant, byModel, byApiKey, budget } }
+ */
+router.get('/usage', getUsage);
+
+export default router;
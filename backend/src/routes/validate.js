@@ -0,0 +1,15 @@
+import express from 'express';
+import { validateTimetable } from '../controllers/validateController.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/validate
+ * Consistency findings for a timetable (overlap, gap, missing_break, inconsistent_day, duration_mismatch)
+ *
+ * Request: JSON { timetable, options }
+ * Response: { success, data: { findings, summary } }
+ */
+router.post('/validate', validateTimetable);
+
+export default router;
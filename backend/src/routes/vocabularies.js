@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  listVocabularies,
+  getVocabulary,
+  saveVocabulary,
+  deleteVocabulary,
+} from '../controllers/vocabularyController.js';
+import { requireAllTenants } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/vocabularies
+ * Every tenant's subject vocabulary (admin key only)
+ */
+router.get('/vocabularies', requireAllTenants, listVocabularies);
+
+/**
+ * /api/vocabularies/:tenant
+ * GET the vocabulary, PUT { entries: [{ canonical, aliases, subject_type, color_code }] } to
+ * create or replace it, or DELETE it. The "default" tenant applies to every extraction.
+ * An API key reaches its own tenant's vocabulary and can read the default one.
+ */
+router.get('/vocabularies/:tenant', getVocabulary);
+router.put('/vocabularies/:tenant', saveVocabulary);
+router.delete('/vocabularies/:tenant', deleteVocabulary);
+
+export default router;
@@ -0,0 +1,14 @@
+import { z } from 'zod';
+import { tenantIdSchema } from './vocabulary.js';
+
+// Per-key limits; null falls back to the configured defaults (config.auth)
+const limitSchema = z.number().int().min(1).nullable().optional();
+
+export const apiKeyCreateSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100),
+  // The tenant every request made with the key acts for. "default" is the vocabulary
+  // shared by all tenants, which only the admin key may change.
+  tenant: tenantIdSchema.refine((tenant) => tenant !== 'default', 'The "default" tenant is reserved'),
+  requestsPerMinute: limitSchema,
+  monthlyTokens: limitSchema,
+});
@@ -0,0 +1,148 @@
+/**
+ * Convert zod schemas to JSON Schema for providers that enforce structured output
+ * (OpenAI "json_schema" response format in strict mode, Anthropic tool input schemas).
+ *
+ * Strict mode has no optional properties: every property is listed in "required" and
+ * objects are closed with additionalProperties: false. Optional and defaulted fields
+ * are therefore sent as nullable, and stripOptionalNulls() removes the nulls the model
+ * returns for them again before zod parses the reply (so defaults still apply).
+ *
+ * Only the zod types our schemas use are supported; anything else throws, so a schema
+ * change can't silently send the model a looser contract than the one we validate.
+ */
+
+/**
+ * JSON Schema for a zod schema
+ * @param {import('zod').ZodTypeAny} schema - zod schema
+ * @returns {Object} JSON Schema (draft 2020-12 subset)
+ */
+export function toJSONSchema(schema) {
+  const def = schema._def;
+
+  switch (def.typeName) {
+    case 'ZodObject': {
+      const shape = schema.shape;
+      return {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(shape).map(([key, value]) => [key, toJSONSchema(value)])),
+        required: Object.keys(shape),
+        additionalProperties: false,
+      };
+    }
+
+    // Strict mode rejects minLength/maxLength; zod still checks them
+    case 'ZodString': {
+      const regex = def.checks.find((check) => check.kind === 'regex');
+      return { type: 'string', ...(regex && { pattern: regex.regex.source }) };
+    }
+
+    case 'ZodNumber': {
+      const result = { type: def.checks.some((check) => check.kind === 'int') ? 'integer' : 'number' };
+      for (const check of def.checks) {
+        if (check.kind === 'min') result[check.inclusive ? 'minimum' : 'exclusiveMinimum'] = check.value;
+        if (check.kind === 'max') result[check.inclusive ? 'maximum' : 'exclusiveMaximum'] = check.value;
+      }
+      return result;
+    }
+
+    case 'ZodBoolean':
+      return { type: 'boolean' };
+
+    case 'ZodEnum':
+      return { type: 'string', enum: [...def.values] };
+
+    case 'ZodLiteral':
+      return { type: typeof def.value, enum: [def.value] };
+
+    case 'ZodArray': {
+      const result = { type: 'array', items: toJSONSchema(def.type) };
+      if (def.minLength) result.minItems = def.minLength.value;
+      if (def.maxLength) result.maxItems = def.maxLength.value;
+      return result;
+    }
+
+    case 'ZodUnion':
+    case 'ZodDiscriminatedUnion':
+      return { anyOf: [...def.options].map(toJSONSchema) };
+
+    case 'ZodOptional':
+    case 'ZodNullable':
+    case 'ZodDefault':
+      return nullable(toJSONSchema(def.innerType));
+
+    // Refinements can't be expressed; the model reply is still checked by zod
+    case 'ZodEffects':
+      return toJSONSchema(def.schema);
+
+    default:
+      throw new Error(`Cannot convert zod type ${def.typeName} to JSON Schema`);
+  }
+}
+
+/**
+ * Remove null values the model sent for optional fields that don't accept null,
+ * so zod treats them as absent (and applies their defaults)
+ * @param {*} value - Parsed model reply
+ * @param {import('zod').ZodTypeAny} schema - zod schema the reply should match
+ * @returns {*} Value without those nulls (input is not modified)
+ */
+export function stripOptionalNulls(value, schema) {
+  const def = schema._def;
+
+  switch (def.typeName) {
+    case 'ZodObject': {
+      if (!isPlainObject(value)) return value;
+
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        const field = schema.shape[key];
+
+        if (item === null && field?.isOptional() && !field.isNullable()) {
+          continue;
+        }
+        result[key] = field ? stripOptionalNulls(item, field) : item;
+      }
+      return result;
+    }
+
+    case 'ZodArray':
+      return Array.isArray(value) ? value.map((item) => stripOptionalNulls(item, def.type)) : value;
+
+    case 'ZodDiscriminatedUnion': {
+      const option = isPlainObject(value) ? def.optionsMap.get(value[def.discriminator]) : null;
+      return option ? stripOptionalNulls(value, option) : value;
+    }
+
+    case 'ZodOptional':
+    case 'ZodNullable':
+    case 'ZodDefault':
+      return value === null ? value : stripOptionalNulls(value, def.innerType);
+
+    case 'ZodEffects':
+      return stripOptionalNulls(value, def.schema);
+
+    default:
+      return value;
+  }
+}
+
+function nullable(schema) {
+  if (schema.anyOf) {
+    return schema.anyOf.some((option) => option.type === 'null') ? schema : { anyOf: [...schema.anyOf, { type: 'null' }] };
+  }
+
+  const types = [schema.type].flat();
+  if (types.includes('null')) {
+    return schema;
+  }
+
+  return {
+    ...schema,
+    type: [...types, 'null'],
+    ...(schema.enum && { enum: [...schema.enum, null] }),
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
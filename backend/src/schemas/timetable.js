@@ -1,35 +1,60 @@
 import { z } from 'zod';
 
-// Time format: "HH:MM" or "H:MM"
-const timeSchema = z.string().regex(/^\d{1,2}:\d{2}$/, 'Invalid time format. Expected HH:MM');
+// Time format: 24-hour "HH:MM" ("H:MM" is accepted; extractions are normalized to "HH:MM", see timeNormalizer)
+const timeSchema = z.string().regex(/^([01]?\d|2[0-3]):[0-5]\d$/, 'Invalid time format. Expected 24-hour HH:MM');
 
 // Day of week
-const daySchema = z.enum([
-  'Monday',
-  'Tuesday',
-  'Wednesday',
-  'Thursday',
-  'Friday',
-  'Saturday',
-  'Sunday',
+export const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const daySchema = z.enum(DAYS);
+
+// Calendar date: "YYYY-MM-DD"
+const dateSchema = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format. Expected YYYY-MM-DD')
+  .refine(isCalendarDate, 'Invalid date');
+
+// Rotation the timetable follows; absent or null means the same week repeats
+// - weeks: "Week A / Week B" style, blocks carry the week label they belong to
+// - days:  "Day 1-10" style, numbered days run over school days regardless of weekday
+export const cycleSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('weeks'),
+    length: z.number().int().min(2).max(8),
+    labels: z.array(z.string().min(1)).optional(),
+    start_date: dateSchema.optional().nullable(),
+  }),
+  z.object({
+    type: z.literal('days'),
+    length: z.number().int().min(2).max(30),
+    weekdays: z.array(daySchema).min(1).optional(),
+    start_date: dateSchema.optional().nullable(),
+  }),
 ]);
 
 // Subject type
-const subjectTypeSchema = z.enum(['academic', 'break', 'administrative', 'other']);
+export const subjectTypeSchema = z.enum(['academic', 'break', 'administrative', 'other']);
 
 // TimeBlock schema
 export const timeBlockSchema = z.object({
   id: z.string().optional(),
-  day: daySchema,
+  // Optional only for cycle-day and dated blocks (see validateCycle)
+  day: daySchema.optional().nullable(),
+  week: z.string().min(1).optional().nullable(),
+  cycle_day: z.number().int().min(1).optional().nullable(),
+  date: dateSchema.optional().nullable(),
   start_time: timeSchema,
   end_time: timeSchema,
   duration_minutes: z.number().int().min(1).optional(),
   subject: z.string().min(1, 'Subject name is required'),
+  original_subject: z.string().optional().nullable(),
   subject_type: subjectTypeSchema.optional().default('academic'),
   notes: z.string().optional().nullable(),
   color_code: z.string().regex(/^#[0-9A-Fa-f]{6}$/).optional().nullable(),
   room_location: z.string().optional().nullable(),
   confidence: z.number().min(0).max(1).optional().default(1),
+  source_file: z.string().optional().nullable(),
+  source_page: z.number().int().min(1).optional().nullable(),
+  verification_issues: z.array(z.string()).optional(),
 });
 
 // Metadata schema
@@ -39,6 +64,7 @@ export const metadataSchema = z.object({
   term: z.string().nullable().optional(),
   school_name: z.string().nullable().optional(),
   extraction_confidence: z.number().min(0).max(1).default(0.5),
+  cycle: cycleSchema.optional().nullable(),
 });
 
 // Full extraction response schema
@@ -47,6 +73,23 @@ export const timetableExtractionSchema = z.object({
   timeblocks: z.array(timeBlockSchema).min(1, 'At least one timeblock is required'),
 });
 
+// What the model is asked to return: the extraction without the fields the pipeline fills in
+export const modelExtractionSchema = z.object({
+  metadata: metadataSchema,
+  timeblocks: z
+    .array(
+      timeBlockSchema.omit({
+        id: true,
+        duration_minutes: true,
+        original_subject: true,
+        source_file: true,
+        source_page: true,
+        verification_issues: true,
+      })
+    )
+    .min(1, 'At least one timeblock is required'),
+});
+
 // Validation helper
 export function validateTimetable(data) {
   return timetableExtractionSchema.safeParse(data);
@@ -83,9 +126,132 @@ export function validateTimeRanges(timeblocks) {
   return errors;
 }
 
-// Calculate duration if missing
+/**
+ * Week labels of a rotation ("A", "B" by default)
+ * @param {Object} cycle - metadata.cycle with type "weeks"
+ * @returns {Array<string>}
+ */
+export function getWeekLabels(cycle) {
+  return cycle.labels?.length ? cycle.labels : Array.from({ length: cycle.length }, (_, i) => String.fromCharCode(65 + i));
+}
+
+/**
+ * Check blocks against the timetable's cycle: week labels and cycle days must exist in it,
+ * every block needs a day, cycle day or date, and a date must fall on the block's day
+ * @param {Object} metadata - Timetable metadata (cycle may be absent)
+ * @param {Array<Object>} timeblocks - Time blocks
+ * @returns {Array<Object>} Errors in the validateTimeRanges format { block, error }
+ */
+export function validateCycle(metadata, timeblocks) {
+  const cycle = metadata?.cycle ?? null;
+  const errors = [];
+
+  if (cycle?.type === 'weeks' && cycle.labels && cycle.labels.length !== cycle.length) {
+    errors.push({ block: {}, error: `Cycle has ${cycle.length} weeks but ${cycle.labels.length} labels` });
+  }
+
+  for (const block of timeblocks) {
+    if (!block.day && !block.cycle_day && !block.date) {
+      errors.push({ block, error: 'Block needs a day, a cycle_day or a date' });
+    }
+
+    if (block.week) {
+      if (cycle?.type !== 'weeks') {
+        errors.push({ block, error: 'Block has a week but the timetable has no week rotation' });
+      } else if (!getWeekLabels(cycle).includes(block.week)) {
+        errors.push({ block, error: `Week "${block.week}" is not one of ${getWeekLabels(cycle).join(', ')}` });
+      }
+    }
+
+    if (block.cycle_day) {
+      if (cycle?.type !== 'days') {
+        errors.push({ block, error: 'Block has a cycle_day but the timetable has no day cycle' });
+      } else if (block.cycle_day > cycle.length) {
+        errors.push({ block, error: `Cycle day ${block.cycle_day} is beyond the ${cycle.length}-day cycle` });
+      }
+    }
+
+    if (block.date && block.day && weekdayOf(block.date) !== block.day) {
+      errors.push({ block, error: `${block.date} is a ${weekdayOf(block.date)}, not a ${block.day}` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Describe the cycle from the blocks when an extraction tagged weeks or cycle days
+ * but left metadata.cycle out
+ * @param {Object} metadata - Timetable metadata
+ * @param {Array<Object>} timeblocks - Time blocks
+ * @returns {Object} Metadata, with a cycle when one could be inferred
+ */
+export function inferCycle(metadata, timeblocks) {
+  if (metadata.cycle) {
+    return metadata;
+  }
+
+  const weeks = [...new Set(timeblocks.map((block) => block.week).filter(Boolean))].sort();
+  if (weeks.length > 0) {
+    const cycle = { type: 'weeks', length: Math.max(weeks.length, 2) };
+    return { ...metadata, cycle: weeks.length >= 2 ? { ...cycle, labels: weeks } : cycle };
+  }
+
+  const cycleDays = timeblocks.map((block) => block.cycle_day).filter(Boolean);
+  if (cycleDays.length > 0) {
+    return { ...metadata, cycle: { type: 'days', length: Math.max(...cycleDays, 2) } };
+  }
+
+  return metadata;
+}
+
+/**
+ * Key identifying the day a block belongs to, e.g. "Monday", "Week A Monday", "Day 3" or "2025-01-15".
+ * Blocks only overlap or duplicate each other when their keys are equal.
+ * @param {Object} block - Time block
+ * @returns {string}
+ */
+export function getDayKey(block) {
+  if (block.date) return block.date;
+  if (block.cycle_day) return `Day ${block.cycle_day}`;
+  // A week block without a day is invalid (see validateCycle) but still needs a readable key
+  if (block.week) return block.day ? `Week ${block.week} ${block.day}` : `Week ${block.week}`;
+  return block.day;
+}
+
+/**
+ * Whether a "YYYY-MM-DD" string names a day that exists. Date.parse rolls "2025-02-30" over
+ * into March, so the parts are checked against the date they produce.
+ * @param {string} value - Date string
+ * @returns {boolean}
+ */
+export function isCalendarDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  date.setUTCFullYear(year);
+
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * A block's week, cycle day and date, only those that are set
+ * (so descriptions of weekly blocks look as they always did)
+ * @param {Object} block - Time block
+ * @returns {Object} { week?, cycle_day?, date? }
+ */
+export function getCycleFields(block) {
+  return Object.fromEntries(['week', 'cycle_day', 'date'].filter((field) => block[field]).map((field) => [field, block[field]]));
+}
+
+// Calculate duration if missing, and the weekday of dated blocks
 export function enrichTimeBlocks(timeblocks) {
   return timeblocks.map((block) => {
+    if (block.date && !block.day) {
+      block.day = weekdayOf(block.date);
+    }
     if (!block.duration_minutes) {
       const [startHour, startMin] = block.start_time.split(':').map(Number);
       const [endHour, endMin] = block.end_time.split(':').map(Number);
@@ -95,3 +261,7 @@ export function enrichTimeBlocks(timeblocks) {
     return block;
   });
 }
+
+function weekdayOf(date) {
+  return DAYS[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7];
+}
@@ -0,0 +1,50 @@
+import { z } from 'zod';
+import { subjectTypeSchema } from './timetable.js';
+
+// Tenant ids appear in URLs: letters, digits, "-" and "_"
+export const tenantIdSchema = z
+  .string()
+  .regex(/^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/, 'Tenant id may only contain letters, digits, "-" and "_" (max 64)');
+
+// One canonical subject and the names a school uses for it
+export const vocabularyEntrySchema = z.object({
+  canonical: z.string().trim().min(1, 'Canonical subject name is required'),
+  aliases: z.array(z.string().trim().min(1)).default([]),
+  subject_type: subjectTypeSchema.optional(),
+  color_code: z.string().regex(/^#[0-9A-Fa-f]{6}$/, 'Colour must be a hex code like #4A90D9').optional().nullable(),
+  description: z.string().optional().nullable(),
+});
+
+export const vocabularySchema = z
+  .object({
+    entries: z.array(vocabularyEntrySchema).max(500, 'A vocabulary may hold at most 500 entries'),
+  })
+  .superRefine((vocabulary, ctx) => {
+    const seen = new Map();
+
+    vocabulary.entries.forEach((entry, index) => {
+      for (const alias of [entry.canonical, ...entry.aliases]) {
+        const key = normalizeTerm(alias);
+        const owner = seen.get(key);
+
+        if (owner !== undefined && owner !== index) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ['entries', index, 'aliases'],
+            message: `"${alias}" is already used by entry ${owner} (${vocabulary.entries[owner].canonical})`,
+          });
+        }
+        seen.set(key, index);
+      }
+    });
+  });
+
+/**
+ * Matching key for subjects and aliases: case, punctuation and spacing are ignored
+ * ("Phonics/RWI" and "phonics - rwi" match)
+ * @param {string} term - Subject or alias
+ * @returns {string}
+ */
+export function normalizeTerm(term) {
+  return (term || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
@@ -0,0 +1,201 @@
+import { createHash, randomBytes, randomUUID } from 'crypto';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import { getTimetableStore } from './timetableStores/index.js';
+import { apiKeyCreateSchema } from '../schemas/apiKey.js';
+
+/**
+ * API keys for callers of the extraction API.
+ *
+ * A key is shown once, when it is issued; only its SHA-256 hash is stored.
+ * Each key belongs to one tenant, whose timetables, vocabulary and usage are all
+ * it can reach (see resolveTenant in middleware/auth.js). It has a request rate and
+ * a monthly token quota, its own or the configured defaults (config.auth),
+ * enforced by middleware/rateLimit.js.
+ */
+
+const KEY_PREFIX = 'tte_';
+
+// Characters of the key kept in clear so people can tell their keys apart
+const VISIBLE_CHARACTERS = 12;
+
+/**
+ * Issue a new key
+ * @param {Object} body - { name, tenant, requestsPerMinute, monthlyTokens }
+ * @returns {Promise<Object>} Public key record plus `key`, the only time the secret is returned
+ */
+export async function createApiKey(body) {
+  const parsed = apiKeyCreateSchema.safeParse(body);
+
+  if (!parsed.success) {
+    throw {
+      code: 'VALIDATION_FAILED',
+      message: 'Request body failed validation',
+      details: parsed.error.errors.map((err) => ({ path: err.path.join('.'), message: err.message })),
+    };
+  }
+
+  const key = `${KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+  const apiKey = {
+    id: randomUUID(),
+    name: parsed.data.name,
+    tenant: parsed.data.tenant,
+    prefix: key.slice(0, VISIBLE_CHARACTERS),
+    keyHash: hashKey(key),
+    limits: {
+      requestsPerMinute: parsed.data.requestsPerMinute ?? null,
+      monthlyTokens: parsed.data.monthlyTokens ?? null,
+    },
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+  };
+
+  await getTimetableStore().saveApiKey(apiKey);
+  logger.info('API key issued', { keyId: apiKey.id, name: apiKey.name, tenant: apiKey.tenant });
+
+  return { ...(await toPublic(apiKey)), key };
+}
+
+/**
+ * List keys with their limits and this month's usage
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listApiKeys() {
+  const apiKeys = await getTimetableStore().listApiKeys();
+  return Promise.all(apiKeys.map(toPublic));
+}
+
+/**
+ * Get one key
+ * @param {string} id - Key id
+ * @returns {Promise<Object>}
+ */
+export async function getApiKey(id) {
+  return toPublic(await findById(id));
+}
+
+/**
+ * Revoke a key; requests using it are rejected from then on
+ * @param {string} id - Key id
+ * @returns {Promise<Object>} The revoked key
+ */
+export async function revokeApiKey(id) {
+  const apiKey = await findById(id);
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date().toISOString();
+    await getTimetableStore().saveApiKey(apiKey);
+    logger.info('API key revoked', { keyId: id, name: apiKey.name });
+  }
+
+  return toPublic(apiKey);
+}
+
+/**
+ * Look up the key a request presented
+ * @param {string} key - Key as sent by the caller
+ * @returns {Promise<Object>} Key record with effective limits
+ * @throws {Object} INVALID_API_KEY or API_KEY_REVOKED
+ */
+export async function authenticate(key) {
+  const apiKey = key ? await getTimetableStore().findApiKeyByHash(hashKey(key)) : null;
+
+  if (!apiKey) {
+    throw { code: 'INVALID_API_KEY', message: 'The API key is not valid' };
+  }
+
+  if (apiKey.revokedAt) {
+    throw { code: 'API_KEY_REVOKED', message: 'The API key has been revoked' };
+  }
+
+  return { ...apiKey, limits: effectiveLimits(apiKey) };
+}
+
+/**
+ * Record a request and the tokens it used against a key's monthly usage
+ * Failures are logged; they never fail the request that caused them.
+ * @param {Object|null} apiKey - req.apiKey (null when authentication is off)
+ * @param {Object} usage - { requests, tokens }
+ */
+export async function recordUsage(apiKey, usage) {
+  if (!apiKey) {
+    return;
+  }
+
+  try {
+    await getTimetableStore().addApiKeyUsage(apiKey.id, currentMonth(), usage);
+  } catch (error) {
+    logger.error('Failed to record API key usage', { keyId: apiKey.id, error: error.message });
+  }
+}
+
+/**
+ * Tokens an extraction result spent on LLM calls (extraction plus verification);
+ * cached results cost nothing
+ * @param {Object} result - processFile/processFiles result
+ * @returns {number}
+ */
+export function countTokens(result) {
+  const metadata = result?.metadata;
+
+  if (!metadata || metadata.cacheHit) {
+    return 0;
+  }
+
+  return (metadata.tokensUsed || 0) + (metadata.verification?.tokensUsed || 0);
+}
+
+/**
+ * A key's usage for the current month
+ * @param {Object} apiKey - Key record
+ * @returns {Promise<Object>} { month, requests, tokens }
+ */
+export async function getMonthlyUsage(apiKey) {
+  const month = currentMonth();
+  return { month, ...(await getTimetableStore().getApiKeyUsage(apiKey.id, month)) };
+}
+
+/**
+ * Calendar month usage is counted in, e.g. "2025-10" (UTC)
+ * @returns {string}
+ */
+export function currentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+function effectiveLimits(apiKey) {
+  return {
+    requestsPerMinute: apiKey.limits.requestsPerMinute ?? config.auth.requestsPerMinute,
+    monthlyTokens: apiKey.limits.monthlyTokens ?? config.auth.monthlyTokens,
+  };
+}
+
+async function findById(id) {
+  const apiKey = await getTimetableStore().getApiKey(id);
+
+  if (!apiKey) {
+    throw {
+      code: 'API_KEY_NOT_FOUND',
+      message: `API key ${id} not found`,
+    };
+  }
+
+  return apiKey;
+}
+
+/**
+ * Key record without its hash, with effective limits and this month's usage
+ */
+async function toPublic(apiKey) {
+  const { keyHash, ...rest } = apiKey;
+
+  return {
+    ...rest,
+    limits: effectiveLimits(apiKey),
+    usage: await getMonthlyUsage(apiKey),
+  };
+}
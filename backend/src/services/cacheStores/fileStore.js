@@ -0,0 +1,88 @@
+import { readFile, writeFile, rename, unlink, readdir, mkdir } from 'fs/promises';
+import path from 'path';
+
+// Cache keys are hex digests; reject anything else so keys can't escape the directory
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Create an on-disk cache store (one JSON file per entry) with per-entry TTL
+ * @param {Object} settings - { dir }
+ * @returns {Object} Cache store
+ */
+export function createFileStore(settings) {
+  const dir = settings.dir;
+  let ready = null;
+
+  const ensureDir = () => {
+    ready = ready || mkdir(dir, { recursive: true });
+    return ready;
+  };
+
+  const entryPath = (key) => path.join(dir, `${key}.json`);
+
+  const remove = async (key) => {
+    try {
+      await unlink(entryPath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      if (!KEY_PATTERN.test(key)) {
+        return null;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(await readFile(entryPath(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+
+      if (entry.expiresAt <= Date.now()) {
+        await remove(key);
+        return null;
+      }
+
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      if (!KEY_PATTERN.test(key)) {
+        return;
+      }
+
+      await ensureDir();
+
+      // Write then rename so readers never see a half-written file
+      const target = entryPath(key);
+      const temp = `${target}.${process.pid}.tmp`;
+      await writeFile(temp, JSON.stringify({ expiresAt: Date.now() + ttlMs, value }));
+      await rename(temp, target);
+    },
+
+    async delete(key) {
+      return KEY_PATTERN.test(key) ? remove(key) : false;
+    },
+
+    async clear() {
+      await ensureDir();
+      for (const entry of await readdir(dir)) {
+        if (entry.endsWith('.json')) {
+          await unlink(path.join(dir, entry));
+        }
+      }
+    },
+  };
+}
@@ -0,0 +1,30 @@
+import { config } from '../../config/index.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createFileStore } from './fileStore.js';
+
+const factories = {
+  memory: () => createMemoryStore({ maxEntries: config.cache.maxEntries }),
+  file: () => createFileStore({ dir: config.cache.dir }),
+};
+
+let store = null;
+
+/**
+ * Get the configured cache store (created once)
+ * @returns {Object} Cache store with get/set/delete/clear
+ */
+export function getCacheStore() {
+  if (!store) {
+    const factory = factories[config.cache.store];
+
+    if (!factory) {
+      throw new Error(
+        `Unknown cache store "${config.cache.store}". Available stores: ${Object.keys(factories).join(', ')}`
+      );
+    }
+
+    store = factory();
+  }
+
+  return store;
+}
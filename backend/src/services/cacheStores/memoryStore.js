@@ -0,0 +1,49 @@
+/**
+ * Create an in-memory LRU cache store with per-entry TTL
+ * @param {Object} settings - { maxEntries }
+ * @returns {Object} Cache store
+ */
+export function createMemoryStore(settings) {
+  // Map iteration order is insertion order, so the first key is least recently used
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+
+      if (!entry) {
+        return null;
+      }
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+
+      // Move to the most-recently-used end
+      entries.delete(key);
+      entries.set(key, entry);
+
+      return structuredClone(entry.value);
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlMs });
+
+      while (entries.size > settings.maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      return entries.delete(key);
+    },
+
+    async clear() {
+      entries.clear();
+    },
+  };
+}
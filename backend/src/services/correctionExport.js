@@ -0,0 +1,221 @@
+import { getTimetableStore } from './timetableStores/index.js';
+import { toLine } from './exporters/csvExporter.js';
+import { getDayKey } from '../schemas/timetable.js';
+
+/**
+ * Export of reviewer corrections, used to measure extraction accuracy
+ * and to find prompt weaknesses (which fields, which methods, at what confidence).
+ */
+
+export const CORRECTION_FORMATS = ['json', 'jsonl', 'csv'];
+
+const CSV_COLUMNS = [
+  'created_at',
+  'timetable_id',
+  'block_id',
+  'action',
+  'field',
+  'before',
+  'after',
+  'original_confidence',
+  'day',
+  'review_status',
+  'extraction_method',
+  'provider',
+  'model',
+  'prompt_version',
+  'filename',
+];
+
+/**
+ * Build a corrections export
+ * @param {Object} options - { format, timetableId, since, tenant }; tenant as in timetableService.getTimetable
+ * @returns {Promise<Object>} { contentType, extension, body } for csv/jsonl,
+ *                            { corrections, summary } for json
+ */
+export async function exportCorrections({ format = 'json', timetableId, since, tenant } = {}) {
+  if (!CORRECTION_FORMATS.includes(format)) {
+    throw {
+      code: 'UNSUPPORTED_EXPORT_FORMAT',
+      message: `Unsupported corrections format "${format}". Supported formats: ${CORRECTION_FORMATS.join(', ')}`,
+    };
+  }
+
+  if (since && Number.isNaN(Date.parse(since))) {
+    throw {
+      code: 'INVALID_DATE',
+      message: '"since" must be an ISO 8601 date or timestamp',
+    };
+  }
+
+  const store = getTimetableStore();
+  const corrections = await store.listCorrections({
+    timetableId,
+    since: since ? new Date(since).toISOString() : undefined,
+    tenant,
+  });
+  const records = await loadRecords(store, corrections.map((c) => c.timetableId));
+  const enriched = corrections.map((correction) => withContext(correction, records.get(correction.timetableId)));
+
+  if (format === 'jsonl') {
+    return {
+      contentType: 'application/x-ndjson; charset=utf-8',
+      extension: 'jsonl',
+      body: enriched.map((correction) => JSON.stringify(correction)).join('\n') + (enriched.length ? '\n' : ''),
+    };
+  }
+
+  if (format === 'csv') {
+    const lines = [toLine(CSV_COLUMNS), ...enriched.flatMap(toCSVRows).map(toLine)];
+    return {
+      contentType: 'text/csv; charset=utf-8',
+      extension: 'csv',
+      body: lines.join('\r\n') + '\r\n',
+    };
+  }
+
+  return {
+    corrections: enriched,
+    summary: await summarize(store, enriched, timetableId, tenant),
+  };
+}
+
+/**
+ * Aggregate counts plus block-level accuracy over human-checked timetables
+ */
+async function summarize(store, corrections, timetableId, tenant) {
+  const byAction = {};
+  const byField = {};
+  const confidences = [];
+
+  for (const correction of corrections) {
+    byAction[correction.action] = (byAction[correction.action] || 0) + 1;
+    for (const field of correction.changedFields) {
+      byField[field] = (byField[field] || 0) + 1;
+    }
+    if (correction.originalConfidence !== null && correction.action !== 'metadata') {
+      confidences.push(correction.originalConfidence);
+    }
+  }
+
+  return {
+    corrections: corrections.length,
+    timetables: new Set(corrections.map((c) => c.timetableId)).size,
+    byAction,
+    byField,
+    averageOriginalConfidence: confidences.length
+      ? Number((confidences.reduce((sum, value) => sum + value, 0) / confidences.length).toFixed(2))
+      : null,
+    accuracy: await measureAccuracy(store, timetableId, tenant),
+  };
+}
+
+/**
+ * Share of extracted blocks that reviewers left unchanged, over reviewed and approved timetables
+ * (all corrections are counted here, regardless of the "since" filter)
+ */
+async function measureAccuracy(store, timetableId, tenant) {
+  const checked = [];
+
+  if (timetableId) {
+    const record = await store.get(timetableId, tenant);
+    if (record && record.review.status !== 'pending') checked.push(record);
+  } else {
+    for (const reviewStatus of ['reviewed', 'approved']) {
+      checked.push(...(await listAll(store, reviewStatus, tenant)));
+    }
+  }
+
+  let extractedBlocks = 0;
+  let correctBlocks = 0;
+  let missedBlocks = 0;
+
+  for (const record of checked) {
+    const corrections = await store.listCorrections({ timetableId: record.id });
+    const added = new Set(corrections.filter((c) => c.action === 'added').map((c) => c.blockId));
+    const touched = new Set(
+      corrections.filter((c) => c.action === 'updated' || c.action === 'deleted').map((c) => c.blockId)
+    );
+    // Blocks a reviewer added and later changed or removed were never extracted
+    const extractedTouched = [...touched].filter((blockId) => !added.has(blockId)).length;
+    const deletedAdded = corrections.filter((c) => c.action === 'deleted' && added.has(c.blockId)).length;
+    const deleted = corrections.filter((c) => c.action === 'deleted').length - deletedAdded;
+
+    const extracted = record.data.timeblocks.length - (added.size - deletedAdded) + deleted;
+    extractedBlocks += extracted;
+    correctBlocks += extracted - extractedTouched;
+    missedBlocks += added.size;
+  }
+
+  return {
+    reviewedTimetables: checked.length,
+    extractedBlocks,
+    correctBlocks,
+    missedBlocks,
+    blockAccuracy: extractedBlocks ? Number((correctBlocks / extractedBlocks).toFixed(3)) : null,
+  };
+}
+
+async function listAll(store, reviewStatus, tenant) {
+  const records = [];
+  const limit = 100;
+
+  for (let offset = 0; ; offset += limit) {
+    const { items, total } = await store.list({ limit, offset, reviewStatus, tenant });
+    records.push(...items);
+    if (offset + limit >= total) {
+      return records;
+    }
+  }
+}
+
+async function loadRecords(store, ids) {
+  const records = new Map();
+
+  for (const id of new Set(ids)) {
+    records.set(id, await store.get(id));
+  }
+
+  return records;
+}
+
+function withContext(correction, record) {
+  return {
+    ...correction,
+    reviewStatus: record?.review.status ?? null,
+    extractionMethod: record?.source.extractionMethod ?? null,
+    provider: record?.source.provider ?? null,
+    model: record?.source.model ?? null,
+    promptVersion: record?.source.promptVersion ?? null,
+    filename: record?.source.filename ?? null,
+  };
+}
+
+/**
+ * One CSV row per changed field (one row for added/deleted blocks)
+ */
+function toCSVRows(correction) {
+  const fields = correction.changedFields.length ? correction.changedFields : [null];
+
+  return fields.map((field) => [
+    correction.createdAt,
+    correction.timetableId,
+    correction.blockId,
+    correction.action,
+    field,
+    field ? correction.before?.[field] : describe(correction.before),
+    field ? correction.after?.[field] : describe(correction.after),
+    correction.originalConfidence,
+    correction.after || correction.before ? getDayKey(correction.after || correction.before) : null,
+    correction.reviewStatus,
+    correction.extractionMethod,
+    correction.provider,
+    correction.model,
+    correction.promptVersion,
+    correction.filename,
+  ]);
+}
+
+function describe(block) {
+  return block ? `${getDayKey(block)} ${block.start_time}-${block.end_time} ${block.subject}` : null;
+}
@@ -0,0 +1,144 @@
+import { getDayKey } from '../schemas/timetable.js';
+
+/**
+ * Accuracy scoring of an extraction against hand-labelled ground truth.
+ *
+ * Predicted and expected blocks are paired one-to-one (best field agreement first),
+ * then every field is scored separately so a wrong end time doesn't hide a
+ * correct subject. Precision is over predicted blocks, recall over expected blocks.
+ * "day" compares the whole day key, so a Week B block labelled Week A counts as a wrong day.
+ */
+
+export const EVALUATED_FIELDS = ['day', 'start_time', 'end_time', 'subject', 'subject_type'];
+
+/**
+ * Score one extraction
+ * @param {Array<Object>} predicted - Extracted time blocks
+ * @param {Array<Object>} expected - Ground-truth time blocks
+ * @param {Object} options - { toleranceMinutes } (default 5)
+ * @returns {Object} { expected, predicted, matched, exact, fields: { [field]: { correct } }, pairs, missed, extra }
+ */
+export function scoreExtraction(predicted, expected, { toleranceMinutes = 5 } = {}) {
+  const candidates = [];
+
+  predicted.forEach((p, pi) => {
+    expected.forEach((e, ei) => {
+      const agreement = EVALUATED_FIELDS.filter((field) =>
+        fieldMatches(field, fieldValue(p, field), fieldValue(e, field), toleranceMinutes)
+      );
+      // A pair must at least share its time slot, plus the day or the subject
+      const sameSlot = agreement.includes('start_time') || agreement.includes('end_time');
+      if (sameSlot && (agreement.includes('day') || agreement.includes('subject'))) {
+        candidates.push({ pi, ei, agreement, distance: timeDistance(p, e) });
+      }
+    });
+  });
+
+  candidates.sort((a, b) => b.agreement.length - a.agreement.length || a.distance - b.distance);
+
+  const usedPredicted = new Set();
+  const usedExpected = new Set();
+  const pairs = [];
+
+  for (const candidate of candidates) {
+    if (usedPredicted.has(candidate.pi) || usedExpected.has(candidate.ei)) {
+      continue;
+    }
+    usedPredicted.add(candidate.pi);
+    usedExpected.add(candidate.ei);
+    pairs.push(candidate);
+  }
+
+  const fields = Object.fromEntries(
+    EVALUATED_FIELDS.map((field) => [field, { correct: pairs.filter((pair) => pair.agreement.includes(field)).length }])
+  );
+
+  return {
+    expected: expected.length,
+    predicted: predicted.length,
+    matched: pairs.length,
+    exact: pairs.filter((pair) => pair.agreement.length === EVALUATED_FIELDS.length).length,
+    fields,
+    pairs: pairs
+      .filter((pair) => pair.agreement.length < EVALUATED_FIELDS.length)
+      .map((pair) => ({
+        predicted: summarize(predicted[pair.pi]),
+        expected: summarize(expected[pair.ei]),
+        wrongFields: EVALUATED_FIELDS.filter((field) => !pair.agreement.includes(field)),
+      })),
+    missed: expected.filter((_, ei) => !usedExpected.has(ei)).map(summarize),
+    extra: predicted.filter((_, pi) => !usedPredicted.has(pi)).map(summarize),
+  };
+}
+
+/**
+ * Micro-averaged precision/recall over several scored extractions
+ * @param {Array<Object>} scores - scoreExtraction results
+ * @returns {Object} { expected, predicted, blocks: { precision, recall, f1 }, fields: { [field]: { precision, recall, f1 } } }
+ */
+export function aggregateScores(scores) {
+  const expected = sum(scores, (s) => s.expected);
+  const predicted = sum(scores, (s) => s.predicted);
+
+  return {
+    expected,
+    predicted,
+    matched: sum(scores, (s) => s.matched),
+    blocks: metrics(sum(scores, (s) => s.exact), predicted, expected),
+    fields: Object.fromEntries(
+      EVALUATED_FIELDS.map((field) => [field, metrics(sum(scores, (s) => s.fields[field].correct), predicted, expected)])
+    ),
+  };
+}
+
+function fieldValue(block, field) {
+  return field === 'day' ? getDayKey(block) : block[field];
+}
+
+function fieldMatches(field, actual, expected, toleranceMinutes) {
+  if (field === 'start_time' || field === 'end_time') {
+    return Math.abs(toMinutes(actual) - toMinutes(expected)) <= toleranceMinutes;
+  }
+  if (field === 'subject') {
+    return normalizeSubject(actual) === normalizeSubject(expected);
+  }
+  if (field === 'subject_type') {
+    return (actual || 'academic') === (expected || 'academic');
+  }
+  return actual === expected;
+}
+
+function metrics(correct, predicted, expected) {
+  const precision = predicted ? correct / predicted : 0;
+  const recall = expected ? correct / expected : 0;
+  const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+
+  return { correct, precision: round(precision), recall: round(recall), f1: round(f1) };
+}
+
+function timeDistance(a, b) {
+  return (
+    Math.abs(toMinutes(a.start_time) - toMinutes(b.start_time)) + Math.abs(toMinutes(a.end_time) - toMinutes(b.end_time))
+  );
+}
+
+function toMinutes(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+}
+
+function normalizeSubject(subject) {
+  return (subject || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function summarize(block) {
+  return `${getDayKey(block)} ${block.start_time}-${block.end_time} ${block.subject}`;
+}
+
+function sum(items, pick) {
+  return items.reduce((total, item) => total + pick(item), 0);
+}
+
+function round(value) {
+  return Number(value.toFixed(3));
+}
@@ -0,0 +1,62 @@
+import { assertTimetable, metadataEntries, toRows, toGrid, rowColumns } from './tableLayout.js';
+
+/**
+ * Export a timetable as CSV (RFC 4180)
+ *
+ * @param {Object} timetable - Object matching timetableExtractionSchema
+ * @param {Object} options
+ * @param {string} [options.layout] - "rows" (one row per block, default) or "grid" (day-by-time)
+ * @param {boolean} [options.includeMetadata] - Prefix teacher/class/term rows (default true)
+ * @returns {string} CSV text
+ */
+export function exportToCSV(timetable, options = {}) {
+  const data = assertTimetable(timetable);
+  const lines = [];
+
+  if (options.includeMetadata !== false && options.includeMetadata !== 'false') {
+    const entries = metadataEntries(data.metadata);
+    if (entries.length) {
+      lines.push(...entries.map(toLine), '');
+    }
+  }
+
+  if (options.layout === 'grid') {
+    const { days, slots } = toGrid(data);
+    lines.push(toLine(['Time', ...days]));
+
+    for (const slot of slots) {
+      lines.push(
+        toLine([
+          `${slot.start}-${slot.end}`,
+          ...days.map((day) => slot.cells[day].map((block) => block.subject).join(' / ')),
+        ])
+      );
+    }
+  } else {
+    const columns = rowColumns(data);
+    lines.push(toLine(columns.map((column) => column.header)));
+
+    for (const row of toRows(data)) {
+      lines.push(toLine(columns.map((column) => row[column.key])));
+    }
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+export function toLine(values) {
+  return values.map(escapeField).join(',');
+}
+
+function escapeField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+
+  // Neutralise spreadsheet formula injection (=, +, -, @ at the start of a cell)
+  const safe = /^[=+\-@]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text) ? `'${text}` : text;
+
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
@@ -0,0 +1,101 @@
+import { assertTimetable, metadataEntries, toGrid } from './tableLayout.js';
+
+/**
+ * Export a timetable as a standalone, printable HTML page with a day-by-time grid
+ *
+ * @param {Object} timetable - Object matching timetableExtractionSchema
+ * @param {Object} options
+ * @param {string} [options.title] - Page title (defaults to class/teacher name)
+ * @returns {string} HTML document
+ */
+export function exportToHTML(timetable, options = {}) {
+  const data = assertTimetable(timetable);
+  const entries = metadataEntries(data.metadata);
+  const { days, slots } = toGrid(data);
+
+  const title =
+    options.title || [data.metadata.class_name, data.metadata.teacher_name, 'Timetable'].filter(Boolean).join(' - ');
+
+  const metadataHtml = entries
+    .map(([label, value]) => `<div><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</div>`)
+    .join('\n      ');
+
+  const headerCells = days.map((day) => `<th>${escapeHtml(day)}</th>`).join('');
+
+  const bodyRows = slots
+    .map((slot) => {
+      const cells = days
+        .map((day) => {
+          const blocks = slot.cells[day];
+          if (!blocks.length) {
+            return '<td class="empty"></td>';
+          }
+
+          const color = blocks.find((block) => block.color_code)?.color_code;
+          const style = color ? ` style="background:${color}"` : '';
+          const content = blocks
+            .map(
+              (block) =>
+                `<div class="subject">${escapeHtml(block.subject)}</div>` +
+                (block.room_location ? `<div class="room">${escapeHtml(block.room_location)}</div>` : '') +
+                (block.notes ? `<div class="notes">${escapeHtml(block.notes)}</div>` : '')
+            )
+            .join('');
+
+          return `<td class="${escapeHtml(blocks[0].subject_type || 'academic')}"${style}>${content}</td>`;
+        })
+        .join('');
+
+      return `<tr><th class="time">${slot.start}&ndash;${slot.end}</th>${cells}</tr>`;
+    })
+    .join('\n        ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 24px; color: #222; }
+    h1 { font-size: 20px; margin: 0 0 8px; }
+    .metadata { display: flex; gap: 24px; margin-bottom: 16px; font-size: 14px; }
+    table { border-collapse: collapse; width: 100%; table-layout: fixed; }
+    th, td { border: 1px solid #999; padding: 6px; vertical-align: top; font-size: 12px; }
+    thead th { background: #dce6f1; }
+    th.time { width: 90px; background: #f3f3f3; white-space: nowrap; }
+    td.break { background: #e8f4e8; }
+    td.administrative { background: #fdf6e3; }
+    .subject { font-weight: bold; }
+    .room, .notes { color: #555; font-size: 11px; }
+    @media print {
+      body { margin: 0; }
+      @page { size: landscape; margin: 10mm; }
+    }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="metadata">
+      ${metadataHtml}
+  </div>
+  <table>
+    <thead>
+      <tr><th class="time">Time</th>${headerCells}</tr>
+    </thead>
+    <tbody>
+        ${bodyRows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,442 @@
+import { createHash } from 'crypto';
+import { config } from '../../config/index.js';
+import { assertTimetable } from './tableLayout.js';
+import { getDayKey, getWeekLabels, isCalendarDate } from '../../schemas/timetable.js';
+
+const BYDAY = {
+  Monday: 'MO',
+  Tuesday: 'TU',
+  Wednesday: 'WE',
+  Thursday: 'TH',
+  Friday: 'FR',
+  Saturday: 'SA',
+  Sunday: 'SU',
+};
+
+// JavaScript getUTCDay() index for each day name
+const DAY_INDEX = {
+  Sunday: 0,
+  Monday: 1,
+  Tuesday: 2,
+  Wednesday: 3,
+  Thursday: 4,
+  Friday: 5,
+  Saturday: 6,
+};
+
+const DEFAULT_CYCLE_WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Export a timetable as an RFC 5545 iCalendar document.
+ * Every block becomes a weekly recurring event (RRULE:FREQ=WEEKLY), except:
+ * - week rotations: a Week B block repeats every N weeks (INTERVAL=N), starting in a Week B;
+ *   weeks count from metadata.cycle.start_date (the first week of the rotation), else from termStart
+ * - day cycles: cycle days run over the cycle's weekdays from cycle.start_date (Day 1), else termStart,
+ *   and each block lists its dates explicitly (RDATE); holidays are not skipped
+ * - dated blocks: a single event on that date
+ *
+ * @param {Object} timetable - Object matching timetableExtractionSchema
+ * @param {Object} options
+ * @param {string} [options.termStart] - First day of term (YYYY-MM-DD), defaults to today
+ * @param {string} [options.termEnd] - Last day of term (YYYY-MM-DD); open-ended when omitted
+ * @param {string} [options.timezone] - IANA time zone, defaults to config.export.timezone
+ * @param {boolean} [options.skipBreaks] - Leave out blocks with subject_type "break"
+ * @param {string} [options.calendarName] - Calendar display name
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+export function exportToICS(timetable, options = {}) {
+  const { metadata, timeblocks } = assertTimetable(timetable);
+  const timezone = options.timezone || config.export.timezone;
+  const skipBreaks = parseBoolean(options.skipBreaks);
+
+  assertTimezone(timezone);
+
+  const termStart = options.termStart || formatLocalDate(Date.now(), timezone);
+  assertDate(termStart, 'termStart');
+
+  if (options.termEnd) {
+    assertDate(options.termEnd, 'termEnd');
+
+    if (options.termEnd < termStart) {
+      throw {
+        code: 'INVALID_EXPORT_OPTIONS',
+        message: 'termEnd must not be before termStart',
+      };
+    }
+  }
+
+  const isUtc = timezone === 'UTC';
+  const dtstamp = formatUtc(Date.now());
+  const calendarName =
+    options.calendarName ||
+    [metadata.class_name, metadata.teacher_name, 'Timetable'].filter(Boolean).join(' - ');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Timetable Extractor//Timetable Export//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+  ];
+
+  if (!isUtc) {
+    lines.push(...buildTimezone(timezone, termStart, options.termEnd));
+  }
+
+  timeblocks
+    .filter((block) => !(skipBreaks && block.subject_type === 'break'))
+    .forEach((block, index) => {
+      const schedule = planSchedule(block, metadata.cycle, termStart, options.termEnd);
+
+      // A block whose first occurrence falls after the term has no events
+      if (!schedule || (options.termEnd && !block.date && schedule.firstDate > options.termEnd)) {
+        return;
+      }
+
+      lines.push(
+        ...buildEvent(block, index, { ...schedule, timezone, isUtc, dtstamp, metadata, termEnd: options.termEnd })
+      );
+    });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * When a block occurs: its first date plus either a recurrence rule or extra dates
+ * @returns {Object|null} { firstDate, rrule, extraDates }, null when it never occurs in the term
+ */
+function planSchedule(block, cycle, termStart, termEnd) {
+  if (block.date) {
+    return { firstDate: block.date, rrule: null, extraDates: [] };
+  }
+
+  if (block.cycle_day && cycle?.type === 'days') {
+    const dates = cycleDayDates(cycle, block.cycle_day, termStart, termEnd);
+    return dates.length ? { firstDate: dates[0], rrule: null, extraDates: dates.slice(1) } : null;
+  }
+
+  let firstDate = firstOccurrence(termStart, block.day);
+  const rrule = { interval: 1, byday: BYDAY[block.day] };
+
+  if (block.week && cycle?.type === 'weeks') {
+    // Move forward to the first week of the rotation that is this block's week
+    const week = getWeekLabels(cycle).indexOf(block.week);
+    const elapsed = weeksBetween(cycle.start_date || termStart, firstDate);
+    const current = ((elapsed % cycle.length) + cycle.length) % cycle.length;
+
+    firstDate = addDays(firstDate, 7 * ((week - current + cycle.length) % cycle.length));
+    rrule.interval = cycle.length;
+  }
+
+  return { firstDate, rrule, extraDates: [] };
+}
+
+/**
+ * Dates of one cycle day within the term. School days are counted from the
+ * cycle's start date (Day 1); without a term end, a year of dates is listed.
+ */
+function cycleDayDates(cycle, cycleDay, termStart, termEnd) {
+  const weekdays = new Set((cycle.weekdays || DEFAULT_CYCLE_WEEKDAYS).map((day) => DAY_INDEX[day]));
+  const first = cycle.start_date || termStart;
+  const last = termEnd || addDays(termStart, 365);
+  const dates = [];
+  let schoolDay = 0;
+
+  for (let date = first; date <= last; date = addDays(date, 1)) {
+    if (!weekdays.has(new Date(`${date}T00:00:00Z`).getUTCDay())) {
+      continue;
+    }
+
+    if ((schoolDay % cycle.length) + 1 === cycleDay && date >= termStart) {
+      dates.push(date);
+    }
+    schoolDay++;
+  }
+
+  return dates;
+}
+
+/**
+ * Build the VEVENT lines for one time block
+ */
+function buildEvent(block, index, { firstDate, rrule, extraDates, timezone, isUtc, dtstamp, metadata, termEnd }) {
+  const start = formatDateTime(firstDate, block.start_time, timezone, isUtc);
+  const end = formatDateTime(firstDate, block.end_time, timezone, isUtc);
+
+  // UNTIL must be in UTC when DTSTART carries a TZID (RFC 5545 3.3.10)
+  const until = termEnd ? `;UNTIL=${formatUtc(zonedToUtc(termEnd, '23:59', timezone) + 59 * 1000)}` : '';
+
+  const description = [
+    block.notes,
+    block.week && `Week ${block.week}`,
+    block.cycle_day && `Day ${block.cycle_day}`,
+    block.subject_type && `Type: ${block.subject_type}`,
+    metadata.teacher_name && `Teacher: ${metadata.teacher_name}`,
+    metadata.class_name && `Class: ${metadata.class_name}`,
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${blockUid(block, index)}@timetable-extractor`,
+    `DTSTAMP:${dtstamp}`,
+    `DTSTART${start}`,
+    `DTEND${end}`,
+  ];
+
+  if (rrule) {
+    const interval = rrule.interval > 1 ? `;INTERVAL=${rrule.interval}` : '';
+    lines.push(`RRULE:FREQ=WEEKLY${interval};BYDAY=${rrule.byday}${until}`);
+  }
+  if (extraDates.length) {
+    lines.push(`RDATE${formatDateList(extraDates, block.start_time, timezone, isUtc)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(block.subject)}`);
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (block.room_location) lines.push(`LOCATION:${escapeText(block.room_location)}`);
+  if (block.subject_type) lines.push(`CATEGORIES:${escapeText(block.subject_type)}`);
+  if (block.color_code) lines.push(`COLOR:${block.color_code}`);
+  if (block.subject_type === 'break') lines.push('TRANSP:TRANSPARENT');
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Build a VTIMEZONE component listing the UTC offset transitions that
+ * occur during the term (a year ahead when the term is open-ended)
+ */
+function buildTimezone(timezone, termStart, termEnd) {
+  const rangeStart = zonedToUtc(termStart, '00:00', timezone) - 7 * DAY;
+  const rangeEnd = termEnd ? zonedToUtc(termEnd, '23:59', timezone) + DAY : rangeStart + 366 * DAY;
+
+  const initialOffset = getOffsetMinutes(timezone, rangeStart);
+  const transitions = [];
+  let previous = initialOffset;
+
+  for (let t = rangeStart + DAY; t <= rangeEnd + DAY; t += DAY) {
+    const offset = getOffsetMinutes(timezone, t);
+    if (offset !== previous) {
+      transitions.push({ at: findTransition(timezone, t - DAY, t), from: previous, to: offset });
+      previous = offset;
+    }
+  }
+
+  const standardOffset = Math.min(initialOffset, ...transitions.map((tr) => tr.to));
+
+  const observance = (from, to, localStart) => {
+    const type = to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+    return [
+      `BEGIN:${type}`,
+      `DTSTART:${localStart}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `END:${type}`,
+    ];
+  };
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+  lines.push(...observance(initialOffset, initialOffset, formatLocal(rangeStart, initialOffset)));
+
+  for (const tr of transitions) {
+    // Observance DTSTART is the local time just before the change, in the old offset
+    lines.push(...observance(tr.from, tr.to, formatLocal(tr.at, tr.from)));
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Binary search for the minute at which the zone offset changes
+ * @returns {number} UTC timestamp of the transition
+ */
+function findTransition(timezone, low, high) {
+  const lowOffset = getOffsetMinutes(timezone, low);
+
+  while (high - low > MINUTE) {
+    const mid = low + Math.floor((high - low) / 2 / MINUTE) * MINUTE;
+    if (getOffsetMinutes(timezone, mid) === lowOffset) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return high;
+}
+
+/**
+ * UTC offset of a time zone at a given instant, in minutes
+ */
+function getOffsetMinutes(timezone, timestamp) {
+  const part = new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'longOffset' })
+    .formatToParts(new Date(timestamp))
+    .find((p) => p.type === 'timeZoneName').value;
+
+  const match = /GMT([+-])(\d{2}):(\d{2})/.exec(part);
+  if (!match) {
+    return 0;
+  }
+
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Convert a wall-clock date/time in a time zone to a UTC timestamp
+ */
+function zonedToUtc(date, time, timezone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Two passes settle the offset around DST changes
+  let utc = guess - getOffsetMinutes(timezone, guess) * MINUTE;
+  utc = guess - getOffsetMinutes(timezone, utc) * MINUTE;
+  return utc;
+}
+
+/**
+ * First date on or after `startDate` that falls on `dayName`
+ */
+function firstOccurrence(startDate, dayName) {
+  const [year, month, day] = startDate.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const delta = (DAY_INDEX[dayName] - date.getUTCDay() + 7) % 7;
+  date.setUTCDate(date.getUTCDate() + delta);
+  return date.toISOString().slice(0, 10);
+}
+
+function formatDateTime(date, time, timezone, isUtc) {
+  if (isUtc) {
+    return `:${formatUtc(zonedToUtc(date, time, 'UTC'))}`;
+  }
+
+  const [hour, minute] = time.split(':');
+  return `;TZID=${timezone}:${date.replace(/-/g, '')}T${hour.padStart(2, '0')}${minute}00`;
+}
+
+/**
+ * Comma-separated date-times sharing one TZID (RDATE value list)
+ */
+function formatDateList(dates, time, timezone, isUtc) {
+  const values = dates.map((date) => formatDateTime(date, time, timezone, isUtc).split(':').pop());
+  return `${isUtc ? '' : `;TZID=${timezone}`}:${values.join(',')}`;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Whole weeks between the Monday-based weeks containing two dates
+ */
+function weeksBetween(from, to) {
+  const monday = (date) => addDays(date, -((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7));
+  return Math.round((Date.parse(monday(to)) - Date.parse(monday(from))) / (7 * DAY));
+}
+
+function formatUtc(timestamp) {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatLocal(timestamp, offsetMinutes) {
+  return formatUtc(timestamp + offsetMinutes * MINUTE).replace('Z', '');
+}
+
+function formatLocalDate(timestamp, timezone) {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(new Date(timestamp));
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Stable UID so re-exporting the same timetable updates events instead of duplicating them
+ */
+function blockUid(block, index) {
+  return createHash('sha1')
+    .update([block.id ?? index, getDayKey(block), block.start_time, block.end_time, block.subject].join('|'))
+    .digest('hex')
+    .slice(0, 20);
+}
+
+/**
+ * Escape TEXT values (RFC 5545 3.3.11)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold lines longer than 75 octets (RFC 5545 3.1)
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let limit = 75;
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = 74; // continuation lines start with a space
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function assertTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw {
+      code: 'INVALID_EXPORT_OPTIONS',
+      message: `Unknown time zone "${timezone}". Use an IANA name such as Europe/London`,
+    };
+  }
+}
+
+function assertDate(value, name) {
+  if (!isCalendarDate(value)) {
+    throw {
+      code: 'INVALID_EXPORT_OPTIONS',
+      message: `${name} must be a date in YYYY-MM-DD format`,
+    };
+  }
+}
+
+function parseBoolean(value) {
+  return value === true || value === 'true' || value === '1';
+}
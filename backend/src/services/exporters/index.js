@@ -0,0 +1,56 @@
+import { exportToICS } from './icsExporter.js';
+import { exportToCSV } from './csvExporter.js';
+import { exportToXLSX } from './xlsxExporter.js';
+import { exportToHTML } from './htmlExporter.js';
+
+// Export formats: content type, file extension and export function
+const exporters = {
+  ics: {
+    contentType: 'text/calendar; charset=utf-8',
+    extension: 'ics',
+    export: exportToICS,
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    export: exportToCSV,
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    export: exportToXLSX,
+  },
+  html: {
+    contentType: 'text/html; charset=utf-8',
+    extension: 'html',
+    export: exportToHTML,
+  },
+};
+
+/**
+ * List supported export format names
+ * @returns {string[]}
+ */
+export function listFormats() {
+  return Object.keys(exporters);
+}
+
+/**
+ * Get an exporter by format name
+ * @param {string} format - Format name (ics, csv, xlsx, html)
+ * @returns {Object} { contentType, extension, export }
+ */
+export function getExporter(format) {
+  const exporter = exporters[(format || '').toLowerCase()];
+
+  if (!exporter) {
+    throw {
+      code: 'UNSUPPORTED_EXPORT_FORMAT',
+      message: `Export format "${format}" is not supported. Supported formats: ${listFormats().join(', ')}`,
+    };
+  }
+
+  return exporter;
+}
+
+export { exportToICS, exportToCSV, exportToXLSX, exportToHTML };
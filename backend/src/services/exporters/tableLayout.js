@@ -0,0 +1,196 @@
+import { validateTimetable, validateCycle, enrichTimeBlocks, getDayKey, getWeekLabels, DAYS } from '../../schemas/timetable.js';
+
+export const DAY_ORDER = DAYS;
+
+// Columns of the one-row-per-block layout
+export const ROW_COLUMNS = [
+  { key: 'day', header: 'Day' },
+  { key: 'start_time', header: 'Start' },
+  { key: 'end_time', header: 'End' },
+  { key: 'duration_minutes', header: 'Duration (min)' },
+  { key: 'subject', header: 'Subject' },
+  { key: 'subject_type', header: 'Type' },
+  { key: 'room_location', header: 'Room' },
+  { key: 'notes', header: 'Notes' },
+  { key: 'confidence', header: 'Confidence' },
+];
+
+// Extra columns, added after "Day" only when a block uses them
+const CYCLE_COLUMNS = [
+  { key: 'week', header: 'Week' },
+  { key: 'cycle_day', header: 'Cycle day' },
+  { key: 'date', header: 'Date' },
+];
+
+/**
+ * Row layout columns for a timetable: ROW_COLUMNS plus week, cycle day and date when used
+ * @param {Object} timetable - Validated timetable
+ * @returns {Array<Object>} [{ key, header }]
+ */
+export function rowColumns(timetable) {
+  const used = CYCLE_COLUMNS.filter((column) => timetable.timeblocks.some((block) => block[column.key]));
+  return [ROW_COLUMNS[0], ...used, ...ROW_COLUMNS.slice(1)];
+}
+
+/**
+ * Validate a timetable against the extraction schema and its cycle, throwing INVALID_TIMETABLE
+ * @param {Object} timetable - Candidate timetable
+ * @returns {Object} Parsed timetable (schema defaults applied)
+ */
+export function assertTimetable(timetable) {
+  const validation = validateTimetable(timetable);
+
+  if (!validation.success) {
+    throw {
+      code: 'INVALID_TIMETABLE',
+      message: 'Timetable does not match the extraction schema',
+      details: validation.error.errors.map((err) => ({ path: err.path.join('.'), message: err.message })),
+    };
+  }
+
+  const cycleErrors = validateCycle(validation.data.metadata, validation.data.timeblocks);
+
+  if (cycleErrors.length > 0) {
+    throw {
+      code: 'INVALID_TIMETABLE',
+      message: 'Timetable blocks do not match its cycle',
+      details: cycleErrors.map((e) => ({ block: e.block.subject, message: e.error })),
+    };
+  }
+
+  // Dated blocks may leave their weekday out
+  return { ...validation.data, timeblocks: enrichTimeBlocks(validation.data.timeblocks) };
+}
+
+/**
+ * Metadata as [label, value] pairs for export headers
+ * @param {Object} metadata - Timetable metadata
+ * @returns {Array<Array<string>>}
+ */
+export function metadataEntries(metadata) {
+  return [
+    ['Teacher', metadata.teacher_name],
+    ['Class', metadata.class_name],
+    ['Term', metadata.term],
+    ['School', metadata.school_name],
+    ['Cycle', describeCycle(metadata.cycle)],
+  ].filter(([, value]) => value);
+}
+
+/**
+ * Human-readable cycle, e.g. "2-week rotation (Week A, Week B)" or "10-day cycle"
+ * @param {Object|null} cycle - metadata.cycle
+ * @returns {string|null}
+ */
+export function describeCycle(cycle) {
+  if (cycle?.type === 'weeks') {
+    return `${cycle.length}-week rotation (${getWeekLabels(cycle).map((label) => `Week ${label}`).join(', ')})`;
+  }
+  if (cycle?.type === 'days') {
+    return `${cycle.length}-day cycle`;
+  }
+  return null;
+}
+
+/**
+ * Convert "H:MM" to minutes for sorting
+ */
+export function toMinutes(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Zero-pad a time for display ("9:00" -> "09:00")
+ */
+export function padTime(time) {
+  const [hour, minute] = time.split(':');
+  return `${hour.padStart(2, '0')}:${minute}`;
+}
+
+/**
+ * One row per time block, sorted by day then start time
+ * @param {Object} timetable - Validated timetable
+ * @returns {Array<Object>} Row objects keyed by rowColumns keys
+ */
+export function toRows(timetable) {
+  const compareDays = dayComparator(timetable.metadata.cycle);
+
+  return [...timetable.timeblocks]
+    .sort((a, b) => compareDays(a, b) || toMinutes(a.start_time) - toMinutes(b.start_time))
+    .map((block) => ({
+      ...block,
+      start_time: padTime(block.start_time),
+      end_time: padTime(block.end_time),
+      duration_minutes: block.duration_minutes ?? toMinutes(block.end_time) - toMinutes(block.start_time),
+    }));
+}
+
+/**
+ * Pivot blocks into a day-by-time grid like the original timetable.
+ * Rows are the distinct time slots across all days; a cell lists every
+ * block of that day occupying that exact slot. Columns are weekdays, or
+ * "Week A Monday", "Day 3" and dates for rotations and dated blocks
+ * (a block without a week in a week rotation appears under every week).
+ * @param {Object} timetable - Validated timetable
+ * @returns {Object} { days: string[], slots: [{ start, end, cells: { [day]: block[] } }] }
+ */
+export function toGrid(timetable) {
+  const { cycle } = timetable.metadata;
+  const weekLabels = cycle?.type === 'weeks' ? getWeekLabels(cycle) : null;
+
+  const placements = timetable.timeblocks.flatMap((block) =>
+    weekLabels && !block.week && !block.cycle_day && !block.date
+      ? weekLabels.map((week) => ({ position: { ...block, week }, block }))
+      : [{ position: block, block }]
+  );
+
+  const columns = new Map();
+  for (const { position } of placements) {
+    columns.set(getDayKey(position), position);
+  }
+  const compareDays = dayComparator(cycle);
+  const days = [...columns.keys()].sort((a, b) => compareDays(columns.get(a), columns.get(b)));
+
+  const slotMap = new Map();
+
+  for (const { position, block } of placements) {
+    const start = padTime(block.start_time);
+    const end = padTime(block.end_time);
+    const key = `${start}-${end}`;
+
+    if (!slotMap.has(key)) {
+      slotMap.set(key, { start, end, cells: Object.fromEntries(days.map((day) => [day, []])) });
+    }
+
+    slotMap.get(key).cells[getDayKey(position)].push(block);
+  }
+
+  const slots = [...slotMap.values()].sort(
+    (a, b) => toMinutes(a.start) - toMinutes(b.start) || toMinutes(a.end) - toMinutes(b.end)
+  );
+
+  return { days, slots };
+}
+
+/**
+ * Order blocks by their place in the cycle: weekdays (by week of a rotation), then cycle days, then dates
+ */
+function dayComparator(cycle) {
+  const weekLabels = cycle?.type === 'weeks' ? getWeekLabels(cycle) : [];
+
+  const position = (block) => {
+    if (block.date) return [2, block.date];
+    if (block.cycle_day) return [1, block.cycle_day];
+    return [0, weekLabels.indexOf(block.week) * DAY_ORDER.length + DAY_ORDER.indexOf(block.day)];
+  };
+
+  return (a, b) => {
+    const [groupA, valueA] = position(a);
+    const [groupB, valueB] = position(b);
+
+    if (groupA !== groupB) return groupA - groupB;
+    if (typeof valueA === 'string') return valueA.localeCompare(valueB);
+    return valueA - valueB;
+  };
+}
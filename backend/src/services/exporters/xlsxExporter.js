@@ -0,0 +1,91 @@
+import ExcelJS from 'exceljs';
+import { assertTimetable, metadataEntries, toRows, toGrid, rowColumns } from './tableLayout.js';
+
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFDCE6F1' } };
+
+/**
+ * Export a timetable as an Excel workbook with two sheets:
+ * "Timeblocks" (one row per block) and "Grid" (day-by-time pivot)
+ *
+ * @param {Object} timetable - Object matching timetableExtractionSchema
+ * @returns {Promise<Buffer>} XLSX file contents
+ */
+export async function exportToXLSX(timetable) {
+  const data = assertTimetable(timetable);
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Timetable Extractor';
+  workbook.created = new Date();
+
+  const entries = metadataEntries(data.metadata);
+
+  // Sheet 1: one row per block
+  const rowsSheet = workbook.addWorksheet('Timeblocks');
+  writeMetadata(rowsSheet, entries);
+
+  const columns = rowColumns(data);
+  const headerRow = rowsSheet.addRow(columns.map((column) => column.header));
+  styleHeader(headerRow);
+
+  for (const row of toRows(data)) {
+    rowsSheet.addRow(columns.map((column) => row[column.key] ?? null));
+  }
+
+  columns.forEach((column, index) => {
+    rowsSheet.getColumn(index + 1).width = column.key === 'subject' || column.key === 'notes' ? 40 : 14;
+  });
+  rowsSheet.views = [{ state: 'frozen', ySplit: headerRow.number }];
+
+  // Sheet 2: pivoted grid
+  const gridSheet = workbook.addWorksheet('Grid');
+  writeMetadata(gridSheet, entries);
+
+  const { days, slots } = toGrid(data);
+  const gridHeader = gridSheet.addRow(['Time', ...days]);
+  styleHeader(gridHeader);
+
+  for (const slot of slots) {
+    const row = gridSheet.addRow([
+      `${slot.start}-${slot.end}`,
+      ...days.map((day) => slot.cells[day].map((block) => block.subject).join(' / ')),
+    ]);
+
+    days.forEach((day, index) => {
+      const color = slot.cells[day].find((block) => block.color_code)?.color_code;
+      if (color) {
+        row.getCell(index + 2).fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: `FF${color.slice(1).toUpperCase()}` },
+        };
+      }
+    });
+
+    row.alignment = { wrapText: true, vertical: 'middle' };
+  }
+
+  gridSheet.getColumn(1).width = 14;
+  days.forEach((_, index) => {
+    gridSheet.getColumn(index + 2).width = 24;
+  });
+  gridSheet.views = [{ state: 'frozen', xSplit: 1, ySplit: gridHeader.number }];
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function writeMetadata(sheet, entries) {
+  if (!entries.length) {
+    return;
+  }
+
+  for (const entry of entries) {
+    sheet.addRow(entry).getCell(1).font = { bold: true };
+  }
+  sheet.addRow([]);
+}
+
+function styleHeader(row) {
+  row.font = { bold: true };
+  row.eachCell((cell) => {
+    cell.fill = HEADER_FILL;
+  });
+}
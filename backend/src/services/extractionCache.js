@@ -0,0 +1,85 @@
+import { createHash } from 'crypto';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import { getCacheStore } from './cacheStores/index.js';
+
+/**
+ * Build a cache key from the file contents and every setting that affects the result
+ * @param {Buffer} fileBuffer - Uploaded file
+ * @param {string} mimetype - File MIME type
+ * @param {Object} settings - Extraction settings (prompt version, provider, model, ...)
+ * @returns {string} Hex SHA-256 digest
+ */
+export function buildCacheKey(fileBuffer, mimetype, settings) {
+  return createHash('sha256')
+    .update(fileBuffer)
+    .update('\0')
+    .update(
+      JSON.stringify({
+        mimetype,
+        ...settings,
+        enableOCR: config.enableOCR,
+        enableLLMVision: config.enableLLMVision,
+        pdf: config.pdf,
+        // Cropping, deskewing, tiling and the OCR threshold change what the model sees
+        image: config.image,
+      })
+    )
+    .digest('hex');
+}
+
+/**
+ * Look up a cached extraction result. Cache failures are logged and treated as misses.
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>}
+ */
+export async function getCachedResult(key) {
+  if (!config.cache.enabled) {
+    return null;
+  }
+
+  try {
+    return await getCacheStore().get(key);
+  } catch (error) {
+    logger.warn('Cache read failed', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Store a successful extraction result
+ * @param {string} key - Cache key
+ * @param {Object} result - Processing result
+ */
+export async function setCachedResult(key, result) {
+  if (!config.cache.enabled) {
+    return;
+  }
+
+  try {
+    await getCacheStore().set(key, { ...result, cachedAt: new Date().toISOString() }, config.cache.ttlSeconds * 1000);
+  } catch (error) {
+    logger.warn('Cache write failed', { error: error.message });
+  }
+}
+
+/**
+ * Translate a Cache-Control request header into cache options.
+ * "no-cache" skips the lookup but still stores the fresh result;
+ * "no-store" skips both.
+ * @param {string} [header] - Cache-Control header value
+ * @returns {Object} { read, write }
+ */
+export function parseCacheControl(header) {
+  const directives = (header || '')
+    .toLowerCase()
+    .split(',')
+    .map((d) => d.trim());
+
+  const noStore = directives.includes('no-store');
+
+  return {
+    read: !noStore && !directives.includes('no-cache'),
+    write: !noStore,
+  };
+}
@@ -0,0 +1,242 @@
+import sharp from 'sharp';
+import logger from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { DOCX_TYPE, XLSX_TYPE } from './officeProcessor.js';
+
+/**
+ * Content-based checks on files, run before any processor sees them:
+ * - the file type of an upload is detected from its magic bytes rather than taken from the client
+ * - images are checked for their decoded size, PDFs for page count and encryption, whichever way
+ *   the file arrived (upload, job or benchmark)
+ *
+ * Errors are thrown as { code, message, details } like the processors' errors.
+ */
+
+// Declared types that say nothing about the content (curl and some browsers send these)
+export const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+// Non-standard names clients use for supported types; HEIC and HEIF go through the same conversion
+const TYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/x-png': 'image/png',
+  'image/heif': 'image/heic',
+  'image/x-tiff': 'image/tiff',
+  'application/x-pdf': 'application/pdf',
+};
+
+// ISO base media brands (HEIF container) that hold HEVC-coded images
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'hevm', 'hevs'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+// Compound File Binary: legacy .doc/.xls, and Office files saved with a password
+const CFB_TYPE = 'application/x-cfb';
+
+// Extra advice for detected types that are commonly uploaded but not supported
+const UNSUPPORTED_HINTS = {
+  [CFB_TYPE]:
+    'Legacy .doc/.xls files and password-protected Office files are not supported. Save the file as DOCX or XLSX without a password.',
+  'application/zip': 'ZIP archives are not supported. Upload the timetable files themselves.',
+};
+
+/**
+ * Check an uploaded file by its content and return its real type
+ * @param {Buffer} buffer - File contents
+ * @param {string} declaredType - MIME type sent by the client
+ * @returns {Promise<Object>} { mimeType, declaredType, corrected }; corrected is true when the declared type was wrong
+ * @throws {Object} UNSUPPORTED_FILE_TYPE, or FILE_TYPE_MISMATCH (with STRICT_FILE_TYPES)
+ */
+export async function inspectFile(buffer, declaredType) {
+  const mimeType = detectFileType(buffer);
+  const allowed = config.allowedFileTypes.map(canonicalType);
+
+  if (!mimeType || !allowed.includes(canonicalType(mimeType))) {
+    throw {
+      code: 'UNSUPPORTED_FILE_TYPE',
+      message: mimeType
+        ? `File content is ${mimeType}, which is not supported`
+        : 'File content is not a recognised image, PDF or Office document',
+      details: UNSUPPORTED_HINTS[mimeType] || `Supported types: ${config.allowedFileTypes.join(', ')}`,
+    };
+  }
+
+  const declared = canonicalType(declaredType);
+  const corrected = !GENERIC_TYPES.includes(declared) && declared !== canonicalType(mimeType);
+
+  if (corrected) {
+    logger.warn('Declared file type does not match the content', { declaredType, detectedType: mimeType });
+
+    if (config.strictFileTypes) {
+      throw {
+        code: 'FILE_TYPE_MISMATCH',
+        message: `File was sent as ${declaredType} but its content is ${mimeType}`,
+        details: 'Give the file the extension of its real format, or save it again in the format it claims to be.',
+      };
+    }
+  }
+
+  return { mimeType, declaredType, corrected };
+}
+
+/**
+ * Check a file against the size limits before it is extracted
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - Detected MIME type
+ * @returns {Promise<void>}
+ * @throws {Object} IMAGE_TOO_LARGE, PDF_TOO_MANY_PAGES or PDF_ENCRYPTED
+ */
+export async function checkFileLimits(buffer, mimeType) {
+  if (mimeType === 'application/pdf') {
+    await checkPDF(buffer);
+  } else if (mimeType.startsWith('image/')) {
+    await checkImageSize(buffer);
+  }
+}
+
+/**
+ * Detect a file's type from its leading bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type, or null when the format is not recognised
+ */
+export function detectFileType(buffer) {
+  const matches = (signature, offset = 0) =>
+    buffer.length >= offset + signature.length &&
+    buffer.subarray(offset, offset + signature.length).equals(Buffer.from(signature, 'latin1'));
+
+  if (matches('\x89PNG\r\n\x1a\n')) return 'image/png';
+  if (matches('\xff\xd8\xff')) return 'image/jpeg';
+  if (matches('RIFF') && matches('WEBP', 8)) return 'image/webp';
+  // Little- and big-endian TIFF, and BigTIFF
+  if (['II*\0', 'MM\0*', 'II+\0', 'MM\0+'].some((signature) => matches(signature))) return 'image/tiff';
+  if (matches('ftyp', 4)) return detectHeifType(buffer);
+  if (matches('GIF87a') || matches('GIF89a')) return 'image/gif';
+  if (matches('BM')) return 'image/bmp';
+  if (matches('PK\x03\x04')) return detectZipType(buffer);
+  if (matches('\xd0\xcf\x11\xe0\xa1\xb1\x1a\xe1')) return CFB_TYPE;
+  // Readers accept a PDF header anywhere in the first kilobyte, but then any file that merely
+  // quotes one (an HTML page, a mail message) would count as a PDF. Only offset 0 is accepted.
+  if (matches('%PDF-')) return 'application/pdf';
+
+  return null;
+}
+
+/**
+ * Map a declared MIME type onto the name used for it in allowedFileTypes
+ * @param {string} mimeType - Declared or detected MIME type
+ * @returns {string}
+ */
+export function canonicalType(mimeType) {
+  const type = (mimeType || '').toLowerCase().split(';')[0].trim();
+  return TYPE_ALIASES[type] || type;
+}
+
+/**
+ * Type of an ISO base media file from its ftyp box: HEIC, HEIF or AVIF images (videos are not recognised)
+ */
+function detectHeifType(buffer) {
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [buffer.toString('latin1', 8, 12)];
+
+  // Compatible brands follow the major brand and minor version
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(buffer.toString('latin1', offset, offset + 4));
+  }
+
+  if (brands.some((brand) => HEIC_BRANDS.includes(brand))) return 'image/heic';
+  if (brands.some((brand) => AVIF_BRANDS.includes(brand))) return 'image/avif';
+  if (brands.some((brand) => ['mif1', 'msf1'].includes(brand))) return 'image/heif';
+
+  return null;
+}
+
+/**
+ * Type of a ZIP file from the names of its entries, which are stored uncompressed
+ */
+function detectZipType(buffer) {
+  if (buffer.includes('word/document.xml')) return DOCX_TYPE;
+  if (buffer.includes('xl/workbook.xml')) return XLSX_TYPE;
+
+  return 'application/zip';
+}
+
+/**
+ * Reject images whose decoded size exceeds config.image.maxPixels. Only the header is read;
+ * images sharp can't read at all are left for the image processors to report.
+ */
+async function checkImageSize(buffer) {
+  let metadata;
+
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    logger.debug('Could not read image header during inspection', { error: error.message });
+    return;
+  }
+
+  const pixels = (metadata.width || 0) * (metadata.height || 0);
+
+  if (pixels > config.image.maxPixels) {
+    const megapixels = (value) => Math.round(value / 1e5) / 10;
+
+    throw {
+      code: 'IMAGE_TOO_LARGE',
+      message: `Image is ${metadata.width} x ${metadata.height} pixels (${megapixels(pixels)} megapixels); the limit is ${megapixels(config.image.maxPixels)} megapixels`,
+      details: 'Scale the image down, or scan the timetable at a lower resolution.',
+    };
+  }
+}
+
+/**
+ * Reject encrypted PDFs, or PDFs with more than config.pdf.maxPages pages. A PDF counts as encrypted
+ * when it has an /Encrypt dictionary, including one protected only against printing or copying,
+ * which opens without a password. Damaged files are left for the PDF processor, which tries harder
+ * to read them.
+ */
+async function checkPDF(buffer) {
+  // Dynamic import to avoid initialization issues in serverless
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  let pdf;
+
+  try {
+    pdf = await getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      disableFontFace: true,
+      verbosity: 0,
+    }).promise;
+  } catch (error) {
+    if (error.name === 'PasswordException') {
+      throw {
+        code: 'PDF_ENCRYPTED',
+        message: 'The PDF is password-protected',
+        details: 'Remove the password (e.g. print it to a new PDF) and upload it again.',
+      };
+    }
+
+    logger.debug('Could not open PDF during inspection', { error: error.message });
+    return;
+  }
+
+  try {
+    // Set from the trailer's /Encrypt dictionary, whichever password opened the file
+    const { info } = await pdf.getMetadata();
+
+    if (info.EncryptFilterName) {
+      throw {
+        code: 'PDF_ENCRYPTED',
+        message: 'The PDF is encrypted',
+        details: 'Remove the protection (e.g. print it to a new PDF) and upload it again.',
+      };
+    }
+
+    if (pdf.numPages > config.pdf.maxPages) {
+      throw {
+        code: 'PDF_TOO_MANY_PAGES',
+        message: `The PDF has ${pdf.numPages} pages; at most ${config.pdf.maxPages} are accepted`,
+        details: 'Upload only the pages with the timetable.',
+      };
+    }
+  } finally {
+    await pdf.destroy();
+  }
+}
@@ -1,7 +1,29 @@
+import { randomUUID } from 'crypto';
 import logger from '../utils/logger.js';
 import * as imageProcessor from './imageProcessor.js';
 import * as pdfProcessor from './pdfProcessor.js';
-import { validateTimetable, validateTimeRanges, enrichTimeBlocks } from '../schemas/timetable.js';
+import { processConvertedImage, CONVERTED_IMAGE_TYPES } from './imageFormatProcessor.js';
+import { processOfficeDocument, OFFICE_TYPES } from './officeProcessor.js';
+import * as llmService from './llmService.js';
+import { mergeExtractions } from './timetableMerger.js';
+import * as extractionCache from './extractionCache.js';
+import { verifyExtraction, getVerificationMode } from './verificationService.js';
+import { selectPromptVersion } from './prompts/index.js';
+import { resolveVocabulary, normalizeTimeblocks } from './vocabularyService.js';
+import { analyzeTimetable } from './timetableAnalyzer.js';
+import { isProviderOutage } from './llmResilience.js';
+import { checkFileLimits } from './fileInspector.js';
+import { reportProgress } from '../utils/progress.js';
+import {
+  validateTimetable,
+  validateTimeRanges,
+  validateCycle,
+  inferCycle,
+  enrichTimeBlocks,
+} from '../schemas/timetable.js';
+
+// Every MIME type a processor exists for (config.allowedFileTypes decides which uploads are accepted)
+const SUPPORTED_TYPES = ['image/png', 'image/jpeg', ...CONVERTED_IMAGE_TYPES, 'application/pdf', ...OFFICE_TYPES];
 
 /**
  * Main file processing orchestrator
@@ -9,31 +31,67 @@ import { validateTimetable, validateTimeRanges, enrichTimeBlocks } from '../sche
  * @param {Buffer} fileBuffer - File buffer
  * @param {string} mimetype - File MIME type
  * @param {string} filename - Original filename
+ * @param {Object} options - Per-request LLM overrides { provider, model, promptVersion }, tenant (vocabulary),
+ *                           apiKeyId (usage accounting), optional onProgress callback and
+ *                           cache: { read, write } (both default to true)
  * @returns {Promise<Object>} Processing result
  */
-export async function processFile(fileBuffer, mimetype, filename) {
-  logger.info('Starting file processing', { mimetype, filename, size: fileBuffer.length });
+export async function processFile(fileBuffer, mimetype, filename, options = {}) {
+  logger.info('Starting file processing', { mimetype, filename, size: fileBuffer.length, provider: options.provider });
 
   const startTime = Date.now();
 
   try {
-    let result;
-
-    // Route to appropriate processor
-    if (mimetype.startsWith('image/')) {
-      result = await imageProcessor.processImage(fileBuffer, mimetype);
-    } else if (mimetype === 'application/pdf') {
-      result = await pdfProcessor.processPDF(fileBuffer);
-    } else {
-      throw {
-        code: 'UNSUPPORTED_FILE_TYPE',
-        message: `File type ${mimetype} is not supported`,
-        details: 'Supported types: image/png, image/jpeg, application/pdf',
-      };
+    // Here rather than in the upload middleware, so jobs and the benchmark are limited too
+    await checkFileLimits(fileBuffer, mimetype);
+
+    // Fail fast on an unknown provider, disallowed model or unknown prompt version; pick the A/B prompt once per request.
+    // extractionId ties this extraction's LLM calls together in the usage records.
+    const llmOptions = {
+      ...options,
+      extractionId: randomUUID(),
+      provider: llmService.resolveProviderName(options.provider),
+      model: llmService.resolveModel(options.provider, options.model),
+      promptVersion: selectPromptVersion(options.promptVersion),
+      vocabulary: await resolveVocabulary(options.tenant),
+    };
+
+    // Identical file + prompt/model/settings -> reuse the previous result
+    const cacheOptions = { read: true, write: true, ...options.cache };
+    const cacheKey = extractionCache.buildCacheKey(fileBuffer, mimetype, {
+      ...llmService.getExtractionSettings(llmOptions),
+      verification: getVerificationMode(),
+    });
+
+    if (cacheOptions.read) {
+      const cached = await extractionCache.getCachedResult(cacheKey);
+
+      if (cached) {
+        logger.info('Returning cached extraction result', { filename, cachedAt: cached.cachedAt });
+
+        return {
+          success: true,
+          data: cached.data,
+          metadata: {
+            ...cached.metadata,
+            filename,
+            tenant: options.tenant || null,
+            extractionId: llmOptions.extractionId,
+            // Re-run so results cached before a rule or threshold change stay current
+            analysis: analyzeTimetable(cached.data),
+            cacheHit: true,
+            cachedAt: cached.cachedAt,
+          },
+          processingTime: Date.now() - startTime,
+        };
+      }
     }
 
+    const result = await extractFile(fileBuffer, mimetype, filename, llmOptions);
+
     // Validate extracted data
-    const validation = await validateExtraction(result.data);
+    reportProgress(options, 'validation', { message: 'Validating extracted data' });
+    const validation = await validateExtraction(result.data, result.metadata?.timeCorrections);
 
     if (!validation.isValid) {
       logger.error('Validation failed', { errors: validation.errors });
@@ -45,6 +103,8 @@ export async function processFile(fileBuffer, mimetype, filename) {
           code: 'VALIDATION_FAILED',
           message: 'Extracted data failed validation',
           details: validation.errors,
+          // Attempts to get a schema-conforming reply from the model before giving up
+          repairs: result.metadata?.repairs || [],
         },
         partialData: result.data,
         extractionMethod: result.extractionMethod,
@@ -52,27 +112,52 @@ export async function processFile(fileBuffer, mimetype, filename) {
       };
     }
 
+    // Re-check low-confidence blocks and compute per-block confidence
+    reportProgress(options, 'verification', { message: 'Verifying extracted data' });
+    const verification = await verifyExtraction(validation.enrichedData, result.source, {
+      ...llmOptions,
+      extractionMethod: result.extractionMethod,
+    });
+
+    // After verification, so a re-asked block can't bring back the school's own name
+    const normalization = normalizeTimeblocks(verification.data.timeblocks, llmOptions.vocabulary);
+
+    const data = { ...verification.data, timeblocks: normalization.timeblocks };
     const totalTime = Date.now() - startTime;
 
     logger.info('File processing completed successfully', {
       extractionMethod: result.extractionMethod,
-      timeblocks: result.data.timeblocks.length,
-      confidence: result.data.metadata.extraction_confidence,
+      timeblocks: verification.data.timeblocks.length,
+      confidence: verification.data.metadata.extraction_confidence,
       totalTime,
     });
 
-    return {
+    const response = {
       success: true,
-      data: validation.enrichedData,
+      data,
       metadata: {
         ...result.metadata,
         extractionMethod: result.extractionMethod,
+        // The rule-based parser uses no prompt
+        promptVersion: result.metadata?.promptVersion ?? null,
         filename,
+        tenant: options.tenant || null,
+        extractionId: llmOptions.extractionId,
         fileType: mimetype,
         validationWarnings: validation.warnings,
+        verification: verification.report,
+        vocabulary: describeVocabulary(llmOptions.vocabulary, normalization),
+        analysis: analyzeTimetable(data),
+        cacheHit: false,
       },
       processingTime: totalTime,
     };
+
+    if (cacheOptions.write) {
+      await extractionCache.setCachedResult(cacheKey, response);
+    }
+
+    return response;
   } catch (error) {
     const totalTime = Date.now() - startTime;
 
@@ -96,12 +181,236 @@ export async function processFile(fileBuffer, mimetype, filename) {
   }
 }
 
+/**
+ * Process several files (or pages of one timetable) and merge them into a single timetable
+ * @param {Array<Object>} files - [{ buffer, mimetype, originalname }]
+ * @param {Object} options - Per-request LLM overrides { provider, model, promptVersion }, tenant (vocabulary),
+ *                           apiKeyId (usage accounting) and optional onProgress callback
+ * @returns {Promise<Object>} Processing result
+ */
+export async function processFiles(files, options = {}) {
+  logger.info('Starting multi-file processing', {
+    files: files.map((f) => ({ filename: f.originalname, mimetype: f.mimetype, size: f.buffer.length })),
+  });
+
+  const startTime = Date.now();
+
+  try {
+    const llmOptions = {
+      ...options,
+      extractionId: randomUUID(),
+      provider: llmService.resolveProviderName(options.provider),
+      model: llmService.resolveModel(options.provider, options.model),
+      promptVersion: selectPromptVersion(options.promptVersion),
+      vocabulary: await resolveVocabulary(options.tenant),
+    };
+
+    // Every file first, so one over the limits fails the batch before any LLM call
+    for (const file of files) {
+      await checkFileLimits(file.buffer, file.mimetype).catch((error) => {
+        throw { ...error, message: `${file.originalname}: ${error.message}` };
+      });
+    }
+
+    const fileResults = [];
+    const fileErrors = [];
+
+    // Sequential on purpose: keeps memory flat and avoids LLM rate limits
+    for (const [index, file] of files.entries()) {
+      // File-level progress replaces each processor's own stages
+      const fileOptions = {
+        ...llmOptions,
+        onProgress: ({ message }) =>
+          reportProgress(options, 'extraction', {
+            message: `${file.originalname}: ${message}`,
+            current: index,
+            total: files.length,
+          }),
+      };
+
+      try {
+        const result = await extractFile(file.buffer, file.mimetype, file.originalname, fileOptions);
+
+        if (!result.success || !result.data) {
+          throw result.error || new Error('No timetable data extracted');
+        }
+
+        fileResults.push({ filename: file.originalname, ...result });
+      } catch (fileError) {
+        if (isProviderOutage(fileError)) {
+          throw fileError;
+        }
+
+        logger.warn('Failed to extract file in batch', {
+          filename: file.originalname,
+          error: fileError.message || fileError,
+        });
+        fileErrors.push({
+          filename: file.originalname,
+          code: fileError.code || 'PROCESSING_FAILED',
+          message: fileError.message,
+        });
+      }
+    }
+
+    if (fileResults.length === 0) {
+      throw {
+        code: 'PROCESSING_FAILED',
+        message: 'Could not extract a timetable from any of the uploaded files',
+        details: fileErrors,
+      };
+    }
+
+    const merged = mergeExtractions(
+      fileResults.map((r) => ({ data: r.data, source: { file: r.filename, page: 1 } }))
+    );
+    const timeCorrections = fileResults.flatMap((r) =>
+      (r.metadata?.timeCorrections || []).map((correction) => ({ ...correction, file: r.filename }))
+    );
+    const repairs = fileResults.flatMap((r) =>
+      (r.metadata?.repairs || []).map((repair) => ({ ...repair, file: r.filename }))
+    );
+
+    reportProgress(options, 'validation', { message: 'Validating merged data' });
+    const validation = await validateExtraction(merged.data, timeCorrections);
+
+    if (!validation.isValid) {
+      logger.error('Validation failed', { errors: validation.errors });
+
+      return {
+        success: false,
+        error: {
+          code: 'VALIDATION_FAILED',
+          message: 'Merged data failed validation',
+          details: validation.errors,
+          repairs,
+        },
+        partialData: merged.data,
+        processingTime: Date.now() - startTime,
+      };
+    }
+
+    // Sources differ per file, so merged data is scored without a second pass
+    reportProgress(options, 'verification', { message: 'Verifying merged data' });
+    const verification = await verifyExtraction(validation.enrichedData, null, llmOptions);
+    const normalization = normalizeTimeblocks(verification.data.timeblocks, llmOptions.vocabulary);
+    const data = { ...verification.data, timeblocks: normalization.timeblocks };
+
+    const totalTime = Date.now() - startTime;
+
+    logger.info('Multi-file processing completed successfully', {
+      files: fileResults.length,
+      timeblocks: merged.data.timeblocks.length,
+      totalTime,
+    });
+
+    return {
+      success: true,
+      data,
+      metadata: {
+        provider: fileResults[0].metadata?.provider,
+        model: fileResults[0].metadata?.model,
+        promptVersion: fileResults.find((r) => r.metadata?.promptVersion)?.metadata.promptVersion ?? null,
+        tokensUsed: fileResults.reduce((sum, r) => sum + (r.metadata?.tokensUsed || 0), 0),
+        promptTokens: fileResults.reduce((sum, r) => sum + (r.metadata?.promptTokens || 0), 0),
+        completionTokens: fileResults.reduce((sum, r) => sum + (r.metadata?.completionTokens || 0), 0),
+        tenant: options.tenant || null,
+        extractionId: llmOptions.extractionId,
+        files: fileResults.map((r) => ({
+          filename: r.filename,
+          fileType: r.fileType,
+          extractionMethod: r.extractionMethod,
+          timeblocks: r.data.timeblocks.length,
+          pageErrors: r.metadata?.pageErrors,
+          preprocessing: r.metadata?.preprocessing,
+        })),
+        fileErrors,
+        mergeResolutions: [
+          ...fileResults.flatMap((r) => r.metadata?.mergeResolutions || []),
+          ...merged.resolutions,
+        ],
+        timeCorrections,
+        repairs,
+        validationWarnings: validation.warnings,
+        verification: verification.report,
+        vocabulary: describeVocabulary(llmOptions.vocabulary, normalization),
+        analysis: analyzeTimetable(data),
+      },
+      processingTime: totalTime,
+    };
+  } catch (error) {
+    logger.error('Multi-file processing failed', {
+      error: error.message || error,
+      totalTime: Date.now() - startTime,
+    });
+
+    if (error.code) {
+      throw error;
+    }
+
+    throw {
+      code: 'PROCESSING_FAILED',
+      message: error.message || 'An unexpected error occurred during processing',
+      details: error.stack,
+    };
+  }
+}
+
+/**
+ * Route a single file to the appropriate processor (no validation)
+ * @param {Buffer} fileBuffer - File buffer
+ * @param {string} mimetype - File MIME type
+ * @param {string} filename - Original filename
+ * @param {Object} options - Per-request LLM overrides { provider, model }
+ * @returns {Promise<Object>} Raw processor result
+ */
+async function extractFile(fileBuffer, mimetype, filename, options) {
+  let result;
+
+  if (CONVERTED_IMAGE_TYPES.includes(mimetype)) {
+    result = await processConvertedImage(fileBuffer, mimetype, options);
+  } else if (mimetype.startsWith('image/')) {
+    result = await imageProcessor.processImage(fileBuffer, mimetype, options);
+  } else if (mimetype === 'application/pdf') {
+    result = await pdfProcessor.processPDF(fileBuffer, options);
+  } else if (OFFICE_TYPES.includes(mimetype)) {
+    result = await processOfficeDocument(fileBuffer, mimetype, options);
+  } else {
+    throw {
+      code: 'UNSUPPORTED_FILE_TYPE',
+      message: `File type ${mimetype} is not supported`,
+      details: `Supported types: ${SUPPORTED_TYPES.join(', ')}`,
+    };
+  }
+
+  return { ...result, fileType: mimetype, filename };
+}
+
+/**
+ * Response metadata for the vocabulary an extraction used
+ * @param {Object|null} vocabulary - resolveVocabulary result
+ * @param {Object} normalization - normalizeTimeblocks result
+ * @returns {Object|null} { entries, fingerprint, normalizedBlocks }
+ */
+function describeVocabulary(vocabulary, normalization) {
+  if (!vocabulary) {
+    return null;
+  }
+
+  return {
+    entries: vocabulary.entries.length,
+    fingerprint: vocabulary.fingerprint,
+    normalizedBlocks: normalization.normalized,
+  };
+}
+
 /**
  * Validate and enrich extracted timetable data
  * @param {Object} data - Extracted timetable data
+ * @param {Array<Object>} [timeCorrections] - Times changed by timeNormalizer, reported as warnings
  * @returns {Promise<Object>} Validation result
  */
-async function validateExtraction(data) {
+async function validateExtraction(data, timeCorrections = []) {
   logger.info('Validating extracted data');
 
   // Schema validation
@@ -117,9 +426,15 @@ async function validateExtraction(data) {
     };
   }
 
+  // Models sometimes tag blocks with a week or cycle day without describing the cycle itself
+  const metadata = inferCycle(data.metadata, data.timeblocks);
+
   // Business logic validation
-  const timeRangeErrors = validateTimeRanges(data.timeblocks);
-  const warnings = timeRangeErrors.filter((e) => e.severity === 'warning');
+  const timeRangeErrors = [...validateTimeRanges(data.timeblocks), ...validateCycle(metadata, data.timeblocks)];
+  const warnings = [
+    ...timeCorrections.map((correction) => ({ block: { subject: correction.subject }, error: correction.message })),
+    ...timeRangeErrors.filter((e) => e.severity === 'warning'),
+  ];
   const errors = timeRangeErrors.filter((e) => !e.severity || e.severity === 'error');
 
   if (errors.length > 0) {
@@ -139,7 +454,7 @@ async function validateExtraction(data) {
   return {
     isValid: true,
     enrichedData: {
-      metadata: data.metadata,
+      metadata,
       timeblocks: enrichedTimeblocks,
     },
     warnings: warnings.map((w) => ({
@@ -155,8 +470,7 @@ async function validateExtraction(data) {
  * @returns {boolean}
  */
 export function isFileTypeSupported(mimetype) {
-  const supported = ['image/png', 'image/jpeg', 'application/pdf'];
-  return supported.includes(mimetype);
+  return SUPPORTED_TYPES.includes(mimetype);
 }
 
 /**
@@ -175,5 +489,9 @@ export function estimateProcessingTime(mimetype, fileSize) {
     return 5000 + fileSize / 500; // 5-15 seconds
   }
 
+  if (OFFICE_TYPES.includes(mimetype)) {
+    return 2000 + fileSize / 5000; // Tables are read directly, only the LLM call takes time
+  }
+
   return 5000;
 }
@@ -0,0 +1,179 @@
+import sharp from 'sharp';
+import logger from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { reportProgress } from '../utils/progress.js';
+import * as imageProcessor from './imageProcessor.js';
+import { buildPagedResult } from './pdfProcessor.js';
+
+/**
+ * Image formats that are converted before going through the image pipeline:
+ * iPhone photos (HEIC), WebP, and TIFF scans, which may have several pages.
+ * Vision providers and Tesseract only take PNG and JPEG.
+ */
+export const CONVERTED_IMAGE_TYPES = ['image/heic', 'image/heif', 'image/webp', 'image/tiff'];
+
+// sharp's prebuilt binaries decode AVIF but not HEVC-encoded HEIC; a libvips built with libde265 lists .heic.
+// Without it HEIC photos are decoded with libheif compiled to WebAssembly (heic-decode), which is slower.
+const HEIC_DECODING = Boolean(sharp.format.heif?.input.fileSuffix?.includes('.heic'));
+
+/**
+ * Convert a HEIC, WebP or TIFF image and extract it like a PNG or JPEG upload.
+ * Each page of a multi-page TIFF is extracted on its own and the results are merged.
+ * @param {Buffer} fileBuffer - Image file buffer
+ * @param {string} mimeType - One of CONVERTED_IMAGE_TYPES
+ * @param {Object} options - Per-request LLM overrides { provider, model }
+ * @returns {Promise<Object>} Extracted timetable data
+ */
+export async function processConvertedImage(fileBuffer, mimeType, options = {}) {
+  logger.info('Starting image conversion', { mimeType });
+  reportProgress(options, 'preprocessing', { message: 'Converting image' });
+
+  const { format, totalPages, pages } = await convertPages(fileBuffer, mimeType);
+  const label = `${format}-convert`;
+
+  if (pages.length === 1) {
+    const result = await imageProcessor.processImage(pages[0].buffer, pages[0].mimeType, options);
+    return { ...result, extractionMethod: `${label} + ${result.extractionMethod}` };
+  }
+
+  const pageResults = [];
+  const pageErrors = [];
+
+  for (const [index, page] of pages.entries()) {
+    // Page-level progress replaces the image processor's own stages
+    const pageOptions = {
+      ...options,
+      onProgress: () =>
+        reportProgress(options, 'extraction', {
+          message: `Extracting image page ${page.pageNumber}`,
+          current: index,
+          total: pages.length,
+        }),
+    };
+
+    try {
+      const result = await imageProcessor.processImage(page.buffer, page.mimeType, pageOptions);
+      pageResults.push({ pageNumber: page.pageNumber, ...result });
+    } catch (pageError) {
+      logger.warn('Failed to extract image page', { pageNumber: page.pageNumber, error: pageError.message });
+      pageErrors.push({ page: page.pageNumber, message: pageError.message });
+    }
+  }
+
+  if (pageResults.length === 0) {
+    throw {
+      code: 'IMAGE_PROCESSING_FAILED',
+      message: `Could not extract a timetable from any page of the image (${pageErrors[0]?.message || 'unknown error'})`,
+      details: 'Failed to extract timetable from image. The pages may be unclear or contain no timetable data.',
+    };
+  }
+
+  const methods = [...new Set(pageResults.map((r) => r.extractionMethod))];
+  const result = buildPagedResult(pageResults, pageErrors, totalPages, pages.length, `${label} + ${methods.join(', ')}`);
+
+  // A single extracted page can be re-checked like any other image
+  return { ...result, source: pageResults.length === 1 ? pageResults[0].source : null };
+}
+
+/**
+ * Decode an image into PNG or JPEG pages. Only TIFF pages beyond the first are used
+ * (other formats may hold thumbnails or burst frames), up to config.image.maxPages.
+ * EXIF orientation is kept so the preprocessor can turn photos upright.
+ * @param {Buffer} fileBuffer - Image file buffer
+ * @param {string} mimeType - Image MIME type
+ * @returns {Promise<Object>} { format, totalPages, pages: [{ pageNumber, buffer, mimeType }] }
+ */
+async function convertPages(fileBuffer, mimeType) {
+  let metadata;
+
+  try {
+    metadata = await sharp(fileBuffer).metadata();
+  } catch (error) {
+    throw decodeError(error, mimeType);
+  }
+
+  if (metadata.format === 'heif' && metadata.compression === 'hevc' && !HEIC_DECODING) {
+    return { format: 'heic', totalPages: 1, pages: [await decodeHEIC(fileBuffer, metadata, mimeType)] };
+  }
+
+  const totalPages = metadata.format === 'tiff' ? metadata.pages || 1 : 1;
+  const count = Math.min(totalPages, config.image.maxPages);
+
+  if (count < totalPages) {
+    logger.warn('Image has more pages than are processed', { totalPages, processed: count });
+  }
+
+  const pages = [];
+
+  for (let page = 0; page < count; page++) {
+    // Photos stay JPEG (far smaller than PNG at photo sizes); scans and graphics become lossless PNG
+    const photo = metadata.format === 'heif' || (metadata.format === 'webp' && !metadata.hasAlpha);
+    const image = sharp(fileBuffer, { page, limitInputPixels: config.image.maxPixels }).keepExif();
+
+    try {
+      const buffer = photo ? await image.jpeg({ quality: 92 }).toBuffer() : await image.png().toBuffer();
+      pages.push({ pageNumber: page + 1, buffer, mimeType: photo ? 'image/jpeg' : 'image/png' });
+    } catch (error) {
+      throw decodeError(error, mimeType);
+    }
+  }
+
+  logger.info('Image converted', { format: metadata.format, pages: pages.length, totalPages });
+
+  return { format: metadata.format === 'heif' ? 'heic' : metadata.format, totalPages, pages };
+}
+
+/**
+ * Decode the primary image of a HEIC photo with heic-decode and encode it as JPEG.
+ * libheif applies the photo's rotation and mirroring while decoding, so the result is upright.
+ * @param {Buffer} fileBuffer - HEIC file buffer
+ * @param {Object} metadata - sharp metadata of the file (its container is readable without a decoder)
+ * @param {string} mimeType - Image MIME type, for error reporting
+ * @returns {Promise<Object>} { pageNumber, buffer, mimeType }
+ */
+async function decodeHEIC(fileBuffer, metadata, mimeType) {
+  // Checked up front: heic-decode has no pixel limit of its own
+  if (metadata.width * metadata.height > config.image.maxPixels) {
+    throw decodeError(new Error('Input image exceeds pixel limit'), mimeType);
+  }
+
+  try {
+    // Loaded on first use: the WebAssembly build of libheif is large
+    const { default: decode } = await import('heic-decode');
+    const { width, height, data } = await decode({ buffer: fileBuffer });
+
+    const buffer = await sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+      raw: { width, height, channels: 4 },
+    })
+      .removeAlpha()
+      .jpeg({ quality: 92 })
+      .toBuffer();
+
+    logger.info('Image converted', { format: 'heif', decoder: 'heic-decode', width, height });
+
+    return { pageNumber: 1, buffer, mimeType: 'image/jpeg' };
+  } catch (error) {
+    throw decodeError(error, mimeType);
+  }
+}
+
+/**
+ * Error for an image that could not be decoded
+ */
+function decodeError(error, mimeType) {
+  logger.error('Image conversion failed', { mimeType, error: error.message });
+
+  if (/pixel limit/i.test(error.message)) {
+    return {
+      code: 'IMAGE_TOO_LARGE',
+      message: `Image is larger than ${config.image.maxPixels} pixels`,
+      details: 'Scale the image down, or scan the timetable at a lower resolution.',
+    };
+  }
+
+  return {
+    code: 'IMAGE_PROCESSING_FAILED',
+    message: `Could not read the image: ${error.message}`,
+    details: 'The file may be corrupted or not match its declared type.',
+  };
+}
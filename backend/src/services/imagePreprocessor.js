@@ -0,0 +1,886 @@
+import sharp from 'sharp';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Image preprocessing for photos and scans of printed timetables.
+ *
+ * preprocessImage() runs these steps in order (each can be switched off in config.image):
+ * - auto_rotate: turn the pixels upright using the EXIF orientation phones record
+ * - perspective: map a sheet photographed at an angle on a darker background onto an upright rectangle
+ * - crop: cut to the sheet when it was photographed on a darker background, then trim plain margins
+ * - deskew: straighten text and grid lines tilted by up to MAX_SKEW_DEGREES
+ * - tiling: cut very large images into overlapping tiles, before resizing loses their detail
+ * - resize: fit within config.image.maxDimension
+ * - normalize: stretch contrast
+ * Perspective correction and cropping come first so a dark background around the sheet can't
+ * pass for lines of text. prepareForOCR() also binarizes with a local threshold, which copes
+ * with glare and shadows. Only steps that changed the image are reported.
+ *
+ * Between steps images are kept as raw pixels ({ data, info }) and encoded once at the end.
+ * Images are decoded at a working resolution (see workingSize) rather than in full, since every
+ * step copies the pixels; boxes and sizes in the reported steps are in full-resolution pixels.
+ */
+
+const WHITE = { r: 255, g: 255, b: 255 };
+
+// Longest side of the grayscale copies used to find the sheet and measure skew
+const ANALYSIS_SIZE = 1000;
+
+// Without tiling, images are decoded at this multiple of maxDimension, so a sheet cropped
+// out of a wider photo still fills the output
+const WORKING_SCALE = 2;
+
+const MAX_SKEW_DEGREES = 10;
+// Smaller tilts are left alone; rotating resamples the whole image
+const MIN_SKEW_DEGREES = 0.3;
+// Ink pixels sampled when measuring skew, and how much darker than their surroundings they are
+const MAX_SKEW_POINTS = 40000;
+const INK_CONTRAST = 20;
+
+// Grey levels the sheet must be brighter than the surface around it to be cropped to
+const SHEET_CONTRAST = 60;
+// Grey levels a pixel must differ from the margin colour to count as content
+const MARGIN_CONTRAST = 40;
+
+// Sheets whose corners are closer than this (fraction of the diagonal) to an upright rectangle are
+// only cropped; warping resamples the whole image
+const MIN_PERSPECTIVE_OFFSET = 0.02;
+// How far the sheet's area may differ from that of the quadrilateral through its corners
+// before the region is taken for something other than a four-sided sheet
+const QUAD_AREA_TOLERANCE = 0.06;
+
+// Part of each tiled side repeated on every tile: where timetables print their day and time headings
+const HEADER_FRACTION = 0.12;
+// Larger images are scaled down first so the tile count stays bounded
+const MAX_TILES_PER_SIDE = 3;
+
+// How much darker than its neighbourhood a pixel must be to become black when binarizing
+const THRESHOLD_OFFSET = 20;
+
+/**
+ * Prepare an uploaded image for extraction
+ * @param {Buffer} imageBuffer - Image as uploaded
+ * @param {string} mimeType - Its MIME type
+ * @returns {Promise<Object>} { buffer, mimeType, steps, tiles }; tiles is null unless the image was tiled,
+ *   otherwise [{ buffer, mimeType, index, count, column, row, headers, region }]. The original image is returned
+ *   unchanged when preprocessing fails.
+ */
+export async function preprocessImage(imageBuffer, mimeType) {
+  const settings = config.image;
+  const steps = [];
+
+  try {
+    const metadata = await sharp(imageBuffer).metadata();
+    const { orientation, format } = metadata;
+
+    // Without rotate(), sharp leaves the EXIF orientation unapplied
+    const decoder = sharp(imageBuffer, { limitInputPixels: settings.maxPixels });
+    // Orientations 5-8 turn the image by 90°
+    const turned = settings.autoRotate && orientation >= 5;
+    if (settings.autoRotate) {
+      decoder.rotate();
+      if (orientation > 1) {
+        steps.push({ step: 'auto_rotate', orientation });
+      }
+    }
+
+    const fullWidth = turned ? metadata.height : metadata.width;
+    const size = workingSize(settings);
+    if (Math.max(metadata.width, metadata.height) > size) {
+      decoder.resize(size, size, { fit: 'inside' });
+    }
+    let image = await toRaw(decoder.flatten({ background: WHITE }));
+
+    // Working pixels back to full-resolution pixels
+    const scale = fullWidth / image.info.width;
+    const full = (value) => Math.round(value * scale);
+
+    if (settings.perspective) {
+      const corners = await findSheetCorners(image);
+
+      if (corners) {
+        image = warpToRectangle(image, corners);
+        steps.push({ step: 'perspective', corners: corners.map(({ x, y }) => ({ x: full(x), y: full(y) })) });
+      }
+    }
+
+    if (settings.crop) {
+      const box = await findContentBox(image);
+
+      if (box) {
+        image = await toRaw(fromRaw(image).extract(box));
+        steps.push({
+          step: 'crop',
+          left: full(box.left),
+          top: full(box.top),
+          width: full(box.width),
+          height: full(box.height),
+        });
+      }
+    }
+
+    if (settings.deskew) {
+      const angle = await estimateSkew(image);
+
+      if (Math.abs(angle) >= MIN_SKEW_DEGREES) {
+        // Lines measured as falling to the right by `angle` are turned back by the same amount
+        image = await toRaw(fromRaw(image).rotate(-angle, { background: WHITE }));
+        steps.push({ step: 'deskew', angle });
+      }
+    }
+
+    const tiles = settings.tiling.enabled ? await splitIntoTiles(image, format, scale) : null;
+    if (tiles) {
+      steps.push({
+        step: 'tiling',
+        tiles: tiles.length,
+        columns: Math.max(...tiles.map((tile) => tile.column)),
+        rows: Math.max(...tiles.map((tile) => tile.row)),
+      });
+    }
+
+    const { width, height } = image.info;
+    const pipeline =
+      Math.max(width, height) > settings.maxDimension
+        ? fromRaw(image).resize(settings.maxDimension, settings.maxDimension, { fit: 'inside' })
+        : fromRaw(image);
+    const output = await encode(pipeline.normalize(), format);
+
+    if (output.width !== full(width)) {
+      steps.push({
+        step: 'resize',
+        from: { width: full(width), height: full(height) },
+        to: { width: output.width, height: output.height },
+      });
+    }
+    steps.push({ step: 'normalize' });
+
+    logger.info('Image preprocessed', { steps: steps.map((s) => s.step), width: output.width, height: output.height });
+
+    return { buffer: output.buffer, mimeType: output.mimeType, steps, tiles };
+  } catch (error) {
+    logger.error('Image preprocessing failed, using the original image', { error: error.message });
+    return { buffer: imageBuffer, mimeType, steps: [], tiles: null };
+  }
+}
+
+/**
+ * Longest side images are decoded at: the largest size tiling uses (anything larger would be
+ * scaled down to MAX_TILES_PER_SIDE tiles anyway), otherwise WORKING_SCALE times the output size.
+ * A 100-megapixel photo decoded in full takes 300 MB, and cropping and deskewing each copy it.
+ */
+function workingSize(settings) {
+  return settings.maxDimension * (settings.tiling.enabled ? MAX_TILES_PER_SIDE : WORKING_SCALE);
+}
+
+/**
+ * Remove EXIF (camera details, GPS location), XMP, IPTC and text metadata from an image before
+ * it leaves the server. Images without any are returned as they are; the others are re-encoded
+ * with their EXIF orientation applied, so they still show the right way up.
+ * @param {Object} image - { buffer, mimeType }
+ * @returns {Promise<Object>} { buffer, mimeType, removed }; removed lists the metadata found
+ */
+export async function stripMetadata(image) {
+  const metadata = await sharp(image.buffer).metadata();
+  const removed = ['exif', 'xmp', 'iptc', 'comments'].filter((field) => metadata[field]?.length);
+
+  if (removed.length === 0) {
+    return { ...image, removed };
+  }
+
+  // sharp writes no metadata unless asked to
+  const encoder = sharp(image.buffer, { limitInputPixels: config.image.maxPixels }).rotate();
+  const buffer = metadata.format === 'jpeg' ? await encoder.jpeg({ quality: 92 }).toBuffer() : await encoder.png().toBuffer();
+
+  return { buffer, mimeType: metadata.format === 'jpeg' ? 'image/jpeg' : 'image/png', removed };
+}
+
+/**
+ * Binarize an image for OCR with a local (adaptive) threshold: each pixel is compared with
+ * the mean of its neighbourhood, so glare, shadows and shaded cells don't wipe out text
+ * @param {Buffer} imageBuffer - Preprocessed image
+ * @returns {Promise<Object>} { buffer, steps } (the input unchanged when thresholding is off or fails)
+ */
+export async function prepareForOCR(imageBuffer) {
+  if (!config.image.ocrThreshold) {
+    return { buffer: imageBuffer, steps: [] };
+  }
+
+  try {
+    // The median filter removes speckle (and screen moiré) that would otherwise come out as black dots
+    const gray = await toGray(sharp(imageBuffer).flatten({ background: WHITE }).median(3));
+    const { width, height } = gray;
+
+    // Neighbourhood of about 1/40 of the image, wide enough to span a few characters
+    const sigma = Math.max(Math.round(Math.max(width, height) / 100), 3);
+    const mean = await toGray(sharp(gray.data, { raw: { width, height, channels: 1 } }).blur(sigma));
+
+    const binary = Buffer.alloc(width * height);
+    for (let i = 0; i < binary.length; i++) {
+      binary[i] = gray.data[i] < mean.data[i] - THRESHOLD_OFFSET ? 0 : 255;
+    }
+
+    const buffer = await sharp(binary, { raw: { width, height, channels: 1 } }).png().toBuffer();
+
+    return { buffer, steps: [{ step: 'adaptive_threshold', sigma, offset: THRESHOLD_OFFSET }] };
+  } catch (error) {
+    logger.warn('Adaptive thresholding failed, running OCR on the preprocessed image', { error: error.message });
+    return { buffer: imageBuffer, steps: [] };
+  }
+}
+
+/**
+ * Region worth keeping: the sheet if it lies on a darker background, without plain margins
+ * @param {Object} image - Raw image
+ * @returns {Promise<Object|null>} { left, top, width, height } in image pixels, or null to keep everything
+ */
+async function findContentBox(image) {
+  const gray = await toGray(analysisCopy(image));
+  const threshold = otsuThreshold(gray.data);
+
+  const sheet = findSheet(gray, threshold) || { left: 0, top: 0, width: gray.width, height: gray.height };
+  const box = trimMargins(gray, sheet);
+
+  // Back to full resolution
+  const scale = image.info.width / gray.width;
+  const left = Math.max(Math.floor(box.left * scale), 0);
+  const top = Math.max(Math.floor(box.top * scale), 0);
+  const full = {
+    left,
+    top,
+    width: Math.min(Math.ceil(box.width * scale), image.info.width - left),
+    height: Math.min(Math.ceil(box.height * scale), image.info.height - top),
+  };
+
+  // Not worth resampling for a sliver
+  if (full.width * full.height > 0.97 * image.info.width * image.info.height) {
+    return null;
+  }
+
+  return full;
+}
+
+/**
+ * Corners of a bright sheet photographed at an angle on a clearly darker surface: the extreme
+ * points of the largest bright region along both diagonals
+ * @param {Object} image - Raw image
+ * @returns {Promise<Array<Object>|null>} [topLeft, topRight, bottomRight, bottomLeft] as { x, y } in image
+ *   pixels; null without such a sheet, when the region isn't four-sided (a sheet running out of the
+ *   photo, say) or when the sheet is close enough to an upright rectangle to be cropped instead
+ */
+async function findSheetCorners(image) {
+  const gray = await toGray(analysisCopy(image));
+  const { width, height } = gray;
+
+  if (!sheetStandsOut(gray)) {
+    return null;
+  }
+
+  const region = largestRegion(gray, otsuThreshold(gray.data));
+  if (region.area < 0.2 * width * height) {
+    return null;
+  }
+
+  // Top left has the smallest x + y, bottom right the largest; top right the largest x - y
+  let [topLeft, topRight, bottomRight, bottomLeft] = [null, null, null, null];
+  // Text and ruled lines leave holes in the region, so its area is measured between its ends on each row
+  let area = 0;
+  for (let y = 0; y < height; y++) {
+    let first = -1;
+    let last = -1;
+    for (let x = 0; x < width; x++) {
+      if (!region.mask[y * width + x]) continue;
+      if (first === -1) first = x;
+      last = x;
+      if (!topLeft || x + y < topLeft.x + topLeft.y) topLeft = { x, y };
+      if (!bottomRight || x + y > bottomRight.x + bottomRight.y) bottomRight = { x, y };
+      if (!topRight || x - y > topRight.x - topRight.y) topRight = { x, y };
+      if (!bottomLeft || x - y < bottomLeft.x - bottomLeft.y) bottomLeft = { x, y };
+    }
+    if (first !== -1) area += last - first + 1;
+  }
+
+  const corners = [topLeft, topRight, bottomRight, bottomLeft];
+  const quadArea = polygonArea(corners);
+  if (!quadArea || Math.abs(area / quadArea - 1) > QUAD_AREA_TOLERANCE) {
+    return null;
+  }
+
+  const xs = corners.map(({ x }) => x);
+  const ys = corners.map(({ y }) => y);
+  const [left, right, top, bottom] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  const upright = [
+    { x: left, y: top },
+    { x: right, y: top },
+    { x: right, y: bottom },
+    { x: left, y: bottom },
+  ];
+  const offset = Math.max(...corners.map((corner, i) => Math.hypot(corner.x - upright[i].x, corner.y - upright[i].y)));
+  if (offset < MIN_PERSPECTIVE_OFFSET * Math.hypot(right - left, bottom - top)) {
+    return null;
+  }
+
+  // Back to the image's resolution, moved a pixel or two inwards so no surface shows along the edges
+  const scale = image.info.width / width;
+  const centre = { x: xs.reduce((a, b) => a + b) / 4, y: ys.reduce((a, b) => a + b) / 4 };
+  return corners.map(({ x, y }) => {
+    const inset = 1.5 / Math.hypot(centre.x - x, centre.y - y);
+    return { x: (x + (centre.x - x) * inset + 0.5) * scale, y: (y + (centre.y - y) * inset + 0.5) * scale };
+  });
+}
+
+/**
+ * Largest 4-connected region of pixels at least as bright as the threshold
+ * @returns {Object} { mask, area }; mask has 1 for the region's pixels
+ */
+function largestRegion(gray, threshold) {
+  const { data, width, height } = gray;
+  const labels = new Int32Array(width * height);
+  const stack = new Int32Array(width * height);
+  let best = { label: 0, area: 0 };
+  let label = 0;
+
+  let top = 0;
+  const visit = (i) => {
+    if (!labels[i] && data[i] >= threshold) {
+      labels[i] = label;
+      stack[top++] = i;
+    }
+  };
+
+  for (let start = 0; start < labels.length; start++) {
+    if (labels[start] || data[start] < threshold) continue;
+
+    label++;
+    let area = 0;
+    visit(start);
+
+    while (top > 0) {
+      const i = stack[--top];
+      const x = i % width;
+      area++;
+
+      if (x > 0) visit(i - 1);
+      if (x < width - 1) visit(i + 1);
+      if (i >= width) visit(i - width);
+      if (i < (height - 1) * width) visit(i + width);
+    }
+
+    if (area > best.area) {
+      best = { label, area };
+    }
+  }
+
+  const mask = new Uint8Array(labels.length);
+  for (let i = 0; i < labels.length; i++) mask[i] = best.label && labels[i] === best.label ? 1 : 0;
+
+  return { mask, area: best.area };
+}
+
+/**
+ * Map the quadrilateral onto an upright rectangle as long as its longer opposite sides.
+ * sharp only has affine transforms, so this is a projective warp sampled bilinearly here.
+ * @param {Object} image - Raw image
+ * @param {Array<Object>} corners - [topLeft, topRight, bottomRight, bottomLeft] in image pixels
+ * @returns {Object} Raw image
+ */
+function warpToRectangle(image, corners) {
+  const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+  const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  const width = Math.round(Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight)));
+  const height = Math.round(Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight)));
+
+  const target = [
+    { x: 0, y: 0 },
+    { x: width, y: 0 },
+    { x: width, y: height },
+    { x: 0, y: height },
+  ];
+  const h = homography(target, corners);
+
+  const { data, info } = image;
+  const { channels } = info;
+  const source = { width: info.width, height: info.height };
+  const output = Buffer.alloc(width * height * channels, 255);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Sample at the output pixel's centre
+      const px = x + 0.5;
+      const py = y + 0.5;
+      const w = h[6] * px + h[7] * py + 1;
+      const u = (h[0] * px + h[1] * py + h[2]) / w - 0.5;
+      const v = (h[3] * px + h[4] * py + h[5]) / w - 0.5;
+
+      const x0 = Math.min(Math.max(Math.floor(u), 0), source.width - 2);
+      const y0 = Math.min(Math.max(Math.floor(v), 0), source.height - 2);
+      const fx = Math.min(Math.max(u - x0, 0), 1);
+      const fy = Math.min(Math.max(v - y0, 0), 1);
+      const at = (y0 * source.width + x0) * channels;
+      const below = at + source.width * channels;
+      const out = (y * width + x) * channels;
+
+      for (let c = 0; c < channels; c++) {
+        const upper = data[at + c] * (1 - fx) + data[at + channels + c] * fx;
+        const lower = data[below + c] * (1 - fx) + data[below + channels + c] * fx;
+        output[out + c] = Math.round(upper * (1 - fy) + lower * fy);
+      }
+    }
+  }
+
+  return { data: output, info: { width, height, channels } };
+}
+
+/**
+ * Projective transform taking four points onto four others
+ * @returns {Array<number>} [a, b, c, d, e, f, g, h], where
+ *   x' = (ax + by + c) / (gx + hy + 1) and y' = (dx + ey + f) / (gx + hy + 1)
+ */
+function homography(from, to) {
+  const rows = [];
+  from.forEach(({ x, y }, i) => {
+    const { x: u, y: v } = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -x * u, -y * u, u]);
+    rows.push([0, 0, 0, x, y, 1, -x * v, -y * v, v]);
+  });
+
+  // Gaussian elimination with partial pivoting
+  for (let column = 0; column < 8; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < 8; row++) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+    for (let row = 0; row < 8; row++) {
+      if (row === column) continue;
+      const factor = rows[row][column] / rows[column][column];
+      for (let k = column; k < 9; k++) rows[row][k] -= factor * rows[column][k];
+    }
+  }
+
+  return rows.map((row, i) => row[8] / row[i]);
+}
+
+/**
+ * Area of a polygon from its corners in order (shoelace formula)
+ */
+function polygonArea(points) {
+  let twice = 0;
+  points.forEach((point, i) => {
+    const next = points[(i + 1) % points.length];
+    twice += point.x * next.y - next.x * point.y;
+  });
+  return Math.abs(twice) / 2;
+}
+
+/**
+ * Whether the centre of the photo is clearly brighter than its edges, as with a sheet on a darker
+ * surface (rather than a scan, a photo filled by the sheet, or one too dim to tell sheet from surface)
+ */
+function sheetStandsOut(gray) {
+  const { data, width, height } = gray;
+  const frame = Math.max(Math.round(Math.min(width, height) * 0.03), 1);
+  let frameSum = 0;
+  let frameCount = 0;
+  let centreSum = 0;
+  let centreCount = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (x < frame || y < frame || x >= width - frame || y >= height - frame) {
+        frameSum += data[y * width + x];
+        frameCount++;
+      } else if (Math.abs(x - width / 2) < width / 4 && Math.abs(y - height / 2) < height / 4) {
+        centreSum += data[y * width + x];
+        centreCount++;
+      }
+    }
+  }
+
+  return centreSum / centreCount - frameSum / frameCount >= SHEET_CONTRAST;
+}
+
+/**
+ * Bounds of a bright sheet photographed on a clearly darker surface: the longest run of rows,
+ * then of columns, that are mostly bright. Null unless the sheet stands out from the surface.
+ */
+function findSheet(gray, threshold) {
+  const { data, width, height } = gray;
+  const bright = (x, y) => data[y * width + x] >= threshold;
+
+  if (!sheetStandsOut(gray)) {
+    return null;
+  }
+
+  const rowFraction = (y, x0, x1) => {
+    let count = 0;
+    for (let x = x0; x < x1; x++) count += bright(x, y) ? 1 : 0;
+    return count / (x1 - x0);
+  };
+  const columnFraction = (x, y0, y1) => {
+    let count = 0;
+    for (let y = y0; y < y1; y++) count += bright(x, y) ? 1 : 0;
+    return count / (y1 - y0);
+  };
+
+  const rows = longestRun(height, (y) => rowFraction(y, 0, width) > 0.5);
+  if (!rows) {
+    return null;
+  }
+
+  const columns = longestRun(width, (x) => columnFraction(x, rows.start, rows.end) > 0.5);
+  if (!columns) {
+    return null;
+  }
+
+  const sheet = { left: columns.start, top: rows.start, width: columns.end - columns.start, height: rows.end - rows.start };
+
+  // Too small to be the sheet; more likely a bright patch in a dark photo
+  return sheet.width * sheet.height >= 0.2 * width * height ? sheet : null;
+}
+
+/**
+ * Shrink a box to its content: pixels clearly different from the box's border colour,
+ * ignoring rows and columns with only a few (dust, scanner noise)
+ */
+function trimMargins(gray, box) {
+  const { data, width } = gray;
+  const pixel = (x, y) => data[y * width + x];
+  const right = box.left + box.width;
+  const bottom = box.top + box.height;
+
+  const border = [];
+  for (let x = box.left; x < right; x++) border.push(pixel(x, box.top), pixel(x, bottom - 1));
+  for (let y = box.top; y < bottom; y++) border.push(pixel(box.left, y), pixel(right - 1, y));
+  border.sort((a, b) => a - b);
+  const background = border[Math.floor(border.length / 2)];
+
+  const isContent = (x, y) => Math.abs(pixel(x, y) - background) > MARGIN_CONTRAST;
+  const minRowPixels = Math.max(2, Math.round(box.width * 0.005));
+  const minColumnPixels = Math.max(2, Math.round(box.height * 0.005));
+
+  const contentRows = [];
+  for (let y = box.top; y < bottom; y++) {
+    let count = 0;
+    for (let x = box.left; x < right; x++) count += isContent(x, y) ? 1 : 0;
+    if (count >= minRowPixels) contentRows.push(y);
+  }
+
+  const contentColumns = [];
+  for (let x = box.left; x < right; x++) {
+    let count = 0;
+    for (let y = box.top; y < bottom; y++) count += isContent(x, y) ? 1 : 0;
+    if (count >= minColumnPixels) contentColumns.push(x);
+  }
+
+  if (!contentRows.length || !contentColumns.length) {
+    return box;
+  }
+
+  // Keep a little margin so text doesn't touch the edge (OCR handles that badly)
+  const padding = Math.round(Math.max(box.width, box.height) * 0.01) + 2;
+  const left = Math.max(contentColumns[0] - padding, box.left);
+  const top = Math.max(contentRows[0] - padding, box.top);
+
+  return {
+    left,
+    top,
+    width: Math.min(contentColumns[contentColumns.length - 1] + padding + 1, right) - left,
+    height: Math.min(contentRows[contentRows.length - 1] + padding + 1, bottom) - top,
+  };
+}
+
+/**
+ * Skew of text and grid lines in degrees (positive: lines fall to the right), found by
+ * projecting dark pixels at candidate angles and keeping the angle with the sharpest row profile
+ * @param {Object} image - Raw image
+ * @returns {Promise<number>} Angle rounded to 0.1°, 0 when there is no clear answer
+ */
+async function estimateSkew(image) {
+  const gray = await toGray(analysisCopy(image));
+  const { data, width, height } = gray;
+
+  // Ink: pixels clearly darker than their surroundings, so uneven lighting in photos doesn't count
+  const mean = await toGray(sharp(data, { raw: { width, height, channels: 1 } }).blur(8));
+  const isInk = (i) => data[i] < mean.data[i] - INK_CONTRAST;
+
+  let ink = 0;
+  for (let i = 0; i < data.length; i++) ink += isInk(i) ? 1 : 0;
+
+  // Blank, or too busy to be a printed page
+  if (!ink || ink > 0.4 * data.length) {
+    return 0;
+  }
+
+  const stride = Math.ceil(ink / MAX_SKEW_POINTS);
+  const xs = [];
+  const ys = [];
+  let seen = 0;
+  for (let i = 0; i < data.length; i++) {
+    if (isInk(i) && seen++ % stride === 0) {
+      xs.push(i % width);
+      ys.push(Math.floor(i / width));
+    }
+  }
+
+  const offset = width;
+  const bins = new Float64Array(height + 2 * width + 2);
+  const score = (degrees) => {
+    const radians = (degrees * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+
+    bins.fill(0);
+    for (let i = 0; i < xs.length; i++) {
+      bins[Math.round(ys[i] * cos - xs[i] * sin) + offset]++;
+    }
+
+    let total = 0;
+    for (const count of bins) total += count * count;
+    return total;
+  };
+
+  let best = 0;
+  let bestScore = score(0);
+  const baseline = bestScore;
+
+  const search = (from, to, step) => {
+    for (let degrees = from; degrees <= to + 1e-9; degrees += step) {
+      const value = score(degrees);
+      if (value > bestScore) {
+        best = degrees;
+        bestScore = value;
+      }
+    }
+  };
+
+  search(-MAX_SKEW_DEGREES, MAX_SKEW_DEGREES, 0.5);
+  search(best - 0.4, best + 0.4, 0.1);
+
+  // A marginally sharper profile is noise, not skew
+  if (bestScore < baseline * 1.02) {
+    return 0;
+  }
+
+  return Math.round(best * 10) / 10;
+}
+
+/**
+ * Cut a large image into overlapping tiles no bigger than config.image.maxDimension.
+ * Along each side that is split, every tile starts with the same leading strip of the image
+ * (HEADER_FRACTION), so day and time headings stay visible on every tile.
+ * @param {Object} image - Raw image
+ * @param {string} format - Input format, kept for the tiles
+ * @param {number} decodeScale - Full-resolution pixels per pixel of the image
+ * @returns {Promise<Array<Object>|null>} Tiles, or null when the image is small enough as a whole
+ */
+async function splitIntoTiles(image, format, decodeScale) {
+  const { minSize, overlap } = config.image.tiling;
+  const tileSize = config.image.maxDimension;
+
+  if (Math.max(image.info.width, image.info.height) * decodeScale < minSize) {
+    return null;
+  }
+
+  let scale = 1;
+  while (
+    Math.max(
+      planSpans(image.info.width * scale, tileSize, overlap).spans.length,
+      planSpans(image.info.height * scale, tileSize, overlap).spans.length
+    ) > MAX_TILES_PER_SIDE
+  ) {
+    scale *= 0.9;
+  }
+
+  const source =
+    scale < 1
+      ? await toRaw(fromRaw(image).resize(Math.round(image.info.width * scale), Math.round(image.info.height * scale)))
+      : image;
+  const columns = planSpans(source.info.width, tileSize, overlap);
+  const rows = planSpans(source.info.height, tileSize, overlap);
+
+  if (columns.spans.length === 1 && rows.spans.length === 1) {
+    return null;
+  }
+
+  const tiles = [];
+  const count = columns.spans.length * rows.spans.length;
+
+  for (const [rowIndex, row] of rows.spans.entries()) {
+    for (const [columnIndex, column] of columns.spans.entries()) {
+      // Header strip (if this side is split) followed by the tile's own span
+      const xRanges = columns.header ? [[0, columns.header], column] : [column];
+      const yRanges = rows.header ? [[0, rows.header], row] : [row];
+
+      const pieces = [];
+      let top = 0;
+      for (const [y0, y1] of yRanges) {
+        let left = 0;
+        for (const [x0, x1] of xRanges) {
+          const piece = await toRaw(fromRaw(source).extract({ left: x0, top: y0, width: x1 - x0, height: y1 - y0 }));
+          pieces.push({ input: piece.data, raw: rawOptions(piece.info), left, top });
+          left += x1 - x0;
+        }
+        top += y1 - y0;
+      }
+
+      const width = xRanges.reduce((sum, [x0, x1]) => sum + x1 - x0, 0);
+      const height = yRanges.reduce((sum, [y0, y1]) => sum + y1 - y0, 0);
+      const canvas = sharp({ create: { width, height, channels: source.info.channels, background: WHITE } });
+      const composed = await toRaw(canvas.composite(pieces));
+      const output = await encode(fromRaw(composed).normalize(), format);
+
+      tiles.push({
+        buffer: output.buffer,
+        mimeType: output.mimeType,
+        index: tiles.length + 1,
+        count,
+        column: columnIndex + 1,
+        row: rowIndex + 1,
+        // Whether the leading strip of the image was repeated along the tile's top and left edges
+        headers: { top: rows.header > 0, left: columns.header > 0 },
+        // Where the tile's own span lies in the cropped and deskewed image, at full resolution
+        region: {
+          left: Math.round((column[0] / scale) * decodeScale),
+          top: Math.round((row[0] / scale) * decodeScale),
+          width: Math.round(((column[1] - column[0]) / scale) * decodeScale),
+          height: Math.round(((row[1] - row[0]) / scale) * decodeScale),
+        },
+      });
+    }
+  }
+
+  return tiles;
+}
+
+/**
+ * Overlapping spans covering one side of the image, each at most tileSize long including the header strip
+ * @returns {Object} { header, spans: [[start, end]] } (header 0 when the side fits in one tile)
+ */
+function planSpans(length, tileSize, overlap) {
+  length = Math.round(length);
+
+  if (length <= tileSize) {
+    return { header: 0, spans: [[0, length]] };
+  }
+
+  const header = Math.round(length * HEADER_FRACTION);
+  const span = tileSize - header;
+  // Tiles overlapping by more than half would mostly repeat each other
+  const shared = Math.round(span * Math.min(Math.max(overlap, 0), 0.5));
+  const count = Math.ceil((length - header - shared) / (span - shared));
+  const step = count > 1 ? (length - header - span) / (count - 1) : 0;
+
+  return {
+    header,
+    spans: Array.from({ length: count }, (_, i) => {
+      const start = header + Math.round(i * step);
+      return [start, Math.min(start + span, length)];
+    }),
+  };
+}
+
+/**
+ * Longest run of consecutive indices in [0, length) matching a predicate
+ * @returns {Object|null} { start, end } (end exclusive)
+ */
+function longestRun(length, matches) {
+  let best = null;
+  let start = null;
+
+  for (let i = 0; i <= length; i++) {
+    if (i < length && matches(i)) {
+      start ??= i;
+    } else if (start !== null) {
+      if (!best || i - start > best.end - best.start) {
+        best = { start, end: i };
+      }
+      start = null;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Threshold separating dark from bright pixels (Otsu's method)
+ * @param {Buffer} data - 8-bit grayscale pixels
+ * @returns {number}
+ */
+function otsuThreshold(data) {
+  const histogram = new Array(256).fill(0);
+  for (const value of data) histogram[value]++;
+
+  const total = data.length;
+  const sum = histogram.reduce((acc, count, value) => acc + count * value, 0);
+
+  let backgroundCount = 0;
+  let backgroundSum = 0;
+  let best = 0;
+  let bestVariance = -1;
+
+  for (let value = 0; value < 256; value++) {
+    backgroundCount += histogram[value];
+    if (!backgroundCount || backgroundCount === total) {
+      continue;
+    }
+
+    backgroundSum += value * histogram[value];
+    const backgroundMean = backgroundSum / backgroundCount;
+    const foregroundMean = (sum - backgroundSum) / (total - backgroundCount);
+    const variance = backgroundCount * (total - backgroundCount) * (backgroundMean - foregroundMean) ** 2;
+
+    if (variance > bestVariance) {
+      best = value + 1;
+      bestVariance = variance;
+    }
+  }
+
+  return best;
+}
+
+function analysisCopy(image) {
+  return fromRaw(image).resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true });
+}
+
+async function toRaw(pipeline) {
+  return pipeline.raw().toBuffer({ resolveWithObject: true });
+}
+
+function fromRaw({ data, info }) {
+  return sharp(data, { raw: rawOptions(info) });
+}
+
+function rawOptions(info) {
+  return { width: info.width, height: info.height, channels: info.channels };
+}
+
+/**
+ * One 8-bit channel per pixel
+ * @returns {Promise<Object>} { data, width, height }
+ */
+async function toGray(pipeline) {
+  const { data, info } = await toRaw(pipeline.greyscale());
+
+  if (info.channels === 1) {
+    return { data, width: info.width, height: info.height };
+  }
+
+  const single = Buffer.alloc(info.width * info.height);
+  for (let i = 0; i < single.length; i++) single[i] = data[i * info.channels];
+  return { data: single, width: info.width, height: info.height };
+}
+
+/**
+ * Encode in the input's format (JPEG stays JPEG, anything else becomes PNG)
+ * @returns {Promise<Object>} { buffer, mimeType, width, height }
+ */
+async function encode(pipeline, format) {
+  const jpeg = format === 'jpeg';
+  const { data, info } = await (jpeg ? pipeline.jpeg({ quality: 90 }) : pipeline.png()).toBuffer({
+    resolveWithObject: true,
+  });
+
+  return { buffer: data, mimeType: jpeg ? 'image/jpeg' : 'image/png', width: info.width, height: info.height };
+}
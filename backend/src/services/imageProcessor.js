@@ -2,39 +2,17 @@ import sharp from 'sharp';
 import { createWorker } from 'tesseract.js';
 import logger from '../utils/logger.js';
 import * as llmService from './llmService.js';
+import * as ruleBasedParser from './ruleBasedParser.js';
+import { preprocessImage, prepareForOCR } from './imagePreprocessor.js';
+import { mergeExtractions } from './timetableMerger.js';
+import { isProviderOutage } from './llmResilience.js';
 import { config } from '../config/index.js';
-
-/**
- * Preprocess image for better OCR/analysis
- * @param {Buffer} imageBuffer - Original image buffer
- * @returns {Promise<Buffer>} Preprocessed image buffer
- */
-async function preprocessImage(imageBuffer) {
-  logger.info('Preprocessing image for analysis');
-
-  try {
-    // Enhance image: resize if too large, increase contrast, convert to grayscale
-    const processed = await sharp(imageBuffer)
-      .resize(2000, 2000, {
-        fit: 'inside',
-        withoutEnlargement: true,
-      })
-      .normalize() // Enhance contrast
-      .toBuffer();
-
-    logger.info('Image preprocessed successfully');
-    return processed;
-  } catch (error) {
-    logger.error('Image preprocessing failed', { error: error.message });
-    // Return original if preprocessing fails
-    return imageBuffer;
-  }
-}
+import { reportProgress } from '../utils/progress.js';
 
 /**
  * Perform OCR on image using Tesseract
  * @param {Buffer} imageBuffer - Image buffer
- * @returns {Promise<Object>} OCR result with text and confidence
+ * @returns {Promise<Object>} OCR result with text, confidence and positioned word items
  */
 async function performOCR(imageBuffer) {
   logger.info('Starting Tesseract OCR');
@@ -45,13 +23,15 @@ async function performOCR(imageBuffer) {
     const startTime = Date.now();
 
     const {
-      data: { text, confidence },
+      data: { text, confidence, lines },
     } = await worker.recognize(imageBuffer);
 
     const processingTime = Date.now() - startTime;
+    const items = toLayoutItems(lines);
 
     logger.info('OCR completed', {
       textLength: text.length,
+      words: items.length,
       confidence: confidence.toFixed(2),
       processingTime,
     });
@@ -59,6 +39,7 @@ async function performOCR(imageBuffer) {
     return {
       text,
       confidence: confidence / 100, // Convert to 0-1 scale
+      items,
       processingTime,
     };
   } catch (error) {
@@ -69,54 +50,100 @@ async function performOCR(imageBuffer) {
   }
 }
 
+/**
+ * Convert Tesseract lines into positioned word items for the layout parser.
+ * Words share their line's baseline and height so a line is never split by
+ * ascenders or descenders.
+ * @param {Array<Object>} lines - Tesseract result lines
+ * @returns {Array<Object>} [{ text, x, y, width, fontSize }] in image pixels
+ */
+function toLayoutItems(lines = []) {
+  return lines.flatMap((line) =>
+    line.words
+      .filter((word) => word.text.trim())
+      .map((word) => ({
+        text: word.text.trim(),
+        x: word.bbox.x0,
+        y: line.bbox.y1,
+        width: word.bbox.x1 - word.bbox.x0,
+        fontSize: Math.max(line.bbox.y1 - line.bbox.y0, 1),
+      }))
+  );
+}
+
 /**
  * Process image file and extract timetable data
  * Strategy: Use Claude Vision API primarily, with OCR as fallback/enhancement
  * @param {Buffer} fileBuffer - Image file buffer
  * @param {string} mimeType - Image MIME type
+ * @param {Object} options - Per-request LLM overrides { provider, model }
  * @returns {Promise<Object>} Extracted timetable data
  */
-export async function processImage(fileBuffer, mimeType) {
+export async function processImage(fileBuffer, mimeType, options = {}) {
   logger.info('Starting image processing', { mimeType });
 
   try {
     // Preprocess image
-    const processedImage = await preprocessImage(fileBuffer);
+    reportProgress(options, 'preprocessing', { message: 'Preprocessing image' });
+    const {
+      buffer: processedImage,
+      mimeType: processedType,
+      steps,
+      tiles,
+    } = await preprocessImage(fileBuffer, mimeType);
 
     // Strategy: Try LLM vision first (more robust for complex layouts)
-    if (config.enableLLMVision && llmService.isConfigured()) {
+    if (config.enableLLMVision && llmService.isConfigured(options.provider)) {
       logger.info('Using Claude Vision API for extraction (primary method)');
+      reportProgress(options, 'extraction', { message: 'Extracting with LLM vision' });
 
       try {
-        const result = await llmService.extractWithVision(processedImage, mimeType);
-
-        return {
-          success: true,
-          ...result,
-          extractionMethod: 'claude-vision',
-        };
+        const result = tiles
+          ? await extractTiles(tiles, options)
+          : await llmService.extractWithVision(processedImage, processedType, options);
+
+        return withPreprocessing(
+          {
+            success: true,
+            ...result,
+            extractionMethod: 'claude-vision',
+            // The whole image, not the tiles, so verification sees the full timetable
+            source: { image: { buffer: processedImage, mimeType: processedType } },
+          },
+          steps
+        );
       } catch (visionError) {
+        // Retries are already used up here (or skipped while the provider's circuit is open)
         logger.error('Claude Vision failed', {
           error: visionError.message,
+          code: visionError.code,
         });
 
+        // OCR text is parsed by the same provider, so don't bother while it is being skipped
+        if (visionError.code === 'LLM_CIRCUIT_OPEN') {
+          throw visionError;
+        }
+
         // In serverless environments (Vercel), OCR doesn't work due to WASM file access issues
         // Skip OCR fallback and provide a better error message
         const isServerless = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME;
 
         if (isServerless) {
           logger.error('Serverless environment detected - OCR fallback disabled');
-          throw {
-            code: 'LLM_EXTRACTION_FAILED',
-            message: visionError.message || 'Failed to extract timetable using AI vision',
-            details: 'Please check your OpenAI API key configuration in Vercel environment variables.',
-          };
+          throw isProviderOutage(visionError)
+            ? visionError
+            : {
+                code: 'LLM_EXTRACTION_FAILED',
+                message: visionError.message || 'Failed to extract timetable using AI vision',
+                details: 'Please check your OpenAI API key configuration in Vercel environment variables.',
+              };
         }
 
         // Fallback to OCR if vision fails (local development only)
         if (config.enableOCR) {
           logger.info('Falling back to OCR (local environment)');
-          return await extractWithOCR(processedImage);
+          const result = await extractWithOCR(processedImage, options);
+          return withPreprocessing(withImageSource(result, processedImage, processedType), steps);
         }
 
         throw visionError;
@@ -128,7 +155,8 @@ export async function processImage(fileBuffer, mimeType) {
 
     if (config.enableOCR && !isServerless) {
       logger.info('LLM Vision disabled, using OCR + text extraction');
-      return await extractWithOCR(processedImage);
+      const result = await extractWithOCR(processedImage, options);
+      return withPreprocessing(withImageSource(result, processedImage, processedType), steps);
     }
 
     if (isServerless) {
@@ -144,6 +172,15 @@ export async function processImage(fileBuffer, mimeType) {
       stack: error.stack,
     });
 
+    if (isProviderOutage(error)) {
+      throw error;
+    }
+
+    // Keeps its repair attempts in details and answers 502, not 500
+    if (error.code === 'MALFORMED_LLM_RESPONSE') {
+      throw error;
+    }
+
     throw {
       code: 'IMAGE_PROCESSING_FAILED',
       message: error.message,
@@ -154,15 +191,106 @@ export async function processImage(fileBuffer, mimeType) {
 }
 
 /**
- * Extract timetable using OCR + LLM text parsing
+ * Attach the preprocessed image to an OCR result so later stages can re-check it
+ * @param {Object} result - extractWithOCR result
  * @param {Buffer} imageBuffer - Preprocessed image buffer
+ * @param {string} mimeType - Image MIME type
+ * @returns {Object}
+ */
+function withImageSource(result, imageBuffer, mimeType) {
+  return { ...result, source: { ...result.source, image: { buffer: imageBuffer, mimeType } } };
+}
+
+/**
+ * Record the preprocessing steps in a result's metadata, ahead of the OCR-only steps
+ * extractWithOCR already recorded there
+ * @param {Object} result - Extraction result
+ * @param {Array<Object>} steps - Steps from imagePreprocessor.preprocessImage
+ * @returns {Object}
+ */
+function withPreprocessing(result, steps) {
+  const ocrSteps = result.metadata?.preprocessing?.steps || [];
+  return { ...result, metadata: { ...result.metadata, preprocessing: { steps: [...steps, ...ocrSteps] } } };
+}
+
+/**
+ * Extract a tiled image tile by tile with LLM vision, then merge the tiles like the pages of a PDF.
+ * A failed tile is reported and skipped; the extraction only fails when every tile does.
+ * @param {Array<Object>} tiles - Tiles from imagePreprocessor.preprocessImage
+ * @param {Object} options - Per-request LLM overrides { provider, model }
+ * @returns {Promise<Object>} { data, metadata } like llmService.extractWithVision
+ */
+async function extractTiles(tiles, options) {
+  const tileResults = [];
+  const tileErrors = [];
+
+  for (const tile of tiles) {
+    reportProgress(options, 'extraction', {
+      message: `Extracting with LLM vision (tile ${tile.index} of ${tile.count})`,
+      current: tile.index - 1,
+      total: tile.count,
+    });
+
+    try {
+      const { buffer, mimeType, ...description } = tile;
+      const result = await llmService.extractWithVision(buffer, mimeType, { ...options, tile: description });
+      tileResults.push({ tile: tile.index, ...result });
+    } catch (tileError) {
+      if (isProviderOutage(tileError)) {
+        throw tileError;
+      }
+
+      logger.warn('Failed to extract image tile', { tile: tile.index, error: tileError.message });
+      tileErrors.push({ tile: tile.index, message: tileError.message, error: tileError });
+    }
+  }
+
+  if (tileResults.length === 0) {
+    throw tileErrors[0].error;
+  }
+
+  const merged = mergeExtractions(tileResults.map((r) => ({ data: r.data, source: { file: `tile ${r.tile}` } })));
+  const sum = (key) => tileResults.reduce((total, r) => total + (r.metadata?.[key] || 0), 0);
+
+  return {
+    data: {
+      ...merged.data,
+      // Tiles are not sources of their own; the image is tagged with its file (or page) later
+      timeblocks: merged.data.timeblocks.map(({ source_file, source_page, ...block }) => block),
+    },
+    metadata: {
+      provider: tileResults[0].metadata?.provider,
+      model: tileResults[0].metadata?.model,
+      promptVersion: tileResults[0].metadata?.promptVersion,
+      processingTime: sum('processingTime'),
+      tokensUsed: sum('tokensUsed'),
+      promptTokens: sum('promptTokens'),
+      completionTokens: sum('completionTokens'),
+      tilesTotal: tiles.length,
+      tilesExtracted: tileResults.map((r) => r.tile),
+      tileErrors: tileErrors.map(({ tile, message }) => ({ tile, message })),
+      mergeResolutions: merged.resolutions,
+      timeCorrections: tileResults.flatMap((r) =>
+        (r.metadata?.timeCorrections || []).map((correction) => ({ ...correction, tile: r.tile }))
+      ),
+      repairs: tileResults.flatMap((r) => (r.metadata?.repairs || []).map((repair) => ({ ...repair, tile: r.tile }))),
+    },
+  };
+}
+
+/**
+ * Extract timetable using OCR + LLM text parsing (rule-based parsing without an LLM)
+ * @param {Buffer} imageBuffer - Preprocessed image buffer
+ * @param {Object} options - Per-request LLM overrides { provider, model }
  * @returns {Promise<Object>} Extracted timetable data
  */
-async function extractWithOCR(imageBuffer) {
+export async function extractWithOCR(imageBuffer, options = {}) {
   logger.info('Starting OCR-based extraction');
+  reportProgress(options, 'extraction', { message: 'Running OCR' });
 
-  // Perform OCR
-  const ocrResult = await performOCR(imageBuffer);
+  // Perform OCR on a binarized copy
+  const { buffer: ocrImage, steps } = await prepareForOCR(imageBuffer);
+  const ocrResult = await performOCR(ocrImage);
 
   // Check if OCR confidence is too low
   if (ocrResult.confidence < config.ocrConfidenceThreshold) {
@@ -181,26 +309,57 @@ async function extractWithOCR(imageBuffer) {
     throw new Error('Insufficient text extracted from image. Image may be unclear or contain no timetable data.');
   }
 
-  // Use LLM to parse OCR text
-  if (llmService.isConfigured()) {
+  // Rebuild the table from word boxes so the grid survives OCR
+  const table = ruleBasedParser.buildTable(ocrResult.items);
+  const layoutText = table ? ruleBasedParser.formatTable(table) : null;
+  const ocrLayout = table
+    ? { orientation: table.orientation, days: table.days.length, timeSlots: table.timeSlots.length, cells: table.cells.length }
+    : null;
+
+  logger.info('OCR layout analysed', { table: ocrLayout });
+
+  // Use LLM to parse OCR text (the reconstructed grid when there is one)
+  if (llmService.isConfigured(options.provider)) {
     logger.info('Using LLM to parse OCR text');
-    const result = await llmService.extractFromText(ocrResult.text);
+    reportProgress(options, 'extraction', { message: 'Parsing OCR text with LLM' });
+    const result = await llmService.extractFromText(layoutText || ocrResult.text, options);
 
     return {
       success: true,
       ...result,
-      extractionMethod: 'ocr + llm-text',
+      metadata: { ...result.metadata, ocrLayout, preprocessing: { steps } },
+      extractionMethod: table ? 'ocr-layout + llm-text' : 'ocr + llm-text',
       ocrConfidence: ocrResult.confidence,
+      source: { text: layoutText || ocrResult.text },
     };
   }
 
-  // If LLM is not available, return raw OCR result
-  logger.warn('LLM not configured, returning raw OCR text');
+  // If LLM is not available, parse the OCR output with the rule-based parser
+  logger.warn('LLM not configured, parsing OCR text with rules');
+  reportProgress(options, 'extraction', { message: 'Parsing OCR text with rules' });
+  const startTime = Date.now();
+  const data = ruleBasedParser.parseLayout(ocrResult.items) || ruleBasedParser.parseText(ocrResult.text);
+
+  if (!data) {
+    throw new Error(
+      'LLM not configured and no timetable structure (day headers and time ranges) was recognised in the OCR text.'
+    );
+  }
+
   return {
-    success: false,
-    error: 'LLM not configured for text parsing',
-    rawText: ocrResult.text,
+    success: true,
+    data,
+    metadata: {
+      provider: 'rules',
+      model: 'rules',
+      processingTime: Date.now() - startTime,
+      tokensUsed: 0,
+      ocrLayout,
+      preprocessing: { steps },
+    },
+    extractionMethod: table ? 'ocr-layout + rules' : 'ocr + rules',
     ocrConfidence: ocrResult.confidence,
+    source: { text: ocrResult.text },
   };
 }
 
@@ -0,0 +1,474 @@
+import { randomUUID, createHmac } from 'crypto';
+import http from 'http';
+import https from 'https';
+import { isIP } from 'net';
+import { lookup } from 'dns/promises';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import * as fileProcessor from './fileProcessor.js';
+import { getJobStore } from './jobStores/index.js';
+import { saveExtraction } from './timetableService.js';
+import { recordUsage, countTokens } from './apiKeyService.js';
+import { isPublicAddress, lookupPublicAddress } from '../utils/network.js';
+
+// Stages reported by the processors, in pipeline order
+const STAGES = ['preprocessing', 'extraction', 'validation', 'verification'];
+
+// Pending work lives in memory only; uploaded buffers are never persisted
+const queue = [];
+let running = 0;
+
+/**
+ * Create an extraction job and queue it for background processing
+ * @param {Array<Object>} files - [{ buffer, mimetype, originalname }]
+ * @param {Object} options - { provider, model, promptVersion, tenant, cache, callbackUrl, apiKey }
+ * @returns {Promise<Object>} The created job
+ * @throws {Object} JOB_QUEUE_FULL when config.jobs.maxQueued jobs are already waiting
+ */
+export async function createJob(files, options = {}) {
+  if (queue.length >= config.jobs.maxQueued) {
+    logger.warn('Job queue is full', { queueLength: queue.length });
+
+    throw {
+      code: 'JOB_QUEUE_FULL',
+      message: `${queue.length} jobs are already waiting to run`,
+      details: 'Try again once some of the queued jobs have finished.',
+    };
+  }
+
+  const now = new Date().toISOString();
+
+  const job = {
+    id: randomUUID(),
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    files: files.map((f) => ({ filename: f.originalname, mimetype: f.mimetype, size: f.buffer.length })),
+    progress: {
+      stage: 'queued',
+      percent: 0,
+      message: 'Waiting to start',
+    },
+    stages: Object.fromEntries(STAGES.map((name) => [name, { status: 'pending' }])),
+    callback: options.callbackUrl ? { url: options.callbackUrl, status: 'pending', attempts: 0 } : null,
+    tenant: options.tenant ?? null,
+    result: null,
+    error: null,
+  };
+
+  await getJobStore().save(job);
+
+  queue.push({
+    jobId: job.id,
+    files,
+    llmOptions: {
+      provider: options.provider,
+      model: options.model,
+      promptVersion: options.promptVersion,
+      tenant: options.tenant,
+      cache: options.cache,
+      apiKeyId: options.apiKey?.id ?? null,
+    },
+    // Usage is charged to the key that created the job once it has run
+    apiKey: options.apiKey ?? null,
+  });
+
+  logger.info('Extraction job queued', { jobId: job.id, files: job.files.length, queueLength: queue.length });
+
+  // Defer so the HTTP response goes out before any work starts
+  setImmediate(drainQueue);
+
+  return job;
+}
+
+/**
+ * Check a callback URL when the job is created (and again before delivery): it must be an
+ * absolute http(s) URL on a host allowed by JOB_CALLBACK_HOSTS that resolves to public addresses only
+ * @param {string} value - Candidate URL
+ * @returns {Promise<URL>}
+ * @throws {Object} INVALID_CALLBACK_URL
+ */
+export async function checkCallbackUrl(value) {
+  const invalid = (message) => ({ code: 'INVALID_CALLBACK_URL', message });
+  let url;
+
+  try {
+    url = new URL(value);
+  } catch {
+    throw invalid('callbackUrl must be an absolute http(s) URL');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw invalid('callbackUrl must be an absolute http(s) URL');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+
+  if (config.jobs.callbackHosts && !config.jobs.callbackHosts.some((pattern) => matchesHost(hostname, pattern))) {
+    throw invalid(`callbackUrl host ${hostname} is not in the allowed callback hosts`);
+  }
+
+  if (config.jobs.allowPrivateCallbacks) {
+    return url;
+  }
+
+  let addresses;
+
+  try {
+    addresses = isIP(hostname) ? [hostname] : (await lookup(hostname, { all: true })).map(({ address }) => address);
+  } catch {
+    throw invalid(`callbackUrl host ${hostname} could not be resolved`);
+  }
+
+  if (!addresses.every(isPublicAddress)) {
+    throw invalid('callbackUrl must not point to a private, loopback or link-local address');
+  }
+
+  return url;
+}
+
+/**
+ * Match a host name against an allow-list entry ("example.com" or "*.example.com")
+ */
+function matchesHost(hostname, pattern) {
+  const host = hostname.toLowerCase();
+  const entry = pattern.toLowerCase();
+
+  return entry.startsWith('*.') ? host.endsWith(entry.slice(1)) : host === entry;
+}
+
+/**
+ * Get a job by id
+ * @param {string} id - Job id
+ * @param {string|null} [tenant] - Tenant the caller acts for (see resolveTenant); jobs created
+ *                                 for another tenant are not found. Undefined reaches every job.
+ * @returns {Promise<Object|null>}
+ */
+export async function getJob(id, tenant) {
+  const job = await getJobStore().get(id);
+  return job && (tenant === undefined || (job.tenant ?? null) === tenant) ? job : null;
+}
+
+/**
+ * Start queued jobs up to the configured concurrency
+ */
+function drainQueue() {
+  while (running < config.jobs.concurrency && queue.length > 0) {
+    const task = queue.shift();
+    running++;
+
+    runJob(task)
+      .catch((error) => logger.error('Job runner crashed', { jobId: task.jobId, error: error.message }))
+      .finally(() => {
+        running--;
+        drainQueue();
+      });
+  }
+}
+
+/**
+ * Run a single job to completion, persisting progress as it goes
+ * @param {Object} task - { jobId, files, llmOptions, apiKey }
+ */
+async function runJob({ jobId, files, llmOptions, apiKey }) {
+  const store = getJobStore();
+  const job = await store.get(jobId);
+
+  if (!job) {
+    logger.warn('Queued job no longer exists', { jobId });
+    return;
+  }
+
+  job.status = 'processing';
+  job.startedAt = new Date().toISOString();
+  await saveJob(job);
+
+  // Progress events arrive synchronously; chain the writes so they stay ordered
+  let pendingSave = Promise.resolve();
+  const onProgress = (event) => {
+    applyProgress(job, event);
+    pendingSave = pendingSave.then(() => saveJob(job)).catch((error) =>
+      logger.warn('Failed to persist job progress', { jobId, error: error.message })
+    );
+  };
+
+  try {
+    const options = { ...llmOptions, onProgress };
+    const result =
+      files.length === 1
+        ? await fileProcessor.processFile(files[0].buffer, files[0].mimetype, files[0].originalname, options)
+        : await fileProcessor.processFiles(files, options);
+    await recordUsage(apiKey, { requests: 1, tokens: countTokens(result) });
+
+    await pendingSave;
+
+    if (result.success === false) {
+      failJob(job, result.error, result.partialData);
+    } else {
+      const stored = await saveExtraction(result, files);
+
+      completeStages(job);
+      job.status = 'completed';
+      job.progress = { stage: 'completed', percent: 100, message: 'Extraction completed' };
+      job.result = {
+        data: stored.data,
+        metadata: stored.metadata,
+        processingTime: stored.processingTime,
+      };
+    }
+  } catch (error) {
+    await pendingSave;
+    failJob(job, {
+      code: error.code || 'PROCESSING_FAILED',
+      message: error.message || 'An unexpected error occurred during processing',
+      details: error.details,
+    });
+  }
+
+  job.finishedAt = new Date().toISOString();
+  await saveJob(job);
+
+  logger.info('Extraction job finished', { jobId, status: job.status });
+
+  if (job.callback) {
+    await deliverCallback(job);
+  }
+}
+
+/**
+ * Update stage bookkeeping from a processor progress event
+ * @param {Object} job - Job (mutated)
+ * @param {Object} event - { stage, message, current, total }
+ */
+function applyProgress(job, { stage, message, current, total }) {
+  const index = STAGES.indexOf(stage);
+  if (index === -1) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+
+  // Entering a stage completes every earlier one
+  STAGES.forEach((name, i) => {
+    const entry = job.stages[name];
+    if (i < index && entry.status !== 'completed') {
+      entry.status = 'completed';
+      entry.completedAt = now;
+    }
+  });
+
+  const entry = job.stages[stage];
+  if (entry.status !== 'running') {
+    entry.status = 'running';
+    entry.startedAt = entry.startedAt || now;
+  }
+  entry.message = message;
+
+  const fraction = total ? Math.min(current / total, 1) : 0;
+  job.progress = {
+    stage,
+    percent: Math.round(((index + fraction) / STAGES.length) * 100),
+    message,
+    ...(total && { current, total }),
+  };
+}
+
+/**
+ * Mark all stages completed
+ * @param {Object} job - Job (mutated)
+ */
+function completeStages(job) {
+  const now = new Date().toISOString();
+  for (const name of STAGES) {
+    const entry = job.stages[name];
+    if (entry.status !== 'completed') {
+      entry.status = 'completed';
+      entry.completedAt = now;
+    }
+  }
+}
+
+/**
+ * Mark a job failed, flagging the stage that was running
+ * @param {Object} job - Job (mutated)
+ * @param {Object} error - { code, message, details }
+ * @param {Object} [partialData] - Data that failed validation
+ */
+function failJob(job, error, partialData) {
+  const runningStage = STAGES.find((name) => job.stages[name].status === 'running');
+  if (runningStage) {
+    job.stages[runningStage].status = 'failed';
+  }
+
+  job.status = 'failed';
+  job.progress = { ...job.progress, stage: 'failed', message: error.message };
+  job.error = error;
+
+  if (partialData) {
+    job.result = { partialData };
+  }
+}
+
+/**
+ * Persist a job, bumping updatedAt
+ * @param {Object} job - Job
+ */
+async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  await getJobStore().save(job);
+}
+
+/**
+ * POST the final job payload to the callback URL, retrying with backoff.
+ * When JOB_WEBHOOK_SECRET is set the body is signed with HMAC-SHA256.
+ * The URL is checked again, and the connection is only made to public addresses,
+ * so a host that changed its DNS records since the job was created can't reach internal services.
+ * @param {Object} job - Finished job (mutated with delivery status)
+ */
+async function deliverCallback(job) {
+  const body = JSON.stringify(toPublicJob(job));
+  const headers = { 'content-type': 'application/json', 'x-timetable-job-id': job.id };
+
+  if (config.jobs.webhookSecret) {
+    const signature = createHmac('sha256', config.jobs.webhookSecret).update(body).digest('hex');
+    headers['x-timetable-signature'] = `sha256=${signature}`;
+  }
+
+  for (let attempt = 1; attempt <= config.jobs.webhookRetries; attempt++) {
+    job.callback.attempts = attempt;
+
+    try {
+      const url = await checkCallbackUrl(job.callback.url);
+      const status = await postCallback(url, headers, body);
+
+      // Redirects are not followed: they could lead anywhere
+      if (status < 200 || status >= 300) {
+        throw new Error(`Callback responded with HTTP ${status}`);
+      }
+
+      job.callback.status = 'delivered';
+      job.callback.deliveredAt = new Date().toISOString();
+      delete job.callback.lastError;
+      break;
+    } catch (error) {
+      job.callback.status = 'failed';
+      job.callback.lastError = error.message;
+
+      logger.warn('Job callback delivery failed', { jobId: job.id, attempt, error: error.message });
+
+      // A refused URL stays refused
+      if (error.code === 'INVALID_CALLBACK_URL') {
+        break;
+      }
+
+      if (attempt < config.jobs.webhookRetries) {
+        await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+      }
+    }
+  }
+
+  await saveJob(job);
+}
+
+/**
+ * Send one callback request
+ * @param {URL} url - Checked callback URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - JSON body
+ * @returns {Promise<number>} HTTP status code
+ */
+function postCallback(url, headers, body) {
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(
+      url,
+      {
+        method: 'POST',
+        headers: { ...headers, 'content-length': Buffer.byteLength(body) },
+        signal: AbortSignal.timeout(config.jobs.webhookTimeout),
+        ...(!config.jobs.allowPrivateCallbacks && { lookup: lookupPublicAddress }),
+      },
+      (response) => {
+        response.resume();
+        response.on('end', () => resolve(response.statusCode));
+        response.on('error', reject);
+      }
+    );
+
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Shape of a job as returned by the API and sent to callbacks
+ * @param {Object} job - Stored job
+ * @returns {Object}
+ */
+export function toPublicJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    files: job.files,
+    progress: job.progress,
+    stages: job.stages,
+    callback: job.callback && {
+      status: job.callback.status,
+      attempts: job.callback.attempts,
+      lastError: job.callback.lastError,
+      deliveredAt: job.callback.deliveredAt,
+    },
+    result: job.result,
+    error: job.error,
+  };
+}
+
+/**
+ * Fail jobs left queued or processing by a previous run of the server. Their uploaded
+ * files were only held in memory, so they can never finish; callbacks are still sent.
+ * Call once at startup, before any job is created.
+ * @returns {Promise<number>} Number of failed jobs
+ */
+export async function recoverJobs() {
+  const interrupted = (await getJobStore().list()).filter(
+    (job) => job.status === 'queued' || job.status === 'processing'
+  );
+
+  for (const job of interrupted) {
+    failJob(job, {
+      code: 'JOB_INTERRUPTED',
+      message: 'The server restarted before the job finished',
+      details: 'Submit the files again to retry the extraction.',
+    });
+    job.finishedAt = new Date().toISOString();
+    await saveJob(job);
+
+    logger.warn('Failed job interrupted by a restart', { jobId: job.id });
+
+    if (job.callback) {
+      await deliverCallback(job);
+    }
+  }
+
+  return interrupted.length;
+}
+
+/**
+ * Remove jobs older than the configured TTL
+ * @returns {Promise<number>} Number of removed jobs
+ */
+export async function pruneJobs() {
+  const before = new Date(Date.now() - config.jobs.ttlHours * 60 * 60 * 1000);
+  const removed = await getJobStore().prune(before);
+
+  if (removed > 0) {
+    logger.info('Pruned expired jobs', { removed });
+  }
+
+  return removed;
+}
@@ -0,0 +1,101 @@
+import { readFile, writeFile, rename, unlink, readdir, mkdir } from 'fs/promises';
+import path from 'path';
+
+// Job ids are UUIDs; reject anything else so ids can't escape the directory
+const JOB_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+/**
+ * Create a file-backed job store (one JSON file per job)
+ * @param {Object} settings - { dir }
+ * @returns {Object} Job store
+ */
+export function createFileStore(settings) {
+  const dir = settings.dir;
+  let ready = null;
+
+  const ensureDir = () => {
+    ready = ready || mkdir(dir, { recursive: true });
+    return ready;
+  };
+
+  const jobPath = (id) => path.join(dir, `${id}.json`);
+
+  return {
+    name: 'file',
+
+    async save(job) {
+      await ensureDir();
+
+      // Write then rename so readers never see a half-written file
+      const target = jobPath(job.id);
+      const temp = `${target}.${process.pid}.tmp`;
+      await writeFile(temp, JSON.stringify(job, null, 2));
+      await rename(temp, target);
+      return job;
+    },
+
+    async get(id) {
+      if (!JOB_ID_PATTERN.test(id)) {
+        return null;
+      }
+
+      try {
+        return JSON.parse(await readFile(jobPath(id), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async delete(id) {
+      if (!JOB_ID_PATTERN.test(id)) {
+        return false;
+      }
+
+      try {
+        await unlink(jobPath(id));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async list() {
+      await ensureDir();
+
+      const jobs = [];
+      for (const entry of await readdir(dir)) {
+        if (!entry.endsWith('.json')) {
+          continue;
+        }
+
+        const job = await this.get(entry.slice(0, -'.json'.length));
+        if (job) {
+          jobs.push(job);
+        }
+      }
+      return jobs;
+    },
+
+    /**
+     * Remove jobs last updated before the given date
+     * @param {Date} before - Cut-off date
+     * @returns {Promise<number>} Number of removed jobs
+     */
+    async prune(before) {
+      let removed = 0;
+      for (const job of await this.list()) {
+        if (new Date(job.updatedAt) < before) {
+          await this.delete(job.id);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
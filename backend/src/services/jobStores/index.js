@@ -0,0 +1,30 @@
+import { config } from '../../config/index.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createFileStore } from './fileStore.js';
+
+const factories = {
+  memory: () => createMemoryStore(),
+  file: () => createFileStore({ dir: config.jobs.storeDir }),
+};
+
+let store = null;
+
+/**
+ * Get the configured job store (created once)
+ * @returns {Object} Job store with save/get/delete/list/prune
+ */
+export function getJobStore() {
+  if (!store) {
+    const factory = factories[config.jobs.store];
+
+    if (!factory) {
+      throw new Error(
+        `Unknown job store "${config.jobs.store}". Available stores: ${Object.keys(factories).join(', ')}`
+      );
+    }
+
+    store = factory();
+  }
+
+  return store;
+}
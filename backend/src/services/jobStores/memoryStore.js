@@ -0,0 +1,46 @@
+/**
+ * Create an in-memory job store (default; jobs are lost on restart)
+ * @returns {Object} Job store
+ */
+export function createMemoryStore() {
+  const jobs = new Map();
+
+  return {
+    name: 'memory',
+
+    async save(job) {
+      // Store a copy so callers can't mutate persisted state by accident
+      jobs.set(job.id, structuredClone(job));
+      return job;
+    },
+
+    async get(id) {
+      const job = jobs.get(id);
+      return job ? structuredClone(job) : null;
+    },
+
+    async delete(id) {
+      return jobs.delete(id);
+    },
+
+    async list() {
+      return [...jobs.values()].map((job) => structuredClone(job));
+    },
+
+    /**
+     * Remove jobs last updated before the given date
+     * @param {Date} before - Cut-off date
+     * @returns {Promise<number>} Number of removed jobs
+     */
+    async prune(before) {
+      let removed = 0;
+      for (const [id, job] of jobs) {
+        if (new Date(job.updatedAt) < before) {
+          jobs.delete(id);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
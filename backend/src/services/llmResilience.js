@@ -0,0 +1,257 @@
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Resilience around LLM provider calls: a timeout per call, retries with exponential
+ * backoff and jitter for transient failures (timeouts, network errors, 408/409/429/5xx,
+ * honouring Retry-After), and a circuit breaker per provider.
+ *
+ * The breaker opens after config.llm.circuitBreaker.failureThreshold consecutive calls
+ * failed transiently (each after its retries). While open, calls fail at once with
+ * LLM_CIRCUIT_OPEN; after the cool-down one trial call is let through (half open) and
+ * its outcome closes or re-opens the breaker. State is per server process.
+ */
+
+// Node network errors worth retrying
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+// Errors meaning the provider is unreachable right now, not that the input is bad
+const UNAVAILABLE_CODES = ['LLM_CIRCUIT_OPEN', 'LLM_TIMEOUT'];
+
+// Circuit breaker per provider name
+const breakers = new Map();
+
+/**
+ * Whether an error means the provider is unavailable (breaker open or timed out after retries).
+ * Processors rethrow such errors unchanged instead of wrapping them or moving on to the next
+ * page, tile or file: every further call would go to the same provider, and callers need the
+ * code to answer 503/504 so clients retry later.
+ * @param {Object} error - Caught error
+ * @returns {boolean}
+ */
+export function isProviderOutage(error) {
+  return UNAVAILABLE_CODES.includes(error?.code);
+}
+
+/**
+ * Run one provider call with timeout, retries and the provider's circuit breaker
+ * @param {string} providerName - Provider the call goes to (one breaker per provider)
+ * @param {Function} call - (signal) => Promise; must abort when the AbortSignal fires
+ * @returns {Promise<*>} The call's result
+ * @throws {Error} The last error, LLM_TIMEOUT when the call timed out or LLM_CIRCUIT_OPEN
+ */
+export async function callWithResilience(providerName, call) {
+  const breaker = getBreaker(providerName);
+  admit(providerName, breaker);
+
+  const { maxRetries } = config.llm.retry;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await withTimeout(call, config.llm.timeoutMs);
+      close(providerName, breaker);
+      return result;
+    } catch (error) {
+      if (!isRetryable(error)) {
+        // The provider answered, so it is up; the request itself was wrong
+        close(providerName, breaker);
+        throw error;
+      }
+
+      const delay = retryDelay(error, attempt);
+
+      // A half-open breaker gets a single trial, without retries
+      if (breaker.state === 'half_open' || attempt >= maxRetries || delay === null) {
+        fail(providerName, breaker, error);
+        throw error;
+      }
+
+      logger.warn('LLM call failed, retrying', {
+        provider: providerName,
+        attempt: attempt + 1,
+        maxRetries,
+        delayMs: delay,
+        status: error.status,
+        error: error.message,
+      });
+
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Circuit breaker state per provider, for the health check
+ * @param {Array<string>} providerNames - Providers to report (unused ones are closed)
+ * @returns {Object} { [provider]: { state, consecutiveFailures, openedAt, retryAt, lastError } }
+ */
+export function getCircuitStates(providerNames) {
+  return Object.fromEntries(
+    providerNames.map((name) => {
+      const breaker = getBreaker(name);
+      const retryAt = breaker.state === 'open' ? breaker.openedAt + config.llm.circuitBreaker.cooldownMs : null;
+
+      return [
+        name,
+        {
+          state: breaker.state,
+          consecutiveFailures: breaker.failures,
+          openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+          retryAt: retryAt ? new Date(retryAt).toISOString() : null,
+          lastError: breaker.lastError,
+        },
+      ];
+    })
+  );
+}
+
+function getBreaker(providerName) {
+  if (!breakers.has(providerName)) {
+    breakers.set(providerName, { state: 'closed', failures: 0, openedAt: null, lastError: null });
+  }
+
+  return breakers.get(providerName);
+}
+
+/**
+ * Let a call through or reject it while the breaker is open.
+ * Once the cool-down has passed, the first call becomes the half-open trial.
+ */
+function admit(providerName, breaker) {
+  if (breaker.state === 'closed') {
+    return;
+  }
+
+  const retryAt = breaker.openedAt + config.llm.circuitBreaker.cooldownMs;
+
+  if (breaker.state === 'open' && Date.now() >= retryAt) {
+    breaker.state = 'half_open';
+    logger.info('LLM circuit half open, trying provider again', { provider: providerName });
+    return;
+  }
+
+  const error = new Error(
+    `LLM provider "${providerName}" is unavailable after repeated failures. Retrying after ${new Date(retryAt).toISOString()}`
+  );
+  error.code = 'LLM_CIRCUIT_OPEN';
+  error.details = { provider: providerName, retryAt: new Date(retryAt).toISOString(), lastError: breaker.lastError };
+  throw error;
+}
+
+function close(providerName, breaker) {
+  if (breaker.state !== 'closed') {
+    logger.info('LLM circuit closed', { provider: providerName });
+  }
+
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.openedAt = null;
+}
+
+function fail(providerName, breaker, error) {
+  breaker.failures++;
+  breaker.lastError = error.message;
+
+  if (breaker.state === 'half_open' || breaker.failures >= config.llm.circuitBreaker.failureThreshold) {
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+    logger.error('LLM circuit opened', {
+      provider: providerName,
+      consecutiveFailures: breaker.failures,
+      cooldownMs: config.llm.circuitBreaker.cooldownMs,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Run a call with an AbortSignal that fires after timeoutMs
+ */
+async function withTimeout(call, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await call(controller.signal);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      const timeoutError = new Error(`LLM call timed out after ${timeoutMs}ms`);
+      timeoutError.code = 'LLM_TIMEOUT';
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Transient failures: timeouts, network errors and 408, 409, 429 or 5xx responses.
+ * A 429 for an exhausted account quota won't clear up by waiting.
+ */
+function isRetryable(error) {
+  if (error.code === 'LLM_TIMEOUT') {
+    return true;
+  }
+
+  if (error.status) {
+    if (error.code === 'insufficient_quota') {
+      return false;
+    }
+    return [408, 409, 429].includes(error.status) || error.status >= 500;
+  }
+
+  const cause = error.cause?.code ?? error.code;
+  return (
+    NETWORK_ERROR_CODES.includes(cause) ||
+    error.name === 'APIConnectionError' ||
+    (error instanceof TypeError && error.message === 'fetch failed')
+  );
+}
+
+/**
+ * Delay before retry number attempt + 1: the server's Retry-After when it sent one,
+ * otherwise exponential backoff with full jitter
+ * @returns {number|null} Milliseconds, or null when Retry-After asks for longer than we wait
+ */
+function retryDelay(error, attempt) {
+  const { baseDelayMs, maxDelayMs } = config.llm.retry;
+  const retryAfter = readRetryAfter(error);
+
+  if (retryAfter !== null) {
+    return retryAfter <= maxDelayMs ? retryAfter : null;
+  }
+
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+/**
+ * Retry-After from an error's response headers (OpenAI SDK errors carry a plain object,
+ * the fetch-based providers copy theirs), in milliseconds
+ */
+function readRetryAfter(error) {
+  const headers = error.headers;
+  const header = (name) => (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name]) ?? null;
+
+  const milliseconds = Number(header('retry-after-ms'));
+  if (milliseconds > 0) {
+    return milliseconds;
+  }
+
+  const value = header('retry-after');
+  if (value === null) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds, 0) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -1,165 +1,333 @@
-import OpenAI from 'openai';
 import { config } from '../config/index.js';
 import logger from '../utils/logger.js';
+import { getProvider, listProviders } from './providers/index.js';
+import {
+  getPromptSet,
+  getPromptFingerprint,
+  renderPrompt,
+  renderSystemPrompt,
+  renderRepairPrompt,
+  renderContinuationPrompt,
+  renderTileNote,
+} from './prompts/index.js';
+import { normalizeBlockTimes } from './timeNormalizer.js';
+import { recordLLMCall } from './usageService.js';
+import { callWithResilience, getCircuitStates } from './llmResilience.js';
+import { stripMetadata } from './imagePreprocessor.js';
+import { modelExtractionSchema, timetableExtractionSchema } from '../schemas/timetable.js';
+import { toJSONSchema, stripOptionalNulls } from '../schemas/jsonSchema.js';
 
-// Initialize OpenAI client
-const openai = config.openaiApiKey
-  ? new OpenAI({ apiKey: config.openaiApiKey })
-  : null;
-
-// System prompt for timetable extraction
-const SYSTEM_PROMPT = `You are an expert at extracting structured timetable data from teacher schedules.
-You must output valid JSON only, following the exact schema provided.
-
-Your task is to:
-1. Identify all time blocks (classes, breaks, activities, registration, etc.)
-2. Extract accurate start and end times
-3. Preserve original subject names exactly as they appear
-4. Include any notes or additional details
-5. Identify the day of the week for each block
-6. Determine the subject type (academic, break, administrative, or other)
-
-Important guidelines:
-- Be precise with times - if you see "9:30 - 10am", that's 9:30 to 10:00
-- If times are ambiguous, use your best judgment
-- Preserve all original text (don't translate or modify subject names)
-- If you can't determine something, use null
-- Include ALL blocks you can identify, even small ones like "Registration"
-- IMPORTANT: Text may be written vertically or with spaces between letters (e.g. "B R E A K" or "L U N C H" or "H O M E")
-- When you see spaced letters like "B R E A K", combine them into "Break"
-- Common vertical/spaced words: BREAK, LUNCH, HOME, STORYTIME - these are usually break periods
-- Classify activities like Break, Lunch, Home Time, Story Time as subject_type: "break"
-- Classify Registration, Assembly as subject_type: "administrative"`;
-
-// Example output format in the prompt
-const EXAMPLE_OUTPUT = {
-  metadata: {
-    teacher_name: 'Miss Joynes',
-    class_name: '2EJ',
-    term: 'Autumn 2 2024',
-    school_name: 'Little Thurrock Primary School',
-    extraction_confidence: 0.95,
-  },
-  timeblocks: [
-    {
-      day: 'Monday',
-      start_time: '8:35',
-      end_time: '8:50',
-      subject: 'Registration and Early Morning Work',
-      subject_type: 'administrative',
-      notes: null,
-    },
-    {
-      day: 'Monday',
-      start_time: '9:00',
-      end_time: '9:30',
-      subject: 'Maths',
-      subject_type: 'academic',
-      notes: null,
-    },
-    {
-      day: 'Monday',
-      start_time: '10:30',
-      end_time: '10:45',
-      subject: 'Break',
-      subject_type: 'break',
-      notes: null,
-    },
-    {
-      day: 'Monday',
-      start_time: '12:00',
-      end_time: '13:00',
-      subject: 'Lunch',
-      subject_type: 'break',
-      notes: null,
+// Extraction replies are held to the same schema the pipeline validates against
+const EXTRACTION_SCHEMA = { name: 'timetable_extraction', schema: toJSONSchema(modelExtractionSchema) };
+
+// Schema errors sent back to the model (and reported) per repair attempt
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Send one completion request to the selected provider, with a timeout, retries on
+ * transient failures and the provider's circuit breaker (see llmResilience.js).
+ * Every call is recorded for usage accounting, even when its reply turns out to be unusable.
+ * @param {Object} request - { system, prompt, image, messages, schema, json }
+ * @param {Object} options - { provider, model } plus who the call is for: { extractionId, apiKeyId, tenant }
+ * @param {Object} prompts - Prompt set the request was built from
+ * @param {string} operation - vision, text, verification, repair or continuation
+ * @returns {Promise<Object>} { text, truncated, metadata }
+ */
+async function callProvider(request, options, prompts, operation) {
+  const provider = getProvider(options.provider);
+
+  if (!provider.isConfigured()) {
+    throw new Error(`LLM provider "${provider.name}" is not configured`);
+  }
+
+  const startTime = Date.now();
+  const image = request.image && (await sendableImage(request.image));
+
+  const response = await callWithResilience(provider.name, (signal) =>
+    provider.complete({
+      ...request,
+      ...(image && { image }),
+      model: options.model,
+      maxTokens: config.llm.maxTokens,
+      temperature: config.llm.temperature,
+      signal,
+    })
+  );
+
+  const processingTime = Date.now() - startTime;
+
+  await recordLLMCall({
+    operation,
+    provider: provider.name,
+    model: response.model,
+    promptVersion: prompts.version,
+    ...response.usage,
+    extractionId: options.extractionId,
+    apiKeyId: options.apiKeyId,
+    tenant: options.tenant,
+  });
+
+  return {
+    text: response.text,
+    truncated: Boolean(response.truncated),
+    metadata: {
+      provider: provider.name,
+      model: response.model,
+      promptVersion: prompts.version,
+      processingTime,
+      tokensUsed: response.usage.totalTokens,
+      promptTokens: response.usage.promptTokens,
+      completionTokens: response.usage.completionTokens,
     },
-  ],
-};
+  };
+}
 
 /**
- * Extract timetable data using GPT-4 Vision capabilities
- * @param {Buffer} imageBuffer - Image file buffer
- * @param {string} mimeType - Image MIME type
- * @returns {Promise<Object>} Extracted timetable data
+ * Image without its metadata (see stripMetadata): photos can carry the GPS location
+ * of a teacher's home or school, which no provider needs
+ * @param {Object} image - { buffer, mimeType }
+ * @returns {Promise<Object>} { buffer, mimeType }
  */
-export async function extractWithVision(imageBuffer, mimeType) {
-  if (!openai) {
-    throw new Error('OpenAI API key not configured');
+async function sendableImage(image) {
+  const { removed, ...stripped } = await stripMetadata(image);
+
+  if (removed.length > 0) {
+    logger.info('Removed image metadata before sending it to the provider', { removed });
   }
 
-  logger.info('Starting GPT-4 Vision extraction', { mimeType });
+  return stripped;
+}
 
-  const base64Image = imageBuffer.toString('base64');
+/**
+ * Send a completion request and parse the JSON reply
+ * @param {Object} request - { system, prompt, image }
+ * @param {Object} options - { provider, model } plus usage context { extractionId, apiKeyId, tenant }
+ * @param {Object} prompts - Prompt set the request was built from
+ * @param {string} operation - Operation recorded for usage accounting
+ * @returns {Promise<Object>} Parsed data plus call metadata
+ */
+async function runCompletion(request, options, prompts, operation) {
+  const { text, metadata } = await callProvider(request, options, prompts, operation);
 
-  const userPrompt = `Extract the timetable data from this image.
+  return { data: parseJSONResponse(text), metadata };
+}
 
-Output format (JSON only, no additional text):
-${JSON.stringify(EXAMPLE_OUTPUT, null, 2)}
+/**
+ * Run an extraction request with structured output and repair replies that can't be used:
+ * a reply cut off at the token limit is continued (LLM_MAX_CONTINUATIONS times at most), and
+ * one that isn't JSON or doesn't match the extraction schema is sent back to the model with
+ * the errors (LLM_REPAIR_ATTEMPTS times at most). Every extra call is listed in metadata.repairs;
+ * tokens and processing time cover all calls.
+ * @param {Object} request - { system, prompt, image }
+ * @param {Object} options - { provider, model } plus usage context { extractionId, apiKeyId, tenant }
+ * @param {Object} prompts - Prompt set the request was built from
+ * @param {string} operation - vision or text
+ * @returns {Promise<Object>} { data, metadata } with times normalized
+ * @throws {Error} MALFORMED_LLM_RESPONSE when no attempt produced valid JSON
+ */
+async function runExtraction(request, options, prompts, operation) {
+  const structured = { ...request, schema: EXTRACTION_SCHEMA };
+  const repairs = [];
+
+  let reply = await completeReply(structured, options, prompts, operation);
+  const calls = [...reply.calls];
+  repairs.push(...continuationsOf(reply));
+
+  let check = checkExtraction(reply.text);
+
+  for (let attempt = 1; check.errors && attempt <= config.llm.repair.maxAttempts; attempt++) {
+    logger.warn('Extraction reply unusable, asking the model to repair it', {
+      reason: check.reason,
+      attempt,
+      errors: check.errors.slice(0, 3),
+    });
+
+    reply = await completeReply(
+      {
+        ...structured,
+        messages: [
+          { role: 'assistant', content: reply.text },
+          { role: 'user', content: renderRepairPrompt(check.errors) },
+        ],
+      },
+      options,
+      prompts,
+      'repair'
+    );
+    calls.push(...reply.calls);
+    repairs.push(
+      { reason: check.reason, errors: check.errors, tokensUsed: reply.calls[0].metadata.tokensUsed },
+      ...continuationsOf(reply)
+    );
 
-Important:
-- Extract ALL time blocks you can see
-- Be precise with times
-- Preserve original subject names
-- Identify the day of week for each block
-- Provide a confidence score (0-1) for your extraction in metadata
-- If you can't read something clearly, mark it as null
+    check = checkExtraction(reply.text);
+  }
 
-Now extract from the provided image:`;
+  const numberedRepairs = repairs.map((repair, index) => ({ attempt: index + 1, ...repair }));
+
+  if (check.reason === 'invalid_json') {
+    const error = new Error(`The model did not return valid JSON (${check.errors[0]})`);
+    error.code = 'MALFORMED_LLM_RESPONSE';
+    error.details = { repairs: numberedRepairs };
+    throw error;
+  }
+
+  // A remaining schema mismatch is reported by extraction validation (VALIDATION_FAILED)
+  return {
+    data: check.data,
+    metadata: { ...sumCallMetadata(calls), timeCorrections: check.corrections, repairs: numberedRepairs },
+  };
+}
+
+/**
+ * One reply, continued for as long as it is cut off at the token limit
+ * @returns {Promise<Object>} { text, calls } where calls[0] is the request itself
+ */
+async function completeReply(request, options, prompts, operation) {
+  let call = await callProvider(request, options, prompts, operation);
+  const calls = [call];
+  let text = call.text;
+
+  while (call.truncated && calls.length <= config.llm.repair.maxContinuations) {
+    logger.warn('Extraction reply cut off at the token limit, continuing it', { continuation: calls.length });
+
+    call = await callProvider(
+      {
+        ...request,
+        // The rest of a reply is not a JSON document by itself
+        json: false,
+        schema: null,
+        messages: [
+          ...(request.messages || []),
+          { role: 'assistant', content: text },
+          { role: 'user', content: renderContinuationPrompt() },
+        ],
+      },
+      options,
+      prompts,
+      'continuation'
+    );
+    calls.push(call);
+    text += call.text;
+  }
+
+  return { text, calls };
+}
+
+function continuationsOf(reply) {
+  return reply.calls.slice(1).map((call) => ({ reason: 'truncated', tokensUsed: call.metadata.tokensUsed }));
+}
+
+/**
+ * Parse an extraction reply, normalize its times and check it against the extraction schema
+ * @param {string} text - Raw model output
+ * @returns {Object} { data, corrections } plus { reason, errors } when the reply can't be used as is
+ */
+function checkExtraction(text) {
+  let parsed;
 
   try {
-    const startTime = Date.now();
+    parsed = parseJSONResponse(text);
+  } catch (error) {
+    return { reason: 'invalid_json', errors: [error.message] };
+  }
 
-    const response = await openai.chat.completions.create({
-      model: config.llm.model,
-      max_tokens: config.llm.maxTokens,
-      temperature: config.llm.temperature,
-      response_format: { type: 'json_object' },
-      messages: [
-        {
-          role: 'system',
-          content: SYSTEM_PROMPT,
-        },
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'text',
-              text: userPrompt,
-            },
-            {
-              type: 'image_url',
-              image_url: {
-                url: `data:${mimeType};base64,${base64Image}`,
-                detail: 'high',
-              },
-            },
-          ],
-        },
-      ],
-    });
+  const { data, corrections } = normalizeTimes(stripOptionalNulls(parsed, timetableExtractionSchema));
+  const validation = modelExtractionSchema.safeParse(data);
 
-    const processingTime = Date.now() - startTime;
-    logger.info('GPT-4 Vision extraction completed', {
-      processingTime,
-      tokensUsed: response.usage.total_tokens,
-      promptTokens: response.usage.prompt_tokens,
-      completionTokens: response.usage.completion_tokens,
-    });
+  if (validation.success) {
+    return { data, corrections };
+  }
+
+  return {
+    data,
+    corrections,
+    reason: 'schema_mismatch',
+    errors: validation.error.errors
+      .slice(0, MAX_REPORTED_ERRORS)
+      .map((err) => `${err.path.join('.') || '(root)'}: ${err.message}`),
+  };
+}
+
+/**
+ * Metadata of the last call with tokens and time summed over all calls
+ */
+function sumCallMetadata(calls) {
+  const sum = (key) => calls.reduce((total, call) => total + (call.metadata[key] || 0), 0);
 
-    // Parse JSON response
-    const responseText = response.choices[0].message.content;
-    const extractedData = JSON.parse(responseText);
+  return {
+    ...calls[calls.length - 1].metadata,
+    processingTime: sum('processingTime'),
+    tokensUsed: sum('tokensUsed'),
+    promptTokens: sum('promptTokens'),
+    completionTokens: sum('completionTokens'),
+  };
+}
 
-    return {
-      data: extractedData,
-      metadata: {
-        model: config.llm.model,
-        processingTime,
-        tokensUsed: response.usage.total_tokens,
+/**
+ * Parse a model reply as JSON, tolerating markdown code fences
+ * (providers without a JSON mode sometimes wrap their output)
+ * @param {string} text - Raw model output
+ * @returns {Object} Parsed JSON
+ */
+function parseJSONResponse(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  return JSON.parse(fenced ? fenced[1] : text);
+}
+
+/**
+ * Bring an extraction's times to 24-hour "HH:MM" before anything compares them
+ * (page merges, cross-checks); what was changed is reported in metadata.timeCorrections
+ * @param {Object} data - Parsed extraction
+ * @returns {Object} { data, corrections }
+ */
+function normalizeTimes(data) {
+  if (!Array.isArray(data?.timeblocks)) {
+    return { data, corrections: [] };
+  }
+
+  const { timeblocks, corrections } = normalizeBlockTimes(data.timeblocks);
+
+  return { data: { ...data, timeblocks }, corrections };
+}
+
+/**
+ * Extract timetable data using a vision-capable model
+ * @param {Buffer} imageBuffer - Image file buffer
+ * @param {string} mimeType - Image MIME type
+ * @param {Object} options - Per-request overrides { provider, model, promptVersion, vocabulary },
+ *                           usage context { extractionId, apiKeyId, tenant } and, when the image
+ *                           is one tile of a larger one, tile (see imagePreprocessor)
+ * @returns {Promise<Object>} Extracted timetable data
+ */
+export async function extractWithVision(imageBuffer, mimeType, options = {}) {
+  const prompts = getPromptSet(options.promptVersion);
+
+  logger.info('Starting vision extraction', {
+    mimeType,
+    provider: options.provider || config.llm.provider,
+    promptVersion: prompts.version,
+  });
+
+  try {
+    const result = await runExtraction(
+      {
+        system: renderSystemPrompt(prompts, options.vocabulary),
+        prompt: options.tile
+          ? `${renderPrompt(prompts, 'vision')}\n\n${renderTileNote(options.tile)}`
+          : renderPrompt(prompts, 'vision'),
+        image: { buffer: imageBuffer, mimeType },
       },
-    };
+      options,
+      prompts,
+      'vision'
+    );
+
+    logger.info('Vision extraction completed', result.metadata);
+
+    return result;
   } catch (error) {
-    logger.error('GPT-4 Vision extraction failed', {
+    logger.error('Vision extraction failed', {
       error: error.message,
       stack: error.stack,
     });
@@ -168,78 +336,86 @@ Now extract from the provided image:`;
 }
 
 /**
- * Extract timetable data from text using GPT-4
+ * Extract timetable data from text
  * @param {string} text - Extracted text from document
- * @param {Object} options - Additional context
+ * @param {Object} options - Per-request overrides { provider, model, promptVersion, vocabulary }
+ *                           and usage context { extractionId, apiKeyId, tenant }
  * @returns {Promise<Object>} Extracted timetable data
  */
 export async function extractFromText(text, options = {}) {
-  if (!openai) {
-    throw new Error('OpenAI API key not configured');
-  }
+  const prompts = getPromptSet(options.promptVersion);
 
-  logger.info('Starting GPT-4 text extraction', { textLength: text.length });
+  logger.info('Starting text extraction', {
+    textLength: text.length,
+    provider: options.provider || config.llm.provider,
+    promptVersion: prompts.version,
+  });
 
-  const userPrompt = `Extract the timetable data from this text.
+  try {
+    const result = await runExtraction(
+      {
+        system: renderSystemPrompt(prompts, options.vocabulary),
+        prompt: renderPrompt(prompts, 'text', { text }),
+      },
+      options,
+      prompts,
+      'text'
+    );
 
-Text content:
-"""
-${text}
-"""
+    logger.info('Text extraction completed', result.metadata);
 
-Output format (JSON only, no additional text):
-${JSON.stringify(EXAMPLE_OUTPUT, null, 2)}
+    return result;
+  } catch (error) {
+    logger.error('Text extraction failed', {
+      error: error.message,
+      stack: error.stack,
+    });
+    throw error;
+  }
+}
 
-Important:
-- Extract ALL time blocks you can identify
-- Parse times carefully (handle formats like "9-9.30", "10:30-11:00", etc.)
-- Preserve original subject names
-- Identify the day of week for each block
-- Provide a confidence score (0-1) for your extraction
-- If information is missing, use null
+/**
+ * Ask the model to re-check specific blocks against the original source
+ * @param {Object} source - { text } or { image: { buffer, mimeType } }
+ * @param {Array<Object>} blocks - Blocks to check, each with an index
+ * @param {Object} options - Per-request overrides { provider, model, promptVersion, vocabulary }
+ *                           and usage context { extractionId, apiKeyId, tenant }
+ * @returns {Promise<Object>} { data: { blocks }, metadata }
+ */
+export async function verifyBlocks(source, blocks, options = {}) {
+  const prompts = getPromptSet(options.promptVersion);
 
-Now extract the timetable data:`;
+  logger.info('Starting block verification', {
+    blocks: blocks.length,
+    source: source.image ? 'image' : 'text',
+    provider: options.provider || config.llm.provider,
+    promptVersion: prompts.version,
+  });
 
   try {
-    const startTime = Date.now();
+    const result = await runCompletion(
+      {
+        system: renderSystemPrompt(prompts, options.vocabulary),
+        prompt: renderPrompt(prompts, 'verification', {
+          source: source.image ? 'the attached image' : `this text:\n\n"""\n${source.text}\n"""`,
+          blocks: JSON.stringify(blocks, null, 2),
+        }),
+        image: source.image,
+      },
+      options,
+      prompts,
+      'verification'
+    );
 
-    const response = await openai.chat.completions.create({
-      model: config.llm.model,
-      max_tokens: config.llm.maxTokens,
-      temperature: config.llm.temperature,
-      response_format: { type: 'json_object' },
-      messages: [
-        {
-          role: 'system',
-          content: SYSTEM_PROMPT,
-        },
-        {
-          role: 'user',
-          content: userPrompt,
-        },
-      ],
-    });
+    if (!Array.isArray(result.data?.blocks)) {
+      throw new Error('Verification response did not contain a blocks array');
+    }
 
-    const processingTime = Date.now() - startTime;
-    logger.info('GPT-4 text extraction completed', {
-      processingTime,
-      tokensUsed: response.usage.total_tokens,
-    });
+    logger.info('Block verification completed', result.metadata);
 
-    // Parse JSON response
-    const responseText = response.choices[0].message.content;
-    const extractedData = JSON.parse(responseText);
-
-    return {
-      data: extractedData,
-      metadata: {
-        model: config.llm.model,
-        processingTime,
-        tokensUsed: response.usage.total_tokens,
-      },
-    };
+    return result;
   } catch (error) {
-    logger.error('GPT-4 text extraction failed', {
+    logger.error('Block verification failed', {
       error: error.message,
       stack: error.stack,
     });
@@ -247,9 +423,81 @@ Now extract the timetable data:`;
   }
 }
 
+/**
+ * Resolve a provider name, throwing INVALID_LLM_PROVIDER for unknown names
+ * @param {string} [providerName] - Requested provider
+ * @returns {string} Provider name that will be used
+ */
+export function resolveProviderName(providerName) {
+  return getProvider(providerName).name;
+}
+
+/**
+ * Check a per-request model override against the provider's allow-list: its default model
+ * plus the provider's allowedModels, so a caller can't pick a model the deployment doesn't pay for
+ * @param {string} providerName - Provider name (default provider when omitted)
+ * @param {string} model - Requested model
+ * @returns {string|undefined} The model, or undefined when none was requested
+ * @throws {Object} INVALID_MODEL
+ */
+export function resolveModel(providerName, model) {
+  if (!model) {
+    return undefined;
+  }
+
+  const provider = getProvider(providerName);
+  const allowed = [provider.defaultModel, ...(config.llm.providers[provider.name]?.allowedModels || [])];
+
+  if (!allowed.includes(model)) {
+    throw {
+      code: 'INVALID_MODEL',
+      message: `Model "${model}" is not allowed for the ${provider.name} provider`,
+      details: `Allowed models: ${allowed.join(', ')}`,
+    };
+  }
+
+  return model;
+}
+
+/**
+ * Settings that determine an extraction's output (used for result caching)
+ * @param {Object} options - Per-request overrides { provider, model, promptVersion, vocabulary }
+ * @returns {Object} { promptVersion, promptFingerprint, provider, model, maxTokens, temperature, vocabulary }
+ */
+export function getExtractionSettings(options = {}) {
+  const provider = getProvider(options.provider);
+
+  return {
+    promptVersion: getPromptSet(options.promptVersion).version,
+    promptFingerprint: getPromptFingerprint(options.promptVersion),
+    provider: provider.name,
+    model: options.model || provider.defaultModel,
+    maxTokens: config.llm.maxTokens,
+    temperature: config.llm.temperature,
+    // Without an LLM the rule-based parser runs instead, so keep those results apart
+    configured: provider.isConfigured(),
+    // Only present with a vocabulary, so existing cache entries stay valid
+    ...(options.vocabulary && { vocabulary: options.vocabulary.fingerprint }),
+  };
+}
+
 /**
  * Health check for LLM service
+ * @param {string} [providerName] - Provider to check (defaults to the configured one)
+ * @returns {boolean}
+ */
+export function isConfigured(providerName) {
+  try {
+    return getProvider(providerName).isConfigured();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Circuit breaker state of every provider, for the health check
+ * @returns {Object} { [provider]: { state, consecutiveFailures, openedAt, retryAt, lastError } }
  */
-export function isConfigured() {
-  return openai !== null;
+export function getCircuitStatus() {
+  return getCircuitStates(listProviders());
 }
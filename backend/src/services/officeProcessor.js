@@ -0,0 +1,509 @@
+import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
+import logger from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { reportProgress } from '../utils/progress.js';
+import * as llmService from './llmService.js';
+import * as ruleBasedParser from './ruleBasedParser.js';
+import { isProviderOutage } from './llmResilience.js';
+import { mergeExtractions } from './timetableMerger.js';
+
+export const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+export const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+export const OFFICE_TYPES = [DOCX_TYPE, XLSX_TYPE];
+
+// Layout used when table cells are handed to the rule-based parser as positioned text
+const CELL_WIDTH = 120;
+const ROW_HEIGHT = 40;
+const FONT_SIZE = 10;
+// Gap between neighbouring cells, wide enough that the parser never joins them into one run
+const CELL_PADDING = 12;
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Extract a timetable from the tables of a Word document or the sheets of an Excel workbook.
+ * Cells are read directly, merged cells included, so no OCR is involved: the LLM gets the
+ * tables as text, or without an LLM the rule-based parser lays the cells out as a page.
+ * @param {Buffer} fileBuffer - DOCX or XLSX file buffer
+ * @param {string} mimeType - One of OFFICE_TYPES
+ * @param {Object} options - Per-request LLM overrides { provider, model }
+ * @returns {Promise<Object>} Extracted timetable data
+ */
+export async function processOfficeDocument(fileBuffer, mimeType, options = {}) {
+  const kind = mimeType === XLSX_TYPE ? 'xlsx' : 'docx';
+  logger.info('Starting document processing', { kind });
+
+  try {
+    reportProgress(options, 'preprocessing', { message: kind === 'xlsx' ? 'Reading workbook' : 'Reading document tables' });
+    const document = kind === 'xlsx' ? await readWorkbook(fileBuffer) : await readWordDocument(fileBuffer);
+
+    if (document.tables.length === 0) {
+      throw new Error(kind === 'xlsx' ? 'The workbook has no cells with content.' : 'The document contains no tables.');
+    }
+
+    const text = formatDocument(document);
+    // One "page" per table, so verification can re-parse the layout like a PDF's
+    const pages = document.tables.map((table, index) => ({
+      pageNumber: index + 1,
+      text: formatTable(table),
+      items: toLayoutItems(table, index === 0 ? document.paragraphs : []),
+    }));
+    const source = { text, pages };
+
+    logger.info('Document tables read', {
+      tables: document.tables.map((table) => `${table.rowCount}x${table.columnCount}`),
+      textLength: text.length,
+    });
+
+    if (!llmService.isConfigured(options.provider)) {
+      return { ...processWithRules(pages, kind, options), source };
+    }
+
+    reportProgress(options, 'extraction', { message: 'Extracting document tables with LLM' });
+    const result = await llmService.extractFromText(text, options);
+    const crossCheck = config.ruleParser.crossCheck ? compareWithRules(result.data, pages) : undefined;
+
+    return {
+      success: true,
+      ...result,
+      metadata: { ...result.metadata, ...(crossCheck !== undefined && { crossCheck }) },
+      extractionMethod: `${kind}-table + llm-text`,
+      source,
+    };
+  } catch (error) {
+    logger.error('Document processing failed', {
+      error: error.message,
+      stack: error.stack,
+    });
+
+    if (isProviderOutage(error)) {
+      throw error;
+    }
+
+    // Keeps its repair attempts in details and answers 502, not 500
+    if (error.code === 'MALFORMED_LLM_RESPONSE') {
+      throw error;
+    }
+
+    throw {
+      code: 'DOCUMENT_PROCESSING_FAILED',
+      message: error.message,
+      details: `Failed to extract timetable from the ${kind === 'xlsx' ? 'workbook' : 'document'}. The file may be corrupted, password-protected, or contain no timetable table.`,
+    };
+  }
+}
+
+/**
+ * Parse the tables offline with the rule-based parser, one table at a time
+ * @param {Array<Object>} pages - One per table [{ pageNumber, text, items }]
+ * @param {string} kind - docx or xlsx
+ * @param {Object} options - Optional onProgress callback
+ * @returns {Object} Extracted timetable data
+ */
+function processWithRules(pages, kind, options) {
+  logger.info('LLM not configured, using rule-based parser', { tables: pages.length });
+  reportProgress(options, 'extraction', { message: 'Parsing document tables with rules' });
+
+  const startTime = Date.now();
+  const parsed = ruleBasedParser.parseDocument(pages);
+
+  if (!parsed) {
+    throw new Error(
+      'LLM not configured and no timetable structure (day headers and time ranges) was recognised in the tables.'
+    );
+  }
+
+  const merged = mergeExtractions(parsed.pages.map((page) => ({ data: page })));
+
+  return {
+    success: true,
+    data: {
+      ...merged.data,
+      // Tables are not sources of their own; the file is tagged later when several are merged
+      timeblocks: merged.data.timeblocks.map(({ source_file, source_page, ...block }) => block),
+    },
+    metadata: {
+      provider: 'rules',
+      model: `rules-${parsed.pages[0].method}`,
+      processingTime: Date.now() - startTime,
+      tokensUsed: 0,
+      tablesParsed: parsed.pages.map((page) => page.pageNumber),
+    },
+    extractionMethod: `${kind}-table + rules`,
+  };
+}
+
+/**
+ * Compare LLM output with the rule-based parse of the same tables
+ * @returns {Object|null} Agreement summary, or null when the rules found nothing
+ */
+function compareWithRules(data, pages) {
+  try {
+    const parsed = ruleBasedParser.parseDocument(pages);
+    if (!parsed) {
+      return null;
+    }
+
+    const reference = { timeblocks: parsed.pages.flatMap((page) => page.timeblocks) };
+    return { method: 'rules', ...ruleBasedParser.compareExtractions(data, reference) };
+  } catch (error) {
+    logger.warn('Rule-based cross-check failed', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Read every visible, non-empty worksheet as a table
+ * @param {Buffer} fileBuffer - XLSX file buffer
+ * @returns {Promise<Object>} { tables: [{ name, rowCount, columnCount, cells }], paragraphs: [] }
+ */
+async function readWorkbook(fileBuffer) {
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    await workbook.xlsx.load(fileBuffer);
+  } catch (error) {
+    logger.warn('Workbook could not be loaded', { error: error.message });
+    throw new Error('Not a readable Excel workbook (the file is not an XLSX archive).');
+  }
+
+  const tables = [];
+
+  for (const worksheet of workbook.worksheets) {
+    if (worksheet.state !== 'visible') {
+      continue;
+    }
+
+    const spans = new Map(
+      (worksheet.model.merges || []).map((range) => {
+        const [from, to = from] = range.split(':').map(parseCellAddress);
+        return [`${from.row}:${from.col}`, { rowSpan: to.row - from.row + 1, colSpan: to.col - from.col + 1 }];
+      })
+    );
+
+    const cells = [];
+    worksheet.eachRow((row, rowNumber) => {
+      row.eachCell((cell, colNumber) => {
+        // Cells covered by a merge repeat the value of the merge's first cell
+        if (cell.isMerged && cell.master.address !== cell.address) {
+          return;
+        }
+
+        const text = cellText(cell);
+        if (text) {
+          const [row, col] = [rowNumber - 1, colNumber - 1];
+          cells.push({ row, col, ...(spans.get(`${row}:${col}`) || { rowSpan: 1, colSpan: 1 }), text });
+        }
+      });
+    });
+
+    if (cells.length > 0) {
+      tables.push(toTable(`Sheet "${worksheet.name}"`, cells));
+    }
+  }
+
+  return { tables, paragraphs: [] };
+}
+
+/**
+ * Text of a worksheet cell. Excel stores times as dates on 30 December 1899,
+ * which are written as HH:MM rather than as a date.
+ */
+function cellText(cell) {
+  const value = cell.type === ExcelJS.ValueType.Formula ? cell.result : cell.value;
+
+  if (value instanceof Date) {
+    const time = value.toISOString().slice(11, 16);
+    const date = value.toISOString().slice(0, 10);
+
+    if (date <= '1899-12-31') {
+      return time;
+    }
+    return time === '00:00' ? date : `${date} ${time}`;
+  }
+
+  return (cell.text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function parseCellAddress(address) {
+  const [, letters, digits] = /^\$?([A-Z]+)\$?(\d+)$/i.exec(address);
+  const col = [...letters.toUpperCase()].reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0);
+  return { row: Number(digits) - 1, col: col - 1 };
+}
+
+/**
+ * Read the tables (and the paragraphs around them) from a DOCX file's main document part.
+ * Horizontal merges (gridSpan) and vertical merges (vMerge) become cell spans; nested tables
+ * are flattened into the text of the cell that holds them.
+ * @param {Buffer} fileBuffer - DOCX file buffer
+ * @returns {Promise<Object>} { tables: [{ name, rowCount, columnCount, cells }], paragraphs: [string] }
+ */
+async function readWordDocument(fileBuffer) {
+  const zip = await JSZip.loadAsync(fileBuffer).catch(() => {
+    throw new Error('Not a readable Word document (the file is not a DOCX archive).');
+  });
+  const part = zip.file('word/document.xml');
+
+  if (!part) {
+    throw new Error('Not a Word document (word/document.xml is missing).');
+  }
+
+  const xml = await part.async('string');
+  const tables = [];
+  const paragraphs = [];
+
+  // Open tables, innermost last: { rows: [[{ paragraphs, colSpan, vMerge }]] }, rows may carry gridBefore
+  const tableStack = [];
+  // Open paragraphs, innermost last (text boxes put paragraphs inside paragraphs)
+  const paragraphStack = [];
+  let inText = false;
+  // Depth inside <mc:Fallback>, which repeats content (text boxes) for older Word versions
+  let fallbackDepth = 0;
+
+  const currentCell = () => {
+    const table = tableStack[tableStack.length - 1];
+    const row = table?.rows[table.rows.length - 1];
+    return row?.[row.length - 1];
+  };
+
+  for (const [, closing, tag, attributes, selfClosing, text] of xml.matchAll(
+    /<(\/?)([\w:]+)([^>]*?)(\/?)>|([^<]+)/g
+  )) {
+    if (text !== undefined) {
+      if (inText && !fallbackDepth && paragraphStack.length) {
+        paragraphStack[paragraphStack.length - 1].push(decodeXml(text));
+      }
+      continue;
+    }
+
+    const opening = !closing;
+
+    if (tag === 'mc:Fallback' && !selfClosing) {
+      fallbackDepth += opening ? 1 : -1;
+      continue;
+    }
+    if (fallbackDepth > 0) {
+      continue;
+    }
+
+    switch (tag) {
+      case 'w:tbl':
+        if (opening) {
+          tableStack.push({ rows: [] });
+        } else {
+          const table = tableStack.pop();
+          const cell = currentCell();
+
+          if (cell) {
+            cell.paragraphs.push(...flattenRows(table.rows));
+          } else {
+            const resolved = resolveWordTable(table.rows, tables.length + 1);
+            if (resolved) tables.push(resolved);
+          }
+        }
+        break;
+
+      case 'w:tr':
+        if (opening) tableStack[tableStack.length - 1].rows.push([]);
+        break;
+
+      case 'w:gridBefore':
+        // Cells skipped at the start of the row
+        tableStack[tableStack.length - 1].rows.at(-1).gridBefore = Number(readAttribute(attributes, 'w:val')) || 0;
+        break;
+
+      case 'w:tc':
+        if (opening) {
+          tableStack[tableStack.length - 1].rows.at(-1).push({ paragraphs: [], colSpan: 1, vMerge: null });
+        }
+        break;
+
+      case 'w:gridSpan':
+        currentCell().colSpan = Number(readAttribute(attributes, 'w:val')) || 1;
+        break;
+
+      case 'w:vMerge':
+        // <w:vMerge w:val="restart"/> starts a merged column of cells, a bare <w:vMerge/> continues it
+        currentCell().vMerge = readAttribute(attributes, 'w:val') === 'restart' ? 'restart' : 'continue';
+        break;
+
+      case 'w:p':
+        if (opening && !selfClosing) {
+          paragraphStack.push([]);
+        } else if (!opening) {
+          const paragraph = paragraphStack.pop().join('').replace(/[^\S\n]+/g, ' ').trim();
+          const cell = currentCell();
+
+          if (!paragraph) break;
+          if (paragraphStack.length) {
+            paragraphStack[paragraphStack.length - 1].push(` ${paragraph} `);
+          } else if (cell) {
+            cell.paragraphs.push(paragraph);
+          } else {
+            paragraphs.push(paragraph);
+          }
+        }
+        break;
+
+      case 'w:t':
+        inText = opening && !selfClosing;
+        break;
+
+      case 'w:tab':
+      case 'w:br':
+      case 'w:cr':
+        if (paragraphStack.length) paragraphStack[paragraphStack.length - 1].push(' ');
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  return { tables, paragraphs };
+}
+
+/**
+ * Place the cells of a Word table on a grid, turning vMerge runs into row spans
+ * @returns {Object|null} Table, or null when it has no text
+ */
+function resolveWordTable(rows, number) {
+  const cells = [];
+  // Last cell started in each grid column, for vMerge continuations
+  const columnOwners = [];
+
+  rows.forEach((row, rowIndex) => {
+    let col = row.gridBefore || 0;
+
+    for (const tc of row) {
+      const owner = columnOwners[col];
+
+      if (tc.vMerge === 'continue' && owner && owner.col === col) {
+        owner.rowSpan = rowIndex - owner.row + 1;
+      } else {
+        const cell = { row: rowIndex, col, rowSpan: 1, colSpan: tc.colSpan, text: tc.paragraphs.join(' ') };
+        cells.push(cell);
+        for (let c = col; c < col + tc.colSpan; c++) columnOwners[c] = cell;
+      }
+
+      col += tc.colSpan;
+    }
+  });
+
+  const withText = cells.filter((cell) => cell.text);
+  return withText.length ? toTable(`Table ${number}`, withText) : null;
+}
+
+/**
+ * Text of a nested table's rows, one line per row
+ */
+function flattenRows(rows) {
+  return rows.map((row) => row.flatMap((tc) => tc.paragraphs).join(' | ')).filter(Boolean);
+}
+
+function readAttribute(attributes, name) {
+  return new RegExp(`${name}="([^"]*)"`).exec(attributes)?.[1] ?? null;
+}
+
+function decodeXml(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+    }
+    return XML_ENTITIES[code] ?? entity;
+  });
+}
+
+/**
+ * Table from its non-empty cells, trimmed to the rows and columns in use
+ * @param {string} name - Label used in the text sent to the LLM
+ * @param {Array<Object>} cells - [{ row, col, rowSpan, colSpan, text }] (0-based)
+ * @returns {Object} { name, rowCount, columnCount, cells }
+ */
+function toTable(name, cells) {
+  const firstRow = Math.min(...cells.map((cell) => cell.row));
+  const firstCol = Math.min(...cells.map((cell) => cell.col));
+  const shifted = cells.map((cell) => ({ ...cell, row: cell.row - firstRow, col: cell.col - firstCol }));
+
+  return {
+    name,
+    rowCount: Math.max(...shifted.map((cell) => cell.row + cell.rowSpan)),
+    columnCount: Math.max(...shifted.map((cell) => cell.col + cell.colSpan)),
+    cells: shifted,
+  };
+}
+
+/**
+ * Render the document for the LLM: text outside the tables, then each table as rows of cells
+ * @param {Object} document - { tables, paragraphs }
+ * @returns {string}
+ */
+function formatDocument(document) {
+  const sections = [];
+
+  if (document.paragraphs.length > 0) {
+    sections.push(['Text outside the tables:', ...document.paragraphs.map((p) => `  ${p}`)].join('\n'));
+  }
+
+  sections.push(...document.tables.map(formatTable));
+
+  return sections.join('\n\n');
+}
+
+/**
+ * A table as pipe-separated rows. A merged cell repeats its text in every grid cell it covers,
+ * marked [merged], so a lesson spanning two periods or a break spanning all days reads naturally.
+ * @param {Object} table - toTable result
+ * @returns {string}
+ */
+function formatTable(table) {
+  const grid = Array.from({ length: table.rowCount }, () => Array(table.columnCount).fill(''));
+
+  for (const cell of table.cells) {
+    const merged = cell.rowSpan > 1 || cell.colSpan > 1;
+    const text = `${cell.text.replace(/\|/g, '/')}${merged ? ' [merged]' : ''}`;
+
+    for (let r = cell.row; r < cell.row + cell.rowSpan; r++) {
+      for (let c = cell.col; c < cell.col + cell.colSpan; c++) {
+        grid[r][c] = text;
+      }
+    }
+  }
+
+  return [
+    `${table.name} (${table.rowCount} rows x ${table.columnCount} columns, read directly from the file):`,
+    ...grid.map((row) => `| ${row.join(' | ')} |`),
+  ].join('\n');
+}
+
+/**
+ * Lay a table's cells out as positioned text items for the rule-based parser. A cell spanning
+ * columns becomes one wide item; a cell spanning rows is repeated on each row, so a break
+ * merged down the day column applies to every day.
+ * @param {Object} table - toTable result
+ * @param {Array<string>} paragraphs - Text placed above the table (teacher, class, term)
+ * @returns {Array<Object>} [{ text, x, y, width, fontSize }]
+ */
+function toLayoutItems(table, paragraphs) {
+  const top = paragraphs.length * ROW_HEIGHT;
+
+  return [
+    ...paragraphs.map((text, index) => ({
+      text,
+      x: 0,
+      y: (index + 1) * ROW_HEIGHT - FONT_SIZE,
+      width: table.columnCount * CELL_WIDTH,
+      fontSize: FONT_SIZE,
+    })),
+    ...table.cells.flatMap((cell) =>
+      Array.from({ length: cell.rowSpan }, (_, offset) => ({
+        text: cell.text,
+        x: cell.col * CELL_WIDTH + CELL_PADDING,
+        y: top + (cell.row + offset + 1) * ROW_HEIGHT - FONT_SIZE,
+        width: cell.colSpan * CELL_WIDTH - 2 * CELL_PADDING,
+        fontSize: FONT_SIZE,
+      }))
+    ),
+  ];
+}
@@ -1,21 +1,39 @@
 import logger from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { reportProgress } from '../utils/progress.js';
 import * as llmService from './llmService.js';
+import * as imageProcessor from './imageProcessor.js';
+import { renderPages } from './pdfRenderer.js';
+import { mergeExtractions } from './timetableMerger.js';
+import * as ruleBasedParser from './ruleBasedParser.js';
+import { isProviderOutage } from './llmResilience.js';
 
 /**
  * Process PDF file and extract timetable data
  * @param {Buffer} fileBuffer - PDF file buffer
+ * @param {Object} options - Per-request LLM overrides { provider, model }
  * @returns {Promise<Object>} Extracted timetable data
  */
-export async function processPDF(fileBuffer) {
+export async function processPDF(fileBuffer, options = {}) {
   logger.info('Starting PDF processing');
 
   try {
     // Dynamic import to avoid initialization issues in serverless
     const pdfParse = (await import('pdf-parse')).default;
 
-    // Extract text from PDF
+    // Extract text from PDF, keeping each page separately
+    reportProgress(options, 'preprocessing', { message: 'Reading PDF text layer' });
     const startTime = Date.now();
-    const pdfData = await pdfParse(fileBuffer);
+    let pdfData;
+
+    try {
+      pdfData = await parsePages(pdfParse, fileBuffer);
+    } catch (parseError) {
+      // pdf.js is more tolerant of damaged files, so still try to rasterize
+      logger.warn('pdf-parse failed, falling back to page rendering', { error: parseError.message });
+      pdfData = { numpages: null, text: '', pageTexts: [], pageItems: [] };
+    }
+
     const extractionTime = Date.now() - startTime;
 
     logger.info('PDF text extracted', {
@@ -25,39 +43,374 @@ export async function processPDF(fileBuffer) {
     });
 
     // If text extraction was successful and we have content
-    if (pdfData.text && pdfData.text.trim().length > 50) {
-      logger.info('PDF contains extractable text, using LLM text extraction');
-      const result = await llmService.extractFromText(pdfData.text);
-
-      return {
-        success: true,
-        ...result,
-        extractionMethod: 'pdf-parse + llm-text',
-      };
+    if (pdfData.text && pdfData.text.trim().length > config.pdf.minTextLength) {
+      return await processTextPDF(pdfData, options);
     }
 
-    // If text extraction failed or insufficient content (might be scanned PDF)
-    logger.warn('PDF has insufficient text content, may be scanned image', {
+    // Insufficient text content - most likely a scanned PDF
+    logger.warn('PDF has insufficient text content, treating as scanned image', {
       textLength: pdfData.text.length,
     });
 
-    // For scanned PDFs, we would need to convert to image first
-    // For this prototype, we'll return an error suggesting to upload as image
-    throw new Error(
-      'PDF appears to be a scanned image. Please convert to PNG/JPEG and upload again, or the PDF may be empty.'
-    );
+    return await processScannedPDF(fileBuffer, options);
   } catch (error) {
     logger.error('PDF processing failed', {
       error: error.message,
       stack: error.stack,
     });
 
+    if (isProviderOutage(error)) {
+      throw error;
+    }
+
+    // Keeps its repair attempts in details and answers 502, not 500
+    if (error.code === 'MALFORMED_LLM_RESPONSE') {
+      throw error;
+    }
+
+    // Uploads are checked for this already (fileInspector.js), but not every caller uploads
+    if (error.name === 'PasswordException') {
+      throw {
+        code: 'PDF_ENCRYPTED',
+        message: 'The PDF is password-protected',
+        details: 'Remove the password (e.g. print it to a new PDF) and upload it again.',
+      };
+    }
+
     throw {
       code: 'PDF_PROCESSING_FAILED',
       message: error.message,
-      details: 'Failed to extract text from PDF. The file may be corrupted, password-protected, or a scanned image.',
+      details: 'Failed to extract timetable from PDF. The file may be corrupted, password-protected, or unreadable.',
+    };
+  }
+}
+
+/**
+ * Run pdf-parse, collecting the text of every page separately
+ * along with positioned text items for the rule-based parser
+ * @param {Function} pdfParse - pdf-parse module
+ * @param {Buffer} fileBuffer - PDF file buffer
+ * @returns {Promise<Object>} pdf-parse result plus pageTexts[] and pageItems[]
+ */
+async function parsePages(pdfParse, fileBuffer) {
+  const pageTexts = [];
+  const pageItems = [];
+
+  // Same line-joining logic as pdf-parse's default page renderer
+  const pagerender = async (pageData) => {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false,
+    });
+
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      text += lastY === item.transform[5] || lastY === undefined ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    }
+
+    // PDF y grows upwards; the parser expects top-down coordinates
+    const { height } = pageData.getViewport(1);
+    pageItems[pageData.pageIndex] = textContent.items.map((item) => ({
+      text: item.str,
+      x: item.transform[4],
+      y: height - item.transform[5],
+      width: item.width,
+      fontSize: Math.abs(item.transform[3]) || Math.abs(item.transform[0]),
+    }));
+
+    pageTexts[pageData.pageIndex] = text;
+    return text;
+  };
+
+  const pdfData = await pdfParse(fileBuffer, { pagerender });
+  return { ...pdfData, pageTexts, pageItems };
+}
+
+/**
+ * Extract a text-layer PDF. Pages that carry their own timetable text are
+ * extracted one by one and merged; otherwise the whole text is sent at once.
+ * Without a configured LLM the rule-based parser is used instead.
+ * @param {Object} pdfData - Result of parsePages
+ * @param {Object} options - Per-request LLM overrides { provider, model }
+ * @returns {Promise<Object>} Extracted timetable data
+ */
+async function processTextPDF(pdfData, options = {}) {
+  const pages = pdfData.pageTexts
+    .map((text, index) => ({ pageNumber: index + 1, text: text || '', items: pdfData.pageItems[index] || [] }))
+    .filter((page) => page.text.trim().length > config.pdf.minTextLength);
+
+  // Kept so the verification stage can re-check blocks against the original text
+  const source = { text: pdfData.text, pages };
+
+  if (!llmService.isConfigured(options.provider)) {
+    return { ...processWithRules(pdfData, pages, options), source };
+  }
+
+  const result = await processTextPDFWithLLM(pdfData, pages, options);
+
+  if (config.ruleParser.crossCheck) {
+    result.metadata = { ...result.metadata, crossCheck: crossCheck(result.data, pages) };
+  }
+
+  return { ...result, source };
+}
+
+/**
+ * LLM text extraction for a text-layer PDF
+ * @param {Object} pdfData - Result of parsePages
+ * @param {Array<Object>} pages - Pages with enough text [{ pageNumber, text, items }]
+ * @param {Object} options - Per-request LLM overrides { provider, model }
+ * @returns {Promise<Object>} Extracted timetable data
+ */
+async function processTextPDFWithLLM(pdfData, pages, options) {
+  if (pages.length <= 1) {
+    logger.info('PDF contains extractable text, using LLM text extraction');
+    reportProgress(options, 'extraction', { message: 'Extracting PDF text with LLM' });
+    const result = await llmService.extractFromText(pdfData.text, options);
+
+    return {
+      success: true,
+      ...result,
+      data: tagSourcePage(result.data, pages[0]?.pageNumber ?? 1),
+      extractionMethod: 'pdf-parse + llm-text',
     };
   }
+
+  logger.info('PDF contains extractable text on several pages, extracting per page', {
+    pages: pages.length,
+  });
+
+  const pageResults = [];
+  const pageErrors = [];
+  let firstError;
+
+  for (const [index, page] of pages.entries()) {
+    reportProgress(options, 'extraction', {
+      message: `Extracting PDF page ${page.pageNumber}`,
+      current: index,
+      total: pages.length,
+    });
+
+    try {
+      const result = await llmService.extractFromText(page.text, options);
+      pageResults.push({ pageNumber: page.pageNumber, ...result });
+    } catch (pageError) {
+      if (isProviderOutage(pageError)) {
+        throw pageError;
+      }
+
+      logger.warn('Failed to extract PDF page text', {
+        pageNumber: page.pageNumber,
+        error: pageError.message,
+      });
+      pageErrors.push({ page: page.pageNumber, message: pageError.message });
+      firstError ??= pageError;
+    }
+  }
+
+  if (pageResults.length === 0) {
+    // The model's replies were unusable, not the PDF: keep the code (502) and repair details
+    if (firstError.code === 'MALFORMED_LLM_RESPONSE') {
+      throw firstError;
+    }
+
+    throw new Error(`Could not extract a timetable from any page of the PDF (${pageErrors[0]?.message})`);
+  }
+
+  return buildPagedResult(pageResults, pageErrors, pdfData.numpages, pages.length, 'pdf-parse + llm-text');
+}
+
+/**
+ * Extract a text-layer PDF offline with the rule-based parser
+ * @param {Object} pdfData - Result of parsePages
+ * @param {Array<Object>} pages - Pages with enough text [{ pageNumber, text, items }]
+ * @param {Object} options - Optional onProgress callback
+ * @returns {Object} Extracted timetable data
+ */
+function processWithRules(pdfData, pages, options) {
+  logger.info('LLM not configured, using rule-based parser', { pages: pages.length });
+  reportProgress(options, 'extraction', { message: 'Parsing PDF layout with rules' });
+
+  // Text spread thinly over several pages is parsed as a whole
+  const candidates = pages.length > 0 ? pages : [{ pageNumber: 1, text: pdfData.text, items: [] }];
+  const startTime = Date.now();
+  const parsed = ruleBasedParser.parseDocument(candidates);
+
+  if (!parsed) {
+    throw new Error(
+      'LLM not configured and no timetable structure (day headers and time ranges) was recognised in the PDF text.'
+    );
+  }
+
+  const pageResults = parsed.pages.map((page) => ({
+    pageNumber: page.pageNumber,
+    data: { metadata: page.metadata, timeblocks: page.timeblocks },
+    metadata: { provider: 'rules', model: `rules-${page.method}`, processingTime: Date.now() - startTime, tokensUsed: 0 },
+  }));
+  const pageErrors = candidates
+    .filter((page) => !parsed.pages.some((p) => p.pageNumber === page.pageNumber))
+    .map((page) => ({ page: page.pageNumber, message: 'No timetable structure recognised' }));
+
+  return buildPagedResult(pageResults, pageErrors, pdfData.numpages, candidates.length, 'pdf-parse + rules');
+}
+
+/**
+ * Compare LLM output with the rule-based parse of the same pages
+ * @param {Object} data - LLM extraction data
+ * @param {Array<Object>} pages - [{ pageNumber, text, items }]
+ * @returns {Object|null} Agreement summary, or null when the rules found nothing
+ */
+function crossCheck(data, pages) {
+  try {
+    const parsed = ruleBasedParser.parseDocument(pages);
+    if (!parsed) {
+      return null;
+    }
+
+    const reference = { timeblocks: parsed.pages.flatMap((page) => page.timeblocks) };
+    return { method: 'rules', ...ruleBasedParser.compareExtractions(data, reference) };
+  } catch (error) {
+    logger.warn('Rule-based cross-check failed', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Set source_page on blocks that don't carry one yet
+ * @param {Object} data - Extraction data
+ * @param {number} pageNumber - 1-based page number
+ * @returns {Object} Extraction data
+ */
+function tagSourcePage(data, pageNumber) {
+  if (!data || !Array.isArray(data.timeblocks)) {
+    return data;
+  }
+
+  return {
+    ...data,
+    timeblocks: data.timeblocks.map((block) => ({ ...block, source_page: block.source_page ?? pageNumber })),
+  };
+}
+
+/**
+ * Merge per-page extraction results into a single processor result
+ * @param {Array<Object>} pageResults - [{ pageNumber, data, metadata, extractionMethod }]
+ * @param {Array<Object>} pageErrors - [{ page, message }]
+ * @param {number} totalPages - Pages in the document
+ * @param {number} pagesProcessed - Pages that were attempted
+ * @param {string} extractionMethod - Method label
+ * @returns {Object} Processor result
+ */
+export function buildPagedResult(pageResults, pageErrors, totalPages, pagesProcessed, extractionMethod) {
+  const merged = mergeExtractions(
+    pageResults.map((r) => ({ data: r.data, source: { page: r.pageNumber } }))
+  );
+
+  return {
+    success: true,
+    data: merged.data,
+    metadata: {
+      provider: pageResults[0].metadata?.provider,
+      model: pageResults[0].metadata?.model,
+      promptVersion: pageResults[0].metadata?.promptVersion,
+      processingTime: pageResults.reduce((sum, r) => sum + (r.metadata?.processingTime || 0), 0),
+      tokensUsed: pageResults.reduce((sum, r) => sum + (r.metadata?.tokensUsed || 0), 0),
+      promptTokens: pageResults.reduce((sum, r) => sum + (r.metadata?.promptTokens || 0), 0),
+      completionTokens: pageResults.reduce((sum, r) => sum + (r.metadata?.completionTokens || 0), 0),
+      pagesTotal: totalPages,
+      pagesProcessed,
+      pagesExtracted: pageResults.map((r) => r.pageNumber),
+      pageErrors,
+      mergeResolutions: merged.resolutions,
+      timeCorrections: pageResults.flatMap((r) =>
+        (r.metadata?.timeCorrections || []).map((correction) => ({ ...correction, page: r.pageNumber }))
+      ),
+      repairs: pageResults.flatMap((r) =>
+        (r.metadata?.repairs || []).map((repair) => ({ ...repair, page: r.pageNumber }))
+      ),
+      // Scanned pages only: what was done to each rendered page before extraction
+      ...(pageResults.some((r) => r.metadata?.preprocessing) && {
+        preprocessing: {
+          steps: pageResults.flatMap((r) =>
+            (r.metadata?.preprocessing?.steps || []).map((step) => ({ ...step, page: r.pageNumber }))
+          ),
+        },
+      }),
+    },
+    extractionMethod,
+  };
+}
+
+/**
+ * Render each page of a scanned PDF and extract it through the image pipeline
+ * (vision first, Tesseract fallback), then merge the per-page results
+ * @param {Buffer} fileBuffer - PDF file buffer
+ * @param {Object} options - Per-request LLM overrides { provider, model }
+ * @returns {Promise<Object>} Extracted timetable data
+ */
+async function processScannedPDF(fileBuffer, options = {}) {
+  reportProgress(options, 'preprocessing', { message: 'Rendering scanned PDF pages' });
+  const { totalPages, pages } = await renderPages(fileBuffer);
+
+  if (pages.length === 0) {
+    throw new Error('PDF contains no pages.');
+  }
+
+  const pageResults = [];
+  const pageErrors = [];
+  let firstError;
+
+  for (const [index, page] of pages.entries()) {
+    // Page-level progress replaces the image processor's own stages
+    const pageOptions = {
+      ...options,
+      onProgress: () =>
+        reportProgress(options, 'extraction', {
+          message: `Extracting scanned page ${page.pageNumber}`,
+          current: index,
+          total: pages.length,
+        }),
+    };
+
+    try {
+      const result = await imageProcessor.processImage(page.buffer, 'image/png', pageOptions);
+
+      if (!result.success || !result.data) {
+        throw result.error || new Error('No timetable data extracted');
+      }
+
+      pageResults.push({ pageNumber: page.pageNumber, ...result });
+    } catch (pageError) {
+      if (isProviderOutage(pageError)) {
+        throw pageError;
+      }
+
+      logger.warn('Failed to extract scanned PDF page', {
+        pageNumber: page.pageNumber,
+        error: pageError.message,
+      });
+      pageErrors.push({ page: page.pageNumber, message: pageError.message });
+      firstError ??= pageError;
+    }
+  }
+
+  if (pageResults.length === 0) {
+    if (firstError.code === 'MALFORMED_LLM_RESPONSE') {
+      throw firstError;
+    }
+
+    throw new Error(
+      `Could not extract a timetable from any page of the scanned PDF (${pageErrors[0]?.message || 'unknown error'})`
+    );
+  }
+
+  const methods = [...new Set(pageResults.map((r) => r.extractionMethod))];
+  const result = buildPagedResult(pageResults, pageErrors, totalPages, pages.length, `pdf-rasterize + ${methods.join(', ')}`);
+
+  // A single rendered page can be re-checked like any other image
+  return { ...result, source: pageResults.length === 1 ? pageResults[0].source : null };
 }
 
 /**
@@ -70,7 +423,7 @@ export async function hasExtractableText(fileBuffer) {
     // Dynamic import to avoid initialization issues in serverless
     const pdfParse = (await import('pdf-parse')).default;
     const pdfData = await pdfParse(fileBuffer);
-    return pdfData.text && pdfData.text.trim().length > 50;
+    return pdfData.text && pdfData.text.trim().length > config.pdf.minTextLength;
   } catch (error) {
     logger.error('Failed to check PDF text', { error: error.message });
     return false;
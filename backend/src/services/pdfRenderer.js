@@ -0,0 +1,96 @@
+import logger from '../utils/logger.js';
+import { config } from '../config/index.js';
+
+/**
+ * Render PDF pages to PNG images
+ * Used for scanned PDFs that have no usable text layer
+ * @param {Buffer} fileBuffer - PDF file buffer
+ * @param {Object} options - { scale, maxPages }
+ * @returns {Promise<Object>} { totalPages, pages: [{ pageNumber, buffer, width, height }] }
+ */
+export async function renderPages(fileBuffer, options = {}) {
+  const scale = options.scale || config.pdf.renderScale;
+  const maxPages = options.maxPages || config.pdf.maxRasterPages;
+
+  // Dynamic imports to avoid initialization issues in serverless
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const { createCanvas } = await import('@napi-rs/canvas');
+
+  const startTime = Date.now();
+
+  const pdf = await getDocument({
+    data: new Uint8Array(fileBuffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0,
+  }).promise;
+
+  try {
+    const pageCount = Math.min(pdf.numPages, maxPages);
+
+    if (pdf.numPages > maxPages) {
+      logger.warn('PDF has more pages than the rasterization limit', {
+        totalPages: pdf.numPages,
+        maxPages,
+      });
+    }
+
+    const pages = [];
+
+    // Render sequentially to keep memory usage flat
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const pageScale = fitScale(page, scale);
+      const viewport = page.getViewport({ scale: pageScale });
+      // Rounded down when clamped, so the canvas stays within the pixel limit
+      const round = pageScale < scale ? Math.floor : Math.ceil;
+      const width = round(viewport.width);
+      const height = round(viewport.height);
+
+      if (pageScale < scale) {
+        logger.warn('PDF page rendered at a lower scale to stay within the pixel limit', {
+          pageNumber,
+          scale: pageScale,
+          maxPixels: config.image.maxPixels,
+        });
+      }
+
+      const canvas = createCanvas(width, height);
+      const context = canvas.getContext('2d');
+
+      // Scanned pages may have transparent regions; flatten onto white
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, width, height);
+
+      await page.render({ canvasContext: context, viewport }).promise;
+
+      pages.push({
+        pageNumber,
+        buffer: await canvas.encode('png'),
+        width,
+        height,
+      });
+
+      page.cleanup();
+    }
+
+    logger.info('PDF pages rendered', {
+      pages: pages.length,
+      totalPages: pdf.numPages,
+      renderTime: Date.now() - startTime,
+    });
+
+    return { totalPages: pdf.numPages, pages };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Largest scale up to `scale` at which the page fits within config.image.maxPixels.
+ * A page's MediaBox can be any size, and the canvas is allocated before anything is drawn.
+ */
+function fitScale(page, scale) {
+  const { width, height } = page.getViewport({ scale: 1 });
+  return Math.min(scale, Math.sqrt(config.image.maxPixels / (width * height)));
+}
@@ -0,0 +1,85 @@
+import { config } from '../config/index.js';
+
+/**
+ * LLM prices in USD per million tokens, for usage accounting and benchmark estimates.
+ * LLM_PRICES overrides or extends the built-in table.
+ */
+
+// Checked in order; the first matching pattern wins
+const MODEL_PRICING = [
+  { pattern: /^gpt-4o-mini/, input: 0.15, output: 0.6 },
+  { pattern: /^gpt-4o/, input: 2.5, output: 10 },
+  { pattern: /^gpt-4-turbo/, input: 10, output: 30 },
+  { pattern: /^claude-3-5-haiku/, input: 0.8, output: 4 },
+  { pattern: /^claude-3-5-sonnet|^claude-3-7-sonnet|^claude-sonnet-4/, input: 3, output: 15 },
+  { pattern: /^claude-3-opus|^claude-opus-4/, input: 15, output: 75 },
+];
+
+let configured = null;
+
+/**
+ * Price of a model
+ * @param {string} model - Model name reported by the provider
+ * @returns {Object|null} { input, output } USD per million tokens, or null when unknown
+ */
+export function getModelPrice(model) {
+  const name = model || '';
+
+  // Longest configured prefix first, so "gpt-4o-mini" beats "gpt-4o"
+  const own = getConfiguredPrices().find((entry) => name.startsWith(entry.prefix));
+  const price = own || MODEL_PRICING.find((entry) => entry.pattern.test(name));
+
+  return price ? { input: price.input, output: price.output } : null;
+}
+
+/**
+ * Estimated cost in USD
+ * @param {string} model - Model name reported by the provider
+ * @param {Object} tokens - { promptTokens, completionTokens }
+ * @param {Object} [pricing] - { input, output } USD per million tokens, overrides the price table
+ * @returns {number|null} Cost, or null when the model's price is unknown
+ */
+export function estimateCost(model, { promptTokens = 0, completionTokens = 0 }, pricing) {
+  const price = pricing || getModelPrice(model);
+
+  if (!price) {
+    return promptTokens + completionTokens === 0 ? 0 : null;
+  }
+
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+/**
+ * Parsed LLM_PRICES, longest prefix first (parsed once)
+ * @returns {Array<Object>} [{ prefix, input, output }]
+ */
+function getConfiguredPrices() {
+  if (!configured) {
+    configured = parsePrices(config.usage.prices).sort((a, b) => b.prefix.length - a.prefix.length);
+  }
+
+  return configured;
+}
+
+/**
+ * Parse LLM_PRICES ("gpt-4o:2.5/10,llava:0/0")
+ * @param {string|null} value - Raw setting
+ * @returns {Array<Object>} [{ prefix, input, output }]
+ */
+function parsePrices(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',').map((part) => {
+    const match = /^\s*([^:\s]+)\s*:\s*([\d.]+)\s*\/\s*([\d.]+)\s*$/.exec(part);
+
+    if (!match || !Number.isFinite(Number(match[2])) || !Number.isFinite(Number(match[3]))) {
+      throw new Error(
+        `Invalid LLM_PRICES entry "${part}". Expected "<model prefix>:<input>/<output>" in USD per million tokens`
+      );
+    }
+
+    return { prefix: match[1], input: Number(match[2]), output: Number(match[3]) };
+  });
+}
@@ -0,0 +1,187 @@
+import { createHash } from 'crypto';
+import { config } from '../../config/index.js';
+import v1 from './v1.js';
+import v2 from './v2.js';
+
+// Registered prompt sets; add a new file per version rather than editing a released one
+const promptSets = {
+  [v1.version]: v1,
+  [v2.version]: v2,
+};
+
+/**
+ * List registered prompt versions
+ * @returns {Array<Object>} [{ version, description, fingerprint }]
+ */
+export function listPromptVersions() {
+  return Object.values(promptSets).map((set) => ({
+    version: set.version,
+    description: set.description,
+    fingerprint: getPromptFingerprint(set.version),
+  }));
+}
+
+/**
+ * Get a prompt set by version, falling back to the configured default
+ * @param {string} [version] - Prompt version
+ * @returns {Object} Prompt set { version, system, example, templates }
+ */
+export function getPromptSet(version) {
+  const name = version || config.prompts.defaultVersion;
+  const set = promptSets[name];
+
+  if (!set) {
+    const error = new Error(
+      `Unknown prompt version "${name}". Available versions: ${Object.keys(promptSets).join(', ')}`
+    );
+    error.code = 'INVALID_PROMPT_VERSION';
+    throw error;
+  }
+
+  return set;
+}
+
+/**
+ * Choose the prompt version for one request: an explicit request wins,
+ * otherwise PROMPT_WEIGHTS splits traffic, otherwise the default version is used
+ * @param {string} [requested] - Version asked for by the caller
+ * @returns {string} Prompt version
+ */
+export function selectPromptVersion(requested) {
+  if (requested) {
+    return getPromptSet(requested).version;
+  }
+
+  const weights = parseWeights(config.prompts.weights);
+  const total = weights.reduce((sum, entry) => sum + entry.weight, 0);
+
+  if (total <= 0) {
+    return getPromptSet().version;
+  }
+
+  let roll = Math.random() * total;
+  for (const entry of weights) {
+    roll -= entry.weight;
+    if (roll < 0) {
+      return entry.version;
+    }
+  }
+
+  return weights[weights.length - 1].version;
+}
+
+/**
+ * Render one of a prompt set's templates
+ * @param {Object} set - Prompt set
+ * @param {string} name - Template name: vision, text or verification
+ * @param {Object} [values] - Placeholder values ({{example}} is always available)
+ * @returns {string}
+ */
+export function renderPrompt(set, name, values = {}) {
+  const all = { example: JSON.stringify(set.example, null, 2), ...values };
+
+  return set.templates[name].replace(/\{\{(\w+)\}\}/g, (placeholder, key) => all[key] ?? placeholder);
+}
+
+/**
+ * System prompt for one request, with the school's vocabulary appended when there is one
+ * (version-independent, so every prompt set gets the same section)
+ * @param {Object} set - Prompt set
+ * @param {Object|null} [vocabulary] - { entries } from vocabularyService.resolveVocabulary
+ * @returns {string}
+ */
+export function renderSystemPrompt(set, vocabulary) {
+  if (!vocabulary?.entries.length) {
+    return set.system;
+  }
+
+  const lines = vocabulary.entries.map((entry) => {
+    const names = [...new Set([entry.canonical, ...entry.aliases])].map((name) => `"${name}"`).join(', ');
+    return `- ${names} means ${entry.canonical}${entry.subject_type ? ` (${entry.subject_type})` : ''}`;
+  });
+
+  return `${set.system}
+
+This school uses its own names for some subjects:
+${lines.join('\n')}
+
+Use this list to recognise abbreviations and to choose subject_type. Still copy each subject name exactly as it
+appears in the timetable; names are mapped to the school's canonical names afterwards.`;
+}
+
+/**
+ * Follow-up asking the model to fix a reply that wasn't valid JSON or didn't match the schema
+ * (version-independent, like the vocabulary section)
+ * @param {Array<string>} errors - What was wrong, e.g. "timeblocks.2.start_time: Invalid time format"
+ * @returns {string}
+ */
+export function renderRepairPrompt(errors) {
+  return `Your previous reply could not be used:
+${errors.map((error) => `- ${error}`).join('\n')}
+
+Reply again with the complete corrected JSON only, following the same schema. Do not leave out any time blocks.`;
+}
+
+/**
+ * Follow-up asking the model to carry on with a reply that was cut off at the token limit
+ * @returns {string}
+ */
+export function renderContinuationPrompt() {
+  return `Your reply was cut off. Continue exactly where it stopped: output only the remaining characters of the JSON,
+without repeating anything and without code fences.`;
+}
+
+/**
+ * Note added to the vision prompt when the image is one tile of a larger photo
+ * (version-independent, like the vocabulary section)
+ * @param {Object} tile - { index, count, column, row, headers: { top, left } } from imagePreprocessor
+ * @returns {string}
+ */
+export function renderTileNote(tile) {
+  const strips = [tile.headers.top && 'top', tile.headers.left && 'left'].filter(Boolean);
+  const repeated = strips.length
+    ? ` The ${strips.join(' and ')} strip of the photo is repeated along the ${strips.join(' and ')} edge of every tile so
+the day and time headings stay visible; use it to tell which day and time each cell belongs to.`
+    : '';
+
+  return `This image is tile ${tile.index} of ${tile.count} (column ${tile.column}, row ${tile.row}) cut from one large
+timetable photo.${repeated} Extract only the time blocks whose cells are in this tile; the other tiles are extracted
+separately and the results are merged. Include a cell cut off at the edge of the tile if its subject is readable.`;
+}
+
+/**
+ * Content hash of a prompt set; changes whenever any of its text changes
+ * @param {string} [version] - Prompt version
+ * @returns {string} 12 hex characters
+ */
+export function getPromptFingerprint(version) {
+  const set = getPromptSet(version);
+
+  return createHash('sha256')
+    .update(set.system)
+    .update(JSON.stringify(set.example))
+    .update(JSON.stringify(set.templates))
+    .digest('hex')
+    .slice(0, 12);
+}
+
+/**
+ * Parse PROMPT_WEIGHTS ("v1:90,v2:10")
+ * @param {string|null} value - Raw setting
+ * @returns {Array<Object>} [{ version, weight }]
+ */
+function parseWeights(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',').map((part) => {
+    const [version, weight] = part.split(':').map((s) => s.trim());
+
+    if (!promptSets[version] || !(Number(weight) >= 0)) {
+      throw new Error(`Invalid PROMPT_WEIGHTS entry "${part}". Expected "<version>:<weight>" with a registered version`);
+    }
+
+    return { version, weight: Number(weight) };
+  });
+}
@@ -0,0 +1,141 @@
+/**
+ * Prompt set v1: the original extraction prompts.
+ * Placeholders: {{example}} (JSON of `example`), {{text}}, {{source}}, {{blocks}}.
+ * Never edit a released version in place; copy it to a new version instead.
+ */
+export default {
+  version: 'v1',
+  description: 'Original extraction prompts with a single worked example',
+
+  system: `You are an expert at extracting structured timetable data from teacher schedules.
+You must output valid JSON only, following the exact schema provided.
+
+Your task is to:
+1. Identify all time blocks (classes, breaks, activities, registration, etc.)
+2. Extract accurate start and end times
+3. Preserve original subject names exactly as they appear
+4. Include any notes or additional details
+5. Identify the day of the week for each block
+6. Determine the subject type (academic, break, administrative, or other)
+
+Important guidelines:
+- Be precise with times - if you see "9:30 - 10am", that's 9:30 to 10:00
+- If times are ambiguous, use your best judgment
+- Preserve all original text (don't translate or modify subject names)
+- If you can't determine something, use null
+- Include ALL blocks you can identify, even small ones like "Registration"
+- IMPORTANT: Text may be written vertically or with spaces between letters (e.g. "B R E A K" or "L U N C H" or "H O M E")
+- When you see spaced letters like "B R E A K", combine them into "Break"
+- Common vertical/spaced words: BREAK, LUNCH, HOME, STORYTIME - these are usually break periods
+- Classify activities like Break, Lunch, Home Time, Story Time as subject_type: "break"
+- Classify Registration, Assembly as subject_type: "administrative"`,
+
+  // Few-shot example output shown in the extraction prompts
+  example: {
+    metadata: {
+      teacher_name: 'Miss Joynes',
+      class_name: '2EJ',
+      term: 'Autumn 2 2024',
+      school_name: 'Little Thurrock Primary School',
+      extraction_confidence: 0.95,
+    },
+    timeblocks: [
+      {
+        day: 'Monday',
+        start_time: '8:35',
+        end_time: '8:50',
+        subject: 'Registration and Early Morning Work',
+        subject_type: 'administrative',
+        notes: null,
+      },
+      {
+        day: 'Monday',
+        start_time: '9:00',
+        end_time: '9:30',
+        subject: 'Maths',
+        subject_type: 'academic',
+        notes: null,
+      },
+      {
+        day: 'Monday',
+        start_time: '10:30',
+        end_time: '10:45',
+        subject: 'Break',
+        subject_type: 'break',
+        notes: null,
+      },
+      {
+        day: 'Monday',
+        start_time: '12:00',
+        end_time: '13:00',
+        subject: 'Lunch',
+        subject_type: 'break',
+        notes: null,
+      },
+    ],
+  },
+
+  templates: {
+    vision: `Extract the timetable data from this image.
+
+Output format (JSON only, no additional text):
+{{example}}
+
+Important:
+- Extract ALL time blocks you can see
+- Be precise with times
+- Preserve original subject names
+- Identify the day of week for each block
+- Provide a confidence score (0-1) for your extraction in metadata
+- If you can't read something clearly, mark it as null
+
+Now extract from the provided image:`,
+
+    text: `Extract the timetable data from this text.
+
+Text content:
+"""
+{{text}}
+"""
+
+Output format (JSON only, no additional text):
+{{example}}
+
+Important:
+- Extract ALL time blocks you can identify
+- Parse times carefully (handle formats like "9-9.30", "10:30-11:00", etc.)
+- Preserve original subject names
+- Identify the day of week for each block
+- Provide a confidence score (0-1) for your extraction
+- If information is missing, use null
+
+Now extract the timetable data:`,
+
+    verification: `The following time blocks were extracted from a timetable, but some may be wrong.
+Check each one carefully against {{source}}
+
+Blocks to check:
+{{blocks}}
+
+For every block return one entry (JSON only, no additional text):
+{
+  "blocks": [
+    {
+      "index": 0,
+      "status": "confirmed | corrected | not_found",
+      "day": "Monday",
+      "start_time": "9:00",
+      "end_time": "9:30",
+      "subject": "Maths",
+      "confidence": 0.9
+    }
+  ]
+}
+
+Important:
+- "confirmed": the block is correct as given
+- "corrected": the block exists but its day, times or subject are wrong; return the corrected values
+- "not_found": the block does not appear in the timetable
+- Give your confidence (0-1) that the returned values are correct`,
+  },
+};
@@ -0,0 +1,103 @@
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Create a provider backed by the Anthropic Messages API.
+ * Uses fetch directly so no extra SDK dependency is needed.
+ * @param {Object} settings - { apiKey, model, baseURL, structuredOutput }
+ * @returns {Object} LLM provider
+ */
+export function createAnthropicProvider(settings) {
+  return {
+    name: 'anthropic',
+    defaultModel: settings.model,
+
+    isConfigured() {
+      return Boolean(settings.apiKey);
+    },
+
+    /**
+     * Run a single completion
+     * @param {Object} request - { system, prompt, image, messages, schema, json, model, maxTokens, temperature, signal }
+     *   messages: follow-up turns after the prompt [{ role, content }];
+     *   schema: { name, schema } JSON schema the reply must follow; json: false for a free-text reply;
+     *   signal: AbortSignal that cancels the request
+     * @returns {Promise<Object>} { text, model, usage, truncated }
+     */
+    async complete({ system, prompt, image, messages = [], schema, json, model, maxTokens, temperature, signal }) {
+      if (!settings.apiKey) {
+        throw new Error('LLM provider "anthropic" is not configured');
+      }
+
+      const content = [];
+      if (image) {
+        content.push({
+          type: 'image',
+          source: {
+            type: 'base64',
+            media_type: image.mimeType,
+            data: image.buffer.toString('base64'),
+          },
+        });
+      }
+      content.push({ type: 'text', text: prompt });
+
+      // Structured output: the model must call a tool whose input schema is the reply schema
+      const tool =
+        schema && json !== false && settings.structuredOutput !== false
+          ? { name: schema.name, description: 'Record the extracted data', input_schema: schema.schema }
+          : null;
+
+      const response = await fetch(`${settings.baseURL}/v1/messages`, {
+        method: 'POST',
+        signal,
+        headers: {
+          'content-type': 'application/json',
+          'x-api-key': settings.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+        },
+        body: JSON.stringify({
+          model: model || settings.model,
+          max_tokens: maxTokens,
+          temperature,
+          system,
+          messages: [{ role: 'user', content }, ...messages],
+          ...(tool && { tools: [tool], tool_choice: { type: 'tool', name: tool.name } }),
+        }),
+      });
+
+      const body = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        const error = new Error(body.error?.message || `Anthropic API error (HTTP ${response.status})`);
+        error.status = response.status;
+        // Retry-After is read from here (see llmResilience)
+        error.headers = response.headers;
+        throw error;
+      }
+
+      const toolUse = (body.content || []).find((block) => block.type === 'tool_use');
+      const text = toolUse
+        ? JSON.stringify(toolUse.input)
+        : (body.content || [])
+            .filter((block) => block.type === 'text')
+            .map((block) => block.text)
+            .join('');
+
+      const promptTokens = body.usage?.input_tokens ?? 0;
+      const completionTokens = body.usage?.output_tokens ?? 0;
+
+      return {
+        text,
+        model: body.model || model || settings.model,
+        usage: {
+          promptTokens,
+          completionTokens,
+          totalTokens: promptTokens + completionTokens,
+        },
+        // Stopped at max_tokens, so the reply is incomplete. A cut-off tool call can't be
+        // continued as text; its partial input is left to schema repair instead.
+        truncated: body.stop_reason === 'max_tokens' && !toolUse,
+      };
+    },
+  };
+}
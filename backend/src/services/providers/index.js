@@ -0,0 +1,45 @@
+import { config } from '../../config/index.js';
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createAnthropicProvider } from './anthropicProvider.js';
+import { createMockProvider } from './mockProvider.js';
+
+const factories = {
+  openai: (settings) => createOpenAIProvider('openai', settings),
+  local: (settings) => createOpenAIProvider('local', settings),
+  anthropic: (settings) => createAnthropicProvider(settings),
+  mock: (settings) => createMockProvider(settings, getProvider),
+};
+
+// Providers are created lazily and reused across requests
+const instances = new Map();
+
+/**
+ * List the names of all known providers
+ * @returns {string[]}
+ */
+export function listProviders() {
+  return Object.keys(factories);
+}
+
+/**
+ * Get an LLM provider by name, falling back to the configured default
+ * @param {string} [name] - Provider name (openai, anthropic, local, mock)
+ * @returns {Object} LLM provider
+ */
+export function getProvider(name) {
+  const providerName = name || config.llm.provider;
+
+  if (!factories[providerName]) {
+    const error = new Error(
+      `Unknown LLM provider "${providerName}". Available providers: ${listProviders().join(', ')}`
+    );
+    error.code = 'INVALID_LLM_PROVIDER';
+    throw error;
+  }
+
+  if (!instances.has(providerName)) {
+    instances.set(providerName, factories[providerName](config.llm.providers[providerName] || {}));
+  }
+
+  return instances.get(providerName);
+}
@@ -0,0 +1,86 @@
+import { createHash } from 'crypto';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import path from 'path';
+import logger from '../../utils/logger.js';
+
+/**
+ * Hash the inputs of a completion request.
+ * The model is deliberately left out so fixtures survive model switches;
+ * any prompt change produces a new key. Follow-up turns (repairs, continuations)
+ * are only hashed when present, so single-turn fixtures keep their keys.
+ * @param {Object} request - { system, prompt, image, messages }
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashRequest({ system, prompt, image, messages }) {
+  const hash = createHash('sha256');
+  hash.update(system || '');
+  hash.update('\0');
+  hash.update(prompt || '');
+  if (image) {
+    hash.update('\0');
+    hash.update(image.buffer);
+  }
+  if (messages?.length) {
+    hash.update('\0');
+    hash.update(JSON.stringify(messages));
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Create a deterministic provider that replays recorded responses.
+ * Fixtures live in `<fixturesDir>/<hash>.json`. When `recordFrom` names another
+ * provider, missing fixtures are fetched from it and written to disk.
+ * @param {Object} settings - { fixturesDir, recordFrom }
+ * @param {Function} resolveProvider - Looks up another provider by name
+ * @returns {Object} LLM provider
+ */
+export function createMockProvider(settings, resolveProvider) {
+  return {
+    name: 'mock',
+    defaultModel: 'mock',
+
+    isConfigured() {
+      return true;
+    },
+
+    /**
+     * Replay (or record) a completion
+     * @param {Object} request - { system, prompt, image, messages, model, maxTokens, temperature }
+     * @returns {Promise<Object>} { text, model, usage }
+     */
+    async complete(request) {
+      const key = hashRequest(request);
+      const fixturePath = path.join(settings.fixturesDir, `${key}.json`);
+
+      try {
+        const fixture = JSON.parse(await readFile(fixturePath, 'utf8'));
+        logger.debug('Replaying recorded LLM response', { key });
+        return fixture.response;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      if (settings.recordFrom) {
+        const source = resolveProvider(settings.recordFrom);
+        const response = await source.complete(request);
+
+        await mkdir(settings.fixturesDir, { recursive: true });
+        await writeFile(
+          fixturePath,
+          JSON.stringify({ key, provider: source.name, recordedAt: new Date().toISOString(), response }, null, 2)
+        );
+
+        logger.info('Recorded LLM response fixture', { key, provider: source.name });
+        return response;
+      }
+
+      const error = new Error(`No recorded LLM response for input hash ${key}`);
+      error.code = 'MOCK_FIXTURE_NOT_FOUND';
+      error.details = `Expected fixture at ${fixturePath}. Set LLM_MOCK_RECORD_FROM to record one.`;
+      throw error;
+    },
+  };
+}
@@ -0,0 +1,104 @@
+import OpenAI from 'openai';
+
+/**
+ * Create a provider backed by the OpenAI chat completions API.
+ * Also used for any OpenAI-compatible endpoint (e.g. a local Ollama server).
+ * @param {string} name - Provider name reported in metadata
+ * @param {Object} settings - { apiKey, model, baseURL, jsonMode, structuredOutput }
+ * @returns {Object} LLM provider
+ */
+export function createOpenAIProvider(name, settings) {
+  const configured = name === 'openai' ? Boolean(settings.apiKey) : Boolean(settings.baseURL);
+
+  const client = configured
+    ? new OpenAI({
+        apiKey: settings.apiKey,
+        ...(settings.baseURL && { baseURL: settings.baseURL }),
+        // Retries and timeouts are handled by llmResilience for every provider alike
+        maxRetries: 0,
+      })
+    : null;
+
+  return {
+    name,
+    defaultModel: settings.model,
+
+    isConfigured() {
+      return client !== null;
+    },
+
+    /**
+     * Run a single completion
+     * @param {Object} request - { system, prompt, image, messages, schema, json, model, maxTokens, temperature, signal }
+     *   messages: follow-up turns after the prompt [{ role, content }];
+     *   schema: { name, schema } JSON schema the reply must follow; json: false for a free-text reply;
+     *   signal: AbortSignal that cancels the request
+     * @returns {Promise<Object>} { text, model, usage, truncated }
+     */
+    async complete({ system, prompt, image, messages = [], schema, json, model, maxTokens, temperature, signal }) {
+      if (!client) {
+        throw new Error(`LLM provider "${name}" is not configured`);
+      }
+
+      const userContent = image
+        ? [
+            { type: 'text', text: prompt },
+            {
+              type: 'image_url',
+              image_url: {
+                url: `data:${image.mimeType};base64,${image.buffer.toString('base64')}`,
+                detail: 'high',
+              },
+            },
+          ]
+        : prompt;
+
+      const responseFormat = getResponseFormat(settings, schema, json);
+
+      const response = await client.chat.completions.create(
+        {
+          model: model || settings.model,
+          max_tokens: maxTokens,
+          temperature,
+          ...(responseFormat && { response_format: responseFormat }),
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: userContent },
+            ...messages,
+          ],
+        },
+        { signal }
+      );
+
+      const choice = response.choices[0];
+
+      return {
+        text: choice.message.content ?? '',
+        model: response.model || model || settings.model,
+        usage: {
+          promptTokens: response.usage?.prompt_tokens ?? 0,
+          completionTokens: response.usage?.completion_tokens ?? 0,
+          totalTokens: response.usage?.total_tokens ?? 0,
+        },
+        // Stopped at max_tokens, so the reply is incomplete
+        truncated: choice.finish_reason === 'length',
+      };
+    },
+  };
+}
+
+/**
+ * response_format for a request: a strict JSON schema when one is given and the
+ * endpoint supports it, plain JSON mode otherwise, none for free-text replies
+ */
+function getResponseFormat(settings, schema, json) {
+  if (json === false || settings.jsonMode === false) {
+    return null;
+  }
+
+  if (schema && settings.structuredOutput) {
+    return { type: 'json_schema', json_schema: { name: schema.name, strict: true, schema: schema.schema } };
+  }
+
+  return { type: 'json_object' };
+}
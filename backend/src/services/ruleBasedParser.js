@@ -0,0 +1,722 @@
+import logger from '../utils/logger.js';
+import { parseTime, clockMinutes, resolveAfter, closestReading, formatTime } from './timeNormalizer.js';
+
+/**
+ * Deterministic, offline timetable parser.
+ *
+ * Two strategies:
+ * - parseLayout: positioned text items (PDF text layer) are grouped into cells and
+ *   laid out on a grid of day labels x time headers.
+ * - parseText: plain text where lines look like "Monday" / "9-9.30 Maths".
+ *
+ * Output follows timetableExtractionSchema with a heuristic per-block confidence.
+ */
+
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const DAY_ALIASES = {
+  mon: 'Monday',
+  monday: 'Monday',
+  tue: 'Tuesday',
+  tues: 'Tuesday',
+  tuesday: 'Tuesday',
+  wed: 'Wednesday',
+  weds: 'Wednesday',
+  wednesday: 'Wednesday',
+  thu: 'Thursday',
+  thur: 'Thursday',
+  thurs: 'Thursday',
+  thursday: 'Thursday',
+  fri: 'Friday',
+  friday: 'Friday',
+  sat: 'Saturday',
+  saturday: 'Saturday',
+  sun: 'Sunday',
+  sunday: 'Sunday',
+};
+
+const BREAK_WORDS = ['break', 'lunch', 'home', 'hometime', 'home time', 'story', 'storytime', 'playtime', 'snack'];
+const ADMIN_WORDS = ['register', 'registration', 'reg', 'assembly', 'collective worship'];
+
+const TIME = String.raw`\d{1,2}(?:[.:h]\d{2})?\s*(?:[ap]\.?m\.?)?`;
+const RANGE_SEPARATOR = String.raw`\s*(?:-|–|—|to)\s*`;
+const TIME_RANGE_PATTERN = new RegExp(`(${TIME})${RANGE_SEPARATOR}(${TIME})`, 'i');
+const LEADING_TIME_PATTERN = new RegExp(`^(${TIME})(?=\\s|$)`, 'i');
+const HEADER_TIME_PATTERN = new RegExp(`^(${TIME})(?:${RANGE_SEPARATOR}(${TIME}))?$`, 'i');
+
+const SPACED_LETTERS_PATTERN = /^(?:[A-Za-z] ){2,}[A-Za-z]$/;
+
+// Minutes assumed for a header that only gives a start time (e.g. "3.20")
+const OPEN_ENDED_MINUTES = 15;
+
+/**
+ * Parse positioned text items (one page) into a timetable
+ * @param {Array<Object>} items - [{ text, x, y, width, fontSize }] in top-down coordinates
+ * @returns {Object|null} { metadata, timeblocks } or null if no grid was recognised
+ */
+export function parseLayout(items) {
+  const layout = analyzeLayout(items);
+  if (!layout) {
+    return null;
+  }
+
+  const { days, columns, placed, letterColumns, otherCells } = layout;
+
+  const timeblocks = [
+    ...letterColumns.flatMap(({ column, word }) =>
+      days.map((day) => ({
+        day: day.day,
+        start: column.start,
+        end: column.end,
+        subject: word,
+        confidence: column.openEnded ? 0.6 : 0.7,
+        notes: 'Spelled vertically across the timetable',
+      }))
+    ),
+    ...placed.filter((p) => !p.letterColumn).flatMap((p) => p.days.map((day) => blockFromCell(p.cell, day, p.span))),
+  ].filter(Boolean);
+
+  if (timeblocks.length === 0) {
+    return null;
+  }
+
+  return finalize(timeblocks, extractMetadata(otherCells.map((c) => c.text)));
+}
+
+/**
+ * Rebuild the table behind positioned text items: day and time-slot headers,
+ * cells with the slots they span, and letters spelled down a whole column
+ * @param {Array<Object>} items - [{ text, x, y, width, fontSize }] in top-down coordinates
+ * @returns {Object|null} { orientation, days, timeSlots, cells, spanningCells, otherText } or null
+ */
+export function buildTable(items) {
+  const layout = analyzeLayout(items);
+  if (!layout) {
+    return null;
+  }
+
+  const { daysAsRows, days, columns, placed, letterColumns, otherCells } = layout;
+  const slotIndex = (column) => columns.indexOf(column) + 1;
+
+  return {
+    orientation: daysAsRows ? 'days-as-rows' : 'days-as-columns',
+    days: days.map((d) => d.day),
+    timeSlots: columns.map((column) => ({
+      slot: slotIndex(column),
+      label: column.label,
+      start_time: formatTime(column.start),
+      end_time: formatTime(column.end),
+    })),
+    cells: placed
+      .filter((p) => !p.letterColumn && p.days.length === 1)
+      .map((p) => ({ day: p.days[0].day, slots: p.span.map(slotIndex), text: p.cell.text }))
+      .sort((a, b) => DAY_NAMES.indexOf(a.day) - DAY_NAMES.indexOf(b.day) || a.slots[0] - b.slots[0]),
+    spanningCells: [
+      ...letterColumns.map(({ column, word }) => ({ days: days.map((d) => d.day), slots: [slotIndex(column)], text: word })),
+      ...placed
+        .filter((p) => !p.letterColumn && p.days.length > 1)
+        .map((p) => ({ days: p.days.map((d) => d.day), slots: p.span.map(slotIndex), text: p.cell.text })),
+    ],
+    otherText: otherCells.map((c) => c.text),
+  };
+}
+
+/**
+ * Render a table from buildTable as text an LLM (or a person) can follow
+ * @param {Object} table - buildTable result
+ * @returns {string}
+ */
+export function formatTable(table) {
+  const slotLabel = (slots) =>
+    slots.length > 1 ? `slots ${slots[0]}-${slots[slots.length - 1]}` : `slot ${slots[0]}`;
+
+  const lines = [
+    `TIMETABLE GRID (${table.orientation === 'days-as-rows' ? 'one row per day' : 'one column per day'}, reconstructed from the page layout)`,
+    '',
+    'Time slots:',
+    ...table.timeSlots.map((s) => `  ${s.slot}: ${s.label} (${s.start_time}-${s.end_time})`),
+  ];
+
+  if (table.spanningCells.length > 0) {
+    lines.push('', 'Spanning several days:');
+    lines.push(
+      ...table.spanningCells.map((c) => {
+        const days = c.days.length === table.days.length ? 'every day' : c.days.join(', ');
+        return `  [${slotLabel(c.slots)}, ${days}] ${c.text}`;
+      })
+    );
+  }
+
+  for (const day of table.days) {
+    lines.push('', `${day}:`);
+    lines.push(...table.cells.filter((c) => c.day === day).map((c) => `  [${slotLabel(c.slots)}] ${c.text}`));
+  }
+
+  if (table.otherText.length > 0) {
+    lines.push('', 'Other text on the page:', ...table.otherText.map((text) => `  ${text}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Group items into cells and place them on a day x time-slot grid
+ * @param {Array<Object>} items - Positioned text items
+ * @returns {Object|null} Grid internals, or null if no day labels and time headers were found
+ */
+function analyzeLayout(items) {
+  const cells = buildCells(buildRuns(items || []));
+
+  const dayCells = cells.filter((cell) => toDay(cell.text));
+  const timeCells = cells.filter((cell) => HEADER_TIME_PATTERN.test(cell.text));
+
+  if (dayCells.length < 1 || timeCells.length < 2) {
+    return null;
+  }
+
+  const spread = (values) => Math.max(...values) - Math.min(...values);
+  const daysAsRows = spread(dayCells.map((c) => c.cy)) >= spread(dayCells.map((c) => c.cx));
+
+  // Axis along which days vary, and the perpendicular axis for times
+  const dayAxis = daysAsRows ? 'cy' : 'cx';
+  const timeAxis = daysAsRows ? 'cx' : 'cy';
+
+  const columns = buildTimeColumns(timeCells, timeAxis);
+  if (columns.length < 2) {
+    return null;
+  }
+
+  const days = dedupeDays(dayCells, dayAxis);
+  const used = new Set([...dayCells, ...columns.map((column) => column.cell)]);
+  const unused = cells.filter((cell) => !used.has(cell));
+  const contentCells = unused.filter((cell) => isInsideGrid(cell, days, columns, dayAxis, timeAxis));
+
+  // Place each content cell on (days, column span); banners can cover several days
+  const placed = contentCells
+    .map((cell) => ({ cell, days: coveredDays(cell, days, dayAxis), span: coveredColumns(cell, columns, timeAxis) }))
+    .filter((p) => p.days.length > 0 && p.span.length > 0);
+
+  return {
+    daysAsRows,
+    days,
+    columns,
+    placed,
+    letterColumns: findLetterColumns(placed, columns),
+    otherCells: unused.filter((cell) => !placed.some((p) => p.cell === cell)),
+  };
+}
+
+/**
+ * Parse plain text lines into a timetable
+ * @param {string} text - Document text
+ * @returns {Object|null} { metadata, timeblocks } or null if nothing was recognised
+ */
+export function parseText(text) {
+  const lines = (text || '')
+    .split(/\r?\n/)
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const timeblocks = [];
+  let currentDay = null;
+  let pendingBlock = null;
+
+  for (const line of lines) {
+    const dayMatch = /^([A-Za-z]+)\b[:\s-]*(.*)$/.exec(line);
+    const day = dayMatch && DAY_ALIASES[dayMatch[1].toLowerCase()];
+    let rest = line;
+
+    if (day) {
+      currentDay = day;
+      pendingBlock = null;
+      rest = dayMatch[2];
+      if (!rest) {
+        continue;
+      }
+    }
+
+    const rangeMatch = new RegExp(`^${TIME_RANGE_PATTERN.source}\\s*[:\\-–]?\\s*(.*)$`, 'i').exec(rest);
+
+    if (rangeMatch && currentDay) {
+      const block = {
+        day: currentDay,
+        start: parseTime(rangeMatch[1]),
+        end: parseTime(rangeMatch[2]),
+        subject: rangeMatch[3].trim(),
+        confidence: 0.85,
+      };
+      timeblocks.push(block);
+      pendingBlock = block.subject ? null : block;
+      continue;
+    }
+
+    // Subject on the line after its time range
+    if (pendingBlock) {
+      pendingBlock.subject = rest;
+      pendingBlock.confidence = 0.75;
+      pendingBlock = null;
+    }
+  }
+
+  const resolved = resolveDayTimes(timeblocks.filter((b) => b.subject && b.start && b.end));
+
+  if (resolved.length === 0) {
+    return null;
+  }
+
+  return finalize(resolved, extractMetadata(lines));
+}
+
+/**
+ * Parse a multi-page document, preferring the layout parser per page
+ * @param {Array<Object>} pages - [{ pageNumber, text, items }]
+ * @returns {Object|null} { data: { metadata, timeblocks }, method }
+ */
+export function parseDocument(pages) {
+  const parsedPages = [];
+
+  for (const page of pages) {
+    const layout = page.items?.length ? parseLayout(page.items) : null;
+    const parsed = layout || parseText(page.text);
+
+    if (parsed) {
+      parsedPages.push({ pageNumber: page.pageNumber, method: layout ? 'layout' : 'text', ...parsed });
+    }
+  }
+
+  if (parsedPages.length === 0) {
+    return null;
+  }
+
+  logger.info('Rule-based parser finished', {
+    pages: pages.length,
+    parsedPages: parsedPages.map((p) => ({ page: p.pageNumber, method: p.method, timeblocks: p.timeblocks.length })),
+  });
+
+  return { pages: parsedPages };
+}
+
+/**
+ * Compare two extractions block by block (used to cross-check LLM output)
+ * Blocks match when day agrees, start times are within 10 minutes and subjects overlap.
+ * @param {Object} primary - { timeblocks }
+ * @param {Object} reference - { timeblocks }
+ * @returns {Object} { agreement, matched, primaryOnly, referenceOnly }
+ */
+export function compareExtractions(primary, reference) {
+  const remaining = [...(reference?.timeblocks || [])];
+  const primaryOnly = [];
+  let matched = 0;
+
+  for (const block of primary?.timeblocks || []) {
+    const index = remaining.findIndex(
+      (candidate) =>
+        candidate.day === block.day &&
+        Math.abs(toMinutes(candidate.start_time) - toMinutes(block.start_time)) <= 10 &&
+        subjectsOverlap(candidate.subject, block.subject)
+    );
+
+    if (index === -1) {
+      primaryOnly.push(describe(block));
+    } else {
+      remaining.splice(index, 1);
+      matched++;
+    }
+  }
+
+  const total = Math.max(primary?.timeblocks?.length || 0, reference?.timeblocks?.length || 0);
+
+  return {
+    agreement: total ? Number((matched / total).toFixed(3)) : 0,
+    matched,
+    primaryOnly,
+    referenceOnly: remaining.map(describe),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Layout: runs and cells
+// ---------------------------------------------------------------------------
+
+/**
+ * Join glyph-level items on the same baseline into horizontal runs,
+ * splitting where the gap is wider than a character
+ */
+function buildRuns(items) {
+  const glyphs = items
+    .filter((item) => item.text !== undefined && item.text !== '')
+    .map((item) => ({ ...item, fontSize: item.fontSize || 10 }))
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+
+  const lines = [];
+  for (const glyph of glyphs) {
+    const line = lines.find(
+      (l) =>
+        Math.abs(l.y - glyph.y) <= Math.max(l.fontSize, glyph.fontSize) * 0.3 && similarSize(l.fontSize, glyph.fontSize)
+    );
+    if (line) {
+      line.glyphs.push(glyph);
+    } else {
+      lines.push({ y: glyph.y, fontSize: glyph.fontSize, glyphs: [glyph] });
+    }
+  }
+
+  const runs = [];
+  for (const line of lines) {
+    line.glyphs.sort((a, b) => a.x - b.x);
+    let run = null;
+
+    for (const glyph of line.glyphs) {
+      // Space glyphs can pad whole columns, so gaps are measured from visible text only
+      const blank = !glyph.text.trim();
+      const gap = run ? glyph.x - run.x1 : Infinity;
+
+      if (blank) {
+        if (run) run.text += ' ';
+        continue;
+      }
+
+      if (run && gap <= glyph.fontSize * 0.8) {
+        run.text += gap > glyph.fontSize * 0.2 && !run.text.endsWith(' ') ? ` ${glyph.text}` : glyph.text;
+        run.x1 = Math.max(run.x1, glyph.x + (glyph.width || 0));
+      } else {
+        run = { text: glyph.text, x0: glyph.x, x1: glyph.x + (glyph.width || 0), y: line.y, fontSize: line.fontSize };
+        runs.push(run);
+      }
+    }
+  }
+
+  return runs
+    .map((run) => ({ ...run, text: run.text.replace(/\s+/g, ' ').trim() }))
+    .filter((run) => run.text);
+}
+
+/**
+ * Stack runs that sit directly above one another (wrapped text) into cells
+ */
+function buildCells(runs) {
+  const cells = [];
+
+  for (const run of [...runs].sort((a, b) => a.y - b.y)) {
+    const cell = cells.find((c) => {
+      const last = c.lines[c.lines.length - 1];
+      const dy = run.y - last.y;
+      const overlap = Math.min(c.x1, run.x1) - Math.max(c.x0, run.x0);
+      return (
+        dy > 0 &&
+        dy <= Math.max(last.fontSize, run.fontSize) * 1.6 &&
+        overlap > -run.fontSize * 0.2 &&
+        similarSize(last.fontSize, run.fontSize)
+      );
+    });
+
+    if (cell) {
+      cell.lines.push(run);
+      cell.x0 = Math.min(cell.x0, run.x0);
+      cell.x1 = Math.max(cell.x1, run.x1);
+    } else {
+      cells.push({ lines: [run], x0: run.x0, x1: run.x1 });
+    }
+  }
+
+  return cells.map((cell) => {
+    // Vertical text ("M/O/N") is one character per line; spaced text ("B R E A K") is rejoined
+    const vertical = cell.lines.length > 1 && cell.lines.every((line) => line.text.length === 1);
+    const text = cell.lines
+      .map((line) => (SPACED_LETTERS_PATTERN.test(line.text) ? line.text.replace(/ /g, '') : line.text))
+      .join(vertical ? '' : ' ');
+    const top = cell.lines[0].y - cell.lines[0].fontSize;
+    const bottom = cell.lines[cell.lines.length - 1].y;
+
+    return {
+      text,
+      x0: cell.x0,
+      x1: cell.x1,
+      y0: top,
+      y1: bottom,
+      cx: (cell.x0 + cell.x1) / 2,
+      cy: (top + bottom) / 2,
+      fontSize: Math.max(...cell.lines.map((line) => line.fontSize)),
+    };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Layout: grid axes
+// ---------------------------------------------------------------------------
+
+function buildTimeColumns(timeCells, axis) {
+  const sorted = [...timeCells].sort((a, b) => a[axis] - b[axis]);
+
+  // Keep only headers on the dominant header line (ignore times inside cells)
+  const crossAxis = axis === 'cx' ? 'cy' : 'cx';
+  const reference = median(sorted.map((c) => c[crossAxis]));
+  const tolerance = Math.max(...sorted.map((c) => c.fontSize)) * 2;
+  const headers = sorted.filter((c) => Math.abs(c[crossAxis] - reference) <= tolerance);
+
+  const raw = headers.map((cell) => {
+    const match = HEADER_TIME_PATTERN.exec(cell.text);
+    return { cell, start: parseTime(match[1]), end: match[2] ? parseTime(match[2]) : null };
+  });
+
+  // Header times run left to right (or top to bottom), so later times without am/pm are afternoon
+  let previous = null;
+  const columns = raw.map(({ cell, start, end }) => {
+    const startMinutes = resolveAfter(start, previous);
+    const endMinutes = end ? resolveAfter(end, startMinutes) : null;
+    previous = endMinutes ?? startMinutes;
+    return { cell, label: cell.text, center: cell[axis], start: startMinutes, end: endMinutes };
+  });
+
+  columns.forEach((column, i) => {
+    if (column.end === null) {
+      column.end = columns[i + 1]?.start ?? column.start + OPEN_ENDED_MINUTES;
+      column.openEnded = !columns[i + 1];
+    }
+  });
+
+  // Column boundaries halfway between neighbouring header centres
+  columns.forEach((column, i) => {
+    const prev = columns[i - 1];
+    const next = columns[i + 1];
+    column.from = prev ? (prev.center + column.center) / 2 : -Infinity;
+    column.to = next ? (column.center + next.center) / 2 : Infinity;
+  });
+
+  return columns;
+}
+
+function dedupeDays(dayCells, axis) {
+  const days = [];
+  for (const cell of [...dayCells].sort((a, b) => a[axis] - b[axis])) {
+    const day = toDay(cell.text);
+    if (!days.some((d) => d.day === day)) {
+      days.push({ day, [axis]: cell[axis], position: cell[axis] });
+    }
+  }
+
+  // Row bands halfway between neighbouring day labels
+  days.forEach((d, i) => {
+    const spacing = (days[i + 1]?.position ?? d.position + (d.position - (days[i - 1]?.position ?? d.position - 100))) - d.position;
+    d.from = i === 0 ? d.position - spacing / 2 : (days[i - 1].position + d.position) / 2;
+    d.to = days[i + 1] ? (d.position + days[i + 1].position) / 2 : d.position + spacing / 2;
+  });
+
+  return days;
+}
+
+function isInsideGrid(cell, days, columns, dayAxis, timeAxis) {
+  const dayPos = cell[dayAxis];
+  const timePos = cell[timeAxis];
+  const firstColumnStart = columns[0].center - (columns[1].center - columns[0].center) / 2;
+
+  return dayPos >= days[0].from && dayPos <= days[days.length - 1].to && timePos >= firstColumnStart;
+}
+
+function coveredDays(cell, days, axis) {
+  const [low, high] = axis === 'cy' ? [cell.y0, cell.y1] : [cell.x0, cell.x1];
+  const covered = days.filter((d) => d.position >= low && d.position <= high);
+
+  if (covered.length > 1) {
+    return covered;
+  }
+
+  const center = cell[axis];
+  const day = days.find((d) => center >= d.from && center < d.to);
+  return day ? [day] : [];
+}
+
+function coveredColumns(cell, columns, axis) {
+  const [low, high] = axis === 'cx' ? [cell.x0, cell.x1] : [cell.y0, cell.y1];
+  const covered = columns.filter((column) => column.center >= low && column.center <= high);
+
+  if (covered.length > 0) {
+    return covered;
+  }
+
+  const center = cell[axis];
+  const column = columns.find((c) => center >= c.from && center < c.to);
+  return column ? [column] : [];
+}
+
+// ---------------------------------------------------------------------------
+// Layout: blocks
+// ---------------------------------------------------------------------------
+
+/**
+ * Columns where every day has one letter ("B/R/E/A/K" written down the grid).
+ * The cells involved are flagged so they don't also become blocks of their own.
+ * @returns {Array<Object>} [{ column, word }]
+ */
+function findLetterColumns(placed, columns) {
+  const letterColumns = [];
+
+  for (const column of columns) {
+    const inColumn = placed.filter((p) => p.span.length === 1 && p.span[0] === column);
+    const letters = inColumn.filter((p) => /^[A-Za-z]$/.test(p.cell.text));
+
+    if (letters.length < 3 || letters.length < inColumn.length - 1) {
+      continue;
+    }
+
+    const word = [...letters].sort((a, b) => a.days[0].position - b.days[0].position).map((p) => p.cell.text).join('');
+
+    for (const p of inColumn) {
+      p.letterColumn = true;
+    }
+
+    letterColumns.push({ column, word: word.charAt(0).toUpperCase() + word.slice(1).toLowerCase() });
+  }
+
+  return letterColumns;
+}
+
+function blockFromCell(cell, day, span) {
+  let start = span[0].start;
+  let end = span[span.length - 1].end;
+  let subject = cell.text;
+  let confidence = span[span.length - 1].openEnded ? 0.65 : 0.8;
+
+  // Explicit times inside the cell override the column headers
+  const range = TIME_RANGE_PATTERN.exec(subject);
+  if (range) {
+    const explicitStart = closestReading(parseTime(range[1]), start);
+    const explicitEnd = closestReading(parseTime(range[2]), end);
+    if (explicitEnd > explicitStart) {
+      start = explicitStart;
+      end = explicitEnd;
+      subject = subject.replace(range[0], ' ');
+      confidence = 0.85;
+    }
+  } else {
+    const leading = LEADING_TIME_PATTERN.exec(subject);
+    if (leading) {
+      const explicitStart = closestReading(parseTime(leading[1]), start);
+      if (explicitStart >= start && explicitStart < end) {
+        start = explicitStart;
+        subject = subject.slice(leading[0].length);
+        confidence = 0.8;
+      }
+    }
+  }
+
+  subject = subject.replace(/\s+/g, ' ').replace(/^[\s:–-]+|[\s:–-]+$/g, '').trim();
+
+  if (!subject || !/[A-Za-z]/.test(subject)) {
+    return null;
+  }
+
+  if (subject.length <= 2) {
+    confidence -= 0.2;
+  }
+
+  return { day: day.day, start, end, subject, confidence };
+}
+
+// ---------------------------------------------------------------------------
+// Times
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve am/pm for text-parsed blocks using their order within each day
+ */
+function resolveDayTimes(blocks) {
+  const previousByDay = {};
+
+  return blocks.map((block) => {
+    const previous = previousByDay[block.day] ?? null;
+    const start = resolveAfter(block.start, previous);
+    const end = resolveAfter(block.end, start);
+    previousByDay[block.day] = end;
+
+    const inferred = !block.start.meridiem && start !== clockMinutes(block.start);
+    return { ...block, start, end, confidence: inferred ? block.confidence - 0.05 : block.confidence };
+  });
+}
+
+function toMinutes(time) {
+  const [hour, minute] = (time || '0:0').split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+// ---------------------------------------------------------------------------
+// Output
+// ---------------------------------------------------------------------------
+
+function finalize(blocks, metadata) {
+  const timeblocks = blocks
+    .filter((block) => block.end > block.start)
+    .map((block) => ({
+      day: block.day,
+      start_time: formatTime(block.start),
+      end_time: formatTime(block.end),
+      subject: block.subject,
+      subject_type: classifySubject(block.subject),
+      notes: block.notes || null,
+      confidence: Number(Math.max(0.1, Math.min(1, block.confidence)).toFixed(2)),
+    }))
+    .sort((a, b) => DAY_NAMES.indexOf(a.day) - DAY_NAMES.indexOf(b.day) || a.start_time.localeCompare(b.start_time));
+
+  const confidence = timeblocks.length
+    ? timeblocks.reduce((sum, block) => sum + block.confidence, 0) / timeblocks.length
+    : 0;
+
+  return {
+    metadata: { ...metadata, extraction_confidence: Number(confidence.toFixed(2)) },
+    timeblocks,
+  };
+}
+
+function classifySubject(subject) {
+  const normalized = subject.toLowerCase();
+
+  if (BREAK_WORDS.some((word) => normalized === word || normalized.startsWith(`${word} `))) {
+    return 'break';
+  }
+  if (ADMIN_WORDS.some((word) => normalized === word || normalized.startsWith(`${word} `) || normalized.startsWith(`${word}/`))) {
+    return 'administrative';
+  }
+  return 'academic';
+}
+
+function extractMetadata(texts) {
+  const all = texts.join('\n');
+  const teacher = /\b(?:Teacher\s*:\s*)?((?:Miss|Mrs|Mr|Ms|Dr)\.?\s+[A-Z][A-Za-z'-]+)/.exec(all);
+  const term = /\b((?:Autumn|Spring|Summer)(?:\s+\d)?(?:\s+(?:Term|Half Term))?\s*\d{4}(?:\s*[-/]\s*\d{2,4})?)/i.exec(all);
+  const className = texts.map((t) => t.trim()).find((t) => /^(?:Class\s*:?\s*)?(?:Y(?:ear)?\s*\d+[A-Z]*|\d[A-Z]{1,3})$/i.test(t));
+  const school = /([A-Z][A-Za-z' ]+(?:Primary|Secondary|Junior|Infant|Academy|School)(?: School)?)/.exec(all);
+
+  return {
+    teacher_name: teacher ? teacher[1].trim() : null,
+    class_name: className ? className.replace(/^Class\s*:?\s*/i, '') : null,
+    term: term ? term[1].trim() : null,
+    school_name: school ? school[1].trim() : null,
+  };
+}
+
+function toDay(text) {
+  return DAY_ALIASES[(text || '').toLowerCase().replace(/[^a-z]/g, '')] || null;
+}
+
+function subjectsOverlap(a, b) {
+  const words = (s) => new Set((s || '').toLowerCase().split(/[^a-z0-9]+/).filter((w) => w.length > 1));
+  const left = words(a);
+  const right = words(b);
+  if (left.size === 0 || right.size === 0) {
+    return (a || '').toLowerCase() === (b || '').toLowerCase();
+  }
+  return [...left].some((w) => right.has(w));
+}
+
+function describe(block) {
+  return { day: block.day, start_time: block.start_time, end_time: block.end_time, subject: block.subject };
+}
+
+function similarSize(a, b) {
+  return Math.max(a, b) / Math.min(a, b) < 1.3;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
@@ -0,0 +1,240 @@
+import { getDayKey } from '../schemas/timetable.js';
+
+/**
+ * Time parsing and normalization.
+ *
+ * Timetables write times every way imaginable ("9", "9.30", "10am", "1.15pm", "13h15")
+ * and mostly on a 12-hour clock without am/pm, so "1:15" after lunch means 13:15.
+ * Everything leaving this module is zero-padded 24-hour "HH:MM".
+ */
+
+// One time: "9", "9.30", "9:30", "13h15", "10am", "1.15 p.m.", "09:30:00"
+const TIME_PATTERN = /^(\d{1,2})(?:[.:h](\d{2})(?::\d{2})?|h)?\s*(?:([ap])\.?\s*m\.?)?$/i;
+
+// Two times: "9-9.30", "10am – 11am", "1.15pm to 2pm"
+const RANGE_PATTERN = /^(.+?)\s*(?:-|–|—|\bto\b)\s*(.+)$/i;
+
+// No school day starts before 6am, so earlier readings without am/pm are afternoon times
+const EARLIEST_MORNING_HOUR = 6;
+
+// Only "1" to "6" can be afternoon times written on a 12-hour clock; "0" and "7" to "11"
+// are read as written (a 24-hour midnight, or a morning block listed out of order)
+const LATEST_AFTERNOON_HOUR = 6;
+
+const HALF_DAY = 12 * 60;
+
+/**
+ * Parse a time token
+ * @param {string} token - e.g. "9", "9.30", "10am", "1:15 pm", "13h15"
+ * @returns {Object|null} { hour, minute, meridiem } with meridiem "a", "p" or null
+ */
+export function parseTime(token) {
+  const match = TIME_PATTERN.exec(String(token ?? '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const time = {
+    hour: Number(match[1]),
+    minute: Number(match[2] || 0),
+    meridiem: match[3]?.toLowerCase() || null,
+  };
+
+  if (time.minute > 59 || time.hour > 23 || (time.meridiem && (time.hour === 0 || time.hour > 12))) {
+    return null;
+  }
+
+  return time;
+}
+
+/**
+ * Parse a time range such as "9-9.30" or "10am to 11am"
+ * @param {string} text - Range text
+ * @returns {Object|null} { start, end } parsed times
+ */
+export function parseTimeRange(text) {
+  const match = RANGE_PATTERN.exec(String(text ?? '').trim());
+  const start = match && parseTime(match[1]);
+  const end = match && parseTime(match[2]);
+
+  return start && end ? { start, end } : null;
+}
+
+/**
+ * Minutes since midnight for a time read as-is (am/pm applied when given)
+ * @param {Object} time - parseTime result
+ * @returns {number}
+ */
+export function clockMinutes(time) {
+  let hour = time.hour % 24;
+  if (time.meridiem === 'p' && hour < 12) hour += 12;
+  if (time.meridiem === 'a' && hour === 12) hour = 0;
+  return hour * 60 + time.minute;
+}
+
+/**
+ * Resolve a time that should not be earlier than `previous`
+ * (12-hour clocks: "1.30" after "12.30" is 13:30, "6" after "3.15" is 18:00)
+ * @param {Object|null} time - parseTime result
+ * @param {number|null} [previous] - Minutes of the time this one follows
+ * @returns {number|null} Minutes since midnight
+ */
+export function resolveAfter(time, previous = null) {
+  if (!time) {
+    return null;
+  }
+
+  const minutes = clockMinutes(time);
+
+  if (time.meridiem || time.hour === 0 || time.hour > LATEST_AFTERNOON_HOUR) {
+    return minutes;
+  }
+
+  if (time.hour < EARLIEST_MORNING_HOUR) {
+    return minutes + HALF_DAY;
+  }
+
+  if (previous !== null && minutes < previous) {
+    return minutes + HALF_DAY;
+  }
+
+  return minutes;
+}
+
+/**
+ * Pick the am or pm reading of a time closest to a reference
+ * @param {Object|null} time - parseTime result
+ * @param {number} reference - Minutes since midnight
+ * @returns {number} Minutes since midnight (the reference when there is no time)
+ */
+export function closestReading(time, reference) {
+  if (!time) {
+    return reference;
+  }
+
+  const minutes = clockMinutes(time);
+  if (time.meridiem || time.hour >= 12) {
+    return minutes;
+  }
+
+  const pm = minutes + HALF_DAY;
+  return Math.abs(pm - reference) < Math.abs(minutes - reference) ? pm : minutes;
+}
+
+/**
+ * Format minutes since midnight as "HH:MM"
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatTime(minutes) {
+  const hour = Math.floor(minutes / 60) % 24;
+  return `${String(hour).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Normalize one time, choosing am or pm by closeness to a reference time
+ * (used for single corrected values, where there is no day order to go by)
+ * @param {string} value - Time as written
+ * @param {number} [reference] - Minutes since midnight of the value being replaced
+ * @returns {string|null} "HH:MM", or null when the value isn't a time
+ */
+export function normalizeTime(value, reference) {
+  const time = parseTime(value);
+  if (!time) {
+    return null;
+  }
+
+  return formatTime(reference === undefined ? resolveAfter(time) : closestReading(time, reference));
+}
+
+/**
+ * Normalize the start and end times of extracted blocks to 24-hour "HH:MM".
+ * Within each day, blocks are taken in the order they were extracted: a time without
+ * am/pm that comes before the previous block's start is read as afternoon.
+ * Unparseable values are left alone for schema validation to report.
+ * @param {Array<Object>} timeblocks - Raw time blocks
+ * @returns {Object} { timeblocks, corrections: [{ day, subject, field, original, normalized, reason, message }] }
+ *                   where reason is "reformatted" or "afternoon_inferred"; zero-padding alone is not reported
+ */
+export function normalizeBlockTimes(timeblocks) {
+  const previousByDay = new Map();
+  const corrections = [];
+
+  const normalized = timeblocks.map((block) => {
+    if (!block || typeof block !== 'object') {
+      return block;
+    }
+
+    let start = parseTime(block.start_time);
+    let end = parseTime(block.end_time);
+    let originalEnd = block.end_time;
+
+    // "9-9.30" in start_time with the end left out
+    const range = !start && parseTimeRange(block.start_time);
+    if (range && (!end || block.end_time === block.start_time)) {
+      start = range.start;
+      end = range.end;
+      originalEnd = block.start_time;
+    }
+
+    if (!start || !end) {
+      return block;
+    }
+
+    const dayKey = getDayKey(block) ?? null;
+    const previous = previousByDay.get(dayKey) ?? null;
+
+    let startMinutes = resolveAfter(start, previous);
+    const endMinutes = resolveAfter(end, startMinutes);
+
+    // "8-9pm": the end's pm applies to the start when that keeps the order
+    if (!start.meridiem && start.hour < 12 && end.meridiem === 'p' && startMinutes + HALF_DAY < endMinutes) {
+      startMinutes += HALF_DAY;
+    }
+
+    previousByDay.set(dayKey, startMinutes);
+
+    const updated = { ...block, start_time: formatTime(startMinutes), end_time: formatTime(endMinutes) };
+
+    for (const [field, original, time, minutes] of [
+      ['start_time', block.start_time, start, startMinutes],
+      ['end_time', originalEnd, end, endMinutes],
+    ]) {
+      const correction = describeCorrection(field, original, time, minutes, updated[field]);
+      if (correction) {
+        corrections.push({ day: dayKey, subject: block.subject ?? null, ...correction });
+      }
+    }
+
+    return updated;
+  });
+
+  return { timeblocks: normalized, corrections };
+}
+
+/**
+ * Why a field changed, or null when it only gained a leading zero
+ */
+function describeCorrection(field, original, time, minutes, normalized) {
+  if (minutes !== clockMinutes(time)) {
+    return {
+      field,
+      original,
+      normalized,
+      reason: 'afternoon_inferred',
+      message: `${field} "${original}" read as ${normalized} (pm)`,
+    };
+  }
+
+  if (!/^\d{1,2}:\d{2}$/.test(String(original).trim())) {
+    return {
+      field,
+      original,
+      normalized,
+      reason: 'reformatted',
+      message: `${field} "${original}" read as ${normalized}`,
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,335 @@
+import { config } from '../config/index.js';
+import { getDayKey, getWeekLabels } from '../schemas/timetable.js';
+import { assertTimetable } from './exporters/tableLayout.js';
+
+/**
+ * Rule-based consistency checks over a whole timetable.
+ *
+ * validateTimeRanges looks at one block at a time; these rules compare blocks with
+ * each other and days with each other. Findings never reject a timetable, they are
+ * reported next to it so a reviewer knows where to look.
+ *
+ * Finding: { type, severity, day, message, blockIndexes, blockIds, details }
+ * - overlap            two blocks of the same day run at the same time (error; warning for a duplicate)
+ * - gap                unexplained time between consecutive blocks (warning)
+ * - missing_break      a day without the break or lunch most days have (warning)
+ * - inconsistent_day   a day starting, ending or breaking differently from most days (info)
+ * - duration_mismatch  duration_minutes disagrees with start and end time (warning)
+ */
+
+export const FINDING_TYPES = ['overlap', 'gap', 'missing_break', 'inconsistent_day', 'duration_mismatch'];
+
+const SEVERITY_ORDER = ['error', 'warning', 'info'];
+
+// A break in this window lasting at least LUNCH_MIN_MINUTES counts as lunch
+const LUNCH_WINDOW = { start: 11 * 60, end: 14 * 60 + 30 };
+const LUNCH_MIN_MINUTES = 30;
+
+// Days spanning at least this long are expected to have a break even when no other day does
+const LONG_DAY_MINUTES = 5 * 60;
+
+// Day-to-day comparisons need enough days for "most days" to mean something
+const MIN_DAYS_TO_COMPARE = 3;
+
+/**
+ * Analyze a validated timetable
+ * @param {Object} timetable - { metadata, timeblocks }
+ * @param {Object} [options] - { maxGapMinutes } (defaults to config.analysis)
+ * @returns {Object} { findings, summary: { errors, warnings, info, byType } }
+ */
+export function analyzeTimetable(timetable, options = {}) {
+  const maxGapMinutes = options.maxGapMinutes ?? config.analysis.maxGapMinutes;
+
+  const entries = timetable.timeblocks
+    .map((block, index) => ({ block, index, start: toMinutes(block.start_time), end: toMinutes(block.end_time) }))
+    // Reversed ranges are validateTimeRanges' job; any comparison with them would be noise
+    .filter((entry) => entry.end > entry.start);
+
+  const days = groupByDay(entries, timetable.metadata?.cycle);
+  const blockIds = (indexes) => indexes.map((index) => timetable.timeblocks[index].id ?? null);
+
+  const findings = [
+    ...findDurationMismatches(entries),
+    ...findOverlaps(days),
+    ...findGaps(days, maxGapMinutes),
+    ...findDayInconsistencies(days),
+  ]
+    .map((finding) => ({ ...finding, blockIds: blockIds(finding.blockIndexes) }))
+    .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+
+  return { findings, summary: summarize(findings) };
+}
+
+/**
+ * Validate an unchecked timetable (e.g. a request body) and analyze it
+ * @param {Object} timetable - Candidate timetable
+ * @param {Object} [options] - { maxGapMinutes }, numbers or numeric strings (query parameters)
+ * @returns {Object} analyzeTimetable result
+ * @throws {Object} INVALID_TIMETABLE when the timetable doesn't match the schema or its cycle,
+ *                  INVALID_ANALYSIS_OPTIONS for a bad option
+ */
+export function checkTimetable(timetable, options = {}) {
+  const parsed = assertTimetable(timetable);
+  const maxGapMinutes = options.maxGapMinutes === undefined ? undefined : Number(options.maxGapMinutes);
+
+  if (maxGapMinutes !== undefined && !(Number.isInteger(maxGapMinutes) && maxGapMinutes >= 0)) {
+    throw {
+      code: 'INVALID_ANALYSIS_OPTIONS',
+      message: 'maxGapMinutes must be a whole number of minutes, 0 or more',
+    };
+  }
+
+  return analyzeTimetable(parsed, { maxGapMinutes });
+}
+
+/**
+ * Blocks per day key, sorted by start time. In a week rotation a block without
+ * a week happens every week, so it joins each week's day.
+ */
+function groupByDay(entries, cycle) {
+  const weekLabels = cycle?.type === 'weeks' ? getWeekLabels(cycle) : null;
+  const days = new Map();
+
+  for (const entry of entries) {
+    const { block } = entry;
+    const keys =
+      weekLabels && !block.week && !block.cycle_day && !block.date
+        ? weekLabels.map((week) => getDayKey({ ...block, week }))
+        : [getDayKey(block)];
+
+    for (const key of keys) {
+      if (!days.has(key)) {
+        // One-off dated days are checked for overlaps and gaps but not compared with regular days
+        days.set(key, { key, dated: Boolean(block.date), entries: [] });
+      }
+      days.get(key).entries.push(entry);
+    }
+  }
+
+  for (const day of days.values()) {
+    day.entries.sort((a, b) => a.start - b.start || a.end - b.end);
+  }
+
+  return [...days.values()];
+}
+
+function findDurationMismatches(entries) {
+  return entries
+    .filter(({ block, start, end }) => block.duration_minutes && block.duration_minutes !== end - start)
+    .map(({ block, index, start, end }) => ({
+      type: 'duration_mismatch',
+      severity: 'warning',
+      day: getDayKey(block),
+      message:
+        `${block.subject} (${block.start_time}-${block.end_time}) lasts ${end - start} minutes ` +
+        `but duration_minutes is ${block.duration_minutes}`,
+      blockIndexes: [index],
+      details: { expected: end - start, actual: block.duration_minutes },
+    }));
+}
+
+function findOverlaps(days) {
+  const findings = [];
+  const seen = new Set();
+
+  for (const day of days) {
+    day.entries.forEach((entry, i) => {
+      for (const other of day.entries.slice(i + 1)) {
+        if (other.start >= entry.end) break;
+
+        // A block shared by every week is compared once, not once per week
+        const pair = `${entry.index}:${other.index}`;
+        if (seen.has(pair)) continue;
+        seen.add(pair);
+
+        const duplicate =
+          entry.start === other.start && entry.end === other.end && normalize(entry.block.subject) === normalize(other.block.subject);
+
+        findings.push({
+          type: 'overlap',
+          severity: duplicate ? 'warning' : 'error',
+          day: day.key,
+          message: duplicate
+            ? `${entry.block.subject} (${entry.block.start_time}-${entry.block.end_time}) appears twice on ${day.key}`
+            : `${entry.block.subject} (${entry.block.start_time}-${entry.block.end_time}) overlaps ` +
+              `${other.block.subject} (${other.block.start_time}-${other.block.end_time}) on ${day.key}`,
+          blockIndexes: [entry.index, other.index],
+          details: { overlapMinutes: Math.min(entry.end, other.end) - other.start, duplicate },
+        });
+      }
+    });
+  }
+
+  return findings;
+}
+
+function findGaps(days, maxGapMinutes) {
+  const findings = [];
+  const seen = new Set();
+
+  for (const day of days) {
+    let previous = null;
+
+    for (const entry of day.entries) {
+      if (previous && entry.start - previous.end > maxGapMinutes) {
+        const pair = `${previous.index}:${entry.index}`;
+
+        if (!seen.has(pair)) {
+          seen.add(pair);
+          findings.push({
+            type: 'gap',
+            severity: 'warning',
+            day: day.key,
+            message:
+              `${entry.start - previous.end}-minute gap on ${day.key} between ` +
+              `${previous.block.subject} (ends ${previous.block.end_time}) and ${entry.block.subject} (starts ${entry.block.start_time})`,
+            blockIndexes: [previous.index, entry.index],
+            details: { gapMinutes: entry.start - previous.end, from: previous.block.end_time, to: entry.block.start_time },
+          });
+        }
+      }
+
+      if (!previous || entry.end > previous.end) {
+        previous = entry;
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * missing_break and inconsistent_day: compare each regular day's shape with the majority
+ */
+function findDayInconsistencies(days) {
+  const regular = days.filter((day) => !day.dated).map(describeDay);
+  const comparable = regular.length >= MIN_DAYS_TO_COMPARE;
+  const findings = [];
+
+  const common = {
+    start: majority(regular.map((day) => day.start)),
+    end: majority(regular.map((day) => day.end)),
+    breaks: majority(regular.map((day) => day.breaks.join(', '))),
+    hasBreak: majority(regular.map((day) => day.breaks.length > 0)),
+    hasLunch: majority(regular.map((day) => day.lunch !== null)),
+  };
+
+  for (const day of regular) {
+    const indexes = day.entries.map((entry) => entry.index);
+    let missingBreak = false;
+
+    if (day.breaks.length === 0 && ((comparable && common.hasBreak) || day.span >= LONG_DAY_MINUTES)) {
+      missingBreak = true;
+      findings.push({
+        type: 'missing_break',
+        severity: 'warning',
+        day: day.key,
+        message: `${day.key} has no break${comparable && common.hasBreak ? '; most days do' : ` in ${formatSpan(day.span)}`}`,
+        blockIndexes: indexes,
+        details: { spanMinutes: day.span },
+      });
+    } else if (comparable && common.hasLunch && day.lunch === null) {
+      missingBreak = true;
+      findings.push({
+        type: 'missing_break',
+        severity: 'warning',
+        day: day.key,
+        message: `${day.key} has no lunch break; most days do`,
+        blockIndexes: indexes,
+        details: { spanMinutes: day.span },
+      });
+    }
+
+    if (!comparable) continue;
+
+    const differences = [
+      common.start !== undefined && day.start !== common.start && `starts at ${day.start} (most days ${common.start})`,
+      common.end !== undefined && day.end !== common.end && `ends at ${day.end} (most days ${common.end})`,
+      // Already reported as missing_break
+      !missingBreak &&
+        common.breaks !== undefined &&
+        day.breaks.join(', ') !== common.breaks &&
+        `has breaks ${day.breaks.join(', ') || 'none'} (most days ${common.breaks || 'none'})`,
+    ].filter(Boolean);
+
+    if (differences.length > 0) {
+      findings.push({
+        type: 'inconsistent_day',
+        severity: 'info',
+        day: day.key,
+        message: `${day.key} ${differences.join('; ')}`,
+        blockIndexes: indexes,
+        details: {
+          start: day.start,
+          end: day.end,
+          breaks: day.breaks,
+          expected: { start: common.start ?? null, end: common.end ?? null, breaks: common.breaks?.split(', ').filter(Boolean) ?? null },
+        },
+      });
+    }
+  }
+
+  return findings;
+}
+
+function describeDay(day) {
+  const first = day.entries[0];
+  const last = day.entries.reduce((latest, entry) => (entry.end > latest.end ? entry : latest));
+  const breaks = day.entries.filter((entry) => entry.block.subject_type === 'break');
+
+  return {
+    key: day.key,
+    entries: day.entries,
+    start: first.block.start_time,
+    end: last.block.end_time,
+    span: last.end - first.start,
+    breaks: breaks.map((entry) => `${entry.block.start_time}-${entry.block.end_time}`),
+    lunch: breaks.find(isLunch) ?? null,
+  };
+}
+
+function isLunch({ block, start, end }) {
+  return (
+    /lunch/i.test(block.subject) ||
+    (end - start >= LUNCH_MIN_MINUTES && start < LUNCH_WINDOW.end && end > LUNCH_WINDOW.start)
+  );
+}
+
+/**
+ * Value shared by more than half of the items, undefined when there is none
+ */
+function majority(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+
+  for (const [value, count] of counts) {
+    if (count > values.length / 2) return value;
+  }
+
+  return undefined;
+}
+
+function summarize(findings) {
+  return {
+    errors: findings.filter((f) => f.severity === 'error').length,
+    warnings: findings.filter((f) => f.severity === 'warning').length,
+    info: findings.filter((f) => f.severity === 'info').length,
+    byType: Object.fromEntries(FINDING_TYPES.map((type) => [type, findings.filter((f) => f.type === type).length])),
+  };
+}
+
+function formatSpan(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours} hours`;
+}
+
+function toMinutes(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+function normalize(subject) {
+  return (subject || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
@@ -0,0 +1,178 @@
+import logger from '../utils/logger.js';
+import { getDayKey, getCycleFields } from '../schemas/timetable.js';
+
+const METADATA_FIELDS = ['teacher_name', 'class_name', 'term', 'school_name'];
+
+/**
+ * Convert "HH:MM" to minutes since midnight (NaN if unparseable)
+ * @param {string} time - Time string
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+}
+
+/**
+ * Normalize a subject name for comparison ("Maths " vs "maths")
+ * @param {string} subject - Subject name
+ * @returns {string}
+ */
+function normalizeSubject(subject) {
+  return (subject || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Short description of a block for merge reports
+ * @param {Object} block - Time block
+ * @returns {Object}
+ */
+function describeBlock(block) {
+  return {
+    day: block.day,
+    ...getCycleFields(block),
+    start_time: block.start_time,
+    end_time: block.end_time,
+    subject: block.subject,
+    source_file: block.source_file,
+    source_page: block.source_page,
+  };
+}
+
+/**
+ * Merge several partial extractions (pages of a PDF, or separate files) into one timetable.
+ *
+ * Every block is tagged with the file/page it came from. Blocks from different
+ * sources that overlap on the same day (same week, cycle day or date) are resolved:
+ * - same subject: treated as a duplicate, the higher-confidence block is kept
+ * - different subject, identical times: conflict, the higher-confidence block is kept
+ * - different subject, partial overlap: both are kept and the overlap is reported
+ *
+ * @param {Array<Object>} extractions - [{ data: { metadata, timeblocks }, source: { file, page } }]
+ * @returns {Object} { data: { metadata, timeblocks }, resolutions }
+ */
+export function mergeExtractions(extractions) {
+  const metadata = {};
+  const timeblocks = [];
+  const resolutions = [];
+  const seen = new Set();
+  let confidenceTotal = 0;
+  let confidenceWeight = 0;
+
+  for (const { data = {}, source = {} } of extractions) {
+    const sourceMetadata = data.metadata || {};
+    const sourceBlocks = data.timeblocks || [];
+
+    // First non-empty value wins for descriptive fields
+    for (const field of METADATA_FIELDS) {
+      if (metadata[field] == null && sourceMetadata[field] != null) {
+        metadata[field] = sourceMetadata[field];
+      }
+    }
+
+    // Pages of one timetable share its cycle (e.g. Week A on page 1, Week B on page 2)
+    if (metadata.cycle == null && sourceMetadata.cycle) {
+      metadata.cycle = sourceMetadata.cycle;
+    }
+
+    // Weight each source's confidence by the number of blocks it contributed
+    const weight = Math.max(sourceBlocks.length, 1);
+    confidenceTotal += (sourceMetadata.extraction_confidence ?? 0.5) * weight;
+    confidenceWeight += weight;
+
+    for (const rawBlock of sourceBlocks) {
+      const block = {
+        ...rawBlock,
+        source_file: rawBlock.source_file ?? source.file ?? null,
+        source_page: rawBlock.source_page ?? source.page ?? null,
+      };
+
+      const sourceKey = `${block.source_file}#${block.source_page}`;
+      const key = [sourceKey, getDayKey(block), block.start_time, block.end_time, normalizeSubject(block.subject)].join('|');
+
+      // Exact repeat within the same source
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+
+      if (resolveAgainstExisting(block, sourceKey, timeblocks, resolutions)) {
+        timeblocks.push(block);
+      }
+    }
+  }
+
+  for (const field of METADATA_FIELDS) {
+    metadata[field] = metadata[field] ?? null;
+  }
+
+  metadata.extraction_confidence = confidenceWeight ? confidenceTotal / confidenceWeight : 0;
+
+  logger.info('Merged extractions', {
+    sources: extractions.length,
+    timeblocks: timeblocks.length,
+    resolutions: resolutions.length,
+  });
+
+  return { data: { metadata, timeblocks }, resolutions };
+}
+
+/**
+ * Compare a candidate block with accepted blocks from other sources.
+ * Mutates `timeblocks` when an existing block is replaced.
+ * @returns {boolean} Whether the candidate should be appended
+ */
+function resolveAgainstExisting(block, sourceKey, timeblocks, resolutions) {
+  const start = toMinutes(block.start_time);
+  const end = toMinutes(block.end_time);
+
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    return true;
+  }
+
+  for (let i = 0; i < timeblocks.length; i++) {
+    const existing = timeblocks[i];
+
+    if (getDayKey(existing) !== getDayKey(block) || `${existing.source_file}#${existing.source_page}` === sourceKey) {
+      continue;
+    }
+
+    const existingStart = toMinutes(existing.start_time);
+    const existingEnd = toMinutes(existing.end_time);
+
+    if (!(start < existingEnd && existingStart < end)) {
+      continue;
+    }
+
+    const sameSubject = normalizeSubject(existing.subject) === normalizeSubject(block.subject);
+    const sameTimes = start === existingStart && end === existingEnd;
+
+    if (!sameSubject && !sameTimes) {
+      resolutions.push({
+        type: 'overlap',
+        action: 'kept_both',
+        blocks: [describeBlock(existing), describeBlock(block)],
+      });
+      continue;
+    }
+
+    const keepNew = (block.confidence ?? 1) > (existing.confidence ?? 1);
+    const kept = keepNew ? block : existing;
+    const dropped = keepNew ? existing : block;
+
+    resolutions.push({
+      type: sameSubject ? 'duplicate' : 'conflict',
+      action: 'kept_higher_confidence',
+      kept: describeBlock(kept),
+      dropped: describeBlock(dropped),
+    });
+
+    if (keepNew) {
+      timeblocks[i] = block;
+    }
+
+    return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,608 @@
+import { randomUUID } from 'crypto';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import { getTimetableStore } from './timetableStores/index.js';
+import { analyzeTimetable } from './timetableAnalyzer.js';
+import {
+  timeBlockSchema,
+  metadataSchema,
+  validateTimetable,
+  validateTimeRanges,
+  validateCycle,
+  enrichTimeBlocks,
+} from '../schemas/timetable.js';
+
+const MAX_PAGE_SIZE = 100;
+
+export const REVIEW_STATUSES = ['pending', 'reviewed', 'approved'];
+
+// Fields a reviewer can correct; derived fields (duration, confidence) are not diffed
+const CORRECTABLE_BLOCK_FIELDS = [
+  'day',
+  'week',
+  'cycle_day',
+  'date',
+  'start_time',
+  'end_time',
+  'subject',
+  'subject_type',
+  'notes',
+  'room_location',
+  'color_code',
+];
+const CORRECTABLE_METADATA_FIELDS = ['teacher_name', 'class_name', 'term', 'school_name', 'cycle'];
+
+/**
+ * Persist a successful extraction result
+ * Storage failures are logged and never fail the extraction itself.
+ * @param {Object} result - fileProcessor result { data, metadata }
+ * @param {Array<Object>} files - Uploaded files ({ originalname, mimetype })
+ * @returns {Promise<Object>} The result with block ids and metadata.timetableId once stored,
+ *                            otherwise the result unchanged
+ */
+export async function saveExtraction(result, files = []) {
+  if (!config.storage.enabled || result.success === false) {
+    return result;
+  }
+
+  const now = new Date().toISOString();
+  const record = {
+    id: randomUUID(),
+    status: 'completed',
+    createdAt: now,
+    updatedAt: now,
+    version: 1,
+    review: { status: 'pending', history: [] },
+    source: {
+      filename: files.map((f) => f.originalname).join(', ') || null,
+      fileType: [...new Set(files.map((f) => f.mimetype))].join(', ') || null,
+      extractionMethod: result.metadata?.extractionMethod ?? null,
+      provider: result.metadata?.provider ?? null,
+      model: result.metadata?.model ?? null,
+      promptVersion: result.metadata?.promptVersion ?? null,
+      tenant: result.metadata?.tenant ?? null,
+      tokensUsed: result.metadata?.tokensUsed ?? null,
+      processingTime: result.processingTime ?? null,
+    },
+    data: {
+      metadata: result.data.metadata,
+      timeblocks: withBlockIds(result.data.timeblocks),
+    },
+  };
+
+  try {
+    await getTimetableStore().create(record);
+    logger.info('Timetable saved', { timetableId: record.id, timeblocks: record.data.timeblocks.length });
+  } catch (error) {
+    logger.error('Failed to save timetable', { error: error.message });
+    return result;
+  }
+
+  return {
+    ...result,
+    data: record.data,
+    // Again now that blocks have ids, so findings can name them
+    metadata: { ...result.metadata, timetableId: record.id, analysis: analyzeTimetable(record.data) },
+  };
+}
+
+/**
+ * List stored timetables, newest first
+ * @param {Object} options - { limit, offset, reviewStatus, tenant }; without a tenant every timetable is listed
+ * @returns {Promise<Object>} { items, total, limit, offset }
+ */
+export async function listTimetables({ limit, offset, reviewStatus, tenant } = {}) {
+  if (reviewStatus && !REVIEW_STATUSES.includes(reviewStatus)) {
+    throw {
+      code: 'INVALID_REVIEW_STATUS',
+      message: `Unknown review status "${reviewStatus}". Expected one of: ${REVIEW_STATUSES.join(', ')}`,
+    };
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+  const start = Math.max(parseInt(offset) || 0, 0);
+  const { items, total } = await getTimetableStore().list({ limit: pageSize, offset: start, reviewStatus, tenant });
+
+  return { items, total, limit: pageSize, offset: start };
+}
+
+/**
+ * Get a stored timetable
+ * @param {string} id - Timetable id
+ * @param {string|null} [tenant] - Tenant the caller acts for (see resolveTenant); other tenants'
+ *                                 timetables are not found. Undefined reaches every timetable.
+ * @returns {Promise<Object>} Stored record
+ */
+export async function getTimetable(id, tenant) {
+  const record = await getTimetableStore().get(id, tenant);
+
+  if (!record) {
+    throw {
+      code: 'TIMETABLE_NOT_FOUND',
+      message: `Timetable ${id} not found`,
+    };
+  }
+
+  return record;
+}
+
+/**
+ * Replace a timetable's metadata and time blocks
+ * PUT /api/timetables/:id
+ * @param {string} id - Timetable id
+ * @param {Object} body - { metadata, timeblocks } matching timetableExtractionSchema
+ * @param {number} [expectedVersion] - Version the edit was based on (If-Match)
+ * @param {string|null} [tenant] - Tenant the caller acts for
+ * @returns {Promise<Object>} Updated record
+ */
+export async function replaceTimetable(id, body, expectedVersion, tenant) {
+  const record = await getEditableTimetable(id, expectedVersion, tenant);
+  const before = structuredClone(record.data);
+  const parsed = validateTimetable(body);
+
+  if (!parsed.success) {
+    throw validationError(parsed.error);
+  }
+
+  // Blocks sent without a confidence keep the one they were extracted with
+  const extracted = new Map(before.timeblocks.map((block) => [block.id, block.confidence]));
+  const timeblocks = parsed.data.timeblocks.map((block, index) =>
+    body.timeblocks[index]?.confidence === undefined && extracted.has(block.id)
+      ? { ...block, confidence: extracted.get(block.id) }
+      : block
+  );
+
+  record.data = {
+    metadata: parsed.data.metadata,
+    timeblocks: withBlockIds(timeblocks),
+  };
+
+  return saveRecord(record, before);
+}
+
+/**
+ * Update some metadata fields of a timetable
+ * PATCH /api/timetables/:id
+ * @param {string} id - Timetable id
+ * @param {Object} body - { metadata: { ...partial metadata } }
+ * @param {number} [expectedVersion] - Version the edit was based on (If-Match)
+ * @param {string|null} [tenant] - Tenant the caller acts for
+ * @returns {Promise<Object>} Updated record
+ */
+export async function updateTimetable(id, body, expectedVersion, tenant) {
+  const record = await getEditableTimetable(id, expectedVersion, tenant);
+  const before = structuredClone(record.data);
+  const parsed = metadataSchema.partial().strict().safeParse(body?.metadata ?? {});
+
+  if (!parsed.success) {
+    throw validationError(parsed.error, 'metadata');
+  }
+
+  record.data.metadata = { ...record.data.metadata, ...parsed.data };
+
+  return saveRecord(record, before);
+}
+
+/**
+ * Delete a timetable and its time blocks
+ * @param {string} id - Timetable id
+ * @param {string|null} [tenant] - Tenant the caller acts for
+ */
+export async function deleteTimetable(id, tenant) {
+  const deleted = await getTimetableStore().delete(id, tenant);
+
+  if (!deleted) {
+    throw {
+      code: 'TIMETABLE_NOT_FOUND',
+      message: `Timetable ${id} not found`,
+    };
+  }
+
+  logger.info('Timetable deleted', { timetableId: id });
+}
+
+/**
+ * Get one time block of a timetable
+ * @param {string} id - Timetable id
+ * @param {string} blockId - Time block id
+ * @param {string|null} [tenant] - Tenant the caller acts for
+ * @returns {Promise<Object>} { block, version }: the time block and its timetable's version
+ */
+export async function getTimeBlock(id, blockId, tenant) {
+  const record = await getTimetable(id, tenant);
+  return { block: record.data.timeblocks[findBlockIndex(record, blockId)], version: record.version ?? 1 };
+}
+
+/**
+ * Add a time block to a timetable
+ * POST /api/timetables/:id/timeblocks
+ * @param {string} id - Timetable id
+ * @param {Object} body - Time block matching timeBlockSchema
+ * @param {number} [expectedVersion] - Version the edit was based on (If-Match)
+ * @param {string|null} [tenant] - Tenant the caller acts for
+ * @returns {Promise<Object>} { block, version }: the created block and the timetable's new version
+ */
+export async function addTimeBlock(id, body, expectedVersion, tenant) {
+  const record = await getEditableTimetable(id, expectedVersion, tenant);
+  const before = structuredClone(record.data);
+  const block = parseBlock({ ...body, id: randomUUID() });
+
+  record.data.timeblocks.push(block);
+  await saveRecord(record, before);
+
+  return { block, version: record.version };
+}
+
+/**
+ * Replace a time block
+ * PUT /api/timetables/:id/timeblocks/:blockId
+ * @param {string} id - Timetable id
+ * @param {string} blockId - Time block id
+ * @param {Object} body - Time block matching timeBlockSchema
+ * @param {number} [expectedVersion] - Version the edit was based on (If-Match)
+ * @param {string|null} [tenant] - Tenant the caller acts for
+ * @returns {Promise<Object>} { block, version }: the updated block and the timetable's new version
+ */
+export async function replaceTimeBlock(id, blockId, body, expectedVersion, tenant) {
+  const record = await getEditableTimetable(id, expectedVersion, tenant);
+  const before = structuredClone(record.data);
+  const index = findBlockIndex(record, blockId);
+  // Confidence belongs to the extraction, so a replacement without one keeps the block's
+  const confidence = body?.confidence ?? record.data.timeblocks[index].confidence;
+  const block = parseBlock({ ...body, id: blockId, confidence });
+
+  record.data.timeblocks[index] = block;
+  await saveRecord(record, before);
+
+  return { block, version: record.version };
+}
+
+/**
+ * Update some fields of a time block
+ * PATCH /api/timetables/:id/timeblocks/:blockId
+ * @param {string} id - Timetable id
+ * @param {string} blockId - Time block id
+ * @param {Object} body - Partial time block
+ * @param {number} [expectedVersion] - Version the edit was based on (If-Match)
+ * @param {string|null} [tenant] - Tenant the caller acts for
+ * @returns {Promise<Object>} { block, version }: the updated block and the timetable's new version
+ */
+export async function updateTimeBlock(id, blockId, body, expectedVersion, tenant) {
+  const record = await getEditableTimetable(id, expectedVersion, tenant);
+  const before = structuredClone(record.data);
+  const index = findBlockIndex(record, blockId);
+
+  const changes = timeBlockSchema.partial().strict().safeParse(body ?? {});
+  if (!changes.success) {
+    throw validationError(changes.error);
+  }
+
+  const current = record.data.timeblocks[index];
+  const timesChanged = 'start_time' in changes.data || 'end_time' in changes.data;
+  const merged = { ...current, ...changes.data, id: blockId };
+
+  // Recalculate the duration unless the caller set it explicitly
+  if (timesChanged && !('duration_minutes' in changes.data)) {
+    delete merged.duration_minutes;
+  }
+
+  const block = parseBlock(merged);
+  record.data.timeblocks[index] = block;
+  await saveRecord(record, before);
+
+  return { block, version: record.version };
+}
+
+/**
+ * Delete a time block
+ * @param {string} id - Timetable id
+ * @param {string} blockId - Time block id
+ * @param {number} [expectedVersion] - Version the edit was based on (If-Match)
+ * @param {string|null} [tenant] - Tenant the caller acts for
+ * @returns {Promise<number>} The timetable's new version
+ */
+export async function deleteTimeBlock(id, blockId, expectedVersion, tenant) {
+  const record = await getEditableTimetable(id, expectedVersion, tenant);
+  const before = structuredClone(record.data);
+  const index = findBlockIndex(record, blockId);
+
+  if (record.data.timeblocks.length === 1) {
+    throw {
+      code: 'VALIDATION_FAILED',
+      message: 'A timetable must keep at least one time block; delete the timetable instead',
+    };
+  }
+
+  record.data.timeblocks.splice(index, 1);
+  await saveRecord(record, before);
+
+  return record.version;
+}
+
+/**
+ * Move a timetable through the review workflow
+ * pending -> reviewed -> approved; reviewed/approved can be sent back one step
+ * @param {string} id - Timetable id
+ * @param {Object} body - { status, reviewer, notes }
+ * @param {number} [expectedVersion] - Version the change was based on (If-Match)
+ * @param {string|null} [tenant] - Tenant the caller acts for
+ * @returns {Promise<Object>} Updated record
+ */
+export async function setReviewStatus(id, body = {}, expectedVersion, tenant) {
+  const record = await getTimetable(id, tenant);
+  checkVersion(record, expectedVersion);
+
+  const from = record.review.status;
+  const to = body.status;
+
+  if (!REVIEW_STATUSES.includes(to)) {
+    throw {
+      code: 'INVALID_REVIEW_STATUS',
+      message: `Unknown review status "${to}". Expected one of: ${REVIEW_STATUSES.join(', ')}`,
+    };
+  }
+
+  if (!REVIEW_TRANSITIONS[from].includes(to)) {
+    throw {
+      code: 'REVIEW_TRANSITION_NOT_ALLOWED',
+      message: `Cannot move a timetable from "${from}" to "${to}"`,
+      details: { allowed: REVIEW_TRANSITIONS[from] },
+    };
+  }
+
+  const now = new Date().toISOString();
+  const entry = { from, to, at: now, reviewer: body.reviewer ?? null, notes: body.notes ?? null };
+
+  record.review = { ...record.review, status: to, history: [...(record.review.history || []), entry] };
+  record.updatedAt = now;
+
+  await writeRecord(record);
+  logger.info('Timetable review status changed', { timetableId: id, from, to });
+
+  return record;
+}
+
+/**
+ * Corrections made by reviewers, oldest first
+ * @param {Object} filters - { timetableId, since, tenant }
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listCorrections(filters = {}) {
+  return getTimetableStore().listCorrections(filters);
+}
+
+const REVIEW_TRANSITIONS = {
+  pending: ['reviewed'],
+  reviewed: ['approved', 'pending'],
+  approved: ['reviewed'],
+};
+
+/**
+ * Load a timetable that may still be edited (approved timetables are locked)
+ * @param {string} id - Timetable id
+ * @param {number} [expectedVersion] - Version the edit was based on; checked when given
+ * @param {string|null} [tenant] - Tenant the caller acts for
+ * @returns {Promise<Object>} Stored record
+ */
+async function getEditableTimetable(id, expectedVersion, tenant) {
+  const record = await getTimetable(id, tenant);
+  checkVersion(record, expectedVersion);
+
+  if (record.review.status === 'approved') {
+    throw {
+      code: 'TIMETABLE_APPROVED',
+      message: `Timetable ${id} is approved; move it back to "reviewed" before editing`,
+    };
+  }
+
+  return record;
+}
+
+/**
+ * Reject an edit based on an older version of the timetable than the stored one
+ * @param {Object} record - Stored record
+ * @param {number} [expectedVersion] - Version the client last read
+ */
+function checkVersion(record, expectedVersion) {
+  if (expectedVersion !== undefined && expectedVersion !== (record.version ?? 1)) {
+    throw versionConflict(record);
+  }
+}
+
+/**
+ * Write a record back only if nobody else wrote it since it was read, and bump its version
+ * @param {Object} record - Record as read from the store (mutated)
+ * @param {Array<Object>} [corrections] - Correction entries for the change
+ */
+async function writeRecord(record, corrections = []) {
+  const readVersion = record.version ?? 1;
+  record.version = readVersion + 1;
+
+  const updated = await getTimetableStore().update(record, corrections, readVersion);
+
+  if (!updated) {
+    // Deleted (getTimetable throws TIMETABLE_NOT_FOUND) or changed by a concurrent request
+    throw versionConflict(await getTimetable(record.id));
+  }
+}
+
+function versionConflict(record) {
+  const version = record.version ?? 1;
+
+  return {
+    code: 'TIMETABLE_VERSION_CONFLICT',
+    message: `Timetable ${record.id} has changed since it was read (now version ${version}); reload it and apply the edit again`,
+    details: { currentVersion: version },
+  };
+}
+
+/**
+ * Check time ranges, fill durations and write the record back
+ * together with a correction entry for every changed block or metadata field
+ * @param {Object} record - Stored record (mutated)
+ * @param {Object} before - The record's data before the change
+ * @returns {Promise<Object>} Updated record
+ */
+async function saveRecord(record, before) {
+  const errors = [
+    ...validateTimeRanges(record.data.timeblocks),
+    ...validateCycle(record.data.metadata, record.data.timeblocks),
+  ].filter((e) => !e.severity || e.severity === 'error');
+
+  if (errors.length > 0) {
+    throw {
+      code: 'VALIDATION_FAILED',
+      message: 'Timetable failed validation',
+      details: errors.map((e) => ({ block: e.block.subject, message: e.error })),
+    };
+  }
+
+  record.data.timeblocks = enrichTimeBlocks(record.data.timeblocks);
+  record.updatedAt = new Date().toISOString();
+
+  const corrections = diffTimetable(record.id, before, record.data, record.updatedAt);
+
+  await writeRecord(record, corrections);
+  logger.info('Timetable updated', { timetableId: record.id, corrections: corrections.length });
+
+  return record;
+}
+
+/**
+ * Before/after diff of a timetable edit
+ * @param {string} timetableId - Timetable id
+ * @param {Object} before - Data before the edit
+ * @param {Object} after - Data after the edit
+ * @param {string} createdAt - Timestamp of the edit
+ * @returns {Array<Object>} Correction entries
+ */
+function diffTimetable(timetableId, before, after, createdAt) {
+  const corrections = [];
+  const add = (entry) => corrections.push({ id: randomUUID(), timetableId, createdAt, ...entry });
+
+  const metadataFields = changedFields(before.metadata, after.metadata, CORRECTABLE_METADATA_FIELDS);
+  if (metadataFields.length > 0) {
+    add({
+      blockId: null,
+      action: 'metadata',
+      changedFields: metadataFields,
+      before: pick(before.metadata, CORRECTABLE_METADATA_FIELDS),
+      after: pick(after.metadata, CORRECTABLE_METADATA_FIELDS),
+      originalConfidence: before.metadata.extraction_confidence ?? null,
+    });
+  }
+
+  const remaining = new Map(after.timeblocks.map((block) => [block.id, block]));
+
+  for (const old of before.timeblocks) {
+    const current = remaining.get(old.id);
+    remaining.delete(old.id);
+
+    if (!current) {
+      add({
+        blockId: old.id,
+        action: 'deleted',
+        changedFields: [],
+        before: pick(old, CORRECTABLE_BLOCK_FIELDS),
+        after: null,
+        originalConfidence: old.confidence ?? null,
+      });
+      continue;
+    }
+
+    const fields = changedFields(old, current, CORRECTABLE_BLOCK_FIELDS);
+    if (fields.length > 0) {
+      add({
+        blockId: old.id,
+        action: 'updated',
+        changedFields: fields,
+        before: pick(old, CORRECTABLE_BLOCK_FIELDS),
+        after: pick(current, CORRECTABLE_BLOCK_FIELDS),
+        originalConfidence: old.confidence ?? null,
+      });
+    }
+  }
+
+  // Blocks the extraction missed entirely
+  for (const block of remaining.values()) {
+    add({
+      blockId: block.id,
+      action: 'added',
+      changedFields: [],
+      before: null,
+      after: pick(block, CORRECTABLE_BLOCK_FIELDS),
+      originalConfidence: null,
+    });
+  }
+
+  return corrections;
+}
+
+function changedFields(before, after, fields) {
+  // Compared as JSON so object fields (metadata.cycle) are compared by value
+  return fields.filter((field) => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null));
+}
+
+function pick(object, fields) {
+  return Object.fromEntries(fields.map((field) => [field, object[field] ?? null]));
+}
+
+/**
+ * Validate a single time block against timeBlockSchema
+ * @param {Object} block - Candidate block
+ * @returns {Object} Parsed block (schema defaults applied)
+ */
+function parseBlock(block) {
+  const parsed = timeBlockSchema.safeParse(block);
+
+  if (!parsed.success) {
+    throw validationError(parsed.error);
+  }
+
+  return parsed.data;
+}
+
+function findBlockIndex(record, blockId) {
+  const index = record.data.timeblocks.findIndex((block) => block.id === blockId);
+
+  if (index === -1) {
+    throw {
+      code: 'TIMEBLOCK_NOT_FOUND',
+      message: `Time block ${blockId} not found in timetable ${record.id}`,
+    };
+  }
+
+  return index;
+}
+
+/**
+ * Give every block a unique id (existing unique ids are kept)
+ * @param {Array<Object>} timeblocks - Time blocks
+ * @returns {Array<Object>}
+ */
+function withBlockIds(timeblocks) {
+  const seen = new Set();
+
+  return timeblocks.map((block) => {
+    const id = block.id && !seen.has(block.id) ? block.id : randomUUID();
+    seen.add(id);
+    return { ...block, id };
+  });
+}
+
+/**
+ * Convert a zod error into the VALIDATION_FAILED error shape used by fileProcessor
+ * @param {Object} error - ZodError
+ * @param {string} [prefix] - Path prefix for nested bodies
+ * @returns {Object}
+ */
+function validationError(error, prefix) {
+  return {
+    code: 'VALIDATION_FAILED',
+    message: 'Request body failed validation',
+    details: error.errors.map((err) => ({
+      path: [prefix, ...err.path].filter((part) => part !== undefined).join('.'),
+      message: err.message,
+    })),
+  };
+}
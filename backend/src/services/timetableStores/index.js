@@ -0,0 +1,30 @@
+import { config } from '../../config/index.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createSqliteStore } from './sqliteStore.js';
+
+const factories = {
+  sqlite: () => createSqliteStore({ path: config.storage.sqlitePath }),
+  memory: () => createMemoryStore(),
+};
+
+let store = null;
+
+/**
+ * Get the configured timetable store (created once)
+ * @returns {Object} Timetable store with create/get/list/update/delete (plus corrections, vocabularies, API keys and LLM calls)
+ */
+export function getTimetableStore() {
+  if (!store) {
+    const factory = factories[config.storage.driver];
+
+    if (!factory) {
+      throw new Error(
+        `Unknown storage driver "${config.storage.driver}". Available drivers: ${Object.keys(factories).join(', ')}`
+      );
+    }
+
+    store = factory();
+  }
+
+  return store;
+}
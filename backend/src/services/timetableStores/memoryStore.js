@@ -0,0 +1,185 @@
+/**
+ * Create an in-memory timetable store (data is lost on restart; useful for tests)
+ *
+ * Timetable reads take a tenant: only records extracted for that tenant are seen
+ * (null: records without a tenant; undefined: every record).
+ * @returns {Object} Timetable store
+ */
+export function createMemoryStore() {
+  const timetables = new Map();
+  let corrections = [];
+  const vocabularies = new Map();
+  const apiKeys = new Map();
+  const apiKeyUsage = new Map();
+  const llmCalls = [];
+
+  return {
+    name: 'memory',
+
+    async create(record) {
+      // Store a copy so callers can't mutate persisted state by accident
+      timetables.set(record.id, structuredClone(record));
+      return record;
+    },
+
+    async get(id, tenant) {
+      const record = timetables.get(id);
+      return record && inTenant(record, tenant) ? structuredClone(record) : null;
+    },
+
+    /**
+     * List timetables, newest first
+     * @param {Object} options - { limit, offset, reviewStatus, tenant }
+     * @returns {Promise<Object>} { items, total }
+     */
+    async list({ limit, offset, reviewStatus, tenant }) {
+      const all = [...timetables.values()]
+        .filter((record) => inTenant(record, tenant) && (!reviewStatus || record.review.status === reviewStatus))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      return { items: all.slice(offset, offset + limit).map((record) => structuredClone(record)), total: all.length };
+    },
+
+    /**
+     * Write a record back, together with the corrections the change produced
+     * @param {Object} record - Timetable record
+     * @param {Array<Object>} [newCorrections] - Correction entries to append
+     * @param {number} [expectedVersion] - Only write if the stored record is still at this version
+     * @returns {Promise<Object|null>} The record, or null if it doesn't exist or is at another version
+     */
+    async update(record, newCorrections = [], expectedVersion) {
+      const stored = timetables.get(record.id);
+      if (!stored || (expectedVersion !== undefined && (stored.version ?? 1) !== expectedVersion)) {
+        return null;
+      }
+      timetables.set(record.id, structuredClone(record));
+      corrections.push(...structuredClone(newCorrections));
+      return record;
+    },
+
+    async delete(id, tenant) {
+      const record = timetables.get(id);
+      if (!record || !inTenant(record, tenant)) {
+        return false;
+      }
+      corrections = corrections.filter((correction) => correction.timetableId !== id);
+      return timetables.delete(id);
+    },
+
+    /**
+     * Corrections in the order they were made
+     * @param {Object} filters - { timetableId, since, tenant }
+     * @returns {Promise<Array<Object>>}
+     */
+    async listCorrections({ timetableId, since, tenant } = {}) {
+      return structuredClone(
+        corrections.filter(
+          (correction) =>
+            (!timetableId || correction.timetableId === timetableId) &&
+            (!since || correction.createdAt >= since) &&
+            inTenant(timetables.get(correction.timetableId), tenant)
+        )
+      );
+    },
+
+    /**
+     * Subject vocabularies, one per tenant
+     * @returns {Promise<Array<Object>>} [{ tenant, entries, createdAt, updatedAt }] sorted by tenant
+     */
+    async listVocabularies() {
+      return [...vocabularies.values()]
+        .sort((a, b) => a.tenant.localeCompare(b.tenant))
+        .map((vocabulary) => structuredClone(vocabulary));
+    },
+
+    async getVocabulary(tenant) {
+      const vocabulary = vocabularies.get(tenant);
+      return vocabulary ? structuredClone(vocabulary) : null;
+    },
+
+    async saveVocabulary(vocabulary) {
+      vocabularies.set(vocabulary.tenant, structuredClone(vocabulary));
+      return vocabulary;
+    },
+
+    async deleteVocabulary(tenant) {
+      return vocabularies.delete(tenant);
+    },
+
+    /**
+     * API keys (only the hash of each key is stored)
+     * @returns {Promise<Array<Object>>} [{ id, name, tenant, prefix, keyHash, limits, createdAt, revokedAt }] oldest first
+     */
+    async listApiKeys() {
+      return [...apiKeys.values()]
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map((apiKey) => structuredClone(apiKey));
+    },
+
+    async getApiKey(id) {
+      const apiKey = apiKeys.get(id);
+      return apiKey ? structuredClone(apiKey) : null;
+    },
+
+    async findApiKeyByHash(keyHash) {
+      const apiKey = [...apiKeys.values()].find((candidate) => candidate.keyHash === keyHash);
+      return apiKey ? structuredClone(apiKey) : null;
+    },
+
+    async saveApiKey(apiKey) {
+      apiKeys.set(apiKey.id, structuredClone(apiKey));
+      return apiKey;
+    },
+
+    /**
+     * Add to a key's usage for one month
+     * @param {string} keyId - API key id
+     * @param {string} month - "YYYY-MM"
+     * @param {Object} usage - { requests, tokens }
+     */
+    async addApiKeyUsage(keyId, month, { requests = 0, tokens = 0 }) {
+      const key = `${keyId}:${month}`;
+      const current = apiKeyUsage.get(key) || { requests: 0, tokens: 0 };
+      apiKeyUsage.set(key, { requests: current.requests + requests, tokens: current.tokens + tokens });
+    },
+
+    async getApiKeyUsage(keyId, month) {
+      return { ...(apiKeyUsage.get(`${keyId}:${month}`) || { requests: 0, tokens: 0 }) };
+    },
+
+    async addLLMCall(call) {
+      llmCalls.push(structuredClone(call));
+      return call;
+    },
+
+    /**
+     * Recorded LLM calls, oldest first
+     * @param {Object} filters - { since, until (exclusive), tenant, apiKeyId, model }
+     * @returns {Promise<Array<Object>>}
+     */
+    async listLLMCalls({ since, until, tenant, apiKeyId, model } = {}) {
+      return llmCalls
+        .filter(
+          (call) =>
+            (!since || call.createdAt >= since) &&
+            (!until || call.createdAt < until) &&
+            (!tenant || call.tenant === tenant) &&
+            (!apiKeyId || call.apiKeyId === apiKeyId) &&
+            (!model || call.model === model)
+        )
+        .map((call) => structuredClone(call));
+    },
+
+    /**
+     * Total cost of the LLM calls made since a time (calls without a known price count as 0)
+     * @param {string} since - ISO timestamp
+     * @returns {Promise<number>} USD
+     */
+    async getLLMCost(since) {
+      return llmCalls.filter((call) => call.createdAt >= since).reduce((sum, call) => sum + (call.costUsd || 0), 0);
+    },
+  };
+}
+
+function inTenant(record, tenant) {
+  return tenant === undefined || (record?.source?.tenant ?? null) === tenant;
+}
@@ -0,0 +1,686 @@
+import { mkdirSync } from 'fs';
+import path from 'path';
+
+// day_of_week is empty for cycle-day blocks ("Day 3") in a numbered day cycle
+const TIMEBLOCKS_TABLE = `
+  CREATE TABLE IF NOT EXISTS timeblocks (
+    id TEXT NOT NULL,
+    timetable_id TEXT NOT NULL REFERENCES timetables(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    day_of_week TEXT CHECK (day_of_week IN ('Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday')),
+    week_label TEXT,
+    cycle_day INTEGER,
+    event_date TEXT,
+    start_time TEXT NOT NULL,
+    end_time TEXT NOT NULL,
+    duration_minutes INTEGER,
+    subject_name TEXT NOT NULL,
+    subject_category TEXT,
+    notes TEXT,
+    color_code TEXT,
+    room_location TEXT,
+    confidence_score REAL,
+    extra_json TEXT,
+    PRIMARY KEY (timetable_id, id)
+  );
+`;
+
+// Tables follow docs/ARCHITECTURE.md section 3.2; fields without a column go to *_json
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS timetables (
+    id TEXT PRIMARY KEY,
+    teacher_name TEXT,
+    class_name TEXT,
+    term_name TEXT,
+    school_name TEXT,
+    original_filename TEXT,
+    file_type TEXT,
+    processing_status TEXT NOT NULL DEFAULT 'completed',
+    extraction_confidence REAL,
+    review_status TEXT NOT NULL DEFAULT 'pending',
+    review_json TEXT,
+    version INTEGER NOT NULL DEFAULT 1,
+    tenant TEXT,
+    metadata_json TEXT,
+    source_json TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  ${TIMEBLOCKS_TABLE}
+
+  CREATE TABLE IF NOT EXISTS corrections (
+    id TEXT PRIMARY KEY,
+    timetable_id TEXT NOT NULL REFERENCES timetables(id) ON DELETE CASCADE,
+    block_id TEXT,
+    action TEXT NOT NULL,
+    changed_fields TEXT NOT NULL,
+    before_json TEXT,
+    after_json TEXT,
+    original_confidence REAL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS vocabularies (
+    tenant TEXT PRIMARY KEY,
+    entries_json TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    tenant TEXT,
+    prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    requests_per_minute INTEGER,
+    monthly_tokens INTEGER,
+    created_at TEXT NOT NULL,
+    revoked_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS api_key_usage (
+    key_id TEXT NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    month TEXT NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    tokens INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (key_id, month)
+  );
+
+  CREATE TABLE IF NOT EXISTS llm_calls (
+    id TEXT PRIMARY KEY,
+    extraction_id TEXT,
+    api_key_id TEXT,
+    tenant TEXT,
+    operation TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    model TEXT,
+    prompt_version TEXT,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    total_tokens INTEGER NOT NULL DEFAULT 0,
+    cost_usd REAL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_timeblocks_timetable_id ON timeblocks(timetable_id);
+  CREATE INDEX IF NOT EXISTS idx_timeblocks_day ON timeblocks(day_of_week);
+  CREATE INDEX IF NOT EXISTS idx_timetables_created_at ON timetables(created_at);
+  CREATE INDEX IF NOT EXISTS idx_corrections_timetable_id ON corrections(timetable_id);
+  CREATE INDEX IF NOT EXISTS idx_corrections_created_at ON corrections(created_at);
+  CREATE INDEX IF NOT EXISTS idx_llm_calls_created_at ON llm_calls(created_at);
+`;
+
+// Columns added after the first release; existing databases get them on open
+const ADDED_COLUMNS = {
+  timetables: {
+    review_status: "TEXT NOT NULL DEFAULT 'pending'",
+    review_json: 'TEXT',
+    version: 'INTEGER NOT NULL DEFAULT 1',
+    tenant: 'TEXT',
+  },
+  api_keys: {
+    tenant: 'TEXT',
+  },
+};
+
+// Values for added columns in the rows that existed before them
+const BACKFILLS = {
+  timetables: {
+    tenant: "json_extract(source_json, '$.tenant')",
+  },
+};
+
+// Row belongs to the tenant a read is scoped to (see tenantFilter); IS also matches NULL to NULL
+const IN_TENANT = '(@any_tenant = 1 OR tenant IS @tenant)';
+
+const METADATA_COLUMNS = {
+  teacher_name: 'teacher_name',
+  class_name: 'class_name',
+  term: 'term_name',
+  school_name: 'school_name',
+  extraction_confidence: 'extraction_confidence',
+};
+
+const BLOCK_COLUMNS = {
+  id: 'id',
+  day: 'day_of_week',
+  week: 'week_label',
+  cycle_day: 'cycle_day',
+  date: 'event_date',
+  start_time: 'start_time',
+  end_time: 'end_time',
+  duration_minutes: 'duration_minutes',
+  subject: 'subject_name',
+  subject_type: 'subject_category',
+  notes: 'notes',
+  color_code: 'color_code',
+  room_location: 'room_location',
+  confidence: 'confidence_score',
+};
+
+/**
+ * Create a SQLite-backed timetable store
+ *
+ * Timetable reads take a tenant: only records extracted for that tenant are seen
+ * (null: records without a tenant; undefined: every record).
+ * @param {Object} settings - { path } (":memory:" for a throwaway database)
+ * @returns {Object} Timetable store
+ */
+export function createSqliteStore(settings) {
+  let db = null;
+  let statements = null;
+
+  // Dynamic import to avoid loading the native module unless this store is used
+  const open = async () => {
+    if (db) {
+      return statements;
+    }
+
+    const { default: Database } = await import('better-sqlite3');
+
+    if (settings.path !== ':memory:') {
+      mkdirSync(path.dirname(settings.path), { recursive: true });
+    }
+
+    db = new Database(settings.path);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    db.exec(SCHEMA);
+    migrate(db);
+
+    statements = {
+      insertTimetable: db.prepare(`
+        INSERT INTO timetables (id, teacher_name, class_name, term_name, school_name, original_filename, file_type,
+          processing_status, extraction_confidence, review_status, review_json, version, tenant, metadata_json,
+          source_json, created_at, updated_at)
+        VALUES (@id, @teacher_name, @class_name, @term_name, @school_name, @original_filename, @file_type,
+          @processing_status, @extraction_confidence, @review_status, @review_json, @version, @tenant, @metadata_json,
+          @source_json, @created_at, @updated_at)
+      `),
+      updateTimetable: db.prepare(`
+        UPDATE timetables SET teacher_name = @teacher_name, class_name = @class_name, term_name = @term_name,
+          school_name = @school_name, original_filename = @original_filename, file_type = @file_type,
+          processing_status = @processing_status, extraction_confidence = @extraction_confidence,
+          review_status = @review_status, review_json = @review_json, version = @version,
+          metadata_json = @metadata_json, source_json = @source_json, updated_at = @updated_at
+        WHERE id = @id AND (@expected_version IS NULL OR version = @expected_version)
+      `),
+      insertBlock: db.prepare(`
+        INSERT INTO timeblocks (id, timetable_id, position, day_of_week, week_label, cycle_day, event_date, start_time,
+          end_time, duration_minutes, subject_name, subject_category, notes, color_code, room_location,
+          confidence_score, extra_json)
+        VALUES (@id, @timetable_id, @position, @day_of_week, @week_label, @cycle_day, @event_date, @start_time,
+          @end_time, @duration_minutes, @subject_name, @subject_category, @notes, @color_code, @room_location,
+          @confidence_score, @extra_json)
+      `),
+      insertCorrection: db.prepare(`
+        INSERT INTO corrections (id, timetable_id, block_id, action, changed_fields, before_json, after_json,
+          original_confidence, created_at)
+        VALUES (@id, @timetable_id, @block_id, @action, @changed_fields, @before_json, @after_json,
+          @original_confidence, @created_at)
+      `),
+      deleteBlocks: db.prepare('DELETE FROM timeblocks WHERE timetable_id = ?'),
+      getTimetable: db.prepare(`SELECT * FROM timetables WHERE id = @id AND ${IN_TENANT}`),
+      getBlocks: db.prepare('SELECT * FROM timeblocks WHERE timetable_id = ? ORDER BY position'),
+      listTimetables: db.prepare(`
+        SELECT * FROM timetables WHERE (@review_status IS NULL OR review_status = @review_status) AND ${IN_TENANT}
+        ORDER BY created_at DESC LIMIT @limit OFFSET @offset
+      `),
+      countTimetables: db.prepare(`
+        SELECT COUNT(*) AS total FROM timetables
+        WHERE (@review_status IS NULL OR review_status = @review_status) AND ${IN_TENANT}
+      `),
+      listCorrections: db.prepare(`
+        SELECT * FROM corrections
+        WHERE (@timetable_id IS NULL OR timetable_id = @timetable_id) AND (@since IS NULL OR created_at >= @since)
+          AND timetable_id IN (SELECT id FROM timetables WHERE ${IN_TENANT})
+        ORDER BY created_at, rowid
+      `),
+      deleteTimetable: db.prepare(`DELETE FROM timetables WHERE id = @id AND ${IN_TENANT}`),
+      listVocabularies: db.prepare('SELECT * FROM vocabularies ORDER BY tenant'),
+      getVocabulary: db.prepare('SELECT * FROM vocabularies WHERE tenant = ?'),
+      upsertVocabulary: db.prepare(`
+        INSERT INTO vocabularies (tenant, entries_json, created_at, updated_at)
+        VALUES (@tenant, @entries_json, @created_at, @updated_at)
+        ON CONFLICT (tenant) DO UPDATE SET entries_json = excluded.entries_json, updated_at = excluded.updated_at
+      `),
+      deleteVocabulary: db.prepare('DELETE FROM vocabularies WHERE tenant = ?'),
+      listApiKeys: db.prepare('SELECT * FROM api_keys ORDER BY created_at'),
+      getApiKey: db.prepare('SELECT * FROM api_keys WHERE id = ?'),
+      findApiKeyByHash: db.prepare('SELECT * FROM api_keys WHERE key_hash = ?'),
+      upsertApiKey: db.prepare(`
+        INSERT INTO api_keys (id, name, tenant, prefix, key_hash, requests_per_minute, monthly_tokens, created_at,
+          revoked_at)
+        VALUES (@id, @name, @tenant, @prefix, @key_hash, @requests_per_minute, @monthly_tokens, @created_at,
+          @revoked_at)
+        ON CONFLICT (id) DO UPDATE SET name = excluded.name, requests_per_minute = excluded.requests_per_minute,
+          monthly_tokens = excluded.monthly_tokens, revoked_at = excluded.revoked_at
+      `),
+      addApiKeyUsage: db.prepare(`
+        INSERT INTO api_key_usage (key_id, month, requests, tokens) VALUES (@key_id, @month, @requests, @tokens)
+        ON CONFLICT (key_id, month) DO UPDATE SET requests = requests + excluded.requests, tokens = tokens + excluded.tokens
+      `),
+      getApiKeyUsage: db.prepare('SELECT requests, tokens FROM api_key_usage WHERE key_id = ? AND month = ?'),
+      insertLLMCall: db.prepare(`
+        INSERT INTO llm_calls (id, extraction_id, api_key_id, tenant, operation, provider, model, prompt_version,
+          prompt_tokens, completion_tokens, total_tokens, cost_usd, created_at)
+        VALUES (@id, @extraction_id, @api_key_id, @tenant, @operation, @provider, @model, @prompt_version,
+          @prompt_tokens, @completion_tokens, @total_tokens, @cost_usd, @created_at)
+      `),
+      listLLMCalls: db.prepare(`
+        SELECT * FROM llm_calls
+        WHERE (@since IS NULL OR created_at >= @since) AND (@until IS NULL OR created_at < @until)
+          AND (@tenant IS NULL OR tenant = @tenant) AND (@api_key_id IS NULL OR api_key_id = @api_key_id)
+          AND (@model IS NULL OR model = @model)
+        ORDER BY created_at, rowid
+      `),
+      getLLMCost: db.prepare('SELECT COALESCE(SUM(cost_usd), 0) AS cost FROM llm_calls WHERE created_at >= ?'),
+    };
+
+    return statements;
+  };
+
+  const writeBlocks = (s, record) => {
+    s.deleteBlocks.run(record.id);
+    record.data.timeblocks.forEach((block, position) => {
+      s.insertBlock.run({ ...toBlockRow(block), timetable_id: record.id, position });
+    });
+  };
+
+  const readRecord = (s, row) => (row ? fromRows(row, s.getBlocks.all(row.id)) : null);
+
+  return {
+    name: 'sqlite',
+
+    async create(record) {
+      const s = await open();
+      db.transaction(() => {
+        s.insertTimetable.run(toTimetableRow(record));
+        writeBlocks(s, record);
+      })();
+      return record;
+    },
+
+    async get(id, tenant) {
+      const s = await open();
+      return readRecord(s, s.getTimetable.get({ id, ...tenantFilter(tenant) }));
+    },
+
+    /**
+     * List timetables, newest first
+     * @param {Object} options - { limit, offset, reviewStatus, tenant }
+     * @returns {Promise<Object>} { items, total }
+     */
+    async list({ limit, offset, reviewStatus, tenant }) {
+      const s = await open();
+      const filter = { review_status: reviewStatus || null, ...tenantFilter(tenant) };
+      return {
+        items: s.listTimetables.all({ ...filter, limit, offset }).map((row) => readRecord(s, row)),
+        total: s.countTimetables.get(filter).total,
+      };
+    },
+
+    /**
+     * Write a record back, together with the corrections the change produced
+     * @param {Object} record - Timetable record
+     * @param {Array<Object>} [corrections] - Correction entries to append
+     * @param {number} [expectedVersion] - Only write if the stored record is still at this version
+     * @returns {Promise<Object|null>} The record, or null if it doesn't exist or is at another version
+     */
+    async update(record, corrections = [], expectedVersion) {
+      const s = await open();
+      const updated = db.transaction(() => {
+        const { changes } = s.updateTimetable.run({
+          ...toTimetableRow(record),
+          expected_version: expectedVersion ?? null,
+        });
+        if (changes === 0) {
+          return false;
+        }
+        writeBlocks(s, record);
+        corrections.forEach((correction) => s.insertCorrection.run(toCorrectionRow(correction)));
+        return true;
+      })();
+      return updated ? record : null;
+    },
+
+    async delete(id, tenant) {
+      const s = await open();
+      return s.deleteTimetable.run({ id, ...tenantFilter(tenant) }).changes > 0;
+    },
+
+    /**
+     * Corrections in the order they were made
+     * @param {Object} filters - { timetableId, since, tenant }
+     * @returns {Promise<Array<Object>>}
+     */
+    async listCorrections({ timetableId, since, tenant } = {}) {
+      const s = await open();
+      return s.listCorrections
+        .all({ timetable_id: timetableId || null, since: since || null, ...tenantFilter(tenant) })
+        .map(fromCorrectionRow);
+    },
+
+    /**
+     * Subject vocabularies, one per tenant
+     * @returns {Promise<Array<Object>>} [{ tenant, entries, createdAt, updatedAt }] sorted by tenant
+     */
+    async listVocabularies() {
+      const s = await open();
+      return s.listVocabularies.all().map(fromVocabularyRow);
+    },
+
+    async getVocabulary(tenant) {
+      const s = await open();
+      const row = s.getVocabulary.get(tenant);
+      return row ? fromVocabularyRow(row) : null;
+    },
+
+    async saveVocabulary(vocabulary) {
+      const s = await open();
+      s.upsertVocabulary.run({
+        tenant: vocabulary.tenant,
+        entries_json: JSON.stringify(vocabulary.entries),
+        created_at: vocabulary.createdAt,
+        updated_at: vocabulary.updatedAt,
+      });
+      return vocabulary;
+    },
+
+    async deleteVocabulary(tenant) {
+      const s = await open();
+      return s.deleteVocabulary.run(tenant).changes > 0;
+    },
+
+    /**
+     * API keys (only the hash of each key is stored)
+     * @returns {Promise<Array<Object>>} [{ id, name, tenant, prefix, keyHash, limits, createdAt, revokedAt }] oldest first
+     */
+    async listApiKeys() {
+      const s = await open();
+      return s.listApiKeys.all().map(fromApiKeyRow);
+    },
+
+    async getApiKey(id) {
+      const s = await open();
+      const row = s.getApiKey.get(id);
+      return row ? fromApiKeyRow(row) : null;
+    },
+
+    async findApiKeyByHash(keyHash) {
+      const s = await open();
+      const row = s.findApiKeyByHash.get(keyHash);
+      return row ? fromApiKeyRow(row) : null;
+    },
+
+    async saveApiKey(apiKey) {
+      const s = await open();
+      s.upsertApiKey.run({
+        id: apiKey.id,
+        name: apiKey.name,
+        tenant: apiKey.tenant ?? null,
+        prefix: apiKey.prefix,
+        key_hash: apiKey.keyHash,
+        requests_per_minute: apiKey.limits.requestsPerMinute,
+        monthly_tokens: apiKey.limits.monthlyTokens,
+        created_at: apiKey.createdAt,
+        revoked_at: apiKey.revokedAt,
+      });
+      return apiKey;
+    },
+
+    /**
+     * Add to a key's usage for one month
+     * @param {string} keyId - API key id
+     * @param {string} month - "YYYY-MM"
+     * @param {Object} usage - { requests, tokens }
+     */
+    async addApiKeyUsage(keyId, month, { requests = 0, tokens = 0 }) {
+      const s = await open();
+      s.addApiKeyUsage.run({ key_id: keyId, month, requests, tokens });
+    },
+
+    async getApiKeyUsage(keyId, month) {
+      const s = await open();
+      return s.getApiKeyUsage.get(keyId, month) || { requests: 0, tokens: 0 };
+    },
+
+    async addLLMCall(call) {
+      const s = await open();
+      s.insertLLMCall.run(toLLMCallRow(call));
+      return call;
+    },
+
+    /**
+     * Recorded LLM calls, oldest first
+     * @param {Object} filters - { since, until (exclusive), tenant, apiKeyId, model }
+     * @returns {Promise<Array<Object>>}
+     */
+    async listLLMCalls({ since, until, tenant, apiKeyId, model } = {}) {
+      const s = await open();
+      return s.listLLMCalls
+        .all({
+          since: since || null,
+          until: until || null,
+          tenant: tenant || null,
+          api_key_id: apiKeyId || null,
+          model: model || null,
+        })
+        .map(fromLLMCallRow);
+    },
+
+    /**
+     * Total cost of the LLM calls made since a time (calls without a known price count as 0)
+     * @param {string} since - ISO timestamp
+     * @returns {Promise<number>} USD
+     */
+    async getLLMCost(since) {
+      const s = await open();
+      return s.getLLMCost.get(since).cost;
+    },
+  };
+}
+
+/**
+ * Parameters for IN_TENANT: undefined matches every tenant, null only rows without one
+ */
+function tenantFilter(tenant) {
+  return { any_tenant: tenant === undefined ? 1 : 0, tenant: tenant ?? null };
+}
+
+function migrate(db) {
+  rebuildTimeblocks(db);
+
+  for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+    const existing = new Set(db.pragma(`table_info(${table})`).map((column) => column.name));
+    for (const [column, definition] of Object.entries(columns)) {
+      if (!existing.has(column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        if (BACKFILLS[table]?.[column]) {
+          db.exec(`UPDATE ${table} SET ${column} = ${BACKFILLS[table][column]}`);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Databases created before week rotations and day cycles require day_of_week on every block;
+ * SQLite can't drop a NOT NULL constraint, so the table is recreated and its rows copied
+ */
+function rebuildTimeblocks(db) {
+  const { sql } = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'timeblocks'").get();
+
+  if (!/day_of_week TEXT NOT NULL/.test(sql)) {
+    return;
+  }
+
+  const columns = db
+    .pragma('table_info(timeblocks)')
+    .map((column) => column.name)
+    .join(', ');
+
+  db.transaction(() => {
+    db.exec('ALTER TABLE timeblocks RENAME TO timeblocks_old');
+    db.exec(TIMEBLOCKS_TABLE);
+    db.exec(`INSERT INTO timeblocks (${columns}) SELECT ${columns} FROM timeblocks_old`);
+    db.exec('DROP TABLE timeblocks_old');
+    // Indexes went with the old table
+    db.exec(SCHEMA);
+  })();
+}
+
+function toTimetableRow(record) {
+  const { metadata } = record.data;
+  const row = {
+    id: record.id,
+    original_filename: record.source?.filename ?? null,
+    file_type: record.source?.fileType ?? null,
+    processing_status: record.status || 'completed',
+    review_status: record.review?.status || 'pending',
+    review_json: JSON.stringify(record.review || {}),
+    version: record.version ?? 1,
+    tenant: record.source?.tenant ?? null,
+    source_json: JSON.stringify(record.source || {}),
+    created_at: record.createdAt,
+    updated_at: record.updatedAt,
+  };
+
+  const extra = { ...metadata };
+  for (const [field, column] of Object.entries(METADATA_COLUMNS)) {
+    row[column] = metadata[field] ?? null;
+    delete extra[field];
+  }
+  row.metadata_json = JSON.stringify(extra);
+
+  return row;
+}
+
+function toBlockRow(block) {
+  const row = {};
+  const extra = { ...block };
+
+  for (const [field, column] of Object.entries(BLOCK_COLUMNS)) {
+    row[column] = block[field] ?? null;
+    delete extra[field];
+  }
+  row.extra_json = JSON.stringify(extra);
+
+  return row;
+}
+
+function fromRows(row, blockRows) {
+  const metadata = { ...JSON.parse(row.metadata_json || '{}') };
+  for (const [field, column] of Object.entries(METADATA_COLUMNS)) {
+    metadata[field] = row[column];
+  }
+
+  const timeblocks = blockRows.map((blockRow) => {
+    const block = {};
+    for (const [field, column] of Object.entries(BLOCK_COLUMNS)) {
+      if (blockRow[column] !== null) {
+        block[field] = blockRow[column];
+      }
+    }
+    return { ...block, ...JSON.parse(blockRow.extra_json || '{}') };
+  });
+
+  return {
+    id: row.id,
+    status: row.processing_status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    version: row.version,
+    review: { ...JSON.parse(row.review_json || '{}'), status: row.review_status },
+    source: JSON.parse(row.source_json || '{}'),
+    data: { metadata, timeblocks },
+  };
+}
+
+function toCorrectionRow(correction) {
+  return {
+    id: correction.id,
+    timetable_id: correction.timetableId,
+    block_id: correction.blockId,
+    action: correction.action,
+    changed_fields: JSON.stringify(correction.changedFields),
+    before_json: correction.before ? JSON.stringify(correction.before) : null,
+    after_json: correction.after ? JSON.stringify(correction.after) : null,
+    original_confidence: correction.originalConfidence ?? null,
+    created_at: correction.createdAt,
+  };
+}
+
+function fromCorrectionRow(row) {
+  return {
+    id: row.id,
+    timetableId: row.timetable_id,
+    blockId: row.block_id,
+    action: row.action,
+    changedFields: JSON.parse(row.changed_fields),
+    before: row.before_json ? JSON.parse(row.before_json) : null,
+    after: row.after_json ? JSON.parse(row.after_json) : null,
+    originalConfidence: row.original_confidence,
+    createdAt: row.created_at,
+  };
+}
+
+function fromVocabularyRow(row) {
+  return {
+    tenant: row.tenant,
+    entries: JSON.parse(row.entries_json),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function fromApiKeyRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    tenant: row.tenant,
+    prefix: row.prefix,
+    keyHash: row.key_hash,
+    limits: { requestsPerMinute: row.requests_per_minute, monthlyTokens: row.monthly_tokens },
+    createdAt: row.created_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+function toLLMCallRow(call) {
+  return {
+    id: call.id,
+    extraction_id: call.extractionId,
+    api_key_id: call.apiKeyId,
+    tenant: call.tenant,
+    operation: call.operation,
+    provider: call.provider,
+    model: call.model,
+    prompt_version: call.promptVersion,
+    prompt_tokens: call.promptTokens,
+    completion_tokens: call.completionTokens,
+    total_tokens: call.totalTokens,
+    cost_usd: call.costUsd,
+    created_at: call.createdAt,
+  };
+}
+
+function fromLLMCallRow(row) {
+  return {
+    id: row.id,
+    extractionId: row.extraction_id,
+    apiKeyId: row.api_key_id,
+    tenant: row.tenant,
+    operation: row.operation,
+    provider: row.provider,
+    model: row.model,
+    promptVersion: row.prompt_version,
+    promptTokens: row.prompt_tokens,
+    completionTokens: row.completion_tokens,
+    totalTokens: row.total_tokens,
+    costUsd: row.cost_usd,
+    createdAt: row.created_at,
+  };
+}
@@ -0,0 +1,173 @@
+import { randomUUID } from 'crypto';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import { getTimetableStore } from './timetableStores/index.js';
+import { estimateCost } from './pricing.js';
+
+/**
+ * LLM call accounting: every completion is recorded with its tokens, model and cost,
+ * and who it was made for (API key, tenant, extraction), so spend can be reported
+ * per day, school and model and capped by USAGE_BUDGET_USD.
+ *
+ * Call: { id, createdAt, extractionId, apiKeyId, tenant, operation, provider, model,
+ *         promptVersion, promptTokens, completionTokens, totalTokens, costUsd }
+ * costUsd is null when the model has no known price (see pricing.js).
+ */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Record one LLM call. Failures are logged; they never fail the extraction.
+ * @param {Object} call - { operation, provider, model, promptVersion, promptTokens, completionTokens,
+ *                        totalTokens, extractionId, apiKeyId, tenant }
+ * @returns {Promise<Object|null>} The stored call, or null when tracking is off or storing failed
+ */
+export async function recordLLMCall(call) {
+  if (!config.usage.enabled) {
+    return null;
+  }
+
+  const tokens = { promptTokens: call.promptTokens || 0, completionTokens: call.completionTokens || 0 };
+  const record = {
+    id: randomUUID(),
+    createdAt: new Date().toISOString(),
+    extractionId: call.extractionId || null,
+    apiKeyId: call.apiKeyId || null,
+    tenant: call.tenant || null,
+    operation: call.operation,
+    provider: call.provider,
+    model: call.model || null,
+    promptVersion: call.promptVersion || null,
+    ...tokens,
+    totalTokens: call.totalTokens ?? tokens.promptTokens + tokens.completionTokens,
+    // Replayed responses cost nothing
+    costUsd: call.provider === 'mock' ? 0 : estimateCost(call.model, tokens),
+  };
+
+  try {
+    return await getTimetableStore().addLLMCall(record);
+  } catch (error) {
+    logger.error('Failed to record LLM call', { extractionId: record.extractionId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Usage report for a period, aggregated by day (UTC), tenant, model and API key
+ * @param {Object} filters - { from, to, tenant, apiKeyId, model, includeBudget }; from/to are ISO dates
+ *                           or timestamps, a date-only "to" includes that whole day. Defaults to the current month.
+ *                           includeBudget (default true) adds the organisation-wide budget status.
+ * @returns {Promise<Object>} { period, totals, byDay, byTenant, byModel, byApiKey, budget }
+ * @throws {Object} INVALID_DATE
+ */
+export async function getUsageReport({ from, to, tenant, apiKeyId, model, includeBudget = true } = {}) {
+  const since = from ? parseDate(from, 'from') : startOfMonth(new Date());
+  const until = to ? parseDate(to, 'to', DATE_ONLY.test(to)) : null;
+
+  if (until && until <= since) {
+    throw {
+      code: 'INVALID_DATE',
+      message: '"to" must be after "from"',
+    };
+  }
+
+  const calls = await getTimetableStore().listLLMCalls({
+    since: since.toISOString(),
+    until: until?.toISOString(),
+    tenant,
+    apiKeyId,
+    model,
+  });
+
+  return {
+    period: { from: since.toISOString(), to: (until || new Date()).toISOString() },
+    totals: summarize(calls),
+    // Calls come oldest first, so days are in date order
+    byDay: groupBy(calls, (call) => ({ day: call.createdAt.slice(0, 10) })),
+    byTenant: groupBy(calls, (call) => ({ tenant: call.tenant })).sort(mostExpensiveFirst),
+    byModel: groupBy(calls, (call) => ({ provider: call.provider, model: call.model })).sort(mostExpensiveFirst),
+    byApiKey: groupBy(calls, (call) => ({ apiKeyId: call.apiKeyId })).sort(mostExpensiveFirst),
+    ...(includeBudget && { budget: await getBudgetStatus() }),
+  };
+}
+
+/**
+ * This month's spend against USAGE_BUDGET_USD
+ * @returns {Promise<Object>} { limitUsd, spentUsd, remainingUsd, exceeded, month, resetsAt }
+ *                            (limitUsd and remainingUsd are null without a budget)
+ */
+export async function getBudgetStatus() {
+  const now = new Date();
+  const limitUsd = config.usage.budgetUsd;
+  const spentUsd = roundCost(await getTimetableStore().getLLMCost(startOfMonth(now).toISOString()));
+
+  return {
+    limitUsd,
+    spentUsd,
+    remainingUsd: limitUsd === null ? null : roundCost(Math.max(limitUsd - spentUsd, 0)),
+    exceeded: limitUsd !== null && spentUsd >= limitUsd,
+    month: now.toISOString().slice(0, 7),
+    resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString(),
+  };
+}
+
+/**
+ * One summary per distinct group, in order of first call
+ */
+function groupBy(calls, keyOf) {
+  const groups = new Map();
+
+  for (const call of calls) {
+    const key = keyOf(call);
+    const id = JSON.stringify(key);
+
+    if (!groups.has(id)) {
+      groups.set(id, { key, calls: [] });
+    }
+    groups.get(id).calls.push(call);
+  }
+
+  return [...groups.values()].map(({ key, calls: grouped }) => ({ ...key, ...summarize(grouped) }));
+}
+
+function mostExpensiveFirst(a, b) {
+  return b.costUsd - a.costUsd || b.totalTokens - a.totalTokens;
+}
+
+function summarize(calls) {
+  return {
+    calls: calls.length,
+    extractions: new Set(calls.map((call) => call.extractionId).filter(Boolean)).size,
+    promptTokens: calls.reduce((sum, call) => sum + call.promptTokens, 0),
+    completionTokens: calls.reduce((sum, call) => sum + call.completionTokens, 0),
+    totalTokens: calls.reduce((sum, call) => sum + call.totalTokens, 0),
+    costUsd: roundCost(calls.reduce((sum, call) => sum + (call.costUsd || 0), 0)),
+    // Calls whose model has no price; costUsd leaves them out
+    unpricedCalls: calls.filter((call) => call.costUsd === null).length,
+  };
+}
+
+function parseDate(value, name, endOfDay = false) {
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw {
+      code: 'INVALID_DATE',
+      message: `"${name}" must be an ISO 8601 date or timestamp`,
+    };
+  }
+
+  if (endOfDay) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+
+  return date;
+}
+
+function startOfMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+function roundCost(value) {
+  return Number(value.toFixed(6));
+}
@@ -0,0 +1,371 @@
+import logger from '../utils/logger.js';
+import { config } from '../config/index.js';
+import * as llmService from './llmService.js';
+import * as imageProcessor from './imageProcessor.js';
+import * as ruleBasedParser from './ruleBasedParser.js';
+import { normalizeTime } from './timeNormalizer.js';
+import { DAYS, getDayKey, getCycleFields } from '../schemas/timetable.js';
+
+/**
+ * Verification stage run after validation.
+ *
+ * Every block gets a computed confidence (heuristics x the extractor's own score),
+ * then, depending on VERIFICATION_MODE:
+ * - reask:       low-confidence or conflicting blocks are sent back to the model
+ *                together with the original source to be confirmed or corrected
+ * - consistency: an independent second extraction (OCR + text for images,
+ *                the rule-based parser for text) is reconciled with the first
+ * - off:         heuristic scores only
+ *
+ * Disagreements are listed so reviewers know which cells to check.
+ */
+
+const MODES = ['reask', 'consistency', 'off'];
+
+const TIME_FIELDS = ['start_time', 'end_time'];
+
+/**
+ * Verify extracted timetable data
+ * @param {Object} data - Validated timetable { metadata, timeblocks }
+ * @param {Object|null} source - What the data was extracted from: { image: { buffer, mimeType }, text, pages }
+ * @param {Object} options - Per-request LLM overrides { provider, model } and extractionMethod
+ * @returns {Promise<Object>} { data, report }
+ */
+export async function verifyExtraction(data, source, options = {}) {
+  const mode = getVerificationMode();
+  const timeblocks = data.timeblocks.map((block) => ({ ...block }));
+  const reportedConfidence = data.metadata.extraction_confidence;
+
+  scoreBlocks(timeblocks);
+
+  const report = {
+    mode,
+    status: 'completed',
+    checkedBlocks: 0,
+    corrections: 0,
+    disagreements: [],
+  };
+
+  try {
+    if (mode === 'reask') {
+      await reask(timeblocks, source, options, report);
+    } else if (mode === 'consistency') {
+      await checkConsistency(timeblocks, source, options, report);
+    }
+  } catch (error) {
+    // Verification is advisory: keep the heuristic scores if the second pass fails
+    logger.warn('Verification pass failed', { mode, error: error.message });
+    report.status = 'failed';
+    report.error = error.message;
+  }
+
+  const extractionConfidence = timeblocks.length
+    ? timeblocks.reduce((sum, block) => sum + block.confidence, 0) / timeblocks.length
+    : 0;
+
+  report.reportedConfidence = reportedConfidence;
+  report.lowConfidenceBlocks = timeblocks
+    .filter((block) => block.confidence < config.verification.confidenceThreshold)
+    .map(describeBlock);
+
+  logger.info('Verification completed', {
+    mode,
+    status: report.status,
+    checkedBlocks: report.checkedBlocks,
+    corrections: report.corrections,
+    disagreements: report.disagreements.length,
+  });
+
+  return {
+    data: {
+      metadata: { ...data.metadata, extraction_confidence: round(extractionConfidence) },
+      timeblocks,
+    },
+    report,
+  };
+}
+
+/**
+ * Verification mode from configuration (used in the result cache key)
+ * @returns {string}
+ */
+export function getVerificationMode() {
+  return MODES.includes(config.verification.mode) ? config.verification.mode : 'reask';
+}
+
+/**
+ * Compute a confidence for every block from the extractor's own score and
+ * simple plausibility checks. Blocks are mutated.
+ * @param {Array<Object>} timeblocks - Time blocks
+ */
+function scoreBlocks(timeblocks) {
+  for (const block of timeblocks) {
+    const issues = [];
+    const start = toMinutes(block.start_time);
+    const end = toMinutes(block.end_time);
+    const duration = end - start;
+
+    if (duration < 5 || duration > 240) issues.push(['unusual_duration', 0.2]);
+    if (start % 5 !== 0 || end % 5 !== 0) issues.push(['irregular_time', 0.1]);
+    if (start < 7 * 60 || end > 18 * 60) issues.push(['outside_school_day', 0.15]);
+    if (block.subject.trim().length <= 2) issues.push(['short_subject', 0.15]);
+
+    const overlapping = timeblocks.filter(
+      (other) =>
+        other !== block &&
+        getDayKey(other) === getDayKey(block) &&
+        toMinutes(other.start_time) < end &&
+        toMinutes(other.end_time) > start
+    );
+    if (overlapping.length > 0) issues.push(['overlaps_other_block', 0.3]);
+
+    const heuristic = issues.reduce((score, [, penalty]) => score - penalty, 1);
+
+    block.confidence = round(clamp(heuristic * (block.confidence ?? 1)));
+    block.verification_issues = issues.map(([issue]) => issue);
+  }
+}
+
+/**
+ * Send suspect blocks back to the model with the original source
+ */
+async function reask(timeblocks, source, options, report) {
+  const suspects = timeblocks
+    .map((block, index) => ({ block, index }))
+    .filter(({ block }) => block.confidence < config.verification.confidenceThreshold || block.verification_issues.length > 0)
+    .sort((a, b) => a.block.confidence - b.block.confidence)
+    .slice(0, config.verification.maxBlocks);
+
+  if (suspects.length === 0) {
+    return;
+  }
+
+  const verificationSource = pickSource(source);
+
+  if (!verificationSource || !llmService.isConfigured(options.provider)) {
+    report.status = 'skipped';
+    report.reason = verificationSource ? 'LLM not configured' : 'Original source not available';
+    return;
+  }
+
+  const result = await llmService.verifyBlocks(
+    verificationSource,
+    suspects.map(({ block, index }) => ({
+      index,
+      day: block.day,
+      ...getCycleFields(block),
+      start_time: block.start_time,
+      end_time: block.end_time,
+      subject: block.subject,
+    })),
+    options
+  );
+
+  report.checkedBlocks = suspects.length;
+  report.tokensUsed = result.metadata.tokensUsed;
+  report.promptTokens = result.metadata.promptTokens;
+  report.completionTokens = result.metadata.completionTokens;
+
+  for (const answer of result.data.blocks) {
+    const block = timeblocks[answer.index];
+    if (!block || !suspects.some((s) => s.index === answer.index)) {
+      continue;
+    }
+
+    const original = describeBlock(block);
+    const answerConfidence = typeof answer.confidence === 'number' ? clamp(answer.confidence) : 0.8;
+
+    if (answer.status === 'not_found') {
+      report.disagreements.push({ block: original, field: null, resolution: 'not_found' });
+      block.confidence = round(Math.min(block.confidence, 1 - answerConfidence, 0.3));
+      continue;
+    }
+
+    if (answer.status === 'corrected') {
+      for (const field of ['day', 'start_time', 'end_time', 'subject']) {
+        // A dated block's weekday follows from its date
+        if (field === 'day' && block.date) continue;
+
+        // Re-asked times come back in any format; read them near the value they replace
+        const value = TIME_FIELDS.includes(field) ? normalizeTime(answer[field], toMinutes(block[field])) : answer[field];
+
+        if (value && value !== block[field] && isValidField(field, value)) {
+          report.disagreements.push({
+            block: original,
+            field,
+            original: block[field],
+            verified: value,
+            resolution: 'corrected',
+          });
+          block[field] = value;
+          report.corrections++;
+        }
+      }
+
+      // Never accept a correction that leaves the block without a valid time range
+      if (toMinutes(block.end_time) <= toMinutes(block.start_time)) {
+        block.start_time = original.start_time;
+        block.end_time = original.end_time;
+      }
+
+      if (block.duration_minutes !== undefined) {
+        block.duration_minutes = toMinutes(block.end_time) - toMinutes(block.start_time);
+      }
+    }
+
+    // A second look that agrees (or fixed the block) is worth more than the heuristics alone
+    block.confidence = round(Math.max(block.confidence, answerConfidence * 0.95));
+    block.verification_issues = block.verification_issues.filter((issue) => issue === 'overlaps_other_block');
+  }
+}
+
+/**
+ * Run an independent second extraction and reconcile it with the first
+ */
+async function checkConsistency(timeblocks, source, options, report) {
+  const secondary = await runSecondaryExtraction(source, options);
+
+  if (!secondary) {
+    report.status = 'skipped';
+    report.reason = 'No independent second extraction available for this input';
+    return;
+  }
+
+  report.secondaryMethod = secondary.method;
+  report.checkedBlocks = timeblocks.length;
+
+  const remaining = [...secondary.timeblocks];
+
+  for (const block of timeblocks) {
+    const index = remaining.findIndex((other) => isSameSlot(block, other));
+
+    if (index === -1) {
+      report.disagreements.push({ block: describeBlock(block), field: null, resolution: 'missing_in_secondary' });
+      block.confidence = round(block.confidence * 0.7);
+      continue;
+    }
+
+    const [other] = remaining.splice(index, 1);
+    const differences = ['start_time', 'end_time', 'subject'].filter((field) =>
+      field === 'subject'
+        ? normalize(other.subject) !== normalize(block.subject)
+        : Math.abs(toMinutes(other[field]) - toMinutes(block[field])) > 5
+    );
+
+    for (const field of differences) {
+      report.disagreements.push({
+        block: describeBlock(block),
+        field,
+        original: block[field],
+        verified: other[field],
+        resolution: 'kept_primary',
+      });
+    }
+
+    // Two independent extractions agreeing is strong evidence
+    block.confidence = round(differences.length === 0 ? Math.min(1, block.confidence + 0.15) : block.confidence * 0.8);
+  }
+
+  for (const other of remaining) {
+    report.disagreements.push({ block: describeBlock(other), field: null, resolution: 'missing_in_primary' });
+  }
+}
+
+/**
+ * Second extraction using a different method than the primary one
+ * @returns {Promise<Object|null>} { method, timeblocks }
+ */
+async function runSecondaryExtraction(source, options) {
+  const primaryMethod = options.extractionMethod || '';
+
+  if (source?.image && primaryMethod.includes('vision')) {
+    const result = await imageProcessor.extractWithOCR(source.image.buffer, { ...options, onProgress: undefined });
+    return { method: result.extractionMethod, timeblocks: result.data.timeblocks };
+  }
+
+  if (source?.image && primaryMethod.startsWith('ocr') && config.enableLLMVision && llmService.isConfigured(options.provider)) {
+    const result = await llmService.extractWithVision(source.image.buffer, source.image.mimeType, options);
+    return { method: 'claude-vision', timeblocks: result.data.timeblocks };
+  }
+
+  if (source?.text && !primaryMethod.includes('rules')) {
+    const parsed = source.pages
+      ? ruleBasedParser.parseDocument(source.pages)
+      : { pages: [ruleBasedParser.parseText(source.text)].filter(Boolean) };
+
+    if (parsed?.pages.length) {
+      return { method: 'rules', timeblocks: parsed.pages.flatMap((page) => page.timeblocks) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Source to send back to the model: the image when vision is available, else the text
+ */
+function pickSource(source) {
+  if (source?.image && config.enableLLMVision) {
+    return { image: source.image };
+  }
+  if (source?.text) {
+    return { text: source.text };
+  }
+  return null;
+}
+
+function isSameSlot(block, other) {
+  if (getDayKey(block) !== getDayKey(other)) {
+    return false;
+  }
+
+  const overlap =
+    Math.min(toMinutes(block.end_time), toMinutes(other.end_time)) -
+    Math.max(toMinutes(block.start_time), toMinutes(other.start_time));
+  const shorter = Math.min(
+    toMinutes(block.end_time) - toMinutes(block.start_time),
+    toMinutes(other.end_time) - toMinutes(other.start_time)
+  );
+
+  return overlap > 0 && overlap >= shorter / 2;
+}
+
+function isValidField(field, value) {
+  if (field === 'day') {
+    return DAYS.includes(value);
+  }
+  if (field === 'subject') {
+    return typeof value === 'string' && value.trim().length > 0;
+  }
+  return /^\d{1,2}:\d{2}$/.test(value);
+}
+
+function describeBlock(block) {
+  return {
+    day: block.day,
+    ...getCycleFields(block),
+    start_time: block.start_time,
+    end_time: block.end_time,
+    subject: block.subject,
+    confidence: block.confidence,
+    source_file: block.source_file,
+    source_page: block.source_page,
+  };
+}
+
+function toMinutes(time) {
+  const [hour, minute] = (time || '0:0').split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+function normalize(subject) {
+  return (subject || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function clamp(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function round(value) {
+  return Number(value.toFixed(2));
+}
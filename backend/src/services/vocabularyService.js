@@ -0,0 +1,215 @@
+import { createHash } from 'crypto';
+import logger from '../utils/logger.js';
+import { getTimetableStore } from './timetableStores/index.js';
+import { tenantIdSchema, vocabularySchema, normalizeTerm } from '../schemas/vocabulary.js';
+
+/**
+ * Per-school subject vocabularies: the names a school uses ("EMW", "PPA", "Reg")
+ * mapped to a canonical subject, its subject_type and a display colour.
+ *
+ * The "default" vocabulary applies to every extraction; a tenant's own entries
+ * are added on top and win when both define the same alias.
+ */
+
+export const DEFAULT_TENANT = 'default';
+
+/**
+ * List stored vocabularies
+ * @returns {Promise<Array<Object>>} [{ tenant, entries, createdAt, updatedAt }]
+ */
+export async function listVocabularies() {
+  return getTimetableStore().listVocabularies();
+}
+
+/**
+ * Get one tenant's vocabulary
+ * @param {string} tenant - Tenant id
+ * @returns {Promise<Object>} { tenant, entries, createdAt, updatedAt }
+ */
+export async function getVocabulary(tenant) {
+  const vocabulary = await getTimetableStore().getVocabulary(parseTenant(tenant));
+
+  if (!vocabulary) {
+    throw {
+      code: 'VOCABULARY_NOT_FOUND',
+      message: `No vocabulary found for tenant "${tenant}"`,
+    };
+  }
+
+  return vocabulary;
+}
+
+/**
+ * Create or replace a tenant's vocabulary
+ * @param {string} tenant - Tenant id
+ * @param {Object} body - { entries: [{ canonical, aliases, subject_type, color_code }] }
+ * @returns {Promise<Object>} Stored vocabulary
+ */
+export async function saveVocabulary(tenant, body) {
+  const id = parseTenant(tenant);
+  const parsed = vocabularySchema.safeParse(body);
+
+  if (!parsed.success) {
+    throw {
+      code: 'VALIDATION_FAILED',
+      message: 'Request body failed validation',
+      details: parsed.error.errors.map((err) => ({ path: err.path.join('.'), message: err.message })),
+    };
+  }
+
+  const store = getTimetableStore();
+  const existing = await store.getVocabulary(id);
+  const now = new Date().toISOString();
+
+  const vocabulary = await store.saveVocabulary({
+    tenant: id,
+    entries: parsed.data.entries,
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+  });
+
+  logger.info('Vocabulary saved', { tenant: id, entries: vocabulary.entries.length });
+
+  return vocabulary;
+}
+
+/**
+ * Delete a tenant's vocabulary
+ * @param {string} tenant - Tenant id
+ * @returns {Promise<void>}
+ */
+export async function deleteVocabulary(tenant) {
+  const deleted = await getTimetableStore().deleteVocabulary(parseTenant(tenant));
+
+  if (!deleted) {
+    throw {
+      code: 'VOCABULARY_NOT_FOUND',
+      message: `No vocabulary found for tenant "${tenant}"`,
+    };
+  }
+}
+
+/**
+ * Vocabulary used for one extraction: the default entries plus the tenant's own
+ * Storage failures are logged and the extraction continues without a vocabulary.
+ * @param {string} [tenant] - Tenant id from the request
+ * @returns {Promise<Object|null>} { tenant, entries, fingerprint }, or null when there are no entries
+ */
+export async function resolveVocabulary(tenant) {
+  const id = tenant ? parseTenant(tenant) : null;
+  const stored = [];
+
+  try {
+    const store = getTimetableStore();
+    stored.push(await store.getVocabulary(DEFAULT_TENANT));
+    if (id && id !== DEFAULT_TENANT) {
+      stored.push(await store.getVocabulary(id));
+    }
+  } catch (error) {
+    logger.error('Failed to load vocabulary', { tenant: id, error: error.message });
+    return null;
+  }
+
+  const entries = mergeEntries(stored.filter(Boolean).map((vocabulary) => vocabulary.entries));
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  return {
+    tenant: id,
+    entries,
+    fingerprint: createHash('sha256').update(JSON.stringify(entries)).digest('hex').slice(0, 12),
+  };
+}
+
+/**
+ * Map subjects onto the vocabulary's canonical names
+ * Matching ignores case, punctuation and spacing; the extracted name is kept in original_subject.
+ * @param {Array<Object>} timeblocks - Enriched time blocks
+ * @param {Object|null} vocabulary - resolveVocabulary result
+ * @returns {Object} { timeblocks, normalized } where normalized is the number of blocks changed
+ */
+export function normalizeTimeblocks(timeblocks, vocabulary) {
+  if (!vocabulary) {
+    return { timeblocks, normalized: 0 };
+  }
+
+  const lookup = new Map();
+  for (const entry of vocabulary.entries) {
+    for (const term of [entry.canonical, ...entry.aliases]) {
+      lookup.set(normalizeTerm(term), entry);
+    }
+  }
+
+  let normalized = 0;
+
+  const result = timeblocks.map((block) => {
+    const entry = lookup.get(normalizeTerm(block.subject));
+
+    if (!entry) {
+      return block;
+    }
+
+    const updated = {
+      ...block,
+      subject: entry.canonical,
+      subject_type: entry.subject_type ?? block.subject_type,
+      color_code: entry.color_code ?? block.color_code,
+    };
+
+    if (block.subject !== entry.canonical) {
+      updated.original_subject = block.original_subject ?? block.subject;
+    }
+
+    if (
+      updated.subject !== block.subject ||
+      updated.subject_type !== block.subject_type ||
+      updated.color_code !== block.color_code
+    ) {
+      normalized++;
+    }
+
+    return updated;
+  });
+
+  return { timeblocks: result, normalized };
+}
+
+/**
+ * Combine vocabularies in order; later entries take over aliases from earlier ones
+ */
+function mergeEntries(vocabularies) {
+  const entries = [];
+
+  for (const vocabulary of vocabularies) {
+    const overridden = new Set(vocabulary.flatMap((entry) => [entry.canonical, ...entry.aliases].map(normalizeTerm)));
+
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const aliases = entries[i].aliases.filter((alias) => !overridden.has(normalizeTerm(alias)));
+
+      if (overridden.has(normalizeTerm(entries[i].canonical))) {
+        entries.splice(i, 1);
+      } else {
+        entries[i] = { ...entries[i], aliases };
+      }
+    }
+
+    entries.push(...vocabulary);
+  }
+
+  return entries;
+}
+
+function parseTenant(tenant) {
+  const parsed = tenantIdSchema.safeParse(tenant);
+
+  if (!parsed.success) {
+    throw {
+      code: 'INVALID_TENANT',
+      message: parsed.error.errors[0].message,
+    };
+  }
+
+  return parsed.data;
+}
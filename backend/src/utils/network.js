@@ -0,0 +1,79 @@
+import { BlockList, isIP } from 'net';
+import { lookup } from 'dns';
+
+// Ranges that must not be reachable through user-supplied URLs (webhooks)
+const privateRanges = new BlockList();
+
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, including cloud metadata endpoints
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved and broadcast
+]) {
+  privateRanges.addSubnet(network, prefix, 'ipv4');
+}
+
+for (const [network, prefix] of [
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+]) {
+  privateRanges.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Whether an IP address is publicly routable (not private, loopback, link-local, multicast or reserved)
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPublicAddress(address) {
+  const family = isIP(address);
+
+  if (family === 0) {
+    return false;
+  }
+
+  // IPv4-mapped and NAT64 IPv6 addresses reach the embedded IPv4 address (dotted or hex notation)
+  const embedded = /^(?:::ffff:|64:ff9b::)(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(address);
+  if (embedded) {
+    const [, dotted, high, low] = embedded;
+    const value = dotted ? 0 : parseInt(high, 16) * 0x10000 + parseInt(low, 16);
+    return isPublicAddress(dotted || [24, 16, 8, 0].map((shift) => (value >>> shift) & 0xff).join('.'));
+  }
+
+  return !privateRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup replacement for http(s).request that refuses hosts resolving to a non-public address.
+ * Checking the address the socket actually connects to defeats DNS rebinding between validation and use.
+ * @param {string} hostname - Host name to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+export function lookupPublicAddress(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+
+    if (blocked) {
+      const refused = new Error(`${hostname} resolves to a non-public address (${blocked.address})`);
+      refused.code = 'ENOTPUBLIC';
+      return callback(refused);
+    }
+
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
@@ -0,0 +1,20 @@
+import logger from './logger.js';
+
+/**
+ * Report a processing stage to an optional `options.onProgress` callback.
+ * Listener errors are logged and never interrupt processing.
+ * @param {Object} options - Processing options (may contain onProgress)
+ * @param {string} stage - Stage name (preprocessing, extraction, validation, verification)
+ * @param {Object} details - { message, current, total }
+ */
+export function reportProgress(options, stage, details = {}) {
+  if (typeof options?.onProgress !== 'function') {
+    return;
+  }
+
+  try {
+    options.onProgress({ stage, ...details });
+  } catch (error) {
+    logger.warn('Progress listener failed', { stage, error: error.message });
+  }
+}
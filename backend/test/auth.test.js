@@ -0,0 +1,225 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { tmpdir } from 'os';
+import { config } from '../src/config/index.js';
+import { requireApiKey, resolveTenant } from '../src/middleware/auth.js';
+import { rateLimit } from '../src/middleware/rateLimit.js';
+import timetableRoutes from '../src/routes/timetables.js';
+import vocabularyRoutes from '../src/routes/vocabularies.js';
+import usageRoutes from '../src/routes/usage.js';
+import { createApiKey, revokeApiKey } from '../src/services/apiKeyService.js';
+import { saveExtraction } from '../src/services/timetableService.js';
+import { recordLLMCall } from '../src/services/usageService.js';
+import { getJob } from '../src/services/jobService.js';
+import { getJobStore } from '../src/services/jobStores/index.js';
+import { startApp } from './helpers/http.js';
+
+const ADMIN_KEY = 'admin-test-key';
+const originalAuth = { ...config.auth };
+
+let server;
+let keys;
+let timetables;
+
+const extraction = (tenant) => ({
+  success: true,
+  data: {
+    metadata: { teacher_name: null, class_name: tenant, term: null, school_name: null, extraction_confidence: 0.8 },
+    timeblocks: [{ day: 'Monday', start_time: '09:00', end_time: '10:00', subject: 'Maths', subject_type: 'academic' }],
+  },
+  metadata: { extractionMethod: 'claude-vision', provider: 'mock', model: 'mock', tenant },
+});
+
+function call(path, key, init = {}) {
+  return fetch(`${server.url}${path}`, {
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...(key ? { 'X-API-Key': key } : {}), ...init.headers },
+  });
+}
+
+before(async () => {
+  Object.assign(config.auth, { enabled: true, adminKey: ADMIN_KEY });
+  server = await startApp(requireApiKey, rateLimit, timetableRoutes, vocabularyRoutes, usageRoutes);
+
+  keys = {
+    north: await createApiKey({ name: 'North office', tenant: 'north' }),
+    south: await createApiKey({ name: 'South office', tenant: 'south' }),
+  };
+  timetables = {
+    north: (await saveExtraction(extraction('north'))).metadata.timetableId,
+    south: (await saveExtraction(extraction('south'))).metadata.timetableId,
+  };
+});
+
+after(async () => {
+  Object.assign(config.auth, originalAuth);
+  await server.close();
+});
+
+/**
+ * Auth and CORS settings as the config module reads them from the given environment only
+ * (run outside the backend directory, so no .env file is loaded)
+ */
+async function settingsFor(env) {
+  const script = `
+    const { config } = await import(${JSON.stringify(new URL('../src/config/index.js', import.meta.url).href)});
+    console.log(JSON.stringify({ auth: config.auth.enabled, cors: config.corsOrigin }));
+  `;
+  const { stdout } = await promisify(execFile)(process.execPath, ['--input-type=module', '-e', script], {
+    cwd: tmpdir(),
+    env: { PATH: process.env.PATH, ...env },
+  });
+  return JSON.parse(stdout);
+}
+
+test('requires keys unless AUTH_ENABLED=false, and allows no origins in production by default', async () => {
+  assert.deepEqual(await settingsFor({}), { auth: true, cors: '*' });
+  assert.deepEqual(await settingsFor({ AUTH_ENABLED: 'false' }), { auth: false, cors: '*' });
+  assert.deepEqual(await settingsFor({ NODE_ENV: 'production' }), { auth: true, cors: false });
+  assert.deepEqual(await settingsFor({ NODE_ENV: 'production', CORS_ORIGIN: 'https://timetables.example.com' }), {
+    auth: true,
+    cors: 'https://timetables.example.com',
+  });
+});
+
+test('rejects requests without a valid key', async () => {
+  const missing = await call('/timetables');
+  const invalid = await call('/timetables', 'tte_not-a-key');
+
+  assert.equal(missing.status, 401);
+  assert.equal((await missing.json()).error.code, 'API_KEY_REQUIRED');
+  assert.equal(invalid.status, 401);
+  assert.equal((await invalid.json()).error.code, 'INVALID_API_KEY');
+});
+
+test('rejects a revoked key', async () => {
+  const key = await createApiKey({ name: 'Temporary', tenant: 'north' });
+  await revokeApiKey(key.id);
+
+  const response = await call('/timetables', key.key);
+
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).error.code, 'API_KEY_REVOKED');
+});
+
+test('issues keys for a tenant only', async () => {
+  await assert.rejects(createApiKey({ name: 'No tenant' }), { code: 'VALIDATION_FAILED' });
+  await assert.rejects(createApiKey({ name: 'Shared', tenant: 'default' }), { code: 'VALIDATION_FAILED' });
+  await assert.rejects(createApiKey({ name: 'Bad id', tenant: 'north/../south' }), { code: 'VALIDATION_FAILED' });
+  assert.equal(keys.north.tenant, 'north');
+});
+
+test("a key only reaches its own tenant's timetables", async () => {
+  const list = await (await call('/timetables', keys.north.key)).json();
+  const own = await call(`/timetables/${timetables.north}`, keys.north.key);
+  const other = await call(`/timetables/${timetables.south}`, keys.north.key);
+  const edit = await call(`/timetables/${timetables.south}`, keys.north.key, {
+    method: 'PATCH',
+    body: JSON.stringify({ metadata: { term: 'Spring' } }),
+  });
+  const remove = await call(`/timetables/${timetables.south}`, keys.north.key, { method: 'DELETE' });
+  const named = await call('/timetables?tenant=south', keys.north.key);
+
+  assert.deepEqual(list.data.map((record) => record.id), [timetables.north]);
+  assert.equal(own.status, 200);
+  assert.equal(other.status, 404);
+  assert.equal(edit.status, 404);
+  assert.equal(remove.status, 404);
+  assert.equal(named.status, 403);
+  assert.equal((await named.json()).error.code, 'TENANT_FORBIDDEN');
+});
+
+test('the admin key reaches every tenant and can narrow to one', async () => {
+  const all = await (await call('/timetables', ADMIN_KEY)).json();
+  const south = await (await call('/timetables?tenant=south', ADMIN_KEY)).json();
+
+  assert.equal(all.pagination.total, 2);
+  assert.deepEqual(south.data.map((record) => record.id), [timetables.south]);
+});
+
+test("a key reads and changes only its own tenant's vocabulary", async () => {
+  const body = JSON.stringify({ entries: [{ canonical: 'Registration', aliases: ['Reg'] }] });
+  const put = (tenant, key) => call(`/vocabularies/${tenant}`, key, { method: 'PUT', body });
+
+  assert.equal((await put('north', keys.north.key)).status, 200);
+  assert.equal((await put('south', keys.north.key)).status, 403);
+  assert.equal((await put('default', keys.north.key)).status, 403);
+  assert.equal((await call('/vocabularies/south', keys.north.key, { method: 'DELETE' })).status, 403);
+
+  // Readable by every key; 404 only because nobody has written it yet
+  assert.equal((await call('/vocabularies/default', keys.south.key)).status, 404);
+  assert.equal((await put('default', ADMIN_KEY)).status, 200);
+  assert.equal((await call('/vocabularies/default', keys.south.key)).status, 200);
+
+  const list = await call('/vocabularies', keys.north.key);
+  assert.equal(list.status, 403);
+  assert.equal((await list.json()).error.code, 'ADMIN_KEY_REQUIRED');
+  assert.deepEqual(
+    (await (await call('/vocabularies', ADMIN_KEY)).json()).data.map((vocabulary) => vocabulary.tenant),
+    ['default', 'north']
+  );
+});
+
+test("a key's usage report covers its tenant only", async () => {
+  const usage = { operation: 'extract', provider: 'mock', model: 'mock', promptTokens: 100, completionTokens: 50 };
+  await recordLLMCall({ ...usage, tenant: 'north', apiKeyId: keys.north.id });
+  await recordLLMCall({ ...usage, tenant: 'south', apiKeyId: keys.south.id });
+
+  const own = await (await call('/usage', keys.north.key)).json();
+  const other = await call('/usage?tenant=south', keys.north.key);
+  const admin = await (await call('/usage', ADMIN_KEY)).json();
+
+  assert.deepEqual(own.data.byTenant.map((row) => row.tenant), ['north']);
+  assert.equal(own.data.totals.totalTokens, 150);
+  assert.equal(other.status, 403);
+  assert.equal(admin.data.totals.totalTokens, 300);
+  // The budget covers every tenant's spend, so only the admin sees it
+  assert.equal(own.data.budget, undefined);
+  assert.equal(admin.data.budget.spentUsd, admin.data.totals.costUsd);
+});
+
+test('resolves the tenant a request acts for', () => {
+  const keyRequest = { apiKey: { id: 'k', tenant: 'north' } };
+  const legacyKeyRequest = { apiKey: { id: 'k', tenant: null } };
+
+  assert.equal(resolveTenant(keyRequest), 'north');
+  assert.equal(resolveTenant(keyRequest, 'north'), 'north');
+  assert.throws(() => resolveTenant(keyRequest, 'south'), { code: 'TENANT_FORBIDDEN' });
+  assert.equal(resolveTenant(legacyKeyRequest), null);
+  assert.throws(() => resolveTenant(legacyKeyRequest, 'north'), { code: 'TENANT_FORBIDDEN' });
+
+  // Admin key, or authentication off
+  assert.equal(resolveTenant({ apiKey: null }, 'south'), 'south');
+  assert.equal(resolveTenant({ apiKey: null }), undefined);
+});
+
+test('jobs created for another tenant are not found', async () => {
+  await getJobStore().save({ id: 'job-north', status: 'completed', tenant: 'north' });
+
+  assert.equal((await getJob('job-north', 'north')).id, 'job-north');
+  assert.equal(await getJob('job-north', 'south'), null);
+  assert.equal((await getJob('job-north')).id, 'job-north');
+});
+
+test('limits each key to its requests per minute', async () => {
+  const key = await createApiKey({ name: 'Slow', tenant: 'north', requestsPerMinute: 2 });
+
+  const first = await call('/timetables', key.key);
+  const second = await call('/timetables', key.key);
+  const third = await call('/timetables', key.key);
+  const otherKey = await call('/timetables', keys.north.key);
+
+  assert.equal(first.headers.get('RateLimit-Limit'), '2');
+  assert.equal(first.headers.get('RateLimit-Remaining'), '1');
+  assert.equal(second.headers.get('RateLimit-Remaining'), '0');
+  assert.equal(third.status, 429);
+  assert.ok(Number(third.headers.get('Retry-After')) > 0);
+
+  const body = await third.json();
+  assert.equal(body.success, false);
+  assert.equal(body.error.code, 'RATE_LIMIT_EXCEEDED');
+  assert.equal(body.error.details.limit, 2);
+  assert.equal(otherKey.status, 200);
+});
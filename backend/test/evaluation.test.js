@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { scoreExtraction, aggregateScores } from '../src/services/evaluation.js';
+
+const block = (day, start_time, end_time, subject, subject_type = 'academic') => ({
+  day,
+  start_time,
+  end_time,
+  subject,
+  subject_type,
+});
+
+const expected = [
+  block('Monday', '09:00', '09:30', 'Maths'),
+  block('Monday', '09:30', '10:15', 'English'),
+  block('Monday', '10:15', '10:30', 'Break', 'break'),
+  block('Tuesday', '09:00', '10:00', 'PE'),
+];
+
+test('pairs blocks one to one and scores every field separately', () => {
+  const score = scoreExtraction(
+    [
+      block('Monday', '09:03', '09:30', 'maths'),
+      block('Monday', '09:30', '10:25', 'English'),
+      block('Monday', '10:15', '10:30', 'Break'),
+      block('Wednesday', '13:00', '14:00', 'Art'),
+    ],
+    expected
+  );
+
+  assert.equal(score.matched, 3);
+  // Within 5 minutes, and subjects are compared without case or punctuation
+  assert.equal(score.exact, 1);
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(score.fields).map(([field, { correct }]) => [field, correct])),
+    { day: 3, start_time: 3, end_time: 2, subject: 3, subject_type: 2 }
+  );
+  assert.deepEqual(
+    score.pairs.map((pair) => [pair.predicted, pair.wrongFields]),
+    [
+      ['Monday 10:15-10:30 Break', ['subject_type']],
+      ['Monday 09:30-10:25 English', ['end_time']],
+    ]
+  );
+  assert.deepEqual(score.missed, ['Tuesday 09:00-10:00 PE']);
+  assert.deepEqual(score.extra, ['Wednesday 13:00-14:00 Art']);
+});
+
+test('honours the time tolerance and compares week rotations as part of the day', () => {
+  const predicted = [block('Monday', '09:10', '09:30', 'Maths')];
+
+  assert.equal(scoreExtraction(predicted, expected).fields.start_time.correct, 0);
+  assert.equal(scoreExtraction(predicted, expected, { toleranceMinutes: 10 }).exact, 1);
+
+  const rotated = scoreExtraction([{ ...expected[0], week: 'A' }], [{ ...expected[0], week: 'B' }]);
+  assert.deepEqual(rotated.pairs[0].wrongFields, ['day']);
+});
+
+test('aggregates precision, recall and F1 over several files', () => {
+  const perfect = scoreExtraction(expected, expected);
+  const half = scoreExtraction(expected.slice(0, 2), expected);
+  const summary = aggregateScores([perfect, half]);
+
+  assert.equal(summary.expected, 8);
+  assert.equal(summary.predicted, 6);
+  assert.deepEqual(summary.blocks, { correct: 6, precision: 1, recall: 0.75, f1: 0.857 });
+  assert.deepEqual(aggregateScores([scoreExtraction([], [])]).blocks, { correct: 0, precision: 0, recall: 0, f1: 0 });
+});
+
+test('the benchmark replays the labelled examples offline', async () => {
+  const { stdout } = await promisify(execFile)(process.execPath, ['scripts/benchmark.js'], {
+    cwd: fileURLToPath(new URL('..', import.meta.url)),
+    timeout: 120000,
+  });
+
+  assert.match(stdout, /Benchmark: 3 file\(s\)/);
+  assert.match(stdout, /✓ Teacher Timetable Example 1\.1\.png: 59\/59 exact/);
+  assert.match(stdout, /✓ Teacher Timetable Example 2\.pdf: 47\/47 exact/);
+  assert.match(stdout, /✓ Teacher Timetable Example 4\.jpeg: 53\/53 exact/);
+  assert.match(stdout, /whole block {4}1\.000 {6}1\.000 {6}1\.000/);
+  assert.match(stdout, /Errors: 0\/3/);
+});
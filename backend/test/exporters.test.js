@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { getExporter, listFormats, exportToCSV, exportToXLSX, exportToHTML } from '../src/services/exporters/index.js';
+
+const timetable = {
+  metadata: { teacher_name: 'Miss Joynes', class_name: '2EJ', term: null, school_name: null, extraction_confidence: 0.9 },
+  timeblocks: [
+    { day: 'Tuesday', start_time: '9:00', end_time: '9:30', subject: 'English', subject_type: 'academic', notes: 'Sentence "stacking", part 2' },
+    { day: 'Monday', start_time: '10:00', end_time: '10:15', subject: 'Assembly', subject_type: 'administrative', color_code: '#a4c2f4' },
+    { day: 'Monday', start_time: '9:00', end_time: '9:30', subject: '=HYPERLINK("http://x")', subject_type: 'academic' },
+    { day: 'Tuesday', start_time: '9:00', end_time: '9:30', subject: 'Phonics <group 2>', subject_type: 'academic' },
+  ],
+};
+
+test('looks up exporters by format name', () => {
+  assert.deepEqual(listFormats(), ['ics', 'csv', 'xlsx', 'html']);
+  assert.equal(getExporter('CSV').extension, 'csv');
+  assert.throws(() => getExporter('pdf'), { code: 'UNSUPPORTED_EXPORT_FORMAT' });
+});
+
+test('CSV rows are sorted by day and time, quoted and safe from formulas', () => {
+  const lines = exportToCSV(timetable).trimEnd().split('\r\n');
+
+  assert.deepEqual(lines.slice(0, 3), ['Teacher,Miss Joynes', 'Class,2EJ', '']);
+  assert.equal(lines[3], 'Day,Start,End,Duration (min),Subject,Type,Room,Notes,Confidence');
+  assert.equal(lines[4], `Monday,09:00,09:30,30,"'=HYPERLINK(""http://x"")",academic,,,1`);
+  assert.equal(lines[5], 'Monday,10:00,10:15,15,Assembly,administrative,,,1');
+  assert.equal(lines[6], 'Tuesday,09:00,09:30,30,English,academic,,"Sentence ""stacking"", part 2",1');
+});
+
+test('CSV grid layout pivots blocks into day columns', () => {
+  const lines = exportToCSV(timetable, { layout: 'grid', includeMetadata: 'false' }).trimEnd().split('\r\n');
+
+  assert.deepEqual(lines, [
+    'Time,Monday,Tuesday',
+    `09:00-09:30,"'=HYPERLINK(""http://x"")",English / Phonics <group 2>`,
+    '10:00-10:15,Assembly,',
+  ]);
+});
+
+test('XLSX has a row sheet and a colour-filled grid sheet', async () => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await exportToXLSX(timetable));
+
+  const rows = workbook.getWorksheet('Timeblocks');
+  const header = rows.getRow(4).values.slice(1);
+  assert.deepEqual(header.slice(0, 5), ['Day', 'Start', 'End', 'Duration (min)', 'Subject']);
+  assert.deepEqual(rows.getRow(5).values.slice(1, 5), ['Monday', '09:00', '09:30', 30]);
+
+  const grid = workbook.getWorksheet('Grid');
+  const assemblyRow = grid.getRow(6);
+  assert.equal(assemblyRow.getCell(1).value, '10:00-10:15');
+  assert.equal(assemblyRow.getCell(2).value, 'Assembly');
+  assert.equal(assemblyRow.getCell(2).fill.fgColor.argb, 'FFA4C2F4');
+});
+
+test('HTML grid escapes subjects and notes', () => {
+  const html = exportToHTML(timetable, { title: 'Class <2EJ>' });
+
+  assert.match(html, /<title>Class &lt;2EJ&gt;<\/title>/);
+  assert.match(html, /<tr><th class="time">Time<\/th><th>Monday<\/th><th>Tuesday<\/th><\/tr>/);
+  assert.match(html, /<div class="subject">Phonics &lt;group 2&gt;<\/div>/);
+  assert.match(html, /<td class="administrative" style="background:#a4c2f4"><div class="subject">Assembly<\/div><\/td>/);
+  assert.doesNotMatch(html, /<group 2>/);
+});
+
+test('exporters reject data that does not match the schema', () => {
+  const invalid = { metadata: timetable.metadata, timeblocks: [{ day: 'Someday', start_time: '9', end_time: '10', subject: '' }] };
+
+  assert.throws(() => exportToCSV(invalid), { code: 'INVALID_TIMETABLE' });
+  assert.throws(() => exportToHTML(invalid), { code: 'INVALID_TIMETABLE' });
+});
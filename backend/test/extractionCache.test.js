@@ -0,0 +1,116 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { config } from '../src/config/index.js';
+import { buildCacheKey, parseCacheControl } from '../src/services/extractionCache.js';
+import { createMemoryStore } from '../src/services/cacheStores/memoryStore.js';
+import { createFileStore } from '../src/services/cacheStores/fileStore.js';
+import { processFile } from '../src/services/fileProcessor.js';
+
+after(() => {
+  config.cache.enabled = false;
+});
+
+const key = (n) => String(n).padStart(64, '0');
+
+test('Cache-Control no-cache skips the lookup, no-store skips the lookup and the write', () => {
+  assert.deepEqual(parseCacheControl(undefined), { read: true, write: true });
+  assert.deepEqual(parseCacheControl('No-Cache'), { read: false, write: true });
+  assert.deepEqual(parseCacheControl('max-age=0, no-store'), { read: false, write: false });
+});
+
+test('cache keys change with the file and with every extraction setting', () => {
+  const file = Buffer.from('timetable');
+  const settings = { provider: 'mock', model: 'mock', promptVersion: 'v2' };
+  const base = buildCacheKey(file, 'image/png', settings);
+
+  assert.match(base, /^[0-9a-f]{64}$/);
+  assert.equal(buildCacheKey(Buffer.from('timetable'), 'image/png', { ...settings }), base);
+  assert.notEqual(buildCacheKey(Buffer.from('timetable!'), 'image/png', settings), base);
+  assert.notEqual(buildCacheKey(file, 'image/jpeg', settings), base);
+  assert.notEqual(buildCacheKey(file, 'image/png', { ...settings, promptVersion: 'v1' }), base);
+});
+
+test('cache keys change with the image preprocessing settings', (t) => {
+  const image = structuredClone(config.image);
+  t.after(() => Object.assign(config.image, image));
+  const file = Buffer.from('timetable');
+  const settings = { provider: 'mock', model: 'mock', promptVersion: 'v2' };
+  const base = buildCacheKey(file, 'image/png', settings);
+  const keyWith = (changes) => {
+    Object.assign(config.image, structuredClone(image), changes);
+    return buildCacheKey(file, 'image/png', settings);
+  };
+
+  assert.equal(keyWith({}), base);
+  for (const changes of [
+    { crop: !image.crop },
+    { deskew: !image.deskew },
+    { ocrThreshold: !image.ocrThreshold },
+    { maxDimension: image.maxDimension + 500 },
+    { tiling: { ...image.tiling, enabled: !image.tiling.enabled } },
+    { tiling: { ...image.tiling, overlap: image.tiling.overlap + 0.05 } },
+  ]) {
+    assert.notEqual(keyWith(changes), base, JSON.stringify(changes));
+  }
+});
+
+test('memory store evicts the least recently used entry and expires old ones', async () => {
+  const store = createMemoryStore({ maxEntries: 2 });
+
+  await store.set('a', { n: 1 }, 60000);
+  await store.set('b', { n: 2 }, 60000);
+  await store.get('a');
+  await store.set('c', { n: 3 }, 60000);
+
+  assert.deepEqual(await store.get('a'), { n: 1 });
+  assert.equal(await store.get('b'), null);
+
+  await store.set('d', { n: 4 }, -1);
+  assert.equal(await store.get('d'), null);
+
+  // Values are copies, so callers can't change cached results
+  (await store.get('a')).n = 99;
+  assert.deepEqual(await store.get('a'), { n: 1 });
+});
+
+test('file store keeps entries on disk and refuses keys that are not digests', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'cache-'));
+
+  try {
+    const store = createFileStore({ dir });
+
+    await store.set(key(1), { n: 1 }, 60000);
+    assert.deepEqual(await createFileStore({ dir }).get(key(1)), { n: 1 });
+
+    await store.set(key(2), { n: 2 }, -1);
+    assert.equal(await store.get(key(2)), null);
+
+    await store.set('../escape', { n: 3 }, 60000);
+    assert.equal(await store.get('../escape'), null);
+    assert.deepEqual(await readdir(dir), [`${key(1)}.json`]);
+
+    await store.clear();
+    assert.deepEqual(await readdir(dir), []);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('processFile returns a cached result for the same file and settings', async () => {
+  config.cache.enabled = true;
+  const file = await readFile(new URL('../../examples/Teacher Timetable Example 4.jpeg', import.meta.url));
+
+  const first = await processFile(file, 'image/jpeg', 'first.jpeg');
+  const second = await processFile(file, 'image/jpeg', 'second.jpeg');
+  const fresh = await processFile(file, 'image/jpeg', 'third.jpeg', { cache: { read: false, write: true } });
+
+  assert.equal(first.metadata.cacheHit, false);
+  assert.equal(second.metadata.cacheHit, true);
+  assert.equal(second.metadata.filename, 'second.jpeg');
+  assert.notEqual(second.metadata.extractionId, first.metadata.extractionId);
+  assert.deepEqual(second.data, first.data);
+  assert.equal(fresh.metadata.cacheHit, false);
+});
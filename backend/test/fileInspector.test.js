@@ -0,0 +1,213 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import sharp from 'sharp';
+import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
+import { config } from '../src/config/index.js';
+import { detectFileType, inspectFile, checkFileLimits } from '../src/services/fileInspector.js';
+import { processFile, processFiles } from '../src/services/fileProcessor.js';
+import { renderPages } from '../src/services/pdfRenderer.js';
+import { getProvider } from '../src/services/providers/index.js';
+import extractRoutes from '../src/routes/extract.js';
+import { startApp } from './helpers/http.js';
+import { buildPDF } from './helpers/pdf.js';
+
+const original = {
+  maxPixels: config.image.maxPixels,
+  maxPages: config.pdf.maxPages,
+  strictFileTypes: config.strictFileTypes,
+};
+
+afterEach(() => {
+  config.image.maxPixels = original.maxPixels;
+  config.pdf.maxPages = original.maxPages;
+  config.strictFileTypes = original.strictFileTypes;
+});
+
+const blankPage = { width: 200, height: 100, text: [{ x: 10, y: 20, text: 'Monday' }] };
+const png = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: 'white' } })
+    .png()
+    .toBuffer();
+// ISO base media file: an ftyp box with a major brand and compatible brands
+const ftyp = (...brands) => {
+  const box = Buffer.alloc(12 + brands.length * 4);
+  box.writeUInt32BE(box.length, 0);
+  box.write('ftyp', 4, 'latin1');
+  box.write(brands[0], 8, 'latin1');
+  brands.slice(1).forEach((brand, index) => box.write(brand, 16 + index * 4, 'latin1'));
+  return Buffer.concat([box, Buffer.alloc(16)]);
+};
+
+test('detects formats from their magic bytes', async () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Week').getCell('A1').value = 'Monday';
+  const docx = new JSZip().file('word/document.xml', '<w:document/>');
+  const zip = new JSZip().file('timetable.png', 'not really');
+
+  const detected = {
+    png: detectFileType(await png(10, 10)),
+    jpeg: detectFileType(await sharp(await png(10, 10)).jpeg().toBuffer()),
+    webp: detectFileType(await sharp(await png(10, 10)).webp().toBuffer()),
+    tiff: detectFileType(await sharp(await png(10, 10)).tiff().toBuffer()),
+    bigEndianTiff: detectFileType(Buffer.from('MM\0*\0\0\0\x08', 'latin1')),
+    heic: detectFileType(await readFile(new URL('./fixtures/images/red-blue.heic', import.meta.url))),
+    avif: detectFileType(ftyp('avif', 'mif1', 'miaf')),
+    heif: detectFileType(ftyp('mif1', 'miaf')),
+    video: detectFileType(ftyp('isom', 'mp41')),
+    gif: detectFileType(Buffer.from('GIF89a\x01\x00\x01\x00', 'latin1')),
+    pdf: detectFileType(buildPDF([blankPage])),
+    docx: detectFileType(await docx.generateAsync({ type: 'nodebuffer' })),
+    xlsx: detectFileType(Buffer.from(await workbook.xlsx.writeBuffer())),
+    zip: detectFileType(await zip.generateAsync({ type: 'nodebuffer' })),
+    cfb: detectFileType(Buffer.from('d0cf11e0a1b11ae10000000000000000', 'hex')),
+    text: detectFileType(Buffer.from('Monday 9:00 Maths')),
+    empty: detectFileType(Buffer.alloc(0)),
+  };
+
+  assert.deepEqual(detected, {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    tiff: 'image/tiff',
+    bigEndianTiff: 'image/tiff',
+    heic: 'image/heic',
+    avif: 'image/avif',
+    heif: 'image/heif',
+    video: null,
+    gif: 'image/gif',
+    pdf: 'application/pdf',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    zip: 'application/zip',
+    cfb: 'application/x-cfb',
+    text: null,
+    empty: null,
+  });
+});
+
+test('recognises a PDF only by a header at the start of the file', () => {
+  const pdf = buildPDF([blankPage]);
+
+  assert.equal(detectFileType(Buffer.concat([Buffer.from('\n'), pdf])), null);
+  assert.equal(detectFileType(Buffer.from('<html><body><pre>%PDF-1.4 sample</pre></body></html>')), null);
+});
+
+test('replaces a wrong declared type with the detected one, or rejects it in strict mode', async () => {
+  const pdf = buildPDF([blankPage]);
+
+  assert.deepEqual(await inspectFile(pdf, 'image/png'), {
+    mimeType: 'application/pdf',
+    declaredType: 'image/png',
+    corrected: true,
+  });
+  // Generic and alias types say nothing wrong about the content
+  assert.equal((await inspectFile(pdf, 'application/octet-stream')).corrected, false);
+  assert.equal((await inspectFile(await png(10, 10), 'image/x-png')).corrected, false);
+
+  config.strictFileTypes = true;
+  await assert.rejects(inspectFile(pdf, 'image/png'), { code: 'FILE_TYPE_MISMATCH' });
+});
+
+test('rejects content that is not a supported format, whatever its declared type', async () => {
+  await assert.rejects(inspectFile(Buffer.from('GIF89a\x01\x00\x01\x00', 'latin1'), 'image/png'), {
+    code: 'UNSUPPORTED_FILE_TYPE',
+    message: 'File content is image/gif, which is not supported',
+  });
+  await assert.rejects(inspectFile(Buffer.from('d0cf11e0a1b11ae10000000000000000', 'hex'), 'application/msword'), {
+    code: 'UNSUPPORTED_FILE_TYPE',
+    details: /Legacy \.doc\/\.xls files/,
+  });
+  await assert.rejects(inspectFile(Buffer.from('#!/bin/sh\nrm -rf /'), 'application/pdf'), {
+    code: 'UNSUPPORTED_FILE_TYPE',
+    message: 'File content is not a recognised image, PDF or Office document',
+  });
+});
+
+test('rejects images over the pixel limit from their header', async () => {
+  config.image.maxPixels = 1_000_000;
+
+  await checkFileLimits(await png(1000, 1000), 'image/png');
+  await assert.rejects(checkFileLimits(await png(1000, 1001), 'image/png'), {
+    code: 'IMAGE_TOO_LARGE',
+    message: 'Image is 1000 x 1001 pixels (1 megapixels); the limit is 1 megapixels',
+  });
+  // Left for the image processor to report
+  await checkFileLimits(Buffer.from('\x89PNG\r\n\x1a\nbroken', 'latin1'), 'image/png');
+});
+
+test('rejects PDFs with too many pages', async () => {
+  config.pdf.maxPages = 2;
+
+  await checkFileLimits(buildPDF([blankPage, blankPage]), 'application/pdf');
+  await assert.rejects(checkFileLimits(buildPDF([blankPage, blankPage, blankPage]), 'application/pdf'), {
+    code: 'PDF_TOO_MANY_PAGES',
+    message: 'The PDF has 3 pages; at most 2 are accepted',
+  });
+});
+
+test('rejects encrypted PDFs, including those that open without a password', async () => {
+  const restricted = buildPDF([blankPage], { encrypt: { ownerPassword: 'owner' } });
+  const locked = buildPDF([blankPage], { encrypt: { ownerPassword: 'owner', userPassword: 'user' } });
+
+  await assert.rejects(checkFileLimits(restricted, 'application/pdf'), {
+    code: 'PDF_ENCRYPTED',
+    message: 'The PDF is encrypted',
+  });
+  await assert.rejects(checkFileLimits(locked, 'application/pdf'), {
+    code: 'PDF_ENCRYPTED',
+    message: 'The PDF is password-protected',
+  });
+});
+
+test('answers 422 for an uploaded PDF protected against copying', async (t) => {
+  const complete = t.mock.method(getProvider('mock'), 'complete');
+  const server = await startApp(extractRoutes);
+  t.after(server.close);
+
+  const form = new FormData();
+  const pdf = buildPDF([blankPage], { encrypt: { ownerPassword: 'owner' } });
+  form.append('file', new Blob([pdf], { type: 'application/pdf' }), 'timetable.pdf');
+
+  const response = await fetch(`${server.url}/extract`, { method: 'POST', body: form });
+  const body = await response.json();
+
+  assert.equal(response.status, 422);
+  assert.equal(body.error.code, 'PDF_ENCRYPTED');
+  assert.equal(complete.mock.callCount(), 0);
+});
+
+test('checks the limits of files that did not come through an upload', async (t) => {
+  const complete = t.mock.method(getProvider('mock'), 'complete');
+  config.image.maxPixels = 10_000;
+  const large = await png(200, 100);
+  const small = await png(50, 50);
+
+  await assert.rejects(processFile(large, 'image/png', 'large.png'), { code: 'IMAGE_TOO_LARGE' });
+  // A batch fails as a whole, naming the file, before any page is extracted
+  await assert.rejects(
+    processFiles([
+      { buffer: small, mimetype: 'image/png', originalname: 'small.png' },
+      { buffer: large, mimetype: 'image/png', originalname: 'large.png' },
+    ]),
+    { code: 'IMAGE_TOO_LARGE', message: /^large\.png: Image is 200 x 100 pixels/ }
+  );
+  assert.equal(complete.mock.callCount(), 0);
+});
+
+test('renders pages with a huge MediaBox at a scale that fits the pixel limit', async () => {
+  config.image.maxPixels = 200_000;
+  const poster = buildPDF([{ width: 14400, height: 7200, text: [{ x: 100, y: 200, text: 'Monday', size: 400 }] }]);
+  const letter = buildPDF([{ width: 200, height: 100, text: [{ x: 10, y: 20, text: 'Monday' }] }]);
+
+  const { pages } = await renderPages(poster, { scale: 2 });
+  const { width, height } = await sharp(pages[0].buffer).metadata();
+  const small = (await renderPages(letter, { scale: 2 })).pages[0];
+
+  assert.ok(width * height <= 200_000, `${width} x ${height}`);
+  assert.deepEqual([pages[0].width, pages[0].height], [width, height]);
+  assert.ok(Math.abs(width / height - 2) < 0.01);
+  // Pages within the limit keep the requested scale
+  assert.deepEqual([small.width, small.height], [400, 200]);
+});
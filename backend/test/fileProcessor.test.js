@@ -0,0 +1,173 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { config } from '../src/config/index.js';
+import { processFile, processFiles } from '../src/services/fileProcessor.js';
+import { getProvider } from '../src/services/providers/index.js';
+import extractRoutes from '../src/routes/extract.js';
+import jobRoutes from '../src/routes/jobs.js';
+import { startApp } from './helpers/http.js';
+
+// Recorded responses for these files are in test/fixtures/llm
+const examplesDir = fileURLToPath(new URL('../../examples/', import.meta.url));
+
+const readExample = (name) => readFile(path.join(examplesDir, name));
+
+// An image without a recorded response, so its extraction fails
+const blankImage = () =>
+  sharp({ create: { width: 40, height: 40, channels: 3, background: '#ffffff' } })
+    .png()
+    .toBuffer();
+
+test('extracts a timetable image through the mock provider', async () => {
+  const result = await processFile(
+    await readExample('Teacher Timetable Example 1.1.png'),
+    'image/png',
+    'Teacher Timetable Example 1.1.png'
+  );
+
+  assert.equal(result.success, true);
+  assert.equal(result.metadata.extractionMethod, 'claude-vision');
+  assert.equal(result.metadata.provider, 'mock');
+  assert.equal(result.data.metadata.teacher_name, 'Miss Joynes');
+  assert.equal(result.data.timeblocks.length, 59);
+  assert.deepEqual(
+    result.data.timeblocks
+      .filter((block) => block.day === 'Friday' && block.start_time >= '10:35' && block.end_time <= '12:00')
+      .map((block) => [block.start_time, block.end_time, block.subject]),
+    [
+      ['10:35', '11:25', 'English'],
+      ['11:25', '12:00', 'RE'],
+    ]
+  );
+
+  // Short subjects and overlaps are re-asked; the recording confirms them
+  assert.equal(result.metadata.verification.mode, 'reask');
+  assert.equal(result.metadata.verification.status, 'completed');
+  assert.equal(result.metadata.verification.corrections, 0);
+  assert.ok(result.metadata.verification.checkedBlocks > 0);
+});
+
+test('extracts a text-layer PDF through the mock provider', async () => {
+  const result = await processFile(
+    await readExample('Teacher Timetable Example 2.pdf'),
+    'application/pdf',
+    'Teacher Timetable Example 2.pdf'
+  );
+
+  assert.equal(result.success, true);
+  assert.match(result.metadata.extractionMethod, /llm-text/);
+  assert.equal(result.data.metadata.class_name, '4M');
+  assert.equal(result.data.timeblocks.filter((block) => block.subject === 'Lunch').length, 5);
+});
+
+test('extracts a photographed timetable through the mock provider', async () => {
+  const result = await processFile(
+    await readExample('Teacher Timetable Example 4.jpeg'),
+    'image/jpeg',
+    'Teacher Timetable Example 4.jpeg'
+  );
+
+  assert.equal(result.success, true);
+  assert.deepEqual([...new Set(result.data.timeblocks.map((block) => block.day))], [
+    'Monday',
+    'Tuesday',
+    'Wednesday',
+    'Thursday',
+    'Friday',
+  ]);
+});
+
+test('reports an image without a recorded response as a processing error', async () => {
+  await assert.rejects(processFile(await blankImage(), 'image/png', 'blank.png'), (error) => {
+    assert.equal(error.code, 'IMAGE_PROCESSING_FAILED');
+    assert.match(error.message, /No recorded LLM response/);
+    return true;
+  });
+});
+
+test('rejects an unknown provider before extracting', async () => {
+  await assert.rejects(
+    processFile(await readExample('Teacher Timetable Example 4.jpeg'), 'image/jpeg', 'example.jpeg', { provider: 'nope' }),
+    { code: 'INVALID_LLM_PROVIDER' }
+  );
+});
+
+test('accepts only the default model or an allowed one as a per-request model', async (t) => {
+  const requests = [];
+  t.mock.method(getProvider('mock'), 'complete', async (request) => {
+    requests.push(request);
+    return {
+      text: JSON.stringify({
+        metadata: { extraction_confidence: 0.9 },
+        timeblocks: [{ day: 'Monday', start_time: '09:00', end_time: '10:00', subject: 'Maths' }],
+      }),
+      model: request.model,
+      usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 },
+    };
+  });
+  config.llm.providers.mock.allowedModels = ['mock-large'];
+  t.after(() => delete config.llm.providers.mock.allowedModels);
+  const image = await blankImage();
+
+  await assert.rejects(processFile(image, 'image/png', 'blank.png', { model: 'gpt-4-32k' }), {
+    code: 'INVALID_MODEL',
+    message: 'Model "gpt-4-32k" is not allowed for the mock provider',
+    details: 'Allowed models: mock, mock-large',
+  });
+  await assert.rejects(
+    processFiles([{ buffer: image, mimetype: 'image/png', originalname: 'blank.png' }], { model: 'gpt-4-32k' }),
+    { code: 'INVALID_MODEL' }
+  );
+  assert.equal(requests.length, 0);
+
+  await processFile(image, 'image/png', 'blank.png', { model: 'mock-large', cache: { read: false, write: false } });
+  assert.ok(requests.length > 0);
+  assert.ok(requests.every((request) => request.model === 'mock-large'));
+});
+
+test('answers 400 INVALID_MODEL to extraction and job requests for another model', async (t) => {
+  const server = await startApp(extractRoutes, jobRoutes);
+  t.after(server.close);
+
+  for (const path of ['/extract', '/jobs']) {
+    const form = new FormData();
+    form.append('file', new Blob([await blankImage()], { type: 'image/png' }), 'blank.png');
+
+    const response = await fetch(`${server.url}${path}?model=gpt-4-32k`, { method: 'POST', body: form });
+    const body = await response.json();
+
+    assert.equal(response.status, 400, path);
+    assert.equal(body.error.code, 'INVALID_MODEL');
+  }
+});
+
+test('merges a batch of files and reports the ones that failed', async () => {
+  const result = await processFiles([
+    { buffer: await readExample('Teacher Timetable Example 1.1.png'), mimetype: 'image/png', originalname: 'grid.png' },
+    { buffer: await blankImage(), mimetype: 'image/png', originalname: 'blank.png' },
+  ]);
+
+  assert.equal(result.success, true);
+  assert.equal(result.data.timeblocks.length, 59);
+  assert.ok(result.data.timeblocks.every((block) => block.source_file === 'grid.png'));
+  assert.deepEqual(result.metadata.files.map((file) => file.filename), ['grid.png']);
+  assert.equal(result.metadata.fileErrors.length, 1);
+  assert.equal(result.metadata.fileErrors[0].filename, 'blank.png');
+  assert.equal(result.metadata.fileErrors[0].code, 'IMAGE_PROCESSING_FAILED');
+  assert.match(result.metadata.fileErrors[0].message, /No recorded LLM response/);
+});
+
+test('fails a batch in which no file could be extracted', async () => {
+  await assert.rejects(
+    processFiles([{ buffer: await blankImage(), mimetype: 'image/png', originalname: 'blank.png' }]),
+    (error) => {
+      assert.equal(error.code, 'PROCESSING_FAILED');
+      assert.deepEqual(error.details.map((detail) => detail.filename), ['blank.png']);
+      return true;
+    }
+  );
+});
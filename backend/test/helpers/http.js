@@ -0,0 +1,21 @@
+import express from 'express';
+import { once } from 'events';
+
+/**
+ * Serve routers (and middleware) under /api on a free local port
+ * @param {...Function} handlers - Express routers or middleware, mounted in order
+ * @returns {Promise<Object>} { url, close } where url ends in /api
+ */
+export async function startApp(...handlers) {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', ...handlers);
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/api`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
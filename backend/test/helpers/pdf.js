@@ -0,0 +1,164 @@
+import { createHash } from 'crypto';
+import { deflateSync } from 'zlib';
+
+// Padding string of the standard security handler (PDF 1.7, 7.6.3.3)
+const PASSWORD_PADDING = Buffer.from('28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a', 'hex');
+
+/**
+ * Build a small PDF in memory, so tests don't need binary PDF files
+ * @param {Array<Object>} pages - Each { width, height } in points plus either
+ *   image: { data, width, height, filter } (a JPEG for DCTDecode, raw RGB for FlateDecode)
+ *   or text: [{ x, y, text, size }] drawn in Helvetica (y from the top of the page)
+ * @param {Object} [options] - { trailer: extra trailer entries, encrypt: { ownerPassword, userPassword } };
+ *   encrypt protects the file with 40-bit RC4. Without a user password it opens without one but may
+ *   not be printed or copied
+ * @returns {Buffer}
+ */
+export function buildPDF(pages, options = {}) {
+  const objects = [];
+  const add = (body) => objects.push(body) && objects.length;
+
+  const catalog = add(null);
+  const pageTree = add(null);
+  const font = add(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'));
+  const kids = [];
+
+  for (const page of pages) {
+    let content;
+    let resources;
+
+    if (page.image) {
+      const { data, width, height, filter = 'DCTDecode' } = page.image;
+      const bytes = filter === 'FlateDecode' ? deflateSync(data) : data;
+      const image = add(
+        stream(
+          `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /${filter}`,
+          bytes
+        )
+      );
+      content = `q ${page.width} 0 0 ${page.height} 0 0 cm /Im0 Do Q`;
+      resources = `<< /XObject << /Im0 ${image} 0 R >> >>`;
+    } else {
+      content = (page.text || [])
+        .map(({ x, y, text, size = 10 }) => `BT /F0 ${size} Tf ${x} ${page.height - y} Td (${escape(text)}) Tj ET`)
+        .join('\n');
+      resources = `<< /Font << /F0 ${font} 0 R >> >>`;
+    }
+
+    const contents = add(stream('', Buffer.from(content, 'latin1')));
+    kids.push(
+      add(
+        Buffer.from(
+          `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${page.width} ${page.height}] ` +
+            `/Resources ${resources} /Contents ${contents} 0 R >>`
+        )
+      )
+    );
+  }
+
+  objects[catalog - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pageTree} 0 R >>`);
+  objects[pageTree - 1] = Buffer.from(
+    `<< /Type /Pages /Kids [${kids.map((kid) => `${kid} 0 R`).join(' ')}] /Count ${kids.length} >>`
+  );
+
+  const security = options.encrypt && standardSecurity(options.encrypt);
+  const trailer = [options.trailer || ''];
+
+  if (security) {
+    trailer.push(`/Encrypt ${add(Buffer.from(security.dictionary))} 0 R /ID [<${security.id}> <${security.id}>]`);
+  }
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  const offsets = [];
+  let length = chunks[0].length;
+
+  objects.forEach((object, index) => {
+    const body = Buffer.isBuffer(object) ? object : writeStream(object, security?.objectKey(index + 1));
+    const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+    offsets.push(length);
+    chunks.push(chunk);
+    length += chunk.length;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalog} 0 R ${trailer.join(' ')} >>`,
+    'startxref',
+    String(length),
+    '%%EOF',
+    '',
+  ].join('\n');
+
+  return Buffer.concat([...chunks, Buffer.from(xref, 'latin1')]);
+}
+
+// Streams are written last, once their object number (and so their encryption key) is known
+function stream(dictionary, bytes) {
+  return { dictionary, bytes };
+}
+
+function writeStream({ dictionary, bytes }, key) {
+  const data = key ? rc4(key, bytes) : bytes;
+
+  return Buffer.concat([
+    Buffer.from(`<< ${dictionary} /Length ${data.length} >>\nstream\n`),
+    data,
+    Buffer.from('\nendstream'),
+  ]);
+}
+
+/**
+ * Revision 2 of the standard security handler (PDF 1.7, 7.6.3)
+ * @returns {Object} { dictionary, id, objectKey(objectNumber) }
+ */
+function standardSecurity({ ownerPassword, userPassword = '' }) {
+  const md5 = (...parts) => createHash('md5').update(Buffer.concat(parts)).digest();
+  const pad = (password) => Buffer.concat([Buffer.from(password, 'latin1'), PASSWORD_PADDING]).subarray(0, 32);
+  // Printing and copying are not allowed
+  const permissions = -64;
+  const id = md5(Buffer.from(ownerPassword, 'latin1'));
+
+  const owner = rc4(md5(pad(ownerPassword)).subarray(0, 5), pad(userPassword));
+  const permissionBytes = Buffer.alloc(4);
+  permissionBytes.writeInt32LE(permissions);
+  const fileKey = md5(pad(userPassword), owner, permissionBytes, id).subarray(0, 5);
+  const user = rc4(fileKey, PASSWORD_PADDING);
+
+  return {
+    dictionary:
+      `<< /Filter /Standard /V 1 /R 2 /O <${owner.toString('hex')}> /U <${user.toString('hex')}> ` +
+      `/P ${permissions} >>`,
+    id: id.toString('hex'),
+    // Object number (3 bytes) and generation (2 bytes), little-endian
+    objectKey: (number) =>
+      md5(fileKey, Buffer.from([number & 0xff, (number >> 8) & 0xff, number >> 16, 0, 0])).subarray(0, 10),
+  };
+}
+
+function rc4(key, data) {
+  const state = Array.from({ length: 256 }, (_, i) => i);
+
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + state[i] + key[i % key.length]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+  }
+
+  const output = Buffer.alloc(data.length);
+
+  for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+    i = (i + 1) & 0xff;
+    j = (j + state[i]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+    output[n] = data[n] ^ state[(state[i] + state[j]) & 0xff];
+  }
+
+  return output;
+}
+
+function escape(text) {
+  return text.replace(/[\\()]/g, (char) => `\\${char}`);
+}
@@ -0,0 +1,29 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Loaded with `node --import` before every test file: the environment is set before
+ * the config module reads it, so tests run offline against in-memory stores and the
+ * mock LLM provider's recorded responses. dotenv never overrides these values.
+ */
+
+const testDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  STORAGE_DRIVER: 'memory',
+  JOB_STORE: 'memory',
+  CACHE_ENABLED: 'false',
+  // Switched on by the tests that cover authentication
+  AUTH_ENABLED: 'false',
+  ENABLE_OCR: 'false',
+  LLM_PROVIDER: 'mock',
+  LLM_MOCK_FIXTURES_DIR: path.join(testDir, 'fixtures', 'llm'),
+  // Real providers stay unconfigured, so nothing can reach the network
+  OPENAI_API_KEY: '',
+  ANTHROPIC_API_KEY: '',
+  LOCAL_LLM_BASE_URL: '',
+});
+
+const { default: logger } = await import('../../src/utils/logger.js');
+logger.silent = !process.env.TEST_LOGS;
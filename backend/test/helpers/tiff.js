@@ -0,0 +1,50 @@
+/**
+ * Build an uncompressed multi-page RGB TIFF in memory (sharp writes only single-page TIFFs)
+ * @param {Array<Object>} pages - Each { width, height, data } with data as raw 8-bit RGB
+ * @returns {Buffer}
+ */
+export function buildTIFF(pages) {
+  const ENTRIES = 10;
+  const ifdSize = 2 + ENTRIES * 12 + 4;
+  const chunks = [Buffer.from([0x49, 0x49, 0x2a, 0x00, 0x08, 0x00, 0x00, 0x00])];
+  let offset = 8;
+
+  pages.forEach(({ width, height, data }, index) => {
+    // IFD, then the three BitsPerSample values, then the pixels
+    const bitsOffset = offset + ifdSize;
+    const dataOffset = bitsOffset + 6;
+    const next = index < pages.length - 1 ? dataOffset + data.length : 0;
+
+    const ifd = Buffer.alloc(ifdSize + 6);
+    ifd.writeUInt16LE(ENTRIES, 0);
+    [
+      [256, 4, 1, width], // ImageWidth
+      [257, 4, 1, height], // ImageLength
+      [258, 3, 3, bitsOffset], // BitsPerSample
+      [259, 3, 1, 1], // Compression: none
+      [262, 3, 1, 2], // PhotometricInterpretation: RGB
+      [273, 4, 1, dataOffset], // StripOffsets
+      [277, 3, 1, 3], // SamplesPerPixel
+      [278, 4, 1, height], // RowsPerStrip
+      [279, 4, 1, data.length], // StripByteCounts
+      [284, 3, 1, 1], // PlanarConfiguration: chunky
+    ].forEach(([tag, type, count, value], i) => {
+      const at = 2 + i * 12;
+      ifd.writeUInt16LE(tag, at);
+      ifd.writeUInt16LE(type, at + 2);
+      ifd.writeUInt32LE(count, at + 4);
+      if (type === 3 && count === 1) {
+        ifd.writeUInt16LE(value, at + 8);
+      } else {
+        ifd.writeUInt32LE(value, at + 8);
+      }
+    });
+    ifd.writeUInt32LE(next, 2 + ENTRIES * 12);
+    [8, 8, 8].forEach((bits, i) => ifd.writeUInt16LE(bits, ifdSize + i * 2));
+
+    chunks.push(ifd, data);
+    offset = dataOffset + data.length;
+  });
+
+  return Buffer.concat(chunks);
+}
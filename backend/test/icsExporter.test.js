@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportToICS } from '../src/services/exporters/icsExporter.js';
+
+const timetable = {
+  metadata: { teacher_name: 'Miss Joynes', class_name: '2EJ', term: 'Spring 2025', school_name: null, extraction_confidence: 0.9 },
+  timeblocks: [
+    { day: 'Monday', start_time: '9:00', end_time: '9:30', subject: 'Maths', subject_type: 'academic', notes: 'Fractions; ratios, decimals' },
+    { day: 'Wednesday', start_time: '10:20', end_time: '10:35', subject: 'Break', subject_type: 'break', notes: null },
+  ],
+};
+
+/**
+ * Unfold an iCalendar document and split it into its events' properties
+ */
+function parseEvents(ics) {
+  const lines = ics.replace(/\r\n /g, '').split('\r\n');
+  const events = [];
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') events.push({});
+    else if (events.length && line !== 'END:VEVENT' && !events.at(-1).done) {
+      const [name, ...value] = line.split(':');
+      events.at(-1)[name.split(';')[0]] = { params: name, value: value.join(':') };
+    }
+    if (line === 'END:VEVENT') events.at(-1).done = true;
+  }
+
+  return events;
+}
+
+test('exports each block as a weekly event starting on its first day in the term', () => {
+  const ics = exportToICS(timetable, { termStart: '2025-01-08', termEnd: '2025-04-04', timezone: 'Europe/London' });
+  const [maths, breakTime] = parseEvents(ics);
+
+  assert.match(ics, /^BEGIN:VCALENDAR\r\nVERSION:2\.0\r\n/);
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.match(ics, /X-WR-CALNAME:2EJ - Miss Joynes - Timetable/);
+
+  // 2025-01-08 is a Wednesday: Monday's first occurrence is the 13th
+  assert.equal(maths.DTSTART.params, 'DTSTART;TZID=Europe/London');
+  assert.equal(maths.DTSTART.value, '20250113T090000');
+  assert.equal(maths.DTEND.value, '20250113T093000');
+  assert.equal(breakTime.DTSTART.value, '20250108T102000');
+
+  // UNTIL is the end of the last day of term (BST) in UTC
+  assert.equal(maths.RRULE.value, 'FREQ=WEEKLY;BYDAY=MO;UNTIL=20250404T225959Z');
+  assert.equal(maths.SUMMARY.value, 'Maths');
+  assert.match(maths.DESCRIPTION.value, /^Fractions\\; ratios\\, decimals\\nType: academic\\nTeacher: Miss Joynes/);
+  assert.equal(breakTime.TRANSP.value, 'TRANSPARENT');
+});
+
+test('describes the daylight saving change that falls within the term', () => {
+  const ics = exportToICS(timetable, { termStart: '2025-01-08', termEnd: '2025-04-04', timezone: 'Europe/London' });
+  const zone = ics.slice(ics.indexOf('BEGIN:VTIMEZONE'), ics.indexOf('END:VTIMEZONE'));
+
+  assert.match(zone, /TZID:Europe\/London/);
+  assert.match(zone, /BEGIN:DAYLIGHT\r\nDTSTART:20250330T010000\r\nTZOFFSETFROM:\+0000\r\nTZOFFSETTO:\+0100/);
+});
+
+test('writes UTC times without a VTIMEZONE when exporting in UTC', () => {
+  const ics = exportToICS(timetable, { termStart: '2025-01-06', timezone: 'UTC' });
+  const [maths] = parseEvents(ics);
+
+  assert.doesNotMatch(ics, /VTIMEZONE/);
+  assert.equal(maths.DTSTART.value, '20250106T090000Z');
+  assert.equal(maths.RRULE.value, 'FREQ=WEEKLY;BYDAY=MO');
+});
+
+test('leaves out breaks on request and keeps UIDs stable between exports', () => {
+  const first = parseEvents(exportToICS(timetable, { termStart: '2025-01-06', skipBreaks: 'true' }));
+  const second = parseEvents(exportToICS(timetable, { termStart: '2025-02-03' }));
+
+  assert.deepEqual(first.map((event) => event.SUMMARY.value), ['Maths']);
+  assert.equal(first[0].UID.value, second[0].UID.value);
+});
+
+test('folds long lines at 75 octets', () => {
+  const long = { ...timetable, timeblocks: [{ ...timetable.timeblocks[0], subject: 'Science and Engineering '.repeat(6) }] };
+  const ics = exportToICS(long, { termStart: '2025-01-06' });
+
+  assert.ok(ics.split('\r\n').every((line) => Buffer.byteLength(line) <= 75));
+  assert.equal(parseEvents(ics)[0].SUMMARY.value, long.timeblocks[0].subject);
+});
+
+test('rejects invalid export options', () => {
+  for (const options of [
+    { timezone: 'Mars/Olympus' },
+    { termStart: '08/01/2025' },
+    { termStart: '2025-02-30' },
+    { termStart: '2025-04-04', termEnd: '2025-01-08' },
+  ]) {
+    assert.throws(() => exportToICS(timetable, options), { code: 'INVALID_EXPORT_OPTIONS' });
+  }
+});
@@ -0,0 +1,149 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import sharp from 'sharp';
+import { config } from '../src/config/index.js';
+import { processConvertedImage } from '../src/services/imageFormatProcessor.js';
+import { detectFileType } from '../src/services/fileInspector.js';
+import { processFile } from '../src/services/fileProcessor.js';
+import { getProvider } from '../src/services/providers/index.js';
+import { buildTIFF } from './helpers/tiff.js';
+
+const original = { ...config.image, tiling: { ...config.image.tiling } };
+
+afterEach(() => {
+  Object.assign(config.image, original, { tiling: { ...original.tiling } });
+});
+
+// 96x64 HEVC-encoded HEIC: red left half, blue right half. sharp's prebuilt binaries can read
+// its container but not decode it, like an iPhone photo.
+const heicPhoto = () => readFile(new URL('./fixtures/images/red-blue.heic', import.meta.url));
+
+/**
+ * Answer every vision request with one lesson named after the request's position;
+ * returns the requests received
+ */
+function answerLessons(t) {
+  const requests = [];
+
+  t.mock.method(getProvider('mock'), 'complete', async (request) => {
+    requests.push(request);
+    const hour = String(8 + requests.length).padStart(2, '0');
+    return {
+      text: JSON.stringify({
+        metadata: { extraction_confidence: 0.9 },
+        timeblocks: [
+          { day: 'Monday', start_time: `${hour}:00`, end_time: `${hour}:30`, subject: `Lesson ${requests.length}` },
+        ],
+      }),
+      model: 'mock',
+      usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 },
+    };
+  });
+
+  return requests;
+}
+
+/**
+ * Mean RGB of a vertical band of the image, from `left` to `right` as fractions of its width
+ */
+async function meanColour(buffer, left, right) {
+  const { data, info } = await sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const sum = [0, 0, 0];
+  let count = 0;
+
+  for (let y = 0; y < info.height; y++) {
+    for (let x = Math.floor(info.width * left); x < Math.floor(info.width * right); x++) {
+      const at = (y * info.width + x) * info.channels;
+      [0, 1, 2].forEach((channel) => (sum[channel] += data[at + channel]));
+      count++;
+    }
+  }
+
+  return sum.map((total) => Math.round(total / count));
+}
+
+test('decodes HEIC photos that sharp cannot, and sends them on as JPEG', async (t) => {
+  const requests = answerLessons(t);
+
+  const result = await processConvertedImage(await heicPhoto(), 'image/heic');
+  const sent = requests[0].image;
+  const { format, width, height } = await sharp(sent.buffer).metadata();
+  const [leftRed, , leftBlue] = await meanColour(sent.buffer, 0.1, 0.4);
+  const [rightRed, , rightBlue] = await meanColour(sent.buffer, 0.6, 0.9);
+
+  assert.match(result.extractionMethod, /^heic-convert \+ /);
+  assert.equal(result.data.timeblocks[0].subject, 'Lesson 1');
+  assert.equal(sent.mimeType, 'image/jpeg');
+  assert.deepEqual([format, width, height], ['jpeg', 96, 64]);
+  // Preprocessing stretches the contrast, so the halves are compared rather than matched exactly
+  assert.ok(leftRed - leftBlue > 80, `left ${leftRed},${leftBlue}`);
+  assert.ok(rightBlue - rightRed > 80, `right ${rightRed},${rightBlue}`);
+});
+
+test('accepts HEIC uploads recognised by their content', async (t) => {
+  answerLessons(t);
+  const photo = await heicPhoto();
+
+  assert.equal(detectFileType(photo), 'image/heic');
+
+  const result = await processFile(photo, 'image/heic', 'IMG_0001.HEIC');
+
+  assert.equal(result.success, true);
+  assert.match(result.metadata.extractionMethod, /^heic-convert/);
+});
+
+test('refuses HEIC photos over the pixel limit before decoding them', async (t) => {
+  const complete = t.mock.method(getProvider('mock'), 'complete');
+  config.image.maxPixels = 96 * 64 - 1;
+
+  await assert.rejects(processConvertedImage(await heicPhoto(), 'image/heic'), { code: 'IMAGE_TOO_LARGE' });
+  assert.equal(complete.mock.callCount(), 0);
+});
+
+test('converts WebP photos to JPEG and WebP graphics with transparency to PNG', async (t) => {
+  const requests = answerLessons(t);
+  const webp = (channels) =>
+    sharp({ create: { width: 120, height: 80, channels, background: { r: 255, g: 255, b: 255, alpha: 0.5 } } })
+      .webp()
+      .toBuffer();
+
+  const photo = await processConvertedImage(await webp(3), 'image/webp');
+  await processConvertedImage(await webp(4), 'image/webp');
+
+  assert.match(photo.extractionMethod, /^webp-convert \+ /);
+  assert.deepEqual(
+    requests.map((request) => request.image.mimeType),
+    ['image/jpeg', 'image/png']
+  );
+});
+
+test('extracts each page of a multi-page TIFF and merges them with their page numbers', async (t) => {
+  const requests = answerLessons(t);
+  const page = (shade) => ({ width: 100, height: 80, data: Buffer.alloc(100 * 80 * 3, shade) });
+  const scan = buildTIFF([page(255), page(240), page(220)]);
+  config.image.maxPages = 2;
+
+  const result = await processConvertedImage(scan, 'image/tiff');
+
+  assert.equal(requests.length, 2);
+  assert.match(result.extractionMethod, /^tiff-convert \+ /);
+  assert.deepEqual(
+    result.data.timeblocks.map((block) => [block.subject, block.source_page]),
+    [
+      ['Lesson 1', 1],
+      ['Lesson 2', 2],
+    ]
+  );
+  assert.equal(result.metadata.pagesTotal, 3);
+  assert.equal(result.metadata.pagesProcessed, 2);
+  assert.deepEqual(result.metadata.pagesExtracted, [1, 2]);
+});
+
+test('reports an image that cannot be decoded', async () => {
+  await assert.rejects(processConvertedImage(Buffer.from('not a photo'), 'image/webp'), (error) => {
+    assert.equal(error.code, 'IMAGE_PROCESSING_FAILED');
+    assert.match(error.message, /^Could not read the image/);
+    return true;
+  });
+});
@@ -0,0 +1,280 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { config } from '../src/config/index.js';
+import { preprocessImage, prepareForOCR, stripMetadata } from '../src/services/imagePreprocessor.js';
+import { processImage } from '../src/services/imageProcessor.js';
+import { getProvider } from '../src/services/providers/index.js';
+import { renderTileNote } from '../src/services/prompts/index.js';
+
+const original = { ...config.image, tiling: { ...config.image.tiling } };
+
+afterEach(() => {
+  Object.assign(config.image, original, { tiling: { ...original.tiling } });
+});
+
+/**
+ * A printed page: white, with twelve ruled lines across its middle, turned by `angle` degrees
+ */
+function ruledPage(width, height, angle = 0) {
+  const lines = Array.from(
+    { length: 12 },
+    (_, i) =>
+      `<rect x="${width * 0.15}" y="${height * 0.15 + i * height * 0.06}" width="${width * 0.7}" ` +
+      `height="${Math.max(2, height * 0.012)}" fill="black"/>`
+  );
+
+  return sharp(
+    Buffer.from(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+        '<rect width="100%" height="100%" fill="white"/>' +
+        `<g transform="rotate(${angle} ${width / 2} ${height / 2})">${lines.join('')}</g></svg>`
+    )
+  );
+}
+
+const stepNames = (result) => result.steps.map((step) => step.step);
+
+/**
+ * A ruled sheet photographed at an angle on a dark surface, with its corners at
+ * [topLeft, topRight, bottomRight, bottomLeft] in a 1000 x 1000 photo
+ */
+function photographedSheet(corners) {
+  const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+  const along = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+  const lines = Array.from({ length: 12 }, (_, i) => {
+    const left = along(topLeft, bottomLeft, 0.15 + i * 0.06);
+    const right = along(topRight, bottomRight, 0.15 + i * 0.06);
+    const [from, to] = [along(left, right, 0.15), along(left, right, 0.85)];
+    return `<line x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}" stroke="black" stroke-width="8"/>`;
+  });
+
+  return sharp(
+    Buffer.from(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="1000" height="1000">' +
+        '<rect width="100%" height="100%" fill="rgb(60,60,60)"/>' +
+        `<polygon points="${corners.map(({ x, y }) => `${x},${y}`).join(' ')}" fill="white"/>` +
+        `${lines.join('')}</svg>`
+    )
+  )
+    .jpeg()
+    .toBuffer();
+}
+
+test('turns photos upright using their EXIF orientation', async () => {
+  config.image.crop = false;
+  const photo = await ruledPage(400, 200).jpeg().withMetadata({ orientation: 6 }).toBuffer();
+
+  const result = await preprocessImage(photo, 'image/jpeg');
+  const { width, height } = await sharp(result.buffer).metadata();
+
+  assert.deepEqual(result.steps[0], { step: 'auto_rotate', orientation: 6 });
+  assert.deepEqual([width, height], [200, 400]);
+});
+
+test('crops a sheet photographed on a darker surface', async () => {
+  const sheet = await ruledPage(600, 800).png().toBuffer();
+  const photo = await sharp({ create: { width: 1000, height: 1000, channels: 3, background: { r: 60, g: 60, b: 60 } } })
+    .composite([{ input: sheet, left: 200, top: 100 }])
+    .jpeg()
+    .toBuffer();
+
+  const { steps } = await preprocessImage(photo, 'image/jpeg');
+  const crop = steps.find((step) => step.step === 'crop');
+
+  // The sheet with a small margin, and none of the surface beyond it
+  assert.ok(crop.left >= 180 && crop.left <= 200, `left ${crop.left}`);
+  assert.ok(crop.top >= 80 && crop.top <= 100, `top ${crop.top}`);
+  assert.ok(crop.left + crop.width >= 800 && crop.left + crop.width <= 820, `right ${crop.left + crop.width}`);
+  assert.ok(crop.top + crop.height >= 900 && crop.top + crop.height <= 920, `bottom ${crop.top + crop.height}`);
+  // Upright, so there was no perspective to correct
+  assert.ok(!steps.some((step) => step.step === 'perspective'));
+});
+
+test('maps a sheet photographed at an angle onto an upright rectangle', async () => {
+  const corners = [
+    { x: 300, y: 120 },
+    { x: 760, y: 150 },
+    { x: 880, y: 900 },
+    { x: 150, y: 860 },
+  ];
+  const photo = await photographedSheet(corners);
+
+  const result = await preprocessImage(photo, 'image/jpeg');
+  const found = result.steps.find((step) => step.step === 'perspective');
+  const { data, info } = await sharp(result.buffer).greyscale().raw().toBuffer({ resolveWithObject: true });
+
+  assert.deepEqual(stepNames(result).slice(0, 2), ['perspective', 'crop']);
+  found.corners.forEach(({ x, y }, i) => {
+    assert.ok(Math.hypot(x - corners[i].x, y - corners[i].y) < 5, `corner ${i + 1} at ${x},${y}`);
+  });
+  // None of the surface is left along the edges
+  let darkest = 255;
+  for (let y = 0; y < info.height; y++) {
+    for (const x of [0, info.width - 1]) darkest = Math.min(darkest, data[y * info.width + x]);
+  }
+  assert.ok(darkest > 200, `darkest edge pixel ${darkest}`);
+
+  config.image.perspective = false;
+  assert.ok(!stepNames(await preprocessImage(photo, 'image/jpeg')).includes('perspective'));
+});
+
+test('leaves a sheet alone that is not four-sided', async () => {
+  const disc = await sharp(
+    Buffer.from(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="1000" height="1000">' +
+        '<rect width="100%" height="100%" fill="rgb(60,60,60)"/><circle cx="500" cy="500" r="400" fill="white"/></svg>'
+    )
+  )
+    .png()
+    .toBuffer();
+
+  assert.ok(!stepNames(await preprocessImage(disc, 'image/png')).includes('perspective'));
+});
+
+test('preprocesses large images at a working resolution, reporting full-resolution pixels', async () => {
+  // The photo of the crop test at twice the size, decoded at 1000 pixels
+  Object.assign(config.image, { maxDimension: 500, deskew: false });
+  const sheet = await ruledPage(1200, 1600).png().toBuffer();
+  const photo = await sharp({ create: { width: 2000, height: 2000, channels: 3, background: { r: 60, g: 60, b: 60 } } })
+    .composite([{ input: sheet, left: 400, top: 200 }])
+    .jpeg()
+    .toBuffer();
+
+  const { steps } = await preprocessImage(photo, 'image/jpeg');
+  const crop = steps.find((step) => step.step === 'crop');
+  const resize = steps.find((step) => step.step === 'resize');
+
+  assert.ok(crop.left >= 360 && crop.left <= 400, `left ${crop.left}`);
+  assert.ok(crop.top >= 160 && crop.top <= 200, `top ${crop.top}`);
+  assert.ok(crop.left + crop.width >= 1600 && crop.left + crop.width <= 1640, `right ${crop.left + crop.width}`);
+  assert.ok(crop.top + crop.height >= 1800 && crop.top + crop.height <= 1840, `bottom ${crop.top + crop.height}`);
+  assert.ok(Math.abs(resize.from.width - crop.width) <= 2 && Math.abs(resize.from.height - crop.height) <= 2);
+  assert.equal(Math.max(resize.to.width, resize.to.height), 500);
+});
+
+test('straightens tilted lines', async () => {
+  const fallingRight = await preprocessImage(await ruledPage(800, 800, 4).png().toBuffer(), 'image/png');
+  const risingRight = await preprocessImage(await ruledPage(800, 800, -3).png().toBuffer(), 'image/png');
+  const level = await preprocessImage(await ruledPage(800, 800).png().toBuffer(), 'image/png');
+
+  assert.deepEqual(fallingRight.steps.find((step) => step.step === 'deskew'), { step: 'deskew', angle: 4 });
+  assert.deepEqual(risingRight.steps.find((step) => step.step === 'deskew'), { step: 'deskew', angle: -3 });
+  assert.ok(!stepNames(level).includes('deskew'));
+});
+
+test('fits large images within maxDimension and reports only the steps that changed them', async () => {
+  Object.assign(config.image, { crop: false, deskew: false });
+  const result = await preprocessImage(await ruledPage(3000, 1000).png().toBuffer(), 'image/png');
+
+  assert.deepEqual(result.steps, [
+    { step: 'resize', from: { width: 3000, height: 1000 }, to: { width: 2000, height: 667 } },
+    { step: 'normalize' },
+  ]);
+  assert.equal(result.mimeType, 'image/png');
+  assert.equal(result.tiles, null);
+});
+
+test('returns the original image when it cannot be read', async () => {
+  const broken = Buffer.from('not an image');
+
+  assert.deepEqual(await preprocessImage(broken, 'image/png'), {
+    buffer: broken,
+    mimeType: 'image/png',
+    steps: [],
+    tiles: null,
+  });
+});
+
+test('cuts very large images into tiles that repeat the leading strip', async () => {
+  Object.assign(config.image, { crop: false, deskew: false });
+  config.image.tiling.enabled = true;
+
+  const { steps, tiles } = await preprocessImage(await ruledPage(4000, 1500).png().toBuffer(), 'image/png');
+
+  assert.deepEqual(steps[0], { step: 'tiling', tiles: 3, columns: 3, rows: 1 });
+  assert.deepEqual(
+    tiles.map(({ index, count, column, row, headers, region }) => ({ index, count, column, row, headers, region })),
+    [480, 1480, 2480].map((left, i) => ({
+      index: i + 1,
+      count: 3,
+      column: i + 1,
+      row: 1,
+      headers: { top: false, left: true },
+      region: { left, top: 0, width: 1520, height: 1500 },
+    }))
+  );
+
+  for (const tile of tiles) {
+    const { width, height } = await sharp(tile.buffer).metadata();
+    assert.deepEqual([width, height], [2000, 1500]);
+  }
+});
+
+test('extracts a tiled image tile by tile, telling the model which tile it sees', async (t) => {
+  Object.assign(config.image, { crop: false, deskew: false });
+  config.image.tiling.enabled = true;
+
+  const requests = [];
+  t.mock.method(getProvider('mock'), 'complete', async (request) => {
+    requests.push(request);
+    const hour = String(8 + requests.length).padStart(2, '0');
+    const block = { day: 'Monday', start_time: `${hour}:00`, end_time: `${hour}:30` };
+    return {
+      text: JSON.stringify({
+        metadata: { extraction_confidence: 0.9 },
+        timeblocks: [{ ...block, subject: `Lesson ${requests.length}`, subject_type: 'academic' }],
+      }),
+      model: 'mock',
+      usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 },
+    };
+  });
+
+  const result = await processImage(await ruledPage(4000, 1500).png().toBuffer(), 'image/png');
+
+  assert.equal(requests.length, 3);
+  assert.match(requests[0].prompt, /This image is tile 1 of 3 \(column 1, row 1\)/);
+  assert.match(requests[2].prompt, /This image is tile 3 of 3 \(column 3, row 1\)/);
+  assert.deepEqual(
+    result.data.timeblocks.map((block) => block.subject),
+    ['Lesson 1', 'Lesson 2', 'Lesson 3']
+  );
+  assert.ok(result.metadata.preprocessing.steps.some((step) => step.step === 'tiling'));
+  // Verification re-checks the whole image, not a tile
+  assert.equal((await sharp(result.source.image.buffer).metadata()).width, 2000);
+});
+
+test('describes an image tile and the header strips repeated on it', () => {
+  const note = renderTileNote({ index: 2, count: 4, column: 2, row: 1, headers: { top: true, left: false } });
+  const plain = renderTileNote({ index: 1, count: 2, column: 1, row: 1, headers: { top: false, left: false } });
+
+  assert.match(note, /^This image is tile 2 of 4 \(column 2, row 1\)/);
+  assert.match(note, /The top strip of the photo is repeated along the top edge/);
+  assert.doesNotMatch(plain, /repeated/);
+});
+
+test('binarizes images for OCR unless thresholding is off', async () => {
+  const page = await ruledPage(600, 800).png().toBuffer();
+
+  const { buffer, steps } = await prepareForOCR(page);
+  const pixels = new Set(await sharp(buffer).raw().toBuffer());
+
+  assert.deepEqual(steps, [{ step: 'adaptive_threshold', sigma: 8, offset: 20 }]);
+  assert.deepEqual([...pixels].sort((a, b) => a - b), [0, 255]);
+
+  config.image.ocrThreshold = false;
+  assert.deepEqual(await prepareForOCR(page), { buffer: page, steps: [] });
+});
+
+test('removes EXIF metadata before an image is sent, keeping it upright', async () => {
+  const photo = await ruledPage(400, 200).jpeg().withMetadata({ orientation: 6 }).toBuffer();
+  const plain = await ruledPage(400, 200).png().toBuffer();
+
+  const stripped = await stripMetadata({ buffer: photo, mimeType: 'image/jpeg' });
+  const metadata = await sharp(stripped.buffer).metadata();
+
+  assert.deepEqual(stripped.removed, ['exif']);
+  assert.equal(metadata.exif, undefined);
+  assert.deepEqual([metadata.width, metadata.height], [200, 400]);
+  assert.equal((await stripMetadata({ buffer: plain, mimeType: 'image/png' })).buffer, plain);
+});
@@ -0,0 +1,232 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { createHmac, randomUUID } from 'crypto';
+import { readFile } from 'fs/promises';
+import { once } from 'events';
+import { config } from '../src/config/index.js';
+import * as jobService from '../src/services/jobService.js';
+import { getJobStore } from '../src/services/jobStores/index.js';
+import { getProvider } from '../src/services/providers/index.js';
+import { isPublicAddress } from '../src/utils/network.js';
+import jobRoutes from '../src/routes/jobs.js';
+import { startApp } from './helpers/http.js';
+
+const settings = { ...config.jobs };
+after(() => Object.assign(config.jobs, settings));
+
+const photo = () => readFile(new URL('../../examples/Teacher Timetable Example 4.jpeg', import.meta.url));
+
+/**
+ * Poll a job until it has finished and its callback (if any) has been attempted
+ */
+async function waitForJob(id) {
+  for (let i = 0; i < 200; i++) {
+    const job = await jobService.getJob(id);
+    if (['completed', 'failed'].includes(job.status) && job.callback?.status !== 'pending') {
+      return job;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+test('isPublicAddress refuses private, loopback, link-local and mapped addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '64:ff9b::a00:1', 'localhost']) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+  for (const address of ['93.184.216.34', '8.8.8.8', '2606:2800:220:1:248:1893:25c8:1946', '::ffff:8.8.8.8']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+});
+
+test('checkCallbackUrl accepts public http(s) URLs only', async () => {
+  Object.assign(config.jobs, { callbackHosts: null, allowPrivateCallbacks: false });
+
+  assert.equal((await jobService.checkCallbackUrl('https://93.184.216.34/hook')).pathname, '/hook');
+
+  for (const url of ['not a url', 'ftp://93.184.216.34/hook', 'http://127.0.0.1:4012/api', 'http://localhost/hook', 'http://[::1]/hook', 'http://169.254.169.254/latest/meta-data', 'http://[::ffff:a00:1]/hook', 'http://10.0.0.5/hook']) {
+    await assert.rejects(jobService.checkCallbackUrl(url), { code: 'INVALID_CALLBACK_URL' }, url);
+  }
+});
+
+test('checkCallbackUrl applies the callback host allow-list', async () => {
+  Object.assign(config.jobs, { callbackHosts: ['93.184.216.34', '*.example.org'], allowPrivateCallbacks: true });
+
+  await jobService.checkCallbackUrl('https://93.184.216.34/hook');
+  await jobService.checkCallbackUrl('https://hooks.example.org/hook');
+  await assert.rejects(jobService.checkCallbackUrl('https://example.com/hook'), {
+    code: 'INVALID_CALLBACK_URL',
+    message: /not in the allowed callback hosts/,
+  });
+});
+
+test('runs a job to completion and delivers a signed callback', async () => {
+  const received = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.end('ok');
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  Object.assign(config.jobs, { callbackHosts: null, allowPrivateCallbacks: true, webhookSecret: 'secret', webhookRetries: 1 });
+
+  try {
+    const created = await jobService.createJob(
+      [{ buffer: await photo(), mimetype: 'image/jpeg', originalname: 'photo.jpeg' }],
+      { callbackUrl: `http://127.0.0.1:${server.address().port}/hook` }
+    );
+    assert.equal(created.status, 'queued');
+
+    const job = await waitForJob(created.id);
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.progress.percent, 100);
+    assert.ok(Object.values(job.stages).every((stage) => stage.status === 'completed'));
+    assert.equal(job.result.data.timeblocks.length, 53);
+    assert.equal(job.callback.status, 'delivered');
+
+    assert.equal(received.length, 1);
+    const { headers, body } = received[0];
+    assert.equal(headers['x-timetable-job-id'], job.id);
+    assert.equal(headers['x-timetable-signature'], `sha256=${createHmac('sha256', 'secret').update(body).digest('hex')}`);
+    assert.equal(JSON.parse(body).status, 'completed');
+  } finally {
+    server.close();
+  }
+});
+
+test('does not deliver callbacks to private addresses', async () => {
+  Object.assign(config.jobs, { callbackHosts: null, allowPrivateCallbacks: false, webhookRetries: 3 });
+
+  // Accepted when created, e.g. by an older release, but refused when delivering
+  const created = await jobService.createJob(
+    [{ buffer: await photo(), mimetype: 'image/jpeg', originalname: 'photo.jpeg' }],
+    { callbackUrl: 'http://127.0.0.1:9/hook' }
+  );
+  const job = await waitForJob(created.id);
+
+  assert.equal(job.status, 'completed');
+  assert.equal(job.callback.status, 'failed');
+  assert.equal(job.callback.attempts, 1);
+  assert.match(job.callback.lastError, /private, loopback or link-local/);
+});
+
+test('answers 500 when the job store cannot be read', async (t) => {
+  t.mock.method(getJobStore(), 'get', async () => {
+    throw new Error('EIO: i/o error, read');
+  });
+  const server = await startApp(jobRoutes);
+  t.after(server.close);
+
+  const response = await fetch(`${server.url}/jobs/${randomUUID()}`);
+  const body = await response.json();
+
+  assert.equal(response.status, 500);
+  assert.deepEqual(body.error, { code: 'STORAGE_ERROR', message: 'EIO: i/o error, read' });
+});
+
+test('refuses new jobs with 503 while the queue is full', async (t) => {
+  Object.assign(config.jobs, { concurrency: 1, maxQueued: 1 });
+  let release;
+  const released = new Promise((resolve) => (release = resolve));
+  const started = [];
+  const mock = getProvider('mock');
+  const complete = mock.complete.bind(mock);
+  t.mock.method(mock, 'complete', async (request) => {
+    started.push(request);
+    await released;
+    return complete(request);
+  });
+  const server = await startApp(jobRoutes);
+  t.after(server.close);
+  const file = { buffer: await photo(), mimetype: 'image/jpeg', originalname: 'photo.jpeg' };
+
+  const running = await jobService.createJob([file]);
+  while (started.length === 0) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  const waiting = await jobService.createJob([file]);
+
+  const form = new FormData();
+  form.append('file', new Blob([file.buffer], { type: 'image/jpeg' }), 'photo.jpeg');
+  const response = await fetch(`${server.url}/jobs`, { method: 'POST', body: form });
+  const body = await response.json();
+
+  assert.equal(response.status, 503);
+  assert.equal(body.error.code, 'JOB_QUEUE_FULL');
+  assert.equal(body.error.message, '1 jobs are already waiting to run');
+
+  release();
+  assert.equal((await waitForJob(running.id)).status, 'completed');
+  assert.equal((await waitForJob(waiting.id)).status, 'completed');
+});
+
+test('fails jobs a previous run left unfinished and sends their callbacks', async (t) => {
+  const received = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.end('ok');
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+  Object.assign(config.jobs, { callbackHosts: null, allowPrivateCallbacks: true, webhookRetries: 1 });
+
+  const stored = (status, stages, callbackUrl = null) => ({
+    id: randomUUID(),
+    status,
+    createdAt: '2026-10-19T08:00:00.000Z',
+    updatedAt: '2026-10-19T08:00:00.000Z',
+    files: [{ filename: 'photo.jpeg', mimetype: 'image/jpeg', size: 1024 }],
+    progress: { stage: status, percent: 0, message: '' },
+    stages,
+    callback: callbackUrl ? { url: callbackUrl, status: 'pending', attempts: 0 } : null,
+    tenant: null,
+    result: null,
+    error: null,
+  });
+  const processing = stored(
+    'processing',
+    {
+      preprocessing: { status: 'completed' },
+      extraction: { status: 'running' },
+      validation: { status: 'pending' },
+      verification: { status: 'pending' },
+    },
+    `http://127.0.0.1:${server.address().port}/hook`
+  );
+  const queued = stored('queued', {
+    preprocessing: { status: 'pending' },
+    extraction: { status: 'pending' },
+    validation: { status: 'pending' },
+    verification: { status: 'pending' },
+  });
+  const finished = { ...stored('completed', queued.stages), finishedAt: '2026-10-19T08:01:00.000Z' };
+  for (const job of [processing, queued, finished]) {
+    await getJobStore().save(job);
+  }
+
+  assert.equal(await jobService.recoverJobs(), 2);
+
+  const recovered = await jobService.getJob(processing.id);
+  assert.equal(recovered.status, 'failed');
+  assert.equal(recovered.error.code, 'JOB_INTERRUPTED');
+  assert.equal(recovered.stages.extraction.status, 'failed');
+  assert.ok(recovered.finishedAt);
+  assert.equal(recovered.callback.status, 'delivered');
+  assert.equal((await jobService.getJob(queued.id)).status, 'failed');
+  assert.deepEqual(await jobService.getJob(finished.id), finished);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].id, processing.id);
+  assert.equal(received[0].error.code, 'JOB_INTERRUPTED');
+});
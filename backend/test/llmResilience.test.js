@@ -0,0 +1,187 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { config } from '../src/config/index.js';
+import { callWithResilience, getCircuitStates, isProviderOutage } from '../src/services/llmResilience.js';
+import { getProvider } from '../src/services/providers/index.js';
+import { processFile } from '../src/services/fileProcessor.js';
+import extractRoutes from '../src/routes/extract.js';
+import { startApp } from './helpers/http.js';
+import { buildPDF } from './helpers/pdf.js';
+
+const original = {
+  timeoutMs: config.llm.timeoutMs,
+  retry: { ...config.llm.retry },
+  circuitBreaker: { ...config.llm.circuitBreaker },
+};
+
+beforeEach(() => {
+  Object.assign(config.llm.retry, { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 1000 });
+});
+
+afterEach(() => {
+  config.llm.timeoutMs = original.timeoutMs;
+  Object.assign(config.llm.retry, original.retry);
+  Object.assign(config.llm.circuitBreaker, original.circuitBreaker);
+});
+
+const httpError = (status, headers) => Object.assign(new Error(`HTTP ${status}`), { status, headers });
+
+/**
+ * A provider call that fails with the given errors, one per attempt, and then succeeds
+ */
+function flaky(...errors) {
+  const call = async () => {
+    call.attempts++;
+    if (call.attempts <= errors.length) {
+      throw errors[call.attempts - 1];
+    }
+    return 'ok';
+  };
+  call.attempts = 0;
+  return call;
+}
+
+/**
+ * Two-page scan without a text layer, so each page goes to the provider separately
+ */
+async function buildScan() {
+  const photo = await readFile(new URL('../../examples/Teacher Timetable Example 4.jpeg', import.meta.url));
+  const page = { width: 800, height: 450, image: { data: photo, width: 1600, height: 900 } };
+  return buildPDF([page, page]);
+}
+
+test('retries transient failures with backoff until the call succeeds', async (t) => {
+  const random = t.mock.method(Math, 'random', () => 0.5);
+  const call = flaky(httpError(503), new TypeError('fetch failed'));
+
+  assert.equal(await callWithResilience('retry-provider', call), 'ok');
+  assert.equal(call.attempts, 3);
+  assert.equal(random.mock.callCount(), 2);
+  assert.equal(getCircuitStates(['retry-provider'])['retry-provider'].consecutiveFailures, 0);
+});
+
+test('does not retry requests the provider rejected', async () => {
+  const badRequest = flaky(httpError(400));
+  const quota = flaky(Object.assign(httpError(429), { code: 'insufficient_quota' }));
+
+  await assert.rejects(callWithResilience('bad-request-provider', badRequest), { status: 400 });
+  await assert.rejects(callWithResilience('bad-request-provider', quota), { code: 'insufficient_quota' });
+  assert.equal(badRequest.attempts, 1);
+  assert.equal(quota.attempts, 1);
+  // The provider answered, so its breaker stays closed
+  assert.equal(getCircuitStates(['bad-request-provider'])['bad-request-provider'].consecutiveFailures, 0);
+});
+
+test('waits as long as Retry-After asks, or gives up when that is too long', async () => {
+  const shortWait = flaky(httpError(429, { 'retry-after-ms': '5' }));
+  const longWait = flaky(httpError(429, { 'retry-after': '120' }));
+
+  assert.equal(await callWithResilience('retry-after-provider', shortWait), 'ok');
+  assert.equal(shortWait.attempts, 2);
+  await assert.rejects(callWithResilience('retry-after-provider', longWait), { status: 429 });
+  assert.equal(longWait.attempts, 1);
+});
+
+test('aborts a call that takes too long with LLM_TIMEOUT', async () => {
+  config.llm.timeoutMs = 20;
+  config.llm.retry.maxRetries = 0;
+  let aborted = false;
+
+  const hanging = (signal) =>
+    new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        aborted = true;
+        reject(new Error('aborted'));
+      });
+    });
+
+  await assert.rejects(callWithResilience('slow-provider', hanging), { code: 'LLM_TIMEOUT' });
+  assert.equal(aborted, true);
+});
+
+test('opens the circuit after repeated failures and closes it after a successful trial', async () => {
+  Object.assign(config.llm.circuitBreaker, { failureThreshold: 2, cooldownMs: 60 * 1000 });
+  config.llm.retry.maxRetries = 0;
+  const provider = 'breaker-provider';
+
+  await assert.rejects(callWithResilience(provider, flaky(httpError(500))), { status: 500 });
+  assert.equal(getCircuitStates([provider])[provider].state, 'closed');
+  await assert.rejects(callWithResilience(provider, flaky(httpError(502))), { status: 502 });
+
+  const open = getCircuitStates([provider])[provider];
+  assert.equal(open.state, 'open');
+  assert.equal(open.consecutiveFailures, 2);
+  assert.equal(open.lastError, 'HTTP 502');
+
+  const skipped = flaky();
+  await assert.rejects(callWithResilience(provider, skipped), (error) => {
+    assert.equal(error.code, 'LLM_CIRCUIT_OPEN');
+    assert.equal(error.details.retryAt, open.retryAt);
+    return true;
+  });
+  assert.equal(skipped.attempts, 0);
+
+  // After the cool-down one trial goes through; a failure re-opens the circuit at once
+  config.llm.circuitBreaker.cooldownMs = 0;
+  await assert.rejects(callWithResilience(provider, flaky(httpError(503))), { status: 503 });
+  assert.equal(getCircuitStates([provider])[provider].state, 'open');
+
+  assert.equal(await callWithResilience(provider, flaky()), 'ok');
+  assert.deepEqual(getCircuitStates([provider])[provider], {
+    state: 'closed',
+    consecutiveFailures: 0,
+    openedAt: null,
+    retryAt: null,
+    lastError: 'HTTP 503',
+  });
+});
+
+test('tells provider outages apart from errors about the request', () => {
+  assert.equal(isProviderOutage({ code: 'LLM_TIMEOUT' }), true);
+  assert.equal(isProviderOutage({ code: 'LLM_CIRCUIT_OPEN' }), true);
+  assert.equal(isProviderOutage({ code: 'MALFORMED_LLM_RESPONSE' }), false);
+  assert.equal(isProviderOutage(httpError(500)), false);
+  assert.equal(isProviderOutage(undefined), false);
+});
+
+test('answers 504 when a PDF page times out, without trying the other pages', async (t) => {
+  config.llm.timeoutMs = 20;
+  config.llm.retry.maxRetries = 0;
+  config.llm.circuitBreaker.failureThreshold = 10;
+  const complete = t.mock.method(
+    getProvider('mock'),
+    'complete',
+    ({ signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))))
+  );
+  const server = await startApp(extractRoutes);
+  t.after(server.close);
+
+  const form = new FormData();
+  form.append('file', new Blob([await buildScan()], { type: 'application/pdf' }), 'scan.pdf');
+
+  const response = await fetch(`${server.url}/extract`, { method: 'POST', body: form });
+  const body = await response.json();
+
+  assert.equal(response.status, 504);
+  assert.equal(body.error.code, 'LLM_TIMEOUT');
+  assert.equal(complete.mock.callCount(), 1);
+});
+
+test('stops a PDF at the first page that finds the circuit open', async (t) => {
+  Object.assign(config.llm.circuitBreaker, { failureThreshold: 1, cooldownMs: 60 * 1000 });
+  config.llm.retry.maxRetries = 0;
+  const complete = t.mock.method(getProvider('mock'), 'complete', async () => {
+    throw httpError(500);
+  });
+
+  await assert.rejects(processFile(await buildScan(), 'application/pdf', 'scan.pdf'), (error) => {
+    assert.equal(error.code, 'LLM_CIRCUIT_OPEN');
+    assert.equal(error.details.provider, 'mock');
+    return true;
+  });
+
+  // Page 1 opened the circuit; page 2 was not sent
+  assert.equal(complete.mock.callCount(), 1);
+  assert.equal(getCircuitStates(['mock']).mock.state, 'open');
+});
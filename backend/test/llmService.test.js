@@ -0,0 +1,198 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { z } from 'zod';
+import { extractFromText } from '../src/services/llmService.js';
+import { getProvider } from '../src/services/providers/index.js';
+import { processFile } from '../src/services/fileProcessor.js';
+import { toJSONSchema, stripOptionalNulls } from '../src/schemas/jsonSchema.js';
+import { modelExtractionSchema, timetableExtractionSchema } from '../src/schemas/timetable.js';
+import extractRoutes from '../src/routes/extract.js';
+import { startApp } from './helpers/http.js';
+import { buildPDF } from './helpers/pdf.js';
+
+const VALID_REPLY = JSON.stringify({
+  metadata: { teacher_name: 'Miss Joynes', class_name: null, term: null, school_name: null, extraction_confidence: 0.9, cycle: null },
+  timeblocks: [
+    {
+      day: 'Monday',
+      week: null,
+      cycle_day: null,
+      date: null,
+      start_time: '9:00',
+      end_time: '9.45',
+      subject: 'Maths',
+      subject_type: 'academic',
+      notes: null,
+      color_code: null,
+      room_location: null,
+      confidence: null,
+    },
+  ],
+});
+
+/**
+ * Replace the mock provider's replies with a script, one reply per call
+ * (the last one repeats); returns the requests it received
+ */
+function scriptReplies(t, replies) {
+  const requests = [];
+
+  t.mock.method(getProvider('mock'), 'complete', async (request) => {
+    const reply = replies[Math.min(requests.length, replies.length - 1)];
+    requests.push(request);
+    return {
+      model: 'mock',
+      usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 },
+      ...(typeof reply === 'string' ? { text: reply } : reply),
+    };
+  });
+
+  return requests;
+}
+
+test('converts the extraction schema to a strict JSON Schema', () => {
+  const schema = toJSONSchema(modelExtractionSchema);
+  const block = schema.properties.timeblocks.items;
+
+  assert.equal(schema.additionalProperties, false);
+  assert.deepEqual(schema.required, ['metadata', 'timeblocks']);
+  assert.equal(schema.properties.timeblocks.minItems, 1);
+  assert.deepEqual(block.required, Object.keys(block.properties));
+  assert.deepEqual(block.properties.subject_type, {
+    type: ['string', 'null'],
+    enum: ['academic', 'break', 'administrative', 'other', null],
+  });
+  assert.equal(block.properties.color_code.pattern, '^#[0-9A-Fa-f]{6}$');
+  assert.equal(block.properties.id, undefined);
+
+  assert.throws(() => toJSONSchema(z.map(z.string(), z.string())), /Cannot convert zod type ZodMap/);
+});
+
+test('drops nulls sent for optional fields so their defaults apply', () => {
+  const reply = JSON.parse(VALID_REPLY);
+  Object.assign(reply.timeblocks[0], { start_time: '09:00', end_time: '09:45' });
+  const stripped = stripOptionalNulls(reply, timetableExtractionSchema);
+  const [block] = timetableExtractionSchema.parse(stripped).timeblocks;
+
+  assert.equal(block.subject_type, 'academic');
+  assert.equal(block.confidence, 1);
+  // Nullable fields keep their null
+  assert.equal(stripped.timeblocks[0].notes, null);
+  assert.equal(stripped.metadata.teacher_name, 'Miss Joynes');
+  assert.equal(reply.timeblocks[0].confidence, null);
+});
+
+test('sends the extraction schema and normalizes the reply times', async (t) => {
+  const requests = scriptReplies(t, [VALID_REPLY]);
+
+  const result = await extractFromText('Monday 9-9.45 Maths');
+
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].schema.name, 'timetable_extraction');
+  assert.deepEqual(requests[0].schema.schema, toJSONSchema(modelExtractionSchema));
+  assert.equal(result.data.timeblocks[0].start_time, '09:00');
+  assert.equal(result.data.timeblocks[0].end_time, '09:45');
+  assert.deepEqual(result.metadata.repairs, []);
+});
+
+test('continues a reply cut off at the token limit', async (t) => {
+  const cut = VALID_REPLY.length - 40;
+  const requests = scriptReplies(t, [
+    { text: VALID_REPLY.slice(0, cut), truncated: true },
+    { text: VALID_REPLY.slice(cut) },
+  ]);
+
+  const result = await extractFromText('Monday 9-9.45 Maths');
+
+  assert.equal(result.data.timeblocks[0].subject, 'Maths');
+  assert.equal(requests[1].schema, null);
+  assert.deepEqual(requests[1].messages[0], { role: 'assistant', content: VALID_REPLY.slice(0, cut) });
+  assert.match(requests[1].messages[1].content, /Your reply was cut off/);
+  assert.deepEqual(result.metadata.repairs, [{ attempt: 1, reason: 'truncated', tokensUsed: 15 }]);
+  assert.equal(result.metadata.tokensUsed, 30);
+});
+
+test('sends schema errors back to the model and uses its corrected reply', async (t) => {
+  const wrong = JSON.parse(VALID_REPLY);
+  wrong.timeblocks[0].day = 'Funday';
+  const requests = scriptReplies(t, [JSON.stringify(wrong), VALID_REPLY]);
+
+  const result = await extractFromText('Monday 9-9.45 Maths');
+
+  assert.equal(requests.length, 2);
+  assert.match(requests[1].messages[1].content, /^Your previous reply could not be used:\n- timeblocks\.0\.day: /);
+  assert.equal(result.data.timeblocks[0].day, 'Monday');
+  assert.equal(result.metadata.repairs.length, 1);
+  assert.equal(result.metadata.repairs[0].reason, 'schema_mismatch');
+  assert.match(result.metadata.repairs[0].errors[0], /^timeblocks\.0\.day/);
+});
+
+test('fails with MALFORMED_LLM_RESPONSE when no repair produces JSON', async (t) => {
+  const requests = scriptReplies(t, ['Sorry, I cannot read this timetable.']);
+
+  await assert.rejects(extractFromText('Monday 9-9.45 Maths'), (error) => {
+    assert.equal(error.code, 'MALFORMED_LLM_RESPONSE');
+    assert.deepEqual(
+      error.details.repairs.map((repair) => [repair.attempt, repair.reason]),
+      [
+        [1, 'invalid_json'],
+        [2, 'invalid_json'],
+      ]
+    );
+    return true;
+  });
+  assert.equal(requests.length, 3);
+});
+
+/**
+ * One-page PDF with a text layer. pdf-parse's bundled pdf.js ignores a Buffer's byteOffset,
+ * so small PDFs are copied out of Node's shared buffer pool or their text layer can't be read.
+ */
+function buildTextPDF() {
+  const pdf = buildPDF([
+    {
+      width: 595,
+      height: 842,
+      text: ['Monday', '9:00 - 9:45 Maths', '9:45 - 10:30 English', '10:30 - 10:45 Break'].map((text, index) => ({
+        x: 50,
+        y: 60 + index * 20,
+        text,
+      })),
+    },
+  ]);
+  const unpooled = Buffer.alloc(pdf.length);
+  pdf.copy(unpooled);
+  return unpooled;
+}
+
+test('a PDF whose text extraction never returns JSON keeps MALFORMED_LLM_RESPONSE', async (t) => {
+  scriptReplies(t, ['Sorry, I cannot read this timetable.']);
+
+  await assert.rejects(processFile(buildTextPDF(), 'application/pdf', 'timetable.pdf'), (error) => {
+    assert.equal(error.code, 'MALFORMED_LLM_RESPONSE');
+    assert.equal(error.details.repairs.length, 2);
+    return true;
+  });
+});
+
+test('answers 502 with the repair attempts when no page of a scan returns JSON', async (t) => {
+  scriptReplies(t, ['Sorry, I cannot read this timetable.']);
+  const server = await startApp(extractRoutes);
+  t.after(server.close);
+
+  const photo = await readFile(new URL('../../examples/Teacher Timetable Example 4.jpeg', import.meta.url));
+  const scan = buildPDF([
+    { width: 800, height: 450, image: { data: photo, width: 1600, height: 900 } },
+    { width: 800, height: 450, image: { data: photo, width: 1600, height: 900 } },
+  ]);
+  const form = new FormData();
+  form.append('file', new Blob([scan], { type: 'application/pdf' }), 'scan.pdf');
+
+  const response = await fetch(`${server.url}/extract`, { method: 'POST', body: form });
+  const body = await response.json();
+
+  assert.equal(response.status, 502);
+  assert.equal(body.error.code, 'MALFORMED_LLM_RESPONSE');
+  assert.equal(body.error.details.repairs.length, 2);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { hashRequest, createMockProvider } from '../src/services/providers/mockProvider.js';
+import { getProvider, listProviders } from '../src/services/providers/index.js';
+
+const request = { system: 'system', prompt: 'prompt' };
+const response = { text: '{"timeblocks":[]}', model: 'recorded', usage: { promptTokens: 1, completionTokens: 2, totalTokens: 3 } };
+
+test('hashRequest ignores the model but not the image or follow-up turns', () => {
+  const key = hashRequest(request);
+
+  assert.equal(hashRequest({ ...request, model: 'other', maxTokens: 10 }), key);
+  assert.notEqual(hashRequest({ ...request, image: { buffer: Buffer.from('png') } }), key);
+  assert.notEqual(hashRequest({ ...request, messages: [{ role: 'user', content: 'again' }] }), key);
+  // An empty follow-up list keeps single-turn keys stable
+  assert.equal(hashRequest({ ...request, messages: [] }), key);
+});
+
+test('mock provider records a missing response once and replays it afterwards', async () => {
+  const fixturesDir = await mkdtemp(path.join(tmpdir(), 'mock-fixtures-'));
+  let calls = 0;
+  const source = {
+    name: 'recorder',
+    complete: async () => {
+      calls++;
+      return response;
+    },
+  };
+
+  try {
+    const recording = createMockProvider({ fixturesDir, recordFrom: 'recorder' }, () => source);
+    assert.deepEqual(await recording.complete(request), response);
+
+    const fixture = JSON.parse(await readFile(path.join(fixturesDir, `${hashRequest(request)}.json`), 'utf8'));
+    assert.equal(fixture.provider, 'recorder');
+    assert.deepEqual(fixture.response, response);
+
+    const replaying = createMockProvider({ fixturesDir, recordFrom: null }, () => source);
+    assert.deepEqual(await replaying.complete({ ...request, model: 'another-model' }), response);
+    assert.equal(calls, 1);
+  } finally {
+    await rm(fixturesDir, { recursive: true, force: true });
+  }
+});
+
+test('mock provider fails with MOCK_FIXTURE_NOT_FOUND when nothing is recorded', async () => {
+  const fixturesDir = await mkdtemp(path.join(tmpdir(), 'mock-fixtures-'));
+
+  try {
+    const provider = createMockProvider({ fixturesDir, recordFrom: null }, () => null);
+    await assert.rejects(provider.complete(request), { code: 'MOCK_FIXTURE_NOT_FOUND' });
+  } finally {
+    await rm(fixturesDir, { recursive: true, force: true });
+  }
+});
+
+test('getProvider returns one instance per provider and rejects unknown names', () => {
+  assert.deepEqual(listProviders().sort(), ['anthropic', 'local', 'mock', 'openai']);
+  assert.equal(getProvider('mock'), getProvider());
+  assert.throws(() => getProvider('nope'), { code: 'INVALID_LLM_PROVIDER' });
+});
@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
+import { processOfficeDocument, DOCX_TYPE, XLSX_TYPE } from '../src/services/officeProcessor.js';
+import { getProvider } from '../src/services/providers/index.js';
+
+const REPLY = JSON.stringify({
+  metadata: { extraction_confidence: 0.9 },
+  timeblocks: [{ day: 'Monday', start_time: '09:00', end_time: '10:00', subject: 'Maths' }],
+});
+
+/**
+ * Answer every request with REPLY; returns the requests received
+ */
+function captureRequests(t) {
+  const requests = [];
+
+  t.mock.method(getProvider('mock'), 'complete', async (request) => {
+    requests.push(request);
+    return { text: REPLY, model: 'mock', usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 } };
+  });
+
+  return requests;
+}
+
+/**
+ * DOCX holding the given body XML (paragraphs and tables)
+ */
+async function buildDocx(body) {
+  const zip = new JSZip();
+  zip.file(
+    'word/document.xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+      `<w:body>${body}</w:body></w:document>`
+  );
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+const paragraph = (text) => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`;
+const cell = (text, properties = '') => `<w:tc><w:tcPr>${properties}</w:tcPr>${paragraph(text)}</w:tc>`;
+const row = (...cells) => `<w:tr>${cells.join('')}</w:tr>`;
+
+// A lesson spanning two periods (gridSpan) and a break merged down both days (vMerge)
+const WORD_TIMETABLE =
+  paragraph('Teacher: Miss Joynes') +
+  '<w:tbl>' +
+  row(cell(''), cell('09:00 - 10:00'), cell('10:00 - 10:15'), cell('10:15 - 11:15'), cell('11:15 - 12:15')) +
+  row(
+    cell('Monday'),
+    cell('Maths'),
+    cell('Break', '<w:vMerge w:val="restart"/>'),
+    cell('Science &amp; Nature', '<w:gridSpan w:val="2"/>')
+  ) +
+  row(cell('Tuesday'), cell('English'), cell('', '<w:vMerge/>'), cell('History'), cell('PE')) +
+  '</w:tbl>';
+
+test('reads Word tables with merged cells into table text for the LLM', async (t) => {
+  const requests = captureRequests(t);
+
+  const result = await processOfficeDocument(await buildDocx(WORD_TIMETABLE), DOCX_TYPE);
+
+  assert.equal(requests.length, 1);
+  assert.ok(
+    requests[0].prompt.includes(
+      [
+        'Text outside the tables:',
+        '  Teacher: Miss Joynes',
+        '',
+        'Table 1 (3 rows x 5 columns, read directly from the file):',
+        '|  | 09:00 - 10:00 | 10:00 - 10:15 | 10:15 - 11:15 | 11:15 - 12:15 |',
+        '| Monday | Maths | Break [merged] | Science & Nature [merged] | Science & Nature [merged] |',
+        '| Tuesday | English | Break [merged] | History | PE |',
+      ].join('\n')
+    )
+  );
+  assert.equal(result.extractionMethod, 'docx-table + llm-text');
+  assert.equal(result.data.timeblocks[0].subject, 'Maths');
+  assert.equal(result.source.pages.length, 1);
+});
+
+test('parses Word tables with the rule-based parser when no LLM is configured', async (t) => {
+  const complete = t.mock.method(getProvider('mock'), 'complete');
+
+  const result = await processOfficeDocument(await buildDocx(WORD_TIMETABLE), DOCX_TYPE, { provider: 'openai' });
+  const monday = result.data.timeblocks.filter((block) => block.day === 'Monday');
+
+  assert.equal(complete.mock.callCount(), 0);
+  assert.equal(result.extractionMethod, 'docx-table + rules');
+  assert.equal(result.metadata.provider, 'rules');
+  assert.deepEqual(
+    monday.map((block) => [block.start_time, block.end_time, block.subject]),
+    [
+      ['09:00', '10:00', 'Maths'],
+      ['10:00', '10:15', 'Break'],
+      ['10:15', '12:15', 'Science & Nature'],
+    ]
+  );
+  assert.ok(result.data.timeblocks.some((block) => block.day === 'Tuesday' && block.subject === 'Break'));
+});
+
+test('reads visible worksheets, writing Excel times as HH:MM', async (t) => {
+  const requests = captureRequests(t);
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Week A');
+  // Excel stores a time of day as a date on 30 December 1899
+  const time = (hours, minutes) => new Date(Date.UTC(1899, 11, 30, hours, minutes));
+
+  sheet.getCell('B2').value = 'Monday';
+  sheet.getCell('C2').value = 'Tuesday';
+  sheet.getCell('A3').value = time(9, 0);
+  sheet.getCell('B3').value = 'Maths';
+  sheet.getCell('C3').value = 'Art';
+  sheet.getCell('A4').value = time(10, 0);
+  sheet.getCell('B4').value = 'Assembly';
+  sheet.mergeCells('B4:C4');
+  workbook.addWorksheet('Notes', { state: 'hidden' }).getCell('A1').value = 'Draft';
+
+  const result = await processOfficeDocument(Buffer.from(await workbook.xlsx.writeBuffer()), XLSX_TYPE);
+
+  assert.ok(
+    requests[0].prompt.includes(
+      [
+        'Sheet "Week A" (3 rows x 3 columns, read directly from the file):',
+        '|  | Monday | Tuesday |',
+        '| 09:00 | Maths | Art |',
+        '| 10:00 | Assembly [merged] | Assembly [merged] |',
+      ].join('\n')
+    )
+  );
+  assert.doesNotMatch(requests[0].prompt, /Draft/);
+  assert.equal(result.extractionMethod, 'xlsx-table + llm-text');
+});
+
+test('reports documents without a table and files that are not documents', async (t) => {
+  const complete = t.mock.method(getProvider('mock'), 'complete');
+
+  await assert.rejects(processOfficeDocument(await buildDocx(paragraph('No timetable here')), DOCX_TYPE), {
+    code: 'DOCUMENT_PROCESSING_FAILED',
+    message: 'The document contains no tables.',
+  });
+  await assert.rejects(processOfficeDocument(Buffer.from('not a zip'), XLSX_TYPE), {
+    code: 'DOCUMENT_PROCESSING_FAILED',
+    message: 'Not a readable Excel workbook (the file is not an XLSX archive).',
+  });
+  assert.equal(complete.mock.callCount(), 0);
+});
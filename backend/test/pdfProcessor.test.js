@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import sharp from 'sharp';
+import { renderPages } from '../src/services/pdfRenderer.js';
+import { processFile } from '../src/services/fileProcessor.js';
+import { buildPDF } from './helpers/pdf.js';
+
+const readExample = (name) => readFile(new URL(`../../examples/${name}`, import.meta.url));
+
+/**
+ * Two-page "scan" without a text layer: the example photo, then the example grid as a JPEG.
+ * Recorded responses for both rendered pages are in test/fixtures/llm.
+ */
+async function buildScannedPDF() {
+  const photo = await readExample('Teacher Timetable Example 4.jpeg');
+  const grid = await sharp(await readExample('Teacher Timetable Example 1.1.png')).resize(1200).jpeg().toBuffer();
+  const { width, height } = await sharp(grid).metadata();
+
+  return buildPDF([
+    { width: 800, height: 450, image: { data: photo, width: 1600, height: 900 } },
+    { width: width / 2, height: height / 2, image: { data: grid, width, height } },
+  ]);
+}
+
+test('renderPages renders each page at the configured scale', async () => {
+  const pdf = await buildScannedPDF();
+  const { totalPages, pages } = await renderPages(pdf);
+
+  assert.equal(totalPages, 2);
+  assert.deepEqual(
+    pages.map(({ pageNumber, width, height }) => ({ pageNumber, width, height })),
+    [
+      { pageNumber: 1, width: 1600, height: 900 },
+      { pageNumber: 2, width: 1200, height: 846 },
+    ]
+  );
+
+  const metadata = await sharp(pages[0].buffer).metadata();
+  assert.equal(metadata.format, 'png');
+  assert.equal(metadata.width, 1600);
+});
+
+test('renderPages stops at maxPages but reports every page', async () => {
+  const { totalPages, pages } = await renderPages(await buildScannedPDF(), { maxPages: 1, scale: 0.5 });
+
+  assert.equal(totalPages, 2);
+  assert.equal(pages.length, 1);
+  assert.equal(pages[0].width, 400);
+});
+
+test('scanned PDFs are rendered and extracted page by page with vision', async () => {
+  const result = await processFile(await buildScannedPDF(), 'application/pdf', 'scan.pdf');
+
+  assert.equal(result.success, true);
+  assert.equal(result.metadata.extractionMethod, 'pdf-rasterize + claude-vision');
+  assert.deepEqual(result.metadata.pagesExtracted, [1, 2]);
+  assert.deepEqual(result.metadata.pageErrors, []);
+
+  const pageOf = (subject) => new Set(result.data.timeblocks.filter((b) => b.subject === subject).map((b) => b.source_page));
+  assert.deepEqual(pageOf('Yoga'), new Set([1]));
+  assert.deepEqual(pageOf('RWI'), new Set([2]));
+
+  // Preprocessing steps are kept per page
+  assert.ok(result.metadata.preprocessing.steps.some((step) => step.page === 2));
+});
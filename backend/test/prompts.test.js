@@ -0,0 +1,71 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { config } from '../src/config/index.js';
+import {
+  listPromptVersions,
+  getPromptSet,
+  selectPromptVersion,
+  renderPrompt,
+  getPromptFingerprint,
+} from '../src/services/prompts/index.js';
+import { processFile } from '../src/services/fileProcessor.js';
+
+const { defaultVersion, weights } = config.prompts;
+
+afterEach(() => {
+  Object.assign(config.prompts, { defaultVersion, weights });
+});
+
+test('lists every registered version with a fingerprint of its text', () => {
+  const versions = listPromptVersions();
+
+  assert.deepEqual(
+    versions.map((entry) => entry.version),
+    ['v1', 'v2']
+  );
+  assert.ok(versions.every((entry) => /^[0-9a-f]{12}$/.test(entry.fingerprint) && entry.description));
+  assert.notEqual(versions[0].fingerprint, versions[1].fingerprint);
+  assert.equal(getPromptFingerprint('v2'), versions[1].fingerprint);
+});
+
+test('falls back to the default version and rejects unknown ones', () => {
+  config.prompts.defaultVersion = 'v1';
+
+  assert.equal(getPromptSet().version, 'v1');
+  assert.equal(getPromptSet('v2').version, 'v2');
+  assert.throws(() => getPromptSet('v9'), { code: 'INVALID_PROMPT_VERSION', message: /Available versions: v1, v2/ });
+});
+
+test('splits traffic by PROMPT_WEIGHTS unless a version is requested', (t) => {
+  config.prompts.weights = 'v1:90,v2:10';
+  const random = t.mock.method(Math, 'random', () => 0.5);
+
+  assert.equal(selectPromptVersion(), 'v1');
+  random.mock.mockImplementation(() => 0.95);
+  assert.equal(selectPromptVersion(), 'v2');
+  assert.equal(selectPromptVersion('v1'), 'v1');
+
+  config.prompts.weights = 'v1:0';
+  assert.equal(selectPromptVersion(), getPromptSet().version);
+
+  config.prompts.weights = 'v3:100';
+  assert.throws(() => selectPromptVersion(), /Invalid PROMPT_WEIGHTS entry "v3:100"/);
+});
+
+test('renders templates, leaving unknown placeholders in place', () => {
+  const set = { example: { timeblocks: [] }, templates: { text: 'Parse {{text}} like {{example}} ({{missing}})' } };
+
+  assert.equal(renderPrompt(set, 'text', { text: 'this' }), 'Parse this like {\n  "timeblocks": []\n} ({{missing}})');
+  assert.doesNotMatch(renderPrompt(getPromptSet('v2'), 'vision'), /\{\{example\}\}/);
+});
+
+test('extractions record the prompt version they used and reject unknown ones', async () => {
+  const image = await readFile(new URL('../../examples/Teacher Timetable Example 4.jpeg', import.meta.url));
+  const result = await processFile(image, 'image/jpeg', 'example.jpeg');
+
+  assert.equal(result.metadata.promptVersion, 'v2');
+  await assert.rejects(processFile(image, 'image/jpeg', 'example.jpeg', { promptVersion: 'v9' }), {
+    code: 'INVALID_PROMPT_VERSION',
+  });
+});
@@ -0,0 +1,207 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { parseText, parseLayout, parseDocument, compareExtractions, buildTable, formatTable } from '../src/services/ruleBasedParser.js';
+import { processFile } from '../src/services/fileProcessor.js';
+
+const summary = (timeblocks) => timeblocks.map((b) => [b.day, b.start_time, b.end_time, b.subject, b.subject_type]);
+
+// Positioned text item as read from a PDF text layer
+const item = (text, x, y) => ({ text, x, y, width: text.length * 5, fontSize: 10 });
+
+const gridItems = [
+  item('9:00-9:30', 100, 20),
+  item('9:30-10:30', 220, 20),
+  item('10:30-10:45', 340, 20),
+  item('Monday', 10, 60),
+  item('Maths', 110, 60),
+  item('English', 230, 60),
+  item('Break', 350, 60),
+  item('Tuesday', 10, 100),
+  item('Science', 110, 100),
+  item('PE', 230, 100),
+  item('Break', 350, 100),
+];
+
+test('parseText reads day headings, time ranges and subjects on the following line', () => {
+  const result = parseText(`Class: 3B
+Teacher: Mr Smith
+Monday
+9-9.30 Maths
+9.30 - 10.15
+English
+1.15-2pm Science
+Tuesday: 9:00-10:00 PE
+12.00 - 1.00 Lunch`);
+
+  assert.equal(result.metadata.class_name, '3B');
+  assert.equal(result.metadata.teacher_name, 'Mr Smith');
+  assert.deepEqual(summary(result.timeblocks), [
+    ['Monday', '09:00', '09:30', 'Maths', 'academic'],
+    ['Monday', '09:30', '10:15', 'English', 'academic'],
+    ['Monday', '13:15', '14:00', 'Science', 'academic'],
+    ['Tuesday', '09:00', '10:00', 'PE', 'academic'],
+    ['Tuesday', '12:00', '13:00', 'Lunch', 'break'],
+  ]);
+
+  // A subject found on its own line is less certain than one next to its times
+  assert.equal(result.timeblocks[1].confidence, 0.75);
+});
+
+test('parseText returns null when there are no timetable lines', () => {
+  assert.equal(parseText('Dear parents,\nPlease remember PE kits.'), null);
+});
+
+test('parseLayout places cells on the grid of day labels and time headers', () => {
+  const result = parseLayout(gridItems);
+
+  assert.deepEqual(summary(result.timeblocks), [
+    ['Monday', '09:00', '09:30', 'Maths', 'academic'],
+    ['Monday', '09:30', '10:30', 'English', 'academic'],
+    ['Monday', '10:30', '10:45', 'Break', 'break'],
+    ['Tuesday', '09:00', '09:30', 'Science', 'academic'],
+    ['Tuesday', '09:30', '10:30', 'PE', 'academic'],
+    ['Tuesday', '10:30', '10:45', 'Break', 'break'],
+  ]);
+});
+
+test('parseDocument prefers the layout of each page and falls back to its text', () => {
+  const result = parseDocument([
+    { pageNumber: 1, text: '', items: gridItems },
+    { pageNumber: 2, text: 'Friday\n9-10 Art', items: [] },
+    { pageNumber: 3, text: 'Notes for cover staff', items: [] },
+  ]);
+
+  assert.deepEqual(
+    result.pages.map((page) => [page.pageNumber, page.method, page.timeblocks.length]),
+    [
+      [1, 'layout', 6],
+      [2, 'text', 1],
+    ]
+  );
+});
+
+test('compareExtractions matches blocks by day, nearby start time and subject', () => {
+  const reference = parseLayout(gridItems);
+  const primary = {
+    timeblocks: [
+      { day: 'Monday', start_time: '09:05', end_time: '09:30', subject: 'Maths lesson' },
+      { day: 'Monday', start_time: '09:30', end_time: '10:30', subject: 'Spanish' },
+    ],
+  };
+
+  const comparison = compareExtractions(primary, reference);
+
+  assert.equal(comparison.matched, 1);
+  assert.equal(comparison.agreement, 0.167);
+  assert.deepEqual(comparison.primaryOnly.map((b) => b.subject), ['Spanish']);
+  assert.equal(comparison.referenceOnly.length, 5);
+});
+
+test('text-layer PDFs are parsed offline when no LLM is configured', async () => {
+  const pdf = await readFile(new URL('../../examples/Teacher Timetable Example 2.pdf', import.meta.url));
+  const result = await processFile(pdf, 'application/pdf', 'example.pdf', { provider: 'anthropic' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.metadata.extractionMethod, 'pdf-parse + rules');
+  assert.equal(result.metadata.promptVersion, null);
+  assert.equal(result.data.metadata.class_name, '4M');
+  assert.deepEqual(
+    summary(result.data.timeblocks.filter((b) => b.day === 'Wednesday' && b.start_time < '12:00')),
+    [
+      ['Wednesday', '08:45', '08:55', 'Register', 'administrative'],
+      ['Wednesday', '08:55', '10:10', 'English', 'academic'],
+      ['Wednesday', '10:10', '10:30', 'Break', 'break'],
+      ['Wednesday', '10:30', '11:15', 'Music: Brass – Trumpet', 'academic'],
+      ['Wednesday', '11:40', '12:30', 'Maths', 'academic'],
+    ]
+  );
+});
+
+// OCR word box: words on a line share its baseline and height
+const word = (text, x, y) => ({ text, x, y, width: text.length * 10, fontSize: 20 });
+
+test('buildTable rebuilds a grid with one row per day from OCR words', () => {
+  const table = buildTable([
+    word('Class', 20, 30),
+    word('4M', 80, 30),
+    word('9:00-10:00', 200, 100),
+    word('10:00-10:15', 400, 100),
+    word('10:15-11:15', 600, 100),
+    ...[
+      ['Monday', 'Phonics', 'B', 'Maths'],
+      ['Tuesday', 'Science', 'R', 'Art'],
+      ['Wednesday', 'Spanish', 'E', 'PE'],
+      ['Thursday', 'History', 'A', 'Music'],
+      ['Friday', 'Maths', 'K', 'Assembly'],
+    ].flatMap((row, index) => row.map((text, column) => word(text, column ? column * 200 : 20, 200 + index * 100))),
+    // Wrapped onto a second line of Monday's first cell
+    word('and', 280, 200),
+    word('Reading', 200, 225),
+  ]);
+
+  assert.equal(table.orientation, 'days-as-rows');
+  assert.deepEqual(table.days, ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']);
+  assert.deepEqual(
+    table.timeSlots.map((slot) => [slot.slot, slot.start_time, slot.end_time]),
+    [
+      [1, '09:00', '10:00'],
+      [2, '10:00', '10:15'],
+      [3, '10:15', '11:15'],
+    ]
+  );
+  assert.deepEqual(table.cells.slice(0, 3), [
+    { day: 'Monday', slots: [1], text: 'Phonics and Reading' },
+    { day: 'Monday', slots: [3], text: 'Maths' },
+    { day: 'Tuesday', slots: [1], text: 'Science' },
+  ]);
+  // Letters spelled down a column become one cell across every day
+  assert.deepEqual(table.spanningCells, [{ days: table.days, slots: [2], text: 'Break' }]);
+  assert.deepEqual(table.otherText, ['Class 4M']);
+
+  const text = formatTable(table);
+  assert.match(text, /^TIMETABLE GRID \(one row per day, reconstructed from the page layout\)/);
+  assert.match(text, /Spanning several days:\n {2}\[slot 2, every day\] Break/);
+  assert.match(text, /Monday:\n {2}\[slot 1\] Phonics and Reading\n {2}\[slot 3\] Maths/);
+  assert.match(text, /Other text on the page:\n {2}Class 4M$/);
+});
+
+test('buildTable reads days as columns and leaves the last slot open-ended', () => {
+  const table = buildTable([
+    word('Mon', 200, 50),
+    word('Tue', 400, 50),
+    word('Wed', 600, 50),
+    word('9:00', 20, 150),
+    word('10:00', 20, 250),
+    word('11:00', 20, 350),
+    word('12:00', 20, 450),
+    word('English', 200, 150),
+    word('Maths', 400, 150),
+    word('Art', 600, 150),
+    word('Maths', 200, 250),
+    word('Topic', 600, 250),
+    word('Guided', 200, 350),
+    word('reading', 200, 375),
+    word('Swimming', 400, 350),
+  ]);
+
+  assert.equal(table.orientation, 'days-as-columns');
+  assert.deepEqual(table.days, ['Monday', 'Tuesday', 'Wednesday']);
+  assert.deepEqual(
+    table.timeSlots.map((slot) => `${slot.start_time}-${slot.end_time}`),
+    ['09:00-10:00', '10:00-11:00', '11:00-12:00', '12:00-12:15']
+  );
+  assert.deepEqual(
+    table.cells.filter((cell) => cell.day === 'Monday').map((cell) => [cell.slots, cell.text]),
+    [
+      [[1], 'English'],
+      [[2], 'Maths'],
+      [[3], 'Guided reading'],
+    ]
+  );
+  assert.match(formatTable(table), /^TIMETABLE GRID \(one column per day/);
+});
+
+test('buildTable returns null without day labels and time headers', () => {
+  assert.equal(buildTable([word('Dear', 20, 20), word('parents', 80, 20)]), null);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTime, parseTimeRange, resolveAfter, formatTime, normalizeTime, normalizeBlockTimes } from '../src/services/timeNormalizer.js';
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+/**
+ * Resolve a token, optionally after an "HH:MM" time, back to "HH:MM"
+ */
+const resolve = (token, previous) => formatTime(resolveAfter(parseTime(token), previous === undefined ? null : toMinutes(previous)));
+
+test('parses the ways timetables write times', () => {
+  assert.deepEqual(parseTime('9'), { hour: 9, minute: 0, meridiem: null });
+  assert.deepEqual(parseTime('9.30'), { hour: 9, minute: 30, meridiem: null });
+  assert.deepEqual(parseTime('13h15'), { hour: 13, minute: 15, meridiem: null });
+  assert.deepEqual(parseTime('1.15 p.m.'), { hour: 1, minute: 15, meridiem: 'p' });
+  assert.deepEqual(parseTime('09:30:00'), { hour: 9, minute: 30, meridiem: null });
+
+  for (const token of ['9.75', '24:00', '13pm', '0am', 'noon', '', null]) {
+    assert.equal(parseTime(token), null, token);
+  }
+
+  assert.deepEqual(parseTimeRange('10am – 11am'), { start: { hour: 10, minute: 0, meridiem: 'a' }, end: { hour: 11, minute: 0, meridiem: 'a' } });
+  assert.equal(parseTimeRange('9.30'), null);
+});
+
+test('reads times before 6 without am/pm as afternoon', () => {
+  assert.equal(resolve('1.15'), '13:15');
+  assert.equal(resolve('5:59'), '17:59');
+  assert.equal(resolve('1.15am'), '01:15');
+  assert.equal(resolve('12.30', '11:00'), '12:30');
+});
+
+test('reads 6 as afternoon only when it follows a later time', () => {
+  assert.equal(resolve('6.30'), '06:30');
+  assert.equal(resolve('6', '15:15'), '18:00');
+});
+
+test('never shifts midnight or times from 7 to 11', () => {
+  assert.equal(resolve('0:30'), '00:30');
+  assert.equal(resolve('0:30', '13:00'), '00:30');
+  assert.equal(resolve('7:00', '13:00'), '07:00');
+  assert.equal(resolve('9', '13:00'), '09:00');
+  assert.equal(resolve('11.45', '14:00'), '11:45');
+});
+
+test('picks the reading closest to the value being corrected', () => {
+  assert.equal(normalizeTime('2.30', toMinutes('14:00')), '14:30');
+  assert.equal(normalizeTime('7', toMinutes('08:00')), '07:00');
+  assert.equal(normalizeTime('7', toMinutes('18:30')), '19:00');
+  assert.equal(normalizeTime('soon'), null);
+});
+
+test('normalizes blocks in order within each day and reports what it inferred', () => {
+  const { timeblocks, corrections } = normalizeBlockTimes([
+    { day: 'Monday', start_time: '9', end_time: '10:30', subject: 'Maths' },
+    { day: 'Monday', start_time: '12.00', end_time: '1', subject: 'Lunch' },
+    { day: 'Monday', start_time: '1:00', end_time: '3:15', subject: 'Topic' },
+    { day: 'Monday', start_time: '3:15', end_time: '6', subject: 'Club' },
+    { day: 'Tuesday', start_time: '8-9pm', end_time: '8-9pm', subject: 'Parents evening' },
+    { day: 'Tuesday', start_time: 'all day', end_time: '?', subject: 'Trip' },
+  ]);
+
+  assert.deepEqual(
+    timeblocks.map((block) => [block.start_time, block.end_time]),
+    [
+      ['09:00', '10:30'],
+      ['12:00', '13:00'],
+      ['13:00', '15:15'],
+      ['15:15', '18:00'],
+      ['20:00', '21:00'],
+      ['all day', '?'],
+    ]
+  );
+
+  assert.deepEqual(
+    corrections.map(({ subject, field, reason }) => [subject, field, reason]),
+    [
+      ['Maths', 'start_time', 'reformatted'],
+      ['Lunch', 'start_time', 'reformatted'],
+      ['Lunch', 'end_time', 'afternoon_inferred'],
+      ['Topic', 'start_time', 'afternoon_inferred'],
+      ['Topic', 'end_time', 'afternoon_inferred'],
+      ['Club', 'start_time', 'afternoon_inferred'],
+      ['Club', 'end_time', 'afternoon_inferred'],
+      ['Parents evening', 'start_time', 'afternoon_inferred'],
+      ['Parents evening', 'end_time', 'reformatted'],
+    ]
+  );
+  assert.equal(corrections[2].message, 'end_time "1" read as 13:00 (pm)');
+});
+
+test('keeps a morning block listed after the afternoon in the morning', () => {
+  const { timeblocks } = normalizeBlockTimes([
+    { day: 'Friday', start_time: '1:00', end_time: '2:00', subject: 'PE' },
+    { day: 'Friday', start_time: '7:00', end_time: '8:00', subject: 'Breakfast club' },
+  ]);
+
+  assert.deepEqual(timeblocks[1], { day: 'Friday', start_time: '07:00', end_time: '08:00', subject: 'Breakfast club' });
+});
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeTimetable, checkTimetable } from '../src/services/timetableAnalyzer.js';
+
+const block = (day, start_time, end_time, subject, extra = {}) => ({
+  day,
+  start_time,
+  end_time,
+  subject,
+  subject_type: /Break|Lunch/.test(subject) ? 'break' : 'academic',
+  ...extra,
+});
+
+const regularDay = (day) => [
+  block(day, '09:00', '10:30', 'Maths'),
+  block(day, '10:30', '10:45', 'Break'),
+  block(day, '10:45', '12:00', 'English'),
+  block(day, '12:00', '13:00', 'Lunch'),
+  block(day, '13:00', '15:00', 'Topic'),
+];
+
+const week = ['Monday', 'Tuesday', 'Wednesday'].flatMap(regularDay);
+
+const ofType = (result, type) => result.findings.filter((finding) => finding.type === type);
+
+test('finds nothing in a consistent week', () => {
+  const result = analyzeTimetable({ metadata: {}, timeblocks: week });
+
+  assert.deepEqual(result.findings, []);
+  assert.deepEqual(result.summary, {
+    errors: 0,
+    warnings: 0,
+    info: 0,
+    byType: { overlap: 0, gap: 0, missing_break: 0, inconsistent_day: 0, duration_mismatch: 0 },
+  });
+});
+
+test('reports overlapping blocks as errors and exact duplicates as warnings', () => {
+  const timeblocks = [
+    ...week,
+    block('Thursday', '13:00', '14:00', 'PE', { id: 'pe' }),
+    block('Thursday', '13:30', '14:30', 'Music', { id: 'music' }),
+    block('Thursday', '09:00', '10:00', 'Phonics'),
+    block('Thursday', '09:00', '10:00', 'phonics'),
+  ];
+  const result = analyzeTimetable({ metadata: {}, timeblocks });
+  const [overlap, duplicate] = ofType(result, 'overlap');
+
+  // Errors sort first
+  assert.equal(result.findings[0], overlap);
+  assert.equal(overlap.severity, 'error');
+  assert.equal(overlap.message, 'PE (13:00-14:00) overlaps Music (13:30-14:30) on Thursday');
+  assert.deepEqual(overlap.blockIds, ['pe', 'music']);
+  assert.equal(overlap.details.overlapMinutes, 30);
+
+  assert.equal(duplicate.severity, 'warning');
+  assert.equal(duplicate.message, 'Phonics (09:00-10:00) appears twice on Thursday');
+  assert.deepEqual(duplicate.blockIds, [null, null]);
+  assert.equal(result.summary.errors, 1);
+});
+
+test('reports gaps longer than maxGapMinutes', () => {
+  const timeblocks = week.map((b) => (b.day === 'Tuesday' && b.subject === 'Topic' ? { ...b, start_time: '13:20' } : b));
+  const [gap] = ofType(analyzeTimetable({ metadata: {}, timeblocks }), 'gap');
+
+  assert.equal(gap.message, '20-minute gap on Tuesday between Lunch (ends 13:00) and Topic (starts 13:20)');
+  assert.deepEqual(gap.details, { gapMinutes: 20, from: '13:00', to: '13:20' });
+  assert.deepEqual(ofType(analyzeTimetable({ metadata: {}, timeblocks }, { maxGapMinutes: 20 }), 'gap'), []);
+});
+
+test('reports a day without the lunch break most days have', () => {
+  const timeblocks = [
+    ...week,
+    ...regularDay('Thursday').map((b) => (b.subject === 'Lunch' ? { ...b, subject: 'Science', subject_type: 'academic' } : b)),
+  ];
+  const [missing] = ofType(analyzeTimetable({ metadata: {}, timeblocks }), 'missing_break');
+
+  assert.equal(missing.day, 'Thursday');
+  assert.equal(missing.severity, 'warning');
+  assert.equal(missing.message, 'Thursday has no lunch break; most days do');
+});
+
+test('reports a day that ends differently from most days', () => {
+  const timeblocks = [...week, ...regularDay('Thursday').map((b) => (b.subject === 'Topic' ? { ...b, end_time: '14:30' } : b))];
+  const [inconsistent] = ofType(analyzeTimetable({ metadata: {}, timeblocks }), 'inconsistent_day');
+
+  assert.equal(inconsistent.severity, 'info');
+  assert.equal(inconsistent.message, 'Thursday ends at 14:30 (most days 15:00)');
+  assert.deepEqual(inconsistent.details.expected, { start: '09:00', end: '15:00', breaks: ['10:30-10:45', '12:00-13:00'] });
+});
+
+test('does not compare days when there are too few of them', () => {
+  const timeblocks = [...regularDay('Monday'), ...regularDay('Tuesday').filter((b) => b.subject !== 'Topic')];
+
+  assert.deepEqual(analyzeTimetable({ metadata: {}, timeblocks }).findings, []);
+});
+
+test('reports a duration that disagrees with the block times', () => {
+  const timeblocks = week.map((b, i) => (i === 0 ? { ...b, duration_minutes: 60 } : b));
+  const [mismatch] = ofType(analyzeTimetable({ metadata: {}, timeblocks }), 'duration_mismatch');
+
+  assert.equal(mismatch.message, 'Maths (09:00-10:30) lasts 90 minutes but duration_minutes is 60');
+  assert.deepEqual(mismatch.details, { expected: 90, actual: 60 });
+});
+
+test('checks blocks without a week against every week of a rotation, once', () => {
+  const metadata = { cycle: { type: 'weeks', length: 2 } };
+  const timeblocks = [
+    block('Monday', '09:00', '10:00', 'Assembly'),
+    block('Monday', '09:30', '10:30', 'Maths', { week: 'A' }),
+    block('Monday', '10:00', '11:00', 'Science', { week: 'B' }),
+    block('Monday', '09:00', '10:00', 'Reading'),
+  ];
+  const overlaps = ofType(analyzeTimetable({ metadata, timeblocks }), 'overlap');
+
+  // Assembly and Reading share both weeks but clash once; Science starts as they end in week B
+  assert.deepEqual(
+    overlaps.map((finding) => [finding.day, finding.blockIndexes]),
+    [
+      ['Week A Monday', [0, 3]],
+      ['Week A Monday', [0, 1]],
+      ['Week A Monday', [3, 1]],
+    ]
+  );
+});
+
+test('validates the timetable and options before analyzing', () => {
+  const timetable = { metadata: {}, timeblocks: regularDay('Monday') };
+
+  assert.throws(() => checkTimetable({ metadata: {}, timeblocks: [] }), { code: 'INVALID_TIMETABLE' });
+  assert.throws(() => checkTimetable(timetable, { maxGapMinutes: 'soon' }), { code: 'INVALID_ANALYSIS_OPTIONS' });
+  assert.throws(() => checkTimetable(timetable, { maxGapMinutes: -5 }), { code: 'INVALID_ANALYSIS_OPTIONS' });
+
+  const gapped = { ...timetable, timeblocks: timetable.timeblocks.map((b) => (b.subject === 'Topic' ? { ...b, start_time: '13:08' } : b)) };
+  assert.equal(checkTimetable(gapped, { maxGapMinutes: '5' }).summary.byType.gap, 1);
+  assert.equal(checkTimetable(gapped).summary.byType.gap, 0);
+});
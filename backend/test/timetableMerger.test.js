@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeExtractions } from '../src/services/timetableMerger.js';
+
+const block = (day, start_time, end_time, subject, extra = {}) => ({ day, start_time, end_time, subject, ...extra });
+
+test('tags blocks with their source and takes metadata from the first source that has it', () => {
+  const { data } = mergeExtractions([
+    {
+      data: { metadata: { teacher_name: null, class_name: '2EJ', extraction_confidence: 0.9 }, timeblocks: [block('Monday', '9:00', '9:30', 'RWI')] },
+      source: { file: 'a.png', page: 1 },
+    },
+    {
+      data: { metadata: { teacher_name: 'Miss Joynes', class_name: '3AB', extraction_confidence: 0.6 }, timeblocks: [block('Tuesday', '9:00', '9:30', 'RWI')] },
+      source: { file: 'b.png', page: 1 },
+    },
+  ]);
+
+  assert.equal(data.metadata.teacher_name, 'Miss Joynes');
+  assert.equal(data.metadata.class_name, '2EJ');
+  assert.equal(data.metadata.term, null);
+  assert.equal(data.metadata.extraction_confidence, 0.75);
+  assert.deepEqual(
+    data.timeblocks.map((b) => [b.day, b.source_file, b.source_page]),
+    [
+      ['Monday', 'a.png', 1],
+      ['Tuesday', 'b.png', 1],
+    ]
+  );
+});
+
+test('keeps the higher-confidence copy of a block found on two pages', () => {
+  const { data, resolutions } = mergeExtractions([
+    { data: { timeblocks: [block('Monday', '9:00', '9:30', 'Maths', { confidence: 0.6 })] }, source: { page: 1 } },
+    { data: { timeblocks: [block('Monday', '9:00', '9:30', 'maths ', { confidence: 0.9 })] }, source: { page: 2 } },
+  ]);
+
+  assert.equal(data.timeblocks.length, 1);
+  assert.equal(data.timeblocks[0].source_page, 2);
+  assert.equal(resolutions[0].type, 'duplicate');
+  assert.equal(resolutions[0].dropped.source_page, 1);
+});
+
+test('resolves different subjects at identical times as a conflict', () => {
+  const { data, resolutions } = mergeExtractions([
+    { data: { timeblocks: [block('Monday', '9:00', '9:30', 'Maths', { confidence: 0.9 })] }, source: { page: 1 } },
+    { data: { timeblocks: [block('Monday', '9:00', '9:30', 'English', { confidence: 0.5 })] }, source: { page: 2 } },
+  ]);
+
+  assert.deepEqual(data.timeblocks.map((b) => b.subject), ['Maths']);
+  assert.deepEqual(resolutions.map((r) => [r.type, r.action]), [['conflict', 'kept_higher_confidence']]);
+});
+
+test('keeps both blocks of a partial overlap and reports it', () => {
+  const { data, resolutions } = mergeExtractions([
+    { data: { timeblocks: [block('Monday', '9:00', '10:00', 'Maths')] }, source: { page: 1 } },
+    { data: { timeblocks: [block('Monday', '9:30', '10:30', 'English')] }, source: { page: 2 } },
+  ]);
+
+  assert.equal(data.timeblocks.length, 2);
+  assert.deepEqual(resolutions.map((r) => [r.type, r.action]), [['overlap', 'kept_both']]);
+});
+
+test('only merges blocks of the same week, and drops exact repeats within one source', () => {
+  const { data, resolutions } = mergeExtractions([
+    {
+      data: {
+        timeblocks: [
+          block('Monday', '9:00', '9:30', 'Maths', { week: 'A' }),
+          block('Monday', '9:00', '9:30', 'Maths', { week: 'A' }),
+        ],
+      },
+      source: { page: 1 },
+    },
+    { data: { timeblocks: [block('Monday', '9:00', '9:30', 'Maths', { week: 'B' })] }, source: { page: 2 } },
+  ]);
+
+  assert.deepEqual(data.timeblocks.map((b) => b.week), ['A', 'B']);
+  assert.deepEqual(resolutions, []);
+});
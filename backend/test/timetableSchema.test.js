@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateTimetable,
+  validateCycle,
+  inferCycle,
+  getDayKey,
+  getCycleFields,
+  enrichTimeBlocks,
+  isCalendarDate,
+} from '../src/schemas/timetable.js';
+
+const block = (fields) => ({ start_time: '09:00', end_time: '10:00', subject: 'Maths', ...fields });
+
+test('keys blocks by date, cycle day, week and day', () => {
+  assert.equal(getDayKey(block({ day: 'Monday' })), 'Monday');
+  assert.equal(getDayKey(block({ day: 'Monday', week: 'A' })), 'Week A Monday');
+  assert.equal(getDayKey(block({ week: 'A' })), 'Week A');
+  assert.equal(getDayKey(block({ cycle_day: 3, day: 'Monday' })), 'Day 3');
+  assert.equal(getDayKey(block({ date: '2025-03-14', day: 'Friday', week: 'B' })), '2025-03-14');
+
+  assert.deepEqual(getCycleFields(block({ day: 'Monday', week: 'A', cycle_day: null })), { week: 'A' });
+});
+
+test('accepts only calendar dates that exist', () => {
+  for (const date of ['2025-02-28', '2024-02-29', '2025-12-31']) {
+    assert.equal(isCalendarDate(date), true, date);
+  }
+  for (const date of ['2025-02-29', '2025-02-30', '2025-04-31', '2025-13-01', '2025-00-10', '2025-1-5', '14/03/2025']) {
+    assert.equal(isCalendarDate(date), false, date);
+  }
+
+  const parsed = validateTimetable({
+    metadata: { cycle: { type: 'weeks', length: 2, start_date: '2025-02-30' } },
+    timeblocks: [block({ date: '2025-04-31' })],
+  });
+
+  assert.equal(parsed.success, false);
+  assert.deepEqual(
+    parsed.error.errors.map((error) => [error.path.join('.'), error.message]),
+    [
+      ['metadata.cycle.start_date', 'Invalid date'],
+      ['timeblocks.0.date', 'Invalid date'],
+    ]
+  );
+});
+
+test('checks blocks against the timetable cycle', () => {
+  const weeks = { type: 'weeks', length: 2 };
+  const errors = (metadata, timeblocks) => validateCycle(metadata, timeblocks).map((error) => error.error);
+
+  assert.deepEqual(errors({ cycle: weeks }, [block({ day: 'Monday', week: 'A' }), block({ day: 'Monday', week: 'B' })]), []);
+  assert.deepEqual(errors({ cycle: weeks }, [block({ day: 'Monday', week: 'C' })]), ['Week "C" is not one of A, B']);
+  assert.deepEqual(errors({ cycle: { ...weeks, labels: ['1'] } }, []), ['Cycle has 2 weeks but 1 labels']);
+  assert.deepEqual(errors({}, [block({ week: 'A' })]), [
+    'Block needs a day, a cycle_day or a date',
+    'Block has a week but the timetable has no week rotation',
+  ]);
+  assert.deepEqual(errors({ cycle: { type: 'days', length: 5 } }, [block({ cycle_day: 6 })]), [
+    'Cycle day 6 is beyond the 5-day cycle',
+  ]);
+  assert.deepEqual(errors({}, [block({ date: '2025-03-14', day: 'Monday' })]), ['2025-03-14 is a Friday, not a Monday']);
+});
+
+test('infers a missing cycle from the blocks', () => {
+  assert.deepEqual(inferCycle({}, [block({ week: 'B' }), block({ week: 'A' })]).cycle, {
+    type: 'weeks',
+    length: 2,
+    labels: ['A', 'B'],
+  });
+  assert.deepEqual(inferCycle({}, [block({ week: 'A' })]).cycle, { type: 'weeks', length: 2 });
+  assert.deepEqual(inferCycle({}, [block({ cycle_day: 7 })]).cycle, { type: 'days', length: 7 });
+  assert.equal(inferCycle({}, [block({ day: 'Monday' })]).cycle, undefined);
+});
+
+test('fills in durations and the weekday of dated blocks', () => {
+  const [dated] = enrichTimeBlocks([block({ date: '2025-03-14', end_time: '10:45' })]);
+
+  assert.equal(dated.day, 'Friday');
+  assert.equal(dated.duration_minutes, 105);
+});
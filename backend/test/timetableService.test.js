@@ -0,0 +1,348 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createMemoryStore } from '../src/services/timetableStores/memoryStore.js';
+import { createSqliteStore } from '../src/services/timetableStores/sqliteStore.js';
+import { getTimetableStore } from '../src/services/timetableStores/index.js';
+import timetableRoutes from '../src/routes/timetables.js';
+import * as timetableService from '../src/services/timetableService.js';
+import { exportCorrections } from '../src/services/correctionExport.js';
+import { startApp } from './helpers/http.js';
+
+const extraction = () => ({
+  success: true,
+  data: {
+    metadata: { teacher_name: 'Miss Joynes', class_name: '2EJ', term: null, school_name: null, extraction_confidence: 0.8 },
+    timeblocks: [
+      { day: 'Monday', start_time: '09:00', end_time: '09:30', subject: 'Maths', subject_type: 'academic', confidence: 0.9 },
+      { day: 'Monday', start_time: '09:30', end_time: '10:15', subject: 'Englsh', subject_type: 'academic', confidence: 0.4 },
+    ],
+  },
+  metadata: { extractionMethod: 'claude-vision', provider: 'mock', model: 'mock' },
+});
+
+async function createTimetable() {
+  const result = await timetableService.saveExtraction(extraction(), [{ originalname: 'week.png', mimetype: 'image/png' }]);
+  return timetableService.getTimetable(result.metadata.timetableId);
+}
+
+test('stores extractions with block ids at version 1', async () => {
+  const result = await timetableService.saveExtraction(extraction(), [{ originalname: 'week.png', mimetype: 'image/png' }]);
+  const record = await timetableService.getTimetable(result.metadata.timetableId);
+
+  assert.equal(record.version, 1);
+  assert.equal(record.review.status, 'pending');
+  assert.equal(record.source.filename, 'week.png');
+  assert.ok(record.data.timeblocks.every((block) => block.id));
+  assert.deepEqual(result.data.timeblocks, record.data.timeblocks);
+});
+
+test('edits time blocks and bumps the version with every change', async () => {
+  const record = await createTimetable();
+  const [maths, english] = record.data.timeblocks;
+
+  const updated = await timetableService.updateTimeBlock(record.id, english.id, { subject: 'English', end_time: '10:30' });
+  assert.equal(updated.version, 2);
+  assert.equal(updated.block.subject, 'English');
+  assert.equal(updated.block.duration_minutes, 60);
+
+  const added = await timetableService.addTimeBlock(record.id, {
+    day: 'Tuesday',
+    start_time: '09:00',
+    end_time: '10:00',
+    subject: 'PE',
+  });
+  assert.equal(added.version, 3);
+
+  assert.equal(await timetableService.deleteTimeBlock(record.id, maths.id), 4);
+
+  const stored = await timetableService.getTimetable(record.id);
+  assert.equal(stored.version, 4);
+  assert.deepEqual(
+    stored.data.timeblocks.map((block) => block.subject),
+    ['English', 'PE']
+  );
+});
+
+test('rejects invalid edits and unknown ids', async () => {
+  const record = await createTimetable();
+  const [maths] = record.data.timeblocks;
+
+  await assert.rejects(timetableService.updateTimeBlock(record.id, maths.id, { end_time: '08:00' }), {
+    code: 'VALIDATION_FAILED',
+  });
+  await assert.rejects(timetableService.updateTimeBlock(record.id, maths.id, { colour: 'red' }), {
+    code: 'VALIDATION_FAILED',
+  });
+  await assert.rejects(timetableService.getTimeBlock(record.id, 'missing'), { code: 'TIMEBLOCK_NOT_FOUND' });
+  await assert.rejects(timetableService.getTimetable('missing'), { code: 'TIMETABLE_NOT_FOUND' });
+
+  // Failed edits leave the timetable as it was
+  assert.equal((await timetableService.getTimetable(record.id)).version, 1);
+});
+
+test('refuses edits based on an older version', async () => {
+  const record = await createTimetable();
+  await timetableService.updateTimetable(record.id, { metadata: { term: 'Spring 1' } }, 1);
+
+  await assert.rejects(timetableService.updateTimetable(record.id, { metadata: { term: 'Spring 2' } }, 1), {
+    code: 'TIMETABLE_VERSION_CONFLICT',
+    details: { currentVersion: 2 },
+  });
+  assert.equal((await timetableService.getTimetable(record.id)).data.metadata.term, 'Spring 1');
+});
+
+test('the later of two racing edits gets a conflict instead of overwriting the first', async () => {
+  const record = await createTimetable();
+  const [maths, english] = record.data.timeblocks;
+
+  const results = await Promise.allSettled([
+    timetableService.updateTimeBlock(record.id, maths.id, { subject: 'Numeracy' }),
+    timetableService.updateTimeBlock(record.id, english.id, { subject: 'English' }),
+  ]);
+
+  assert.equal(results[0].status, 'fulfilled');
+  assert.equal(results[1].reason.code, 'TIMETABLE_VERSION_CONFLICT');
+
+  const stored = await timetableService.getTimetable(record.id);
+  assert.deepEqual(
+    stored.data.timeblocks.map((block) => block.subject),
+    ['Numeracy', 'Englsh']
+  );
+  assert.equal((await timetableService.listCorrections({ timetableId: record.id })).length, 1);
+});
+
+for (const [name, createStore] of [
+  ['memory', () => createMemoryStore()],
+  ['sqlite', () => createSqliteStore({ path: ':memory:' })],
+]) {
+  test(`the ${name} store only writes records still at the expected version`, async () => {
+    const store = createStore();
+    const record = await createTimetable();
+    await store.create(record);
+
+    assert.ok(await store.update({ ...record, version: 2 }, [], 1));
+    assert.equal(await store.update({ ...record, version: 2 }, [], 1), null);
+    assert.equal(await store.update({ ...record, id: 'missing', version: 2 }, [], 1), null);
+    assert.equal((await store.get(record.id)).version, 2);
+  });
+
+  test(`the ${name} store scopes timetable reads to a tenant`, async () => {
+    const store = createStore();
+    const base = await createTimetable();
+    const north = { ...base, id: 'north-1', source: { ...base.source, tenant: 'north' } };
+    const untagged = { ...base, id: 'untagged-1', source: { ...base.source, tenant: null } };
+    await store.create(north);
+    await store.create(untagged);
+    await store.update({ ...north, version: 2 }, [
+      { id: 'c1', timetableId: 'north-1', blockId: null, action: 'metadata', changedFields: ['term'], createdAt: '2025-01-01' },
+    ]);
+
+    assert.equal((await store.get('north-1', 'north')).id, 'north-1');
+    assert.equal(await store.get('north-1', 'south'), null);
+    assert.equal(await store.get('north-1', null), null);
+    assert.equal((await store.get('untagged-1', null)).id, 'untagged-1');
+    assert.equal((await store.get('north-1')).id, 'north-1');
+
+    const page = { limit: 10, offset: 0 };
+    assert.deepEqual((await store.list({ ...page, tenant: 'north' })).items.map((r) => r.id), ['north-1']);
+    assert.equal((await store.list({ ...page, tenant: 'south' })).total, 0);
+    assert.equal((await store.list(page)).total, 2);
+
+    assert.equal((await store.listCorrections({ tenant: 'north' })).length, 1);
+    assert.equal((await store.listCorrections({ tenant: 'south' })).length, 0);
+
+    assert.equal(await store.delete('north-1', 'south'), false);
+    assert.equal(await store.delete('north-1', 'north'), true);
+  });
+}
+
+test('the sqlite store fills in the tenant of timetables stored before it had a column', async (t) => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'timetables-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'old.db');
+
+  const { default: Database } = await import('better-sqlite3');
+  const db = new Database(file);
+  db.exec(`
+    CREATE TABLE timetables (id TEXT PRIMARY KEY, teacher_name TEXT, class_name TEXT, term_name TEXT,
+      school_name TEXT, original_filename TEXT, file_type TEXT, processing_status TEXT NOT NULL DEFAULT 'completed',
+      extraction_confidence REAL, metadata_json TEXT, source_json TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL);
+    INSERT INTO timetables (id, source_json, created_at, updated_at)
+      VALUES ('old-1', '{"tenant":"north"}', '2025-01-01', '2025-01-01');
+  `);
+  db.close();
+
+  const store = createSqliteStore({ path: file });
+
+  assert.equal((await store.get('old-1', 'north')).id, 'old-1');
+  assert.equal(await store.get('old-1', null), null);
+});
+
+test('timetable responses carry an ETag that If-Match checks edits against', async (t) => {
+  const server = await startApp(timetableRoutes);
+  t.after(server.close);
+
+  const record = await createTimetable();
+  const [maths] = record.data.timeblocks;
+  const url = `${server.url}/timetables/${record.id}`;
+  const patch = (path, body, headers = {}) =>
+    fetch(`${url}${path}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+
+  const read = await fetch(url);
+  assert.equal(read.headers.get('etag'), '"1"');
+
+  const edited = await patch(`/timeblocks/${maths.id}`, { subject: 'Numeracy' }, { 'If-Match': '"1"' });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.headers.get('etag'), '"2"');
+
+  const stale = await patch('', { metadata: { term: 'Spring 1' } }, { 'If-Match': '"1"' });
+  assert.equal(stale.status, 412);
+  assert.deepEqual((await stale.json()).error.details, { currentVersion: 2 });
+
+  assert.equal((await patch('', { metadata: { term: 'Spring 1' } }, { 'If-Match': 'W/"2"' })).status, 200);
+  assert.equal((await patch('', { metadata: { term: 'Spring 2' } }, { 'If-Match': '"abc"' })).status, 412);
+  assert.equal((await patch('', { metadata: { term: 'Spring 2' } })).headers.get('etag'), '"4"');
+});
+
+test('an edit without If-Match that loses a race answers 409, a review transition too', async (t) => {
+  const server = await startApp(timetableRoutes);
+  t.after(server.close);
+  const record = await createTimetable();
+  const url = `${server.url}/timetables/${record.id}`;
+  // Another request writes between this edit's read and its write
+  const update = t.mock.method(getTimetableStore(), 'update', async () => false, { times: 1 });
+
+  const raced = await fetch(url, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ metadata: { term: 'Spring 1' } }),
+  });
+  const body = await raced.json();
+
+  assert.equal(update.mock.callCount(), 1);
+  assert.equal(raced.status, 409);
+  assert.equal(body.error.code, 'TIMETABLE_VERSION_CONFLICT');
+
+  const review = (status) =>
+    fetch(`${url}/review`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status }),
+    });
+  assert.equal((await review('approved')).status, 409);
+});
+
+test('replacing a block keeps its extraction confidence unless a new one is given', async () => {
+  const record = await createTimetable();
+  const [, english] = record.data.timeblocks;
+  const replacement = { day: 'Monday', start_time: '09:30', end_time: '10:15', subject: 'English' };
+
+  const { block } = await timetableService.replaceTimeBlock(record.id, english.id, replacement);
+  assert.equal(block.confidence, 0.4);
+
+  const rated = await timetableService.replaceTimeBlock(record.id, english.id, { ...replacement, confidence: 0.9 });
+  assert.equal(rated.block.confidence, 0.9);
+
+  const [correction] = await timetableService.listCorrections({ timetableId: record.id });
+  assert.equal(correction.originalConfidence, 0.4);
+  assert.deepEqual(correction.changedFields, ['subject']);
+});
+
+test('replacing the whole timetable keeps the confidence of blocks it carries over', async () => {
+  const record = await createTimetable();
+  const [maths, english] = record.data.timeblocks;
+  const { confidence, ...unrated } = english;
+
+  const updated = await timetableService.replaceTimetable(record.id, {
+    metadata: record.data.metadata,
+    timeblocks: [{ ...maths, confidence: 1 }, unrated, { ...unrated, id: 'new', start_time: '13:00', end_time: '14:00' }],
+  });
+
+  assert.equal(confidence, 0.4);
+  assert.deepEqual(
+    updated.data.timeblocks.map((block) => block.confidence),
+    [1, 0.4, 1]
+  );
+});
+
+test('moves timetables through the review workflow and locks approved ones', async () => {
+  const record = await createTimetable();
+  const [maths] = record.data.timeblocks;
+
+  await assert.rejects(timetableService.setReviewStatus(record.id, { status: 'approved' }), {
+    code: 'REVIEW_TRANSITION_NOT_ALLOWED',
+    details: { allowed: ['reviewed'] },
+  });
+  await assert.rejects(timetableService.setReviewStatus(record.id, { status: 'done' }), {
+    code: 'INVALID_REVIEW_STATUS',
+  });
+
+  await timetableService.setReviewStatus(record.id, { status: 'reviewed', reviewer: 'j.smith', notes: 'Checked' });
+  const approved = await timetableService.setReviewStatus(record.id, { status: 'approved' });
+
+  assert.equal(approved.review.status, 'approved');
+  assert.deepEqual(
+    approved.review.history.map((entry) => [entry.from, entry.to, entry.reviewer]),
+    [
+      ['pending', 'reviewed', 'j.smith'],
+      ['reviewed', 'approved', null],
+    ]
+  );
+
+  await assert.rejects(timetableService.updateTimeBlock(record.id, maths.id, { subject: 'Numeracy' }), {
+    code: 'TIMETABLE_APPROVED',
+  });
+
+  await timetableService.setReviewStatus(record.id, { status: 'reviewed' });
+  const { block } = await timetableService.updateTimeBlock(record.id, maths.id, { subject: 'Numeracy' });
+  assert.equal(block.subject, 'Numeracy');
+
+  const { items } = await timetableService.listTimetables({ reviewStatus: 'reviewed', limit: 100 });
+  assert.ok(items.some((item) => item.id === record.id));
+  await assert.rejects(timetableService.listTimetables({ reviewStatus: 'done' }), { code: 'INVALID_REVIEW_STATUS' });
+});
+
+test('records every edit as a correction and measures accuracy over reviewed timetables', async () => {
+  const record = await createTimetable();
+  const [, english] = record.data.timeblocks;
+
+  await timetableService.updateTimeBlock(record.id, english.id, { subject: 'English' });
+  await timetableService.addTimeBlock(record.id, { day: 'Monday', start_time: '10:15', end_time: '10:30', subject: 'Break' });
+  await timetableService.updateTimetable(record.id, { metadata: { term: 'Spring 1' } });
+  await timetableService.setReviewStatus(record.id, { status: 'reviewed' });
+
+  const corrections = await timetableService.listCorrections({ timetableId: record.id });
+  assert.deepEqual(
+    corrections.map((c) => [c.action, c.blockId, c.changedFields, c.originalConfidence]),
+    [
+      ['updated', english.id, ['subject'], 0.4],
+      ['added', corrections[1].blockId, [], null],
+      ['metadata', null, ['term'], 0.8],
+    ]
+  );
+  assert.equal(corrections[0].before.subject, 'Englsh');
+  assert.equal(corrections[0].after.subject, 'English');
+
+  const { summary } = await exportCorrections({ timetableId: record.id });
+  assert.deepEqual(summary.byAction, { updated: 1, added: 1, metadata: 1 });
+  assert.equal(summary.averageOriginalConfidence, 0.4);
+  assert.deepEqual(summary.accuracy, {
+    reviewedTimetables: 1,
+    extractedBlocks: 2,
+    correctBlocks: 1,
+    missedBlocks: 1,
+    blockAccuracy: 0.5,
+  });
+
+  const csv = await exportCorrections({ format: 'csv', timetableId: record.id });
+  const rows = csv.body.trim().split('\r\n');
+  assert.equal(rows.length, 4);
+  assert.match(rows[1], new RegExp(`,${english.id},updated,subject,Englsh,English,0\\.4,Monday,reviewed,claude-vision,`));
+});
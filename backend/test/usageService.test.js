@@ -0,0 +1,133 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { config } from '../src/config/index.js';
+import { recordLLMCall, getUsageReport, getBudgetStatus } from '../src/services/usageService.js';
+import { getModelPrice, estimateCost } from '../src/services/pricing.js';
+import { enforceBudget } from '../src/middleware/rateLimit.js';
+import { processFile } from '../src/services/fileProcessor.js';
+import { getTimetableStore } from '../src/services/timetableStores/index.js';
+import { startApp } from './helpers/http.js';
+
+const originalBudget = config.usage.budgetUsd;
+
+afterEach(() => {
+  config.usage.budgetUsd = originalBudget;
+});
+
+const call = (fields) =>
+  recordLLMCall({ operation: 'vision', provider: 'openai', model: 'gpt-4o', promptTokens: 0, completionTokens: 0, ...fields });
+
+test('prices models by name, most specific first', () => {
+  assert.deepEqual(getModelPrice('gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.6 });
+  assert.deepEqual(getModelPrice('gpt-4o-2024-08-06'), { input: 2.5, output: 10 });
+  assert.deepEqual(getModelPrice('claude-sonnet-4-20250514'), { input: 3, output: 15 });
+  assert.equal(getModelPrice('llava:13b'), null);
+
+  assert.equal(estimateCost('gpt-4o', { promptTokens: 1000, completionTokens: 500 }), 0.0075);
+  assert.equal(estimateCost('llava', { promptTokens: 1000 }), null);
+  assert.equal(estimateCost('llava', {}), 0);
+  assert.equal(estimateCost('llava', { promptTokens: 1e6 }, { input: 1, output: 2 }), 1);
+});
+
+test('records calls with their cost; replayed responses are free and unknown models unpriced', async () => {
+  const priced = await call({ promptTokens: 1000, completionTokens: 500, tenant: 'north', apiKeyId: 'key-1' });
+  const replayed = await call({ provider: 'mock', model: 'mock', promptTokens: 1000, completionTokens: 500 });
+  const unpriced = await call({ provider: 'local', model: 'llava', promptTokens: 10, completionTokens: 5 });
+
+  assert.equal(priced.costUsd, 0.0075);
+  assert.equal(priced.totalTokens, 1500);
+  assert.equal(priced.tenant, 'north');
+  assert.equal(replayed.costUsd, 0);
+  assert.equal(unpriced.costUsd, null);
+});
+
+test('reports usage by day, tenant, model and key with unpriced calls counted apart', async () => {
+  const report = await getUsageReport({ tenant: 'report' });
+  assert.equal(report.totals.calls, 0);
+
+  await call({ tenant: 'report', promptTokens: 2000, completionTokens: 1000, apiKeyId: 'key-a', extractionId: 'e1' });
+  await call({ tenant: 'report', promptTokens: 1000, completionTokens: 0, apiKeyId: 'key-a', extractionId: 'e1' });
+  await call({ tenant: 'report', model: 'gpt-4o-mini', promptTokens: 1000, apiKeyId: 'key-b', extractionId: 'e2' });
+  await call({ tenant: 'report', provider: 'local', model: 'llava', promptTokens: 100, apiKeyId: 'key-b' });
+
+  const { totals, byDay, byModel, byApiKey, byTenant, period } = await getUsageReport({ tenant: 'report' });
+
+  assert.deepEqual(totals, {
+    calls: 4,
+    extractions: 2,
+    promptTokens: 4100,
+    completionTokens: 1000,
+    totalTokens: 5100,
+    costUsd: 0.01765,
+    unpricedCalls: 1,
+  });
+  assert.equal(byDay.length, 1);
+  assert.equal(byDay[0].day, new Date().toISOString().slice(0, 10));
+  assert.deepEqual(
+    byModel.map((row) => [row.model, row.calls, row.costUsd]),
+    [
+      ['gpt-4o', 2, 0.0175],
+      ['gpt-4o-mini', 1, 0.00015],
+      ['llava', 1, 0],
+    ]
+  );
+  assert.deepEqual(byApiKey.map((row) => row.apiKeyId), ['key-a', 'key-b']);
+  assert.deepEqual(byTenant.map((row) => row.tenant), ['report']);
+  assert.equal(period.from, `${new Date().toISOString().slice(0, 7)}-01T00:00:00.000Z`);
+});
+
+test('filters the report by period, counting a date-only "to" as the whole day', async () => {
+  const today = new Date().toISOString().slice(0, 10);
+  await call({ tenant: 'period', promptTokens: 10 });
+
+  assert.equal((await getUsageReport({ tenant: 'period', from: today, to: today })).totals.calls, 1);
+  assert.equal((await getUsageReport({ tenant: 'period', from: '2020-01-01', to: '2020-01-31' })).totals.calls, 0);
+
+  await assert.rejects(getUsageReport({ from: 'last week' }), { code: 'INVALID_DATE' });
+  await assert.rejects(getUsageReport({ from: '2025-02-01', to: '2025-01-01' }), { code: 'INVALID_DATE' });
+});
+
+test('refuses extractions once the monthly budget is spent', async (t) => {
+  const server = await startApp(enforceBudget, (req, res) => res.json({ success: true }));
+  t.after(server.close);
+
+  const spent = (await getBudgetStatus()).spentUsd;
+  config.usage.budgetUsd = spent + 0.01;
+
+  const under = await getBudgetStatus();
+  assert.equal(under.exceeded, false);
+  assert.equal(under.remainingUsd, 0.01);
+  assert.equal((await fetch(`${server.url}/extract`, { method: 'POST' })).status, 200);
+
+  await call({ promptTokens: 4000 });
+  assert.equal((await getBudgetStatus()).exceeded, true);
+
+  const refused = await fetch(`${server.url}/extract`, { method: 'POST' });
+  const body = await refused.json();
+
+  assert.equal(refused.status, 429);
+  assert.ok(Number(refused.headers.get('Retry-After')) > 0);
+  assert.equal(body.error.code, 'BUDGET_EXCEEDED');
+  assert.equal(body.error.details.limitUsd, spent + 0.01);
+});
+
+test('records every LLM call of an extraction against its tenant and key', async () => {
+  const image = await readFile(fileURLToPath(new URL('../../examples/Teacher Timetable Example 1.1.png', import.meta.url)));
+  const result = await processFile(image, 'image/png', 'Teacher Timetable Example 1.1.png', {
+    tenant: 'pipeline',
+    apiKeyId: 'key-pipeline',
+  });
+
+  const calls = await getTimetableStore().listLLMCalls({ tenant: 'pipeline' });
+
+  assert.ok(calls.length >= 2);
+  assert.ok(calls.every((recorded) => recorded.extractionId === result.metadata.extractionId));
+  assert.ok(calls.every((recorded) => recorded.apiKeyId === 'key-pipeline' && recorded.costUsd === 0));
+  assert.deepEqual([...new Set(calls.map((recorded) => recorded.operation))], ['vision', 'verification']);
+  assert.equal(
+    calls.reduce((sum, recorded) => sum + recorded.totalTokens, 0),
+    result.metadata.tokensUsed + result.metadata.verification.tokensUsed
+  );
+});
@@ -0,0 +1,154 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config/index.js';
+import { verifyExtraction } from '../src/services/verificationService.js';
+
+const defaultMode = config.verification.mode;
+
+afterEach(() => {
+  config.verification.mode = defaultMode;
+});
+
+const source = { text: 'Monday\n9:00-9:30 Maths\n9:30-10:15 English\n10:15-10:30 Break' };
+
+const block = (start_time, end_time, subject, confidence, fields = {}) => ({
+  day: 'Monday',
+  start_time,
+  end_time,
+  subject,
+  subject_type: subject === 'Break' ? 'break' : 'academic',
+  confidence,
+  ...fields,
+});
+
+const extraction = (timeblocks) => ({
+  metadata: { teacher_name: null, class_name: '3B', extraction_confidence: 0.9 },
+  timeblocks,
+});
+
+test('scores blocks from their own confidence and plausibility checks', async () => {
+  config.verification.mode = 'off';
+
+  const { data, report } = await verifyExtraction(
+    extraction([
+      block('09:00', '09:30', 'Maths', 0.9),
+      block('09:20', '09:50', 'PE', 1),
+      block('06:03', '06:05', 'Register', 1),
+    ]),
+    source
+  );
+
+  assert.deepEqual(
+    data.timeblocks.map((b) => [b.confidence, b.verification_issues]),
+    [
+      [0.63, ['overlaps_other_block']],
+      [0.55, ['short_subject', 'overlaps_other_block']],
+      [0.55, ['unusual_duration', 'irregular_time', 'outside_school_day']],
+    ]
+  );
+  assert.equal(data.metadata.extraction_confidence, 0.58);
+  assert.equal(report.reportedConfidence, 0.9);
+  assert.equal(report.lowConfidenceBlocks.length, 3);
+  assert.equal(report.checkedBlocks, 0);
+});
+
+test('re-asks the model about suspect blocks and applies its corrections', async () => {
+  config.verification.mode = 'reask';
+
+  const original = extraction([
+    block('09:00', '09:30', 'Maths', 0.95),
+    block('09:30', '10:15', 'En', 0.9),
+    block('10:15', '10:32', 'Break', 0.9),
+    block('14:00', '14:30', 'Choir', 0.5),
+  ]);
+  const { data, report } = await verifyExtraction(original, source, { extractionMethod: 'pdf-parse + llm-text' });
+
+  assert.deepEqual(
+    data.timeblocks.map((b) => [b.start_time, b.end_time, b.subject, b.confidence]),
+    [
+      ['09:00', '09:30', 'Maths', 0.95],
+      ['09:30', '10:15', 'English', 0.85],
+      ['10:15', '10:30', 'Break', 0.81],
+      ['14:00', '14:30', 'Choir', 0.1],
+    ]
+  );
+  assert.equal(report.status, 'completed');
+  assert.equal(report.checkedBlocks, 3);
+  assert.equal(report.corrections, 2);
+  assert.deepEqual(
+    report.disagreements.map((d) => [d.block.subject, d.field, d.original, d.verified, d.resolution]),
+    [
+      ['Choir', null, undefined, undefined, 'not_found'],
+      ['En', 'subject', 'En', 'English', 'corrected'],
+      ['Break', 'end_time', '10:32', '10:30', 'corrected'],
+    ]
+  );
+  assert.deepEqual(report.lowConfidenceBlocks.map((b) => b.subject), ['Choir']);
+  assert.equal(report.tokensUsed, 980);
+
+  // The input is left untouched
+  assert.equal(original.timeblocks[1].subject, 'En');
+});
+
+test('skips re-asking when the original source is not available', async () => {
+  config.verification.mode = 'reask';
+
+  const { data, report } = await verifyExtraction(extraction([block('14:00', '14:30', 'Choir', 0.5)]), null);
+
+  assert.equal(report.status, 'skipped');
+  assert.equal(report.reason, 'Original source not available');
+  assert.equal(data.timeblocks[0].confidence, 0.5);
+});
+
+test('keeps the heuristic scores when the second pass fails', async () => {
+  config.verification.mode = 'reask';
+
+  // No recorded response exists for this source
+  const { data, report } = await verifyExtraction(extraction([block('14:00', '14:30', 'Choir', 0.5)]), {
+    text: 'Monday\n2-2.30 Choir',
+  });
+
+  assert.equal(report.status, 'failed');
+  assert.match(report.error, /No recorded LLM response/);
+  assert.equal(data.timeblocks[0].confidence, 0.5);
+});
+
+test('reconciles the extraction with the rule-based parse of its text', async () => {
+  config.verification.mode = 'consistency';
+
+  const { data, report } = await verifyExtraction(
+    extraction([
+      block('09:00', '09:30', 'Maths', 0.8),
+      block('09:30', '10:15', 'Science', 0.8),
+      block('13:00', '14:00', 'Art', 0.8, { day: 'Tuesday' }),
+    ]),
+    source,
+    { extractionMethod: 'pdf-parse + llm-text' }
+  );
+
+  assert.equal(report.secondaryMethod, 'rules');
+  assert.equal(report.checkedBlocks, 3);
+  assert.deepEqual(
+    data.timeblocks.map((b) => b.confidence),
+    [0.95, 0.64, 0.56]
+  );
+  assert.deepEqual(
+    report.disagreements.map((d) => [d.block.subject, d.field, d.verified, d.resolution]),
+    [
+      ['Science', 'subject', 'English', 'kept_primary'],
+      ['Art', null, undefined, 'missing_in_secondary'],
+      ['Break', null, undefined, 'missing_in_primary'],
+    ]
+  );
+});
+
+test('does not check rule-based extractions against themselves', async () => {
+  config.verification.mode = 'consistency';
+
+  const { report } = await verifyExtraction(extraction([block('09:00', '09:30', 'Maths', 0.8)]), source, {
+    extractionMethod: 'pdf-parse + rules',
+  });
+
+  assert.equal(report.status, 'skipped');
+  assert.equal(report.disagreements.length, 0);
+});
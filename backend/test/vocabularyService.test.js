@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import {
+  DEFAULT_TENANT,
+  saveVocabulary,
+  getVocabulary,
+  deleteVocabulary,
+  resolveVocabulary,
+  normalizeTimeblocks,
+} from '../src/services/vocabularyService.js';
+import { getPromptSet, renderSystemPrompt } from '../src/services/prompts/index.js';
+import { processFile } from '../src/services/fileProcessor.js';
+
+test('stores, replaces and deletes a tenant vocabulary', async () => {
+  const first = await saveVocabulary('oak-primary', { entries: [{ canonical: 'Maths', aliases: ['Numeracy'] }] });
+  const second = await saveVocabulary('oak-primary', { entries: [{ canonical: 'Maths', aliases: ['Numeracy', 'MA'] }] });
+
+  assert.equal(second.createdAt, first.createdAt);
+  assert.deepEqual((await getVocabulary('oak-primary')).entries[0].aliases, ['Numeracy', 'MA']);
+
+  await deleteVocabulary('oak-primary');
+  await assert.rejects(getVocabulary('oak-primary'), { code: 'VOCABULARY_NOT_FOUND' });
+  await assert.rejects(deleteVocabulary('oak-primary'), { code: 'VOCABULARY_NOT_FOUND' });
+});
+
+test('rejects invalid tenant ids and aliases claimed by two entries', async () => {
+  await assert.rejects(saveVocabulary('../etc', { entries: [] }), { code: 'INVALID_TENANT' });
+  await assert.rejects(
+    saveVocabulary('elm-primary', {
+      entries: [
+        { canonical: 'Physical Education', aliases: ['PE'] },
+        { canonical: 'Games', aliases: ['pe'] },
+      ],
+    }),
+    (error) => {
+      assert.equal(error.code, 'VALIDATION_FAILED');
+      assert.deepEqual(error.details, [
+        { path: 'entries.1.aliases', message: '"pe" is already used by entry 0 (Physical Education)' },
+      ]);
+      return true;
+    }
+  );
+});
+
+test('adds a tenant vocabulary on top of the default one', async () => {
+  assert.equal(await resolveVocabulary('ash-primary'), null);
+
+  await saveVocabulary(DEFAULT_TENANT, {
+    entries: [
+      { canonical: 'Registration', aliases: ['Reg', 'Register'], subject_type: 'administrative' },
+      { canonical: 'Physical Education', aliases: ['PE'] },
+    ],
+  });
+  await saveVocabulary('ash-primary', { entries: [{ canonical: 'Games', aliases: ['PE'], color_code: '#22AA55' }] });
+
+  const vocabulary = await resolveVocabulary('ash-primary');
+
+  assert.equal(vocabulary.tenant, 'ash-primary');
+  assert.match(vocabulary.fingerprint, /^[0-9a-f]{12}$/);
+  // The tenant's "PE" wins over the default entry's alias
+  assert.deepEqual(
+    vocabulary.entries.map((entry) => [entry.canonical, entry.aliases]),
+    [
+      ['Registration', ['Reg', 'Register']],
+      ['Physical Education', []],
+      ['Games', ['PE']],
+    ]
+  );
+  assert.notEqual((await resolveVocabulary()).fingerprint, vocabulary.fingerprint);
+
+  await deleteVocabulary(DEFAULT_TENANT);
+  await deleteVocabulary('ash-primary');
+});
+
+test('maps subjects onto canonical names, ignoring case and punctuation', () => {
+  const vocabulary = {
+    entries: [
+      { canonical: 'Phonics', aliases: ['RWI', 'Read Write Inc'], subject_type: 'academic' },
+      { canonical: 'Lunch', aliases: [], subject_type: 'break', color_code: '#FFCC00' },
+    ],
+  };
+  const { timeblocks, normalized } = normalizeTimeblocks(
+    [
+      { subject: 'read-write inc.', subject_type: 'academic' },
+      { subject: 'Lunch', subject_type: 'break', color_code: '#FFCC00' },
+      { subject: 'lunch', subject_type: 'academic' },
+      { subject: 'Maths', subject_type: 'academic' },
+    ],
+    vocabulary
+  );
+
+  assert.equal(normalized, 2);
+  assert.deepEqual(timeblocks, [
+    { subject: 'Phonics', subject_type: 'academic', color_code: undefined, original_subject: 'read-write inc.' },
+    { subject: 'Lunch', subject_type: 'break', color_code: '#FFCC00' },
+    { subject: 'Lunch', subject_type: 'break', color_code: '#FFCC00', original_subject: 'lunch' },
+    { subject: 'Maths', subject_type: 'academic' },
+  ]);
+  assert.equal(normalizeTimeblocks(timeblocks, null).normalized, 0);
+});
+
+test('appends the school vocabulary to the system prompt', () => {
+  const set = getPromptSet('v2');
+
+  assert.equal(renderSystemPrompt(set, null), set.system);
+  assert.equal(renderSystemPrompt(set, { entries: [] }), set.system);
+
+  const prompt = renderSystemPrompt(set, {
+    entries: [{ canonical: 'Physical Education', aliases: ['PE', 'Games'], subject_type: 'academic' }],
+  });
+  assert.ok(prompt.startsWith(set.system));
+  assert.match(prompt, /- "Physical Education", "PE", "Games" means Physical Education \(academic\)/);
+});
+
+test('extractions use the vocabulary of the tenant they were made for', async () => {
+  await saveVocabulary('birch-primary', {
+    entries: [{ canonical: 'Registration', aliases: ['Register'], color_code: '#999999' }],
+  });
+
+  // Offline rule-based path: no LLM is configured for this provider
+  const pdf = await readFile(new URL('../../examples/Teacher Timetable Example 2.pdf', import.meta.url));
+  const result = await processFile(pdf, 'application/pdf', 'example.pdf', {
+    provider: 'anthropic',
+    tenant: 'birch-primary',
+  });
+  const registration = result.data.timeblocks.filter((block) => block.original_subject === 'Register');
+
+  // Morning and afternoon registration on five days
+  assert.equal(registration.length, 10);
+  assert.ok(registration.every((block) => block.subject === 'Registration' && block.color_code === '#999999'));
+  assert.equal(result.metadata.vocabulary.entries, 1);
+  assert.equal(result.metadata.vocabulary.normalizedBlocks, 10);
+});